@@ -3,7 +3,8 @@ const express = require('express');
 const path = require('path');
 const mongoose = require('mongoose');
 const logger = require('./utils/logger');
-const schedulerService = require('./services/schedulerService');
+const monitoringService = require('./services/monitoringService');
+const leaderLockService = require('./services/leaderLockService');
 
 const app = express();
 
@@ -19,6 +20,7 @@ app.get('/health', (req, res) => {
   res.json({ success: true, status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Liveness only; the monitoring status needs the API key at /api/monitoring/status
 app.get('/api/status', (req, res) => {
   res.json({
     success: true,
@@ -33,8 +35,12 @@ app.get('/api/status', (req, res) => {
 // API routes
 const usersRouter = require('./routes/users');
 const adminRouter = require('./routes/admin');
+const monitoringRouter = require('./routes/monitoring');
+const notificationsRouter = require('./routes/notifications');
 app.use('/api/users', usersRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api', monitoringRouter);
 
 // API index route for discoverability
 app.get('/api', (req, res) => {
@@ -44,6 +50,14 @@ app.get('/api', (req, res) => {
       { method: 'GET', path: '/api' },
       { method: 'GET', path: '/health' },
       { method: 'GET', path: '/api/status' },
+      { method: 'GET', path: '/api/stats' },
+      { method: 'POST', path: '/api/test/whatsapp' },
+      { method: 'GET', path: '/api/monitoring/status' },
+      { method: 'POST', path: '/api/monitoring/start' },
+      { method: 'POST', path: '/api/monitoring/stop' },
+      { method: 'POST', path: '/api/monitoring/run' },
+      { method: 'PUT', path: '/api/monitoring/schedule' },
+      { method: 'POST', path: '/api/monitoring/cases/:cino/check' },
       { method: 'GET', path: '/api/admin/users' },
       { method: 'GET', path: '/api/admin/users/:id' },
       { method: 'POST', path: '/api/admin/users' },
@@ -67,6 +81,44 @@ app.get('/api', (req, res) => {
       { method: 'DELETE', path: '/api/admin/cino-numbers/:cino/numbers' },
       { method: 'POST', path: '/api/admin/cino-numbers/:cino/send' },
       { method: 'POST', path: '/api/admin/cino-numbers/:id/fetch-and-send' },
+      { method: 'GET', path: '/api/admin/courts' },
+      { method: 'GET', path: '/api/admin/court-requests' },
+      { method: 'PUT', path: '/api/admin/court-requests' },
+      { method: 'GET', path: '/api/admin/court-outages' },
+      { method: 'GET', path: '/api/admin/parser-drift' },
+      { method: 'GET', path: '/api/admin/snapshots/stats' },
+      { method: 'POST', path: '/api/admin/snapshots/reparse' },
+      { method: 'POST', path: '/api/admin/cause-lists/ingest' },
+      { method: 'GET', path: '/api/admin/cause-lists' },
+      { method: 'POST', path: '/api/admin/orders/reindex' },
+      { method: 'GET', path: '/api/admin/calendar' },
+      { method: 'GET', path: '/api/admin/calendar/days/:date' },
+      { method: 'POST', path: '/api/admin/calendar' },
+      { method: 'POST', path: '/api/admin/calendar/import' },
+      { method: 'DELETE', path: '/api/admin/calendar/:id' },
+      { method: 'GET', path: '/api/admin/monitoring-runs' },
+      { method: 'GET', path: '/api/admin/monitoring-runs/trends' },
+      { method: 'GET', path: '/api/admin/monitoring-runs/:runId' },
+      { method: 'GET', path: '/api/admin/events' },
+      { method: 'GET', path: '/api/admin/events/stats' },
+      { method: 'GET', path: '/api/admin/change-rules' },
+      { method: 'POST', path: '/api/admin/change-rules' },
+      { method: 'POST', path: '/api/admin/change-rules/test' },
+      { method: 'PUT', path: '/api/admin/change-rules/:id' },
+      { method: 'DELETE', path: '/api/admin/change-rules/:id' },
+      { method: 'GET', path: '/api/admin/notification-channels' },
+      { method: 'POST', path: '/api/admin/notification-channels/test' },
+      { method: 'GET', path: '/api/admin/notifications' },
+      { method: 'GET', path: '/api/admin/notifications/stats' },
+      { method: 'GET', path: '/api/admin/notifications/:id' },
+      { method: 'POST', path: '/api/admin/notifications/:id/retry' },
+      { method: 'POST', path: '/api/notifications/delivery-status/:channel' },
+      { method: 'GET', path: '/api/admin/jobs' },
+      { method: 'POST', path: '/api/admin/jobs/retry' },
+      { method: 'POST', path: '/api/admin/jobs/:id/retry' },
+      { method: 'DELETE', path: '/api/admin/jobs' },
+      { method: 'GET', path: '/api/admin/snapshots/:cino' },
+      { method: 'GET', path: '/api/admin/snapshots/:cino/:contentHash/html' },
     ],
   });
 });
@@ -91,8 +143,8 @@ async function start() {
     await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
     logger.info('MongoDB connected');
     
-    // Initialize scheduled tasks
-    schedulerService.initScheduledTasks();
+    // Schedule case monitoring and cause list ingestion
+    monitoringService.init();
   } catch (err) {
     logger.warn(`MongoDB connection failed: ${err.message}`);
   }
@@ -104,8 +156,13 @@ async function start() {
 
 start();
 
-process.on('SIGINT', () => {
+async function shutdown() {
   console.log('Shutting down...');
+  // Hand the scheduler to another instance now rather than when the lease expires
+  await leaderLockService.stop();
   mongoose.connection.close().catch(() => {});
   process.exit(0);
-});
\ No newline at end of file
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Require the API_KEY in an x-api-key header or as a Bearer token. Without
+ * API_KEY set the protected routes stay closed rather than open to anyone.
+ */
+function requireApiKey(req, res, next) {
+  const apiKey = process.env.API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({ success: false, message: 'API_KEY is not configured on the server' });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = req.get('x-api-key') || (header.startsWith('Bearer ') ? header.slice(7) : '');
+
+  const expected = Buffer.from(apiKey);
+  const actual = Buffer.from(provided);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    logger.warn(`Rejected unauthenticated request to ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ success: false, message: 'Invalid or missing API key' });
+  }
+
+  next();
+}
+
+/**
+ * Require the DELIVERY_CALLBACK_TOKEN in an x-callback-token header or a
+ * ?token= query parameter, for providers that cannot set custom headers.
+ * Without the token set delivery callbacks are refused.
+ */
+function requireCallbackToken(req, res, next) {
+  const token = process.env.DELIVERY_CALLBACK_TOKEN;
+  if (!token) {
+    return res.status(503).json({ success: false, message: 'DELIVERY_CALLBACK_TOKEN is not configured on the server' });
+  }
+
+  const provided = req.get('x-callback-token') || String(req.query.token || '');
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    logger.warn(`Rejected delivery callback to ${req.method} ${req.path}`);
+    return res.status(401).json({ success: false, message: 'Invalid or missing callback token' });
+  }
+
+  next();
+}
+
+module.exports = { requireApiKey, requireCallbackToken };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { diffListingHistory, diffIaApplications } = require('../utils/caseDiff');
 
 const caseSchema = new mongoose.Schema({
   // Primary identifiers
@@ -13,6 +14,13 @@ const caseSchema = new mongoose.Schema({
     index: true
   },
   
+  // Court source adapter the case is fetched through
+  courtAdapter: {
+    type: String,
+    default: 'allahabad_hc',
+    index: true
+  },
+  
   // Filing details
   filingNumber: {
     type: String,
@@ -44,6 +52,12 @@ const caseSchema = new mongoose.Schema({
   nextHearingDate: {
     type: Date
   },
+  // Set when the next hearing date falls on a court holiday, vacation or off day
+  nextHearingHoliday: {
+    date: { type: Date },
+    type: { type: String },
+    name: { type: String }
+  },
   stageOfCase: {
     type: String,
     default: ''
@@ -136,6 +150,22 @@ const caseSchema = new mongoose.Schema({
     shortOrder: String
   }],
   
+  // Archived order and judgment documents
+  orders: [{
+    sourceUrl: String,
+    documentType: {
+      type: String,
+      enum: ['order', 'judgment'],
+      default: 'order'
+    },
+    orderDate: Date,
+    benchId: String,
+    justice: String,
+    contentHash: String,
+    size: Number,
+    downloadedAt: Date
+  }],
+  
   // Change tracking
   dataHash: {
     type: String,
@@ -149,6 +179,8 @@ const caseSchema = new mongoose.Schema({
     field: String,
     oldValue: mongoose.Schema.Types.Mixed,
     newValue: mongoose.Schema.Types.Mixed,
+    // Keyed diff for list fields, which store this instead of old and new values
+    diff: mongoose.Schema.Types.Mixed,
     changedAt: {
       type: Date,
       default: Date.now
@@ -169,6 +201,9 @@ const caseSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  parserVersion: {
+    type: String
+  },
   
   // Status tracking
   isActive: {
@@ -182,6 +217,37 @@ const caseSchema = new mongoose.Schema({
   apiCheckCount: {
     type: Number,
     default: 0
+  },
+  
+  // Outcome of the last court fetch, as classified before parsing
+  fetchStatus: {
+    type: String,
+    enum: ['ok', 'not_found', 'invalid_cino', 'maintenance', 'blocked'],
+    default: 'ok'
+  },
+  fetchStatusAt: {
+    type: Date
+  },
+  notFoundCount: {
+    type: Number,
+    default: 0
+  },
+  
+  // Adaptive polling, set after every check by the polling policy
+  nextCheckAt: {
+    type: Date,
+    default: null
+  },
+  checkPriority: {
+    type: Number,
+    default: 3
+  },
+  pollingReason: {
+    type: String
+  },
+  unchangedChecks: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -201,6 +267,7 @@ caseSchema.index({ cino: 1 });
 caseSchema.index({ cnr: 1 });
 caseSchema.index({ dataHash: 1 });
 caseSchema.index({ isActive: 1, lastApiCheck: 1 });
+caseSchema.index({ nextCheckAt: 1, checkPriority: -1 });
 caseSchema.index({ nextHearingDate: 1 });
 caseSchema.index({ filingDate: -1 });
 caseSchema.index({ 'petitioners.name': 'text', 'respondents.name': 'text', caseTitle: 'text' });
@@ -223,8 +290,7 @@ caseSchema.methods.generateDataHash = function() {
 caseSchema.methods.detectAndRecordChanges = function(newData) {
   const changes = [];
   const fieldsToCheck = [
-    'caseStatus', 'nextHearingDate', 'stageOfCase', 'coram',
-    'iaApplications', 'listingHistory'
+    'caseStatus', 'nextHearingDate', 'stageOfCase', 'coram'
   ];
   
   fieldsToCheck.forEach(field => {
@@ -241,6 +307,17 @@ caseSchema.methods.detectAndRecordChanges = function(newData) {
     }
   });
   
+  // List fields record only their new and changed rows, not both whole lists
+  const listingDiff = diffListingHistory(this.listingHistory, newData.listingHistory);
+  if (listingDiff.added.length > 0 || listingDiff.updated.length > 0) {
+    changes.push({ field: 'listingHistory', diff: listingDiff, changedAt: new Date() });
+  }
+  
+  const iaDiff = diffIaApplications(this.iaApplications, newData.iaApplications);
+  if (iaDiff.added.length > 0 || iaDiff.removed.length > 0 || iaDiff.statusChanges.length > 0) {
+    changes.push({ field: 'iaApplications', diff: iaDiff, changedAt: new Date() });
+  }
+  
   if (changes.length > 0) {
     this.changeHistory.push(...changes);
     this.previousDataHash = this.dataHash;
@@ -261,20 +338,18 @@ caseSchema.methods.recordNotificationSent = function() {
   return this.save();
 };
 
-// Static method to find cases needing API check
-caseSchema.statics.findCasesForApiCheck = function(batchSize = 50) {
-  const checkInterval = parseInt(process.env.CASE_CHECK_INTERVAL_MINUTES) || 30;
-  const cutoffTime = new Date(Date.now() - checkInterval * 60 * 1000);
-  
+// Static method to find cases due for a check, most urgent first. Cases never
+// scheduled are due at once; followed CINOs are checked even if deactivated.
+caseSchema.statics.findCasesForApiCheck = function({ followedCinos = [], now = new Date(), limit = 200 } = {}) {
   return this.find({
-    isActive: true,
-    $or: [
-      { lastApiCheck: { $lt: cutoffTime } },
-      { lastApiCheck: { $exists: false } }
+    fetchStatus: { $ne: 'invalid_cino' },
+    $and: [
+      { $or: [{ isActive: true }, { cino: { $in: followedCinos } }] },
+      { $or: [{ nextCheckAt: { $lte: now } }, { nextCheckAt: null }] }
     ]
   })
-  .sort({ lastApiCheck: 1 })
-  .limit(batchSize);
+  .sort({ checkPriority: -1, nextCheckAt: 1 })
+  .limit(limit);
 };
 
 // Static method to find cases with recent changes
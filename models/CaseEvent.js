@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const caseEventSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  cino: {
+    type: String,
+    required: true
+  },
+  // One of caseEventService.eventTypes, such as case_disposed or notice_issued
+  type: {
+    type: String,
+    required: true
+  },
+  // high for structured fields, medium or low for events read from short order text
+  confidence: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'high'
+  },
+  // Case field the event was read from
+  source: {
+    type: String
+  },
+  summary: {
+    type: String
+  },
+  // When it happened on the court's side, such as the listing date; detectedAt otherwise
+  eventDate: {
+    type: Date
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Identifies the event within its case, so a retried check records it once
+  key: {
+    type: String,
+    required: true
+  },
+  runId: {
+    type: String
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+caseEventSchema.index({ cino: 1, key: 1 }, { unique: true });
+caseEventSchema.index({ cino: 1, detectedAt: -1 });
+caseEventSchema.index({ type: 1, detectedAt: -1 });
+
+// Static method to count events by type and confidence since a date
+caseEventSchema.statics.countByType = function(since) {
+  return this.aggregate([
+    { $match: { detectedAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$type',
+        total: { $sum: 1 },
+        high: { $sum: { $cond: [{ $eq: ['$confidence', 'high'] }, 1, 0] } },
+        medium: { $sum: { $cond: [{ $eq: ['$confidence', 'medium'] }, 1, 0] } },
+        low: { $sum: { $cond: [{ $eq: ['$confidence', 'low'] }, 1, 0] } },
+        cases: { $addToSet: '$cino' }
+      }
+    },
+    { $sort: { total: -1 } },
+    {
+      $project: {
+        _id: 0,
+        type: '$_id',
+        total: 1,
+        high: 1,
+        medium: 1,
+        low: 1,
+        cases: { $size: '$cases' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('CaseEvent', caseEventSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const caseSnapshotSchema = new mongoose.Schema({
+  cino: {
+    type: String,
+    required: true,
+    index: true
+  },
+  
+  // SHA-256 of the raw HTML, identifies a distinct response
+  contentHash: {
+    type: String,
+    required: true
+  },
+  
+  // Gzipped raw HTML as returned by the court
+  compressedHtml: {
+    type: Buffer,
+    required: true
+  },
+  originalSize: {
+    type: Number,
+    default: 0
+  },
+  compressedSize: {
+    type: Number,
+    default: 0
+  },
+  
+  // Court adapter that fetched the response, and its parser version at the time
+  courtAdapter: {
+    type: String,
+    default: 'allahabad_hc'
+  },
+  parserVersion: {
+    type: String,
+    required: true
+  },
+  
+  // Sighting tracking
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  seenCount: {
+    type: Number,
+    default: 1
+  },
+  
+  // Re-parse tracking
+  lastParsedAt: {
+    type: Date
+  },
+  lastParsedVersion: {
+    type: String
+  },
+  lastParseConfidence: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+caseSnapshotSchema.index({ cino: 1, contentHash: 1 }, { unique: true });
+caseSnapshotSchema.index({ cino: 1, lastSeenAt: -1 });
+caseSnapshotSchema.index({ parserVersion: 1 });
+
+// Static method to find the most recently seen snapshot for a CINO
+caseSnapshotSchema.statics.findLatestForCino = function(cino) {
+  return this.findOne({ cino }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('CaseSnapshot', caseSnapshotSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const causeListEntrySchema = new mongoose.Schema({
+  // Where and when the case is listed
+  listDate: {
+    type: Date,
+    required: true
+  },
+  courtAdapter: {
+    type: String,
+    required: true
+  },
+  bench: {
+    type: String,
+    required: true
+  },
+  listType: {
+    type: String,
+    enum: ['fresh', 'additional', 'supplementary', 'daily'],
+    default: 'daily'
+  },
+  courtNumber: {
+    type: String,
+    required: true
+  },
+  benchJustices: {
+    type: String
+  },
+  itemNumber: {
+    type: Number,
+    required: true
+  },
+  connected: {
+    type: Boolean,
+    default: false
+  },
+
+  // The case as the list names it
+  caseReference: {
+    type: String,
+    required: true
+  },
+  rawText: {
+    type: String
+  },
+  sourceUrl: {
+    type: String
+  },
+
+  // The tracked case it matched
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  cino: {
+    type: String,
+    required: true
+  },
+  matchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+causeListEntrySchema.index(
+  { listDate: 1, bench: 1, listType: 1, courtNumber: 1, itemNumber: 1, caseReference: 1 },
+  { unique: true }
+);
+causeListEntrySchema.index({ cino: 1, listDate: -1 });
+
+// Static method to find a case's listings from a date onwards
+causeListEntrySchema.statics.findListingsForCase = function(cino, fromDate) {
+  return this.find({ cino, listDate: { $gte: fromDate } }).sort({ listDate: 1, itemNumber: 1 });
+};
+
+module.exports = mongoose.model('CauseListEntry', causeListEntrySchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const changeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Rules are listed and applied in this order
+  order: {
+    type: Number,
+    default: 100
+  },
+
+  // What a change must have for the rule to match. Every condition given must
+  // hold; a list matches when any of its entries does.
+  match: {
+    // Changed fields, such as caseStatus or listingHistory
+    fields: {
+      type: [String],
+      default: undefined
+    },
+    // A field moving between values; from and to are case-insensitive regular expressions
+    transition: {
+      field: { type: String },
+      from: { type: String },
+      to: { type: String }
+    },
+    // Case event types, such as case_disposed
+    events: {
+      type: [String],
+      default: undefined
+    },
+    minConfidence: {
+      type: String,
+      enum: ['high', 'medium', 'low']
+    },
+    // Case-insensitive regular expression tested against new and updated short orders
+    shortOrderPattern: {
+      type: String
+    }
+  },
+
+  // What a match does to the fields it matched
+  priority: {
+    type: String,
+    enum: ['urgent', 'high', 'medium', 'low']
+  },
+  critical: {
+    type: Boolean,
+    default: false
+  },
+  // Leave the matched fields out of notifications; they are still saved
+  suppress: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+changeRuleSchema.index({ enabled: 1, order: 1 });
+
+module.exports = mongoose.model('ChangeRule', changeRuleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const courtHolidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // working marks a day the court sits although it is normally closed, such as a working Saturday
+  type: {
+    type: String,
+    enum: ['holiday', 'vacation', 'working'],
+    default: 'holiday'
+  },
+
+  // Midnight in India on the first and last day, both inclusive
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: ['json', 'ics', 'admin'],
+    default: 'admin'
+  },
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+courtHolidaySchema.index({ startDate: 1, name: 1 }, { unique: true });
+courtHolidaySchema.index({ endDate: 1 });
+
+// Static method to find entries overlapping a date range
+courtHolidaySchema.statics.findOverlapping = function(from, to) {
+  const query = {};
+  if (from) query.endDate = { $gte: from };
+  if (to) query.startDate = { $lte: to };
+  return this.find(query).sort({ startDate: 1 }).lean();
+};
+
+module.exports = mongoose.model('CourtHoliday', courtHolidaySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const courtOutageSchema = new mongoose.Schema({
+  courtAdapter: {
+    type: String,
+    required: true,
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  durationMs: {
+    type: Number
+  },
+  
+  // What opened the circuit
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  firstError: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  
+  // Activity while the circuit was open
+  probeCount: {
+    type: Number,
+    default: 0
+  },
+  skippedRequests: {
+    type: Number,
+    default: 0
+  },
+  
+  // Admin alert tracking
+  alertSentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+courtOutageSchema.index({ startedAt: -1 });
+
+// Static method to find the open outage for a court
+courtOutageSchema.statics.findOpenOutage = function(courtAdapter) {
+  return this.findOne({ courtAdapter, endedAt: null }).sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('CourtOutage', courtOutageSchema);
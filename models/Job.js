@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['fetchCase', 'notifySubscriber', 'notifyNumbers', 'sendDigest', 'sendNotification'];
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Enqueueing a job with a key already used returns the existing job, so
+  // replaying a crashed cycle does not send the same message twice
+  idempotencyKey: {
+    type: String
+  },
+
+  // Queue state
+  status: {
+    type: String,
+    enum: ['queued', 'leased', 'completed', 'dead'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease held by the worker running the job; an expired lease is taken over
+  leaseOwner: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
+
+  // Attempts and outcome
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  },
+  deadAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ type: 1, 'payload.runId': 1 });
+
+// Static method to count jobs by type and status
+jobSchema.statics.countByStatus = function() {
+  return this.aggregate([
+    { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+    { $sort: { '_id.type': 1, '_id.status': 1 } }
+  ]);
+};
+
+jobSchema.statics.JOB_TYPES = JOB_TYPES;
+
+module.exports = mongoose.model('Job', jobSchema);
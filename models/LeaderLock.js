@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per lock; _id is the lock name so only one can ever exist
+const leaderLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  // The holder renews this on every heartbeat; once it passes, any instance may take over
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: {
+    type: Date
+  },
+  heartbeatAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LeaderLock', leaderLockSchema);
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const caseOutcomeSchema = new mongoose.Schema({
+  cino: {
+    type: String,
+    required: true
+  },
+  // changed, suppressed (changed, but a rule keeps it from notifying), unchanged, not_found,
+  // invalid_cino, maintenance, blocked, skipped_for_outage,
+  // skipped, failed (fetch job dead) or pending (fetch job waiting for a retry)
+  outcome: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: String
+  },
+  critical: {
+    type: Boolean
+  },
+  // Case event types found, such as case_disposed
+  events: {
+    type: [String],
+    default: undefined
+  },
+  notifications: {
+    type: Number
+  },
+  // Subscribers left out by their preferences, and why
+  skipped: {
+    type: [{
+      _id: false,
+      subscriptionId: mongoose.Schema.Types.ObjectId,
+      userId: mongoose.Schema.Types.ObjectId,
+      reason: String
+    }],
+    default: undefined
+  },
+  attempts: {
+    type: Number
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+const monitoringRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  instanceId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'error'],
+    default: 'running'
+  },
+
+  // Timing
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+
+  // Cycle summary
+  casesChecked: {
+    type: Number,
+    default: 0
+  },
+  fetchFailures: {
+    type: Number,
+    default: 0
+  },
+  totalChanges: {
+    type: Number,
+    default: 0
+  },
+  criticalChanges: {
+    type: Number,
+    default: 0
+  },
+  changesByPriority: {
+    urgent: { type: Number, default: 0 },
+    high: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    low: { type: Number, default: 0 }
+  },
+  notificationsSent: {
+    type: Number,
+    default: 0
+  },
+  notificationsFailed: {
+    type: Number,
+    default: 0
+  },
+  notificationsPending: {
+    type: Number,
+    default: 0
+  },
+  fetchOutcomes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Per-case outcomes and errors
+  cases: {
+    type: [caseOutcomeSchema],
+    default: []
+  },
+  // Cases whose fetch failed, and the cycle's own error if it failed
+  runErrors: [{
+    _id: false,
+    cino: { type: String },
+    message: { type: String, required: true }
+  }]
+}, {
+  timestamps: true
+});
+
+monitoringRunSchema.index({ startedAt: -1 });
+monitoringRunSchema.index({ status: 1, startedAt: -1 });
+
+// Static method to total runs per day or hour for trend charts
+monitoringRunSchema.statics.getTrends = function(since, unit = 'day') {
+  return this.aggregate([
+    { $match: { startedAt: { $gte: since }, status: { $ne: 'running' } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$startedAt', unit, timezone: 'Asia/Kolkata' } },
+        runs: { $sum: 1 },
+        failedRuns: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+        casesChecked: { $sum: '$casesChecked' },
+        fetchFailures: { $sum: '$fetchFailures' },
+        totalChanges: { $sum: '$totalChanges' },
+        criticalChanges: { $sum: '$criticalChanges' },
+        notificationsSent: { $sum: '$notificationsSent' },
+        notificationsFailed: { $sum: '$notificationsFailed' },
+        avgDurationMs: { $avg: '$durationMs' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        runs: 1,
+        failedRuns: 1,
+        casesChecked: 1,
+        fetchFailures: 1,
+        totalChanges: 1,
+        criticalChanges: 1,
+        notificationsSent: 1,
+        notificationsFailed: 1,
+        avgDurationMs: { $round: ['$avgDurationMs', 0] }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('MonitoringRun', monitoringRunSchema);
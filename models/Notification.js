@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Later states win; a late "delivered" callback does not undo "read"
+const STATUSES = ['queued', 'retrying', 'sent', 'delivered', 'read', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  channel: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  // case_update, mapped_numbers, digest, account (welcome and subscription
+  // confirmations), admin_alert or manual
+  kind: {
+    type: String,
+    required: true
+  },
+
+  // Who it is for; mapped numbers and admins have no user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserCase'
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  cino: {
+    type: String
+  },
+  runId: {
+    type: String
+  },
+  // Channels to try in order, { channel, addresses }
+  routes: {
+    type: [{
+      _id: false,
+      channel: String,
+      addresses: [String]
+    }],
+    default: []
+  },
+  // Why a subscriber was sent it, from their notification preferences
+  reason: {
+    type: String
+  },
+
+  // Rendered message
+  subject: {
+    type: String
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // Channel and addresses that accepted it
+  channel: {
+    type: String
+  },
+  recipients: {
+    type: [String],
+    default: undefined
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Every failed send, on every channel tried
+  failures: {
+    type: [attemptSchema],
+    default: []
+  },
+  lastError: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  sentAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  // Last delivery status check with the provider
+  statusCheckedAt: {
+    type: Date
+  },
+
+  // Job delivering it, and the key that stops a retried check writing it twice
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  key: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ cino: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, createdAt: -1 });
+notificationSchema.index({ channel: 1, providerMessageId: 1 });
+
+// Static method to count notifications by status and channel since a date
+notificationSchema.statics.countByStatus = function(since) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $group: { _id: { status: '$status', channel: '$channel' }, count: { $sum: 1 } } },
+    { $sort: { '_id.status': 1, '_id.channel': 1 } }
+  ]);
+};
+
+notificationSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
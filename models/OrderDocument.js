@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const orderDocumentSchema = new mongoose.Schema({
+  // SHA-256 of the PDF, shared with the file store and Case.orders
+  contentHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+
+  // Text layer of the PDF, empty for scanned orders
+  text: {
+    type: String,
+    default: ''
+  },
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  textExtractedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Order text is searched on its own, apart from the case text index
+orderDocumentSchema.index({ text: 'text' }, { name: 'order_text_search' });
+
+module.exports = mongoose.model('OrderDocument', orderDocumentSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const parserDriftEventSchema = new mongoose.Schema({
+  // Court whose layout drifted; each court has at most one open event
+  courtAdapter: {
+    type: String,
+    default: 'allahabad_hc'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
+  // Most recent cases whose parse was rejected while the event was open, capped
+  // by ParserDriftService; affectedCount counts every CINO added to the list
+  affectedCinos: [{
+    type: String
+  }],
+  affectedCount: {
+    type: Number,
+    default: 0
+  },
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  lowestConfidence: {
+    type: Number
+  },
+  missingLabels: [{
+    type: String
+  }],
+  
+  // Consecutive healthy parses seen since the last drift
+  healthyStreak: {
+    type: Number,
+    default: 0
+  },
+  
+  // Admin alert tracking
+  alertSentAt: {
+    type: Date
+  },
+  alertRecipients: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+parserDriftEventSchema.index({ startedAt: -1 });
+// One open event per court, so concurrent drifted fetches cannot open two and alert twice
+parserDriftEventSchema.index(
+  { courtAdapter: 1 },
+  { unique: true, partialFilterExpression: { resolvedAt: { $type: 'null' } } }
+);
+
+// Static method to find a court's open drift event
+parserDriftEventSchema.statics.findOpenEvent = function(courtAdapter) {
+  return this.findOne({ courtAdapter, resolvedAt: null });
+};
+
+module.exports = mongoose.model('ParserDriftEvent', parserDriftEventSchema);
@@ -30,6 +30,28 @@ const userSchema = new mongoose.Schema({
       message: 'Please enter a valid email address'
     }
   },
+  // Chat with the notification bot, for the telegram channel
+  telegramChatId: {
+    type: String,
+    trim: true
+  },
+  // Where the webhook channel posts signed notifications. Routes also check
+  // the host is public before saving it; see utils/publicUrl.
+  webhookUrl: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^https:\/\/\S+$/.test(v);
+      },
+      message: 'Please enter an https webhook URL'
+    }
+  },
+  // Channels to try in order until one delivers: whatsapp, email, sms, telegram or webhook
+  notificationChannels: {
+    type: [String],
+    default: ['whatsapp']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -50,6 +72,10 @@ const userSchema = new mongoose.Schema({
     listingUpdate: {
       type: Boolean,
       default: true
+    },
+    iaUpdate: {
+      type: Boolean,
+      default: true
     }
   },
   registrationDate: {
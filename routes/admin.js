@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const logger = require('../utils/logger');
 
@@ -10,7 +11,20 @@ const CinoNumbers = require('../models/CinoNumbers');
 
 // Import services
 const apiService = require('../services/apiService');
-const whatsappService = require('../services/whatsappService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const parserDriftService = require('../services/parserDriftService');
+const snapshotService = require('../services/snapshotService');
+const reparseService = require('../services/reparseService');
+const courtOutageService = require('../services/courtOutageService');
+const orderDocumentService = require('../services/orderDocumentService');
+const causeListService = require('../services/causeListService');
+const jobQueueService = require('../services/jobQueueService');
+const courtCalendarService = require('../services/courtCalendarService');
+const monitoringRunService = require('../services/monitoringRunService');
+const caseEventService = require('../services/caseEventService');
+const changeRuleService = require('../services/changeRuleService');
+const { ParserDriftError, CourtError } = require('../utils/errors');
 
 // ==================== CINO NUMBERS ROUTES ====================
 
@@ -196,9 +210,10 @@ router.post('/cino-numbers/:id/fetch-and-send', async (req, res) => {
       return res.status(400).json({ success: false, message: 'No numbers associated with this CINO' });
     }
     
-    // Fetch latest case data from API
+    // Fetch latest case data through the adapter the case was created with
     logger.info(`Fetching case data for CINO: ${cino}`);
-    const caseData = await apiService.fetchCaseData(cino);
+    const existingCase = await Case.findOne({ cino }).select('courtAdapter').lean();
+    const caseData = await apiService.fetchSingleCase(cino, existingCase?.courtAdapter);
     if (!caseData) {
       return res.status(404).json({ success: false, message: 'Case data not found or API error' });
     }
@@ -221,14 +236,14 @@ Next Hearing: ${caseData.nextHearingDate ? new Date(caseData.nextHearingDate).to
 Last Order: ${caseData.lastOrder || 'N/A'}
     `.trim();
     
-    // Send WhatsApp message to all numbers
+    // Send the message to each number over the number channels
     const sendResults = [];
     for (const number of numbers) {
       try {
-        const result = await whatsappService.sendMessage(number, message);
+        const result = await notificationOutboxService.sendToNumbers(number, message, { kind: 'manual', cino });
         sendResults.push({ number, success: true, result });
       } catch (err) {
-        logger.error(`Failed to send WhatsApp to ${number}:`, err.message);
+        logger.error(`Failed to send case update to ${number}:`, err.message);
         sendResults.push({ number, success: false, error: err.message });
       }
     }
@@ -242,6 +257,9 @@ Last Order: ${caseData.lastOrder || 'N/A'}
       sendResults
     });
   } catch (error) {
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     logger.error('Error in fetch-and-send:', error.message);
     res.status(500).json({ success: false, message: 'Failed to fetch and send', error: error.message });
   }
@@ -276,14 +294,823 @@ router.post('/cino-numbers/:cino/send', async (req, res) => {
             `\u{1F517} Check details on Allahabad HC website`;
     }
 
-    const result = await whatsappService.sendMessage(numbers, msg);
-    res.json({ success: true, data: { recipients: result.recipients || numbers, response: result.response || null } });
+    const result = await notificationOutboxService.sendToNumbers(numbers, msg, { kind: 'manual', cino });
+    res.json({ success: true, data: { channel: result.channel, recipients: result.recipients || numbers, attempts: result.attempts } });
   } catch (error) {
     logger.error('Error sending WhatsApp message for CINO:', error.message);
     res.status(500).json({ success: false, message: 'Failed to send WhatsApp message', error: error.message });
   }
 });
 
+// ==================== COURT SOURCE ROUTES ====================
+
+/**
+ * @route GET /api/admin/courts
+ * @desc List registered court-source adapters
+ * @access Public
+ */
+router.get('/courts', (req, res) => {
+  res.json({ success: true, data: apiService.getApiStats().adapters });
+});
+
+/**
+ * @route GET /api/admin/court-requests
+ * @desc Get the shared court request limiter's limits, queue depth and wait times
+ * @access Public
+ */
+router.get('/court-requests', (req, res) => {
+  res.json({ success: true, data: apiService.getApiStats().rateLimiter });
+});
+
+/**
+ * @route PUT /api/admin/court-requests
+ * @desc Change the court request rate (requestsPerMinute) and maxConcurrency
+ * @access Public
+ */
+router.put('/court-requests', (req, res) => {
+  try {
+    const { requestsPerMinute, maxConcurrency } = req.body;
+    if (requestsPerMinute === undefined && maxConcurrency === undefined) {
+      return res.status(400).json({ success: false, message: 'requestsPerMinute or maxConcurrency is required' });
+    }
+    const stats = apiService.updateRateLimits({
+      requestsPerMinute: requestsPerMinute === undefined ? undefined : Number(requestsPerMinute),
+      maxConcurrency: maxConcurrency === undefined ? undefined : Number(maxConcurrency)
+    });
+    res.json({ success: true, message: 'Court request limits updated', data: stats });
+  } catch (error) {
+    res.status(400).json({ success: false, message: 'Invalid court request limits', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/court-outages
+ * @desc Get circuit breaker state per court and recent outage incidents
+ * @access Public
+ */
+router.get('/court-outages', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const incidents = await courtOutageService.getRecentOutages(limit);
+    res.json({
+      success: true,
+      data: {
+        breakers: apiService.getBreakerStats(),
+        incidents
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching court outages:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch court outages', error: error.message });
+  }
+});
+
+// ==================== PARSER HEALTH ROUTES ====================
+
+/**
+ * @route GET /api/admin/parser-drift
+ * @desc Get recent suspected layout drift events
+ * @access Public
+ */
+router.get('/parser-drift', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const events = await parserDriftService.getRecentEvents(limit);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    logger.error('Error fetching parser drift events:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch parser drift events', error: error.message });
+  }
+});
+
+// ==================== SNAPSHOT ARCHIVE ROUTES ====================
+
+/**
+ * @route GET /api/admin/snapshots/stats
+ * @desc Get raw HTML snapshot archive statistics
+ * @access Public
+ */
+router.get('/snapshots/stats', async (req, res) => {
+  try {
+    const stats = await snapshotService.getStats();
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    logger.error('Error fetching snapshot stats:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch snapshot stats', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/snapshots/reparse
+ * @desc Re-run the current parser over archived snapshots and rebuild case data
+ * @access Public
+ */
+router.post('/snapshots/reparse', async (req, res) => {
+  try {
+    const { cinos, dryRun } = req.body;
+    if (cinos !== undefined && !Array.isArray(cinos)) {
+      return res.status(400).json({ success: false, message: 'cinos must be an array' });
+    }
+
+    const result = await reparseService.reparseSnapshots({
+      cinos: (cinos || []).map(c => String(c).trim()).filter(Boolean),
+      dryRun: dryRun === true
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error re-parsing snapshots:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to re-parse snapshots', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/cause-lists/ingest
+ * @desc Download a day's cause lists and store listings of tracked cases
+ * @access Public
+ */
+router.post('/cause-lists/ingest', async (req, res) => {
+  try {
+    const { date, benches, court } = req.body;
+    if (benches !== undefined && !Array.isArray(benches)) {
+      return res.status(400).json({ success: false, message: 'benches must be an array' });
+    }
+    if (date !== undefined && !causeListService.toListDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const adapter = apiService.getAdapter(court);
+    const unknown = (benches || []).filter(id => !adapter.causeListBenches[id]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown bench: ${unknown.join(', ')}. Known benches: ${Object.keys(adapter.causeListBenches).join(', ')}`
+      });
+    }
+
+    const result = await causeListService.ingest({ date, benches, adapterId: adapter.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    logger.error('Error ingesting cause lists:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to ingest cause lists', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/cause-lists
+ * @desc Listings of tracked cases found in a day's cause lists
+ * @access Public
+ */
+router.get('/cause-lists', async (req, res) => {
+  try {
+    const { date, bench } = req.query;
+    const listDate = causeListService.toListDate(date);
+    if (!listDate) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const listings = await causeListService.getListings(listDate, bench);
+    res.json({ success: true, listDate, data: listings, total: listings.length });
+  } catch (error) {
+    logger.error('Error fetching cause list entries:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch cause list entries', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/orders/reindex
+ * @desc Extract text for archived orders that have none yet
+ * @access Public
+ */
+router.post('/orders/reindex', async (req, res) => {
+  try {
+    const { cinos } = req.body;
+    if (cinos !== undefined && !Array.isArray(cinos)) {
+      return res.status(400).json({ success: false, message: 'cinos must be an array' });
+    }
+
+    const result = await orderDocumentService.reindexOrderText({
+      cinos: (cinos || []).map(c => String(c).trim()).filter(Boolean)
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error reindexing order text:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to reindex order text', error: error.message });
+  }
+});
+
+// ==================== COURT CALENDAR ROUTES ====================
+
+/**
+ * @route GET /api/admin/calendar
+ * @desc Holidays, vacations and working-day overrides, optionally between from and to
+ * @access Public
+ */
+router.get('/calendar', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !courtCalendarService.toDay(from)) || (to && !courtCalendarService.toDay(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD' });
+    }
+
+    const entries = await courtCalendarService.listEntries({ from, to });
+    res.json({ success: true, data: entries, total: entries.length });
+  } catch (error) {
+    logger.error('Error fetching court calendar:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch court calendar', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/calendar/days/:date
+ * @desc Whether the court sits on a date, and why not
+ * @access Public
+ */
+router.get('/calendar/days/:date', async (req, res) => {
+  try {
+    if (!courtCalendarService.toDay(req.params.date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    await courtCalendarService.ensureLoaded();
+    res.json({ success: true, data: courtCalendarService.getDay(req.params.date) });
+  } catch (error) {
+    logger.error('Error checking court calendar:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to check court calendar', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/calendar
+ * @desc Add a holiday, vacation or working day: { name, type, date } or { name, type, startDate, endDate }
+ * @access Public
+ */
+router.post('/calendar', async (req, res) => {
+  try {
+    try {
+      courtCalendarService.normalizeEntry(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const entry = await courtCalendarService.addEntry(req.body);
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An entry with this name and start date already exists' });
+    }
+    logger.error('Error adding court calendar entry:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to add court calendar entry', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/calendar/import
+ * @desc Import a calendar: { format: 'json' | 'ics', content, replace }. With replace,
+ *   entries imported earlier in the same format are removed first.
+ * @access Public
+ */
+router.post('/calendar/import', async (req, res) => {
+  try {
+    const { format, content, replace } = req.body;
+    if (!['json', 'ics'].includes(format) || !content) {
+      return res.status(400).json({ success: false, message: 'format (json or ics) and content are required' });
+    }
+
+    let entries;
+    try {
+      entries = format === 'ics' ? courtCalendarService.parseIcs(content) : courtCalendarService.parseJson(content);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Invalid ${format} calendar: ${error.message}` });
+    }
+
+    const result = await courtCalendarService.importEntries(entries, { source: format, replace: Boolean(replace) });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error importing court calendar:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to import court calendar', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/calendar/:id
+ * @desc Remove a calendar entry
+ * @access Public
+ */
+router.delete('/calendar/:id', async (req, res) => {
+  try {
+    const removed = await courtCalendarService.removeEntry(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Calendar entry not found' });
+    }
+    res.json({ success: true, message: 'Calendar entry removed', data: removed });
+  } catch (error) {
+    logger.error('Error removing court calendar entry:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to remove court calendar entry', error: error.message });
+  }
+});
+
+// ==================== MONITORING RUN ROUTES ====================
+
+/**
+ * @route GET /api/admin/monitoring-runs
+ * @desc Past monitoring cycles, newest first, filterable by status and trigger
+ * @access Public
+ */
+router.get('/monitoring-runs', async (req, res) => {
+  try {
+    const { status, trigger } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+    const { runs, total } = await monitoringRunService.listRuns({ status, trigger, page, limit });
+    res.json({
+      success: true,
+      data: runs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    logger.error('Error fetching monitoring runs:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch monitoring runs', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/monitoring-runs/trends
+ * @desc Cases checked, changes, failures and notifications per day or hour
+ * @access Public
+ */
+router.get('/monitoring-runs/trends', async (req, res) => {
+  try {
+    const unit = req.query.unit || 'day';
+    if (!['day', 'hour'].includes(unit)) {
+      return res.status(400).json({ success: false, message: 'unit must be day or hour' });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 365);
+
+    const trends = await monitoringRunService.getTrends({ days, unit });
+    res.json({ success: true, unit, days, data: trends });
+  } catch (error) {
+    logger.error('Error fetching monitoring trends:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch monitoring trends', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/monitoring-runs/:runId
+ * @desc One monitoring cycle with the outcome of every case it checked, optionally only one outcome
+ * @access Public
+ */
+router.get('/monitoring-runs/:runId', async (req, res) => {
+  try {
+    const run = await monitoringRunService.getRun(req.params.runId, { outcome: req.query.outcome });
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Monitoring run not found' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    logger.error('Error fetching monitoring run:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch monitoring run', error: error.message });
+  }
+});
+
+// ==================== CASE EVENT ROUTES ====================
+
+/**
+ * @route GET /api/admin/events
+ * @desc Case events, newest first, filterable by cino, type, confidence and days
+ * @access Public
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { cino, type, confidence } = req.query;
+    if (type && !caseEventService.eventTypes[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type ${type}, expected one of ${Object.keys(caseEventService.eventTypes).join(', ')}`
+      });
+    }
+    const days = parseInt(req.query.days) || undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const events = await caseEventService.listEvents({ cino, type, confidence, days, limit });
+    res.json({ success: true, count: events.length, data: events });
+  } catch (error) {
+    logger.error('Error fetching case events:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch case events', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/events/stats
+ * @desc Case events per type over recent days, with the event vocabulary
+ * @access Public
+ */
+router.get('/events/stats', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const stats = await caseEventService.getStats({ days });
+    res.json({ success: true, days, types: caseEventService.eventTypes, data: stats });
+  } catch (error) {
+    logger.error('Error fetching case event statistics:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch case event statistics', error: error.message });
+  }
+});
+
+// ==================== CHANGE RULE ROUTES ====================
+
+/**
+ * @route GET /api/admin/change-rules
+ * @desc Change rules in the order they are applied, enabled or not
+ * @access Public
+ */
+router.get('/change-rules', async (req, res) => {
+  try {
+    const rules = await changeRuleService.listRules();
+    res.json({ success: true, count: rules.length, data: rules });
+  } catch (error) {
+    logger.error('Error fetching change rules:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch change rules', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/change-rules
+ * @desc Add a rule: { name, order, match: { fields, transition, events, minConfidence,
+ *   shortOrderPattern }, priority, critical, suppress }
+ * @access Public
+ */
+router.post('/change-rules', async (req, res) => {
+  try {
+    try {
+      changeRuleService.normalizeRule(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const rule = await changeRuleService.addRule(req.body);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule with this name already exists' });
+    }
+    logger.error('Error adding change rule:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to add change rule', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/change-rules/test
+ * @desc Evaluate rules against the diff of two archived snapshots of a case:
+ *   { cino, from, to, rules }. Without from and to the latest snapshot is compared
+ *   with the one before it; without rules the stored rules are used.
+ * @access Public
+ */
+router.post('/change-rules/test', async (req, res) => {
+  try {
+    const { cino, from, to, rules } = req.body;
+    if (!cino) {
+      return res.status(400).json({ success: false, message: 'cino is required' });
+    }
+    if (rules !== undefined && !Array.isArray(rules)) {
+      return res.status(400).json({ success: false, message: 'rules must be an array' });
+    }
+
+    let compiled;
+    try {
+      compiled = rules ? changeRuleService.compileRules(rules) : undefined;
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (!compiled) {
+      await changeRuleService.ensureLoaded();
+    }
+
+    const diff = await reparseService.diffSnapshots(String(cino).trim(), { from, to, rules: compiled });
+    if (!diff) {
+      return res.status(404).json({ success: false, message: `Two archived snapshots of CINO ${cino} are needed to test rules` });
+    }
+
+    const { changes } = diff;
+    res.json({
+      success: true,
+      data: {
+        cino: diff.cino,
+        from: diff.from,
+        to: diff.to,
+        rules: compiled ? 'given' : 'stored',
+        hasChanges: changes.hasChanges,
+        notify: changes.hasChanges && !changes.isSuppressed,
+        notificationPriority: changes.notificationPriority,
+        changedFields: changes.changedFields,
+        criticalChanges: changes.criticalChanges,
+        suppressedFields: changes.suppressedFields,
+        matchedRules: changes.matchedRules,
+        events: changes.events,
+        changesSummary: changes.changesSummary
+      }
+    });
+  } catch (error) {
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    logger.error('Error testing change rules:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to test change rules', error: error.message });
+  }
+});
+
+/**
+ * @route PUT /api/admin/change-rules/:id
+ * @desc Replace a rule
+ * @access Public
+ */
+router.put('/change-rules/:id', async (req, res) => {
+  try {
+    try {
+      changeRuleService.normalizeRule(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const rule = await changeRuleService.updateRule(req.params.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Change rule not found' });
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule with this name already exists' });
+    }
+    logger.error('Error updating change rule:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to update change rule', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/change-rules/:id
+ * @desc Remove a rule
+ * @access Public
+ */
+router.delete('/change-rules/:id', async (req, res) => {
+  try {
+    const removed = await changeRuleService.removeRule(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Change rule not found' });
+    }
+    res.json({ success: true, message: 'Change rule removed', data: removed });
+  } catch (error) {
+    logger.error('Error removing change rule:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to remove change rule', error: error.message });
+  }
+});
+
+// ==================== NOTIFICATION CHANNEL ROUTES ====================
+
+/**
+ * @route GET /api/admin/notification-channels
+ * @desc Registered notification channels, whether each is configured, and the
+ *   channels used for mapped numbers and admins
+ * @access Public
+ */
+router.get('/notification-channels', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      channels: notificationDispatcher.listChannels(),
+      numberChannels: notificationDispatcher.numberChannels
+    }
+  });
+});
+
+/**
+ * @route POST /api/admin/notification-channels/test
+ * @desc Send a test message over one channel: { channel, to, message }
+ * @access Public
+ */
+router.post('/notification-channels/test', async (req, res) => {
+  try {
+    const { channel, to, message } = req.body;
+    if (!channel || !to) {
+      return res.status(400).json({ success: false, message: 'channel and to are required' });
+    }
+    if (notificationDispatcher.unknownChannels([channel]).length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown notification channel: ${channel}` });
+    }
+
+    const result = await notificationOutboxService.sendTest(channel, Array.isArray(to) ? to : [to], message);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error sending test notification:', error.message);
+    res.status(502).json({ success: false, message: 'Test message was not delivered', error: error.message });
+  }
+});
+
+// ==================== NOTIFICATION LOG ROUTES ====================
+
+/**
+ * @route GET /api/admin/notifications
+ * @desc Sent and pending notifications, newest first:
+ *   ?status=&channel=&kind=&cino=&userId=&page=&limit=
+ * @access Public
+ */
+router.get('/notifications', async (req, res) => {
+  try {
+    const { status, channel, kind, cino, userId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const { notifications, total } = await notificationOutboxService.listNotifications({
+      status, channel, kind, cino, userId, page, limit
+    });
+    res.json({
+      success: true,
+      data: notifications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    logger.error('Error fetching notifications:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch notifications', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/notifications/stats
+ * @desc Notifications per status and channel over the last ?days= (default 7)
+ * @access Public
+ */
+router.get('/notifications/stats', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const stats = await notificationOutboxService.getStats({ days });
+    res.json({ success: true, data: { days, ...stats } });
+  } catch (error) {
+    logger.error('Error fetching notification stats:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch notification stats', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/notifications/:id
+ * @desc One notification with every attempt and the provider's response
+ * @access Public
+ */
+router.get('/notifications/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const notification = await notificationOutboxService.getNotification(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    logger.error('Error fetching notification:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch notification', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/notifications/:id/retry
+ * @desc Send a failed notification again
+ * @access Public
+ */
+router.post('/notifications/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const requeued = await notificationOutboxService.retry(req.params.id);
+    if (!requeued) {
+      return res.status(404).json({ success: false, message: 'No failed notification with this ID' });
+    }
+    res.json({ success: true, data: requeued });
+  } catch (error) {
+    logger.error('Error retrying notification:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to retry notification', error: error.message });
+  }
+});
+
+// ==================== JOB QUEUE ROUTES ====================
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc List queued, running, completed or dead jobs with counts by type and status
+ * @access Public
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type, runId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const [stats, jobs] = await Promise.all([
+      jobQueueService.getStats(),
+      jobQueueService.listJobs({ status, type, runId, limit })
+    ]);
+    res.json({ success: true, data: { stats, jobs } });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch jobs', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/jobs/retry
+ * @desc Requeue every dead job, optionally of one type
+ * @access Public
+ */
+router.post('/jobs/retry', async (req, res) => {
+  try {
+    const requeued = await jobQueueService.retryJobs({ type: req.body.type });
+    res.json({ success: true, data: { requeued } });
+  } catch (error) {
+    logger.error('Error retrying jobs:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to retry jobs', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/jobs/:id/retry
+ * @desc Requeue one dead job
+ * @access Public
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    const requeued = await jobQueueService.retryJobs({ id: req.params.id });
+    if (requeued === 0) {
+      return res.status(404).json({ success: false, message: 'No dead job with this ID' });
+    }
+    res.json({ success: true, data: { requeued } });
+  } catch (error) {
+    logger.error('Error retrying job:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to retry job', error: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/jobs
+ * @desc Purge completed or dead jobs, optionally only those older than olderThanDays
+ * @access Public
+ */
+router.delete('/jobs', async (req, res) => {
+  try {
+    const { status, olderThanDays } = req.query;
+    if (!['completed', 'dead'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'status must be completed or dead' });
+    }
+
+    const days = parseFloat(olderThanDays);
+    const before = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined;
+    const deleted = await jobQueueService.purgeJobs({ status, before });
+    res.json({ success: true, data: { deleted } });
+  } catch (error) {
+    logger.error('Error purging jobs:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to purge jobs', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/snapshots/:cino
+ * @desc List archived HTML snapshots for a CINO
+ * @access Public
+ */
+router.get('/snapshots/:cino', async (req, res) => {
+  try {
+    const snapshots = await snapshotService.listSnapshots(req.params.cino);
+    res.json({ success: true, data: snapshots });
+  } catch (error) {
+    logger.error('Error fetching snapshots:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch snapshots', error: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/snapshots/:cino/:contentHash/html
+ * @desc Get the raw HTML of an archived snapshot
+ * @access Public
+ */
+router.get('/snapshots/:cino/:contentHash/html', async (req, res) => {
+  try {
+    const { cino, contentHash } = req.params;
+    const html = await snapshotService.getSnapshotHtml(cino, contentHash);
+    if (html === null) {
+      return res.status(404).json({ success: false, message: 'Snapshot not found' });
+    }
+    res.type('html').send(html);
+  } catch (error) {
+    logger.error('Error fetching snapshot HTML:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch snapshot HTML', error: error.message });
+  }
+});
+
 // ==================== USER MANAGEMENT ROUTES ====================
 
 /**
@@ -590,7 +1417,7 @@ router.get('/cases/:id', async (req, res) => {
  */
 router.post('/cases', async (req, res) => {
   try {
-    const { cino, numbers } = req.body;
+    const { cino, numbers, court } = req.body;
 
     if (!cino) {
       return res.status(400).json({
@@ -599,6 +1426,23 @@ router.post('/cases', async (req, res) => {
       });
     }
 
+    let adapter;
+    try {
+      adapter = apiService.getAdapter(court);
+    } catch (adapterError) {
+      return res.status(400).json({
+        success: false,
+        message: adapterError.message
+      });
+    }
+
+    if (!adapter.validateCino(cino)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CINO format for ${adapter.displayName}`
+      });
+    }
+
     // Check if case already exists
     const existingCase = await Case.findOne({ cino });
     if (existingCase) {
@@ -610,16 +1454,19 @@ router.post('/cases', async (req, res) => {
     }
 
     // Fetch case from API
-    logger.info(`Fetching case ${cino} from API...`);
-    const caseData = await apiService.fetchSingleCase(cino);
+    logger.info(`Fetching case ${cino} from ${adapter.displayName}...`);
+    const caseData = await apiService.fetchSingleCase(cino, adapter.id);
     
     if (!caseData) {
       return res.status(404).json({
         success: false,
-        message: 'Case not found in Allahabad High Court records'
+        message: `Case not found in ${adapter.displayName} records`
       });
     }
 
+    // Archive any orders already linked from the case page
+    caseData.orders = (await orderDocumentService.syncOrders(null, caseData.orderLinks, adapter.id)).orders;
+
     // Create new case in database
     const caseDoc = new Case(caseData);
     caseDoc.dataHash = caseDoc.generateDataHash();
@@ -648,6 +1495,16 @@ router.post('/cases', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ParserDriftError) {
+      return res.status(502).json({
+        success: false,
+        message: 'Court page layout looks changed; case was not saved',
+        parseReport: error.report
+      });
+    }
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     logger.error('Error adding case:', error.message);
     res.status(500).json({
       success: false,
@@ -673,17 +1530,20 @@ router.put('/cases/:id/refresh', async (req, res) => {
       });
     }
 
-    // Fetch fresh data from API
-    logger.info(`Refreshing case ${caseDoc.cino} from API...`);
-    const freshData = await apiService.fetchSingleCase(caseDoc.cino);
+    // Fetch fresh data through the case's court adapter
+    const adapter = apiService.getAdapter(caseDoc.courtAdapter);
+    logger.info(`Refreshing case ${caseDoc.cino} from ${adapter.displayName}...`);
+    const freshData = await apiService.fetchSingleCase(caseDoc.cino, adapter.id);
     
     if (!freshData) {
       return res.status(404).json({
         success: false,
-        message: 'Case not found in Allahabad High Court records'
+        message: `Case not found in ${adapter.displayName} records`
       });
     }
 
+    freshData.orders = (await orderDocumentService.syncOrders(caseDoc, freshData.orderLinks, adapter.id)).orders;
+
     // Update case with fresh data
     Object.assign(caseDoc, freshData);
     caseDoc.dataHash = caseDoc.generateDataHash();
@@ -699,6 +1559,16 @@ router.put('/cases/:id/refresh', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ParserDriftError) {
+      return res.status(502).json({
+        success: false,
+        message: 'Court page layout looks changed; case was not updated',
+        parseReport: error.report
+      });
+    }
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     logger.error('Error refreshing case:', error.message);
     res.status(500).json({
       success: false,
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireApiKey } = require('../middleware/auth');
+
+// Import models
+const User = require('../models/User');
+const Case = require('../models/Case');
+const UserCase = require('../models/UserCase');
+const CinoNumbers = require('../models/CinoNumbers');
+
+// Import services
+const monitoringService = require('../services/monitoringService');
+const monitoringRunService = require('../services/monitoringRunService');
+const jobQueueService = require('../services/jobQueueService');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const { CourtError } = require('../utils/errors');
+
+// Every route here changes or reveals how monitoring runs, so all of them need the API key
+
+// ==================== MONITORING CONTROL ROUTES ====================
+
+/**
+ * @route GET /api/monitoring/status
+ * @desc Monitoring engine status: configuration, jobs, last run, leader lock and court limits
+ * @access Private (API key)
+ */
+router.get('/monitoring/status', requireApiKey, (req, res) => {
+  res.json({ success: true, data: monitoringService.getStatus() });
+});
+
+/**
+ * @route POST /api/monitoring/start
+ * @desc Start scheduled monitoring, optionally with a new cron schedule
+ * @access Private (API key)
+ */
+router.post('/monitoring/start', requireApiKey, (req, res) => {
+  try {
+    const { schedule } = req.body;
+    if (schedule !== undefined && !monitoringService.isValidSchedule(schedule)) {
+      return res.status(400).json({ success: false, message: `Invalid cron schedule: ${schedule}` });
+    }
+
+    if (monitoringService.jobs.has('monitoring')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Monitoring is already running; use PUT /api/monitoring/schedule to change its schedule'
+      });
+    }
+
+    if (schedule) {
+      monitoringService.updateConfig({ schedule });
+    }
+    monitoringService.startMonitoring();
+    res.json({ success: true, message: 'Monitoring started', data: { schedule: monitoringService.config.schedule } });
+  } catch (error) {
+    logger.error('Error starting monitoring:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to start monitoring', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/monitoring/stop
+ * @desc Stop scheduled monitoring; a cycle already running finishes
+ * @access Private (API key)
+ */
+router.post('/monitoring/stop', requireApiKey, (req, res) => {
+  try {
+    if (!monitoringService.jobs.has('monitoring')) {
+      return res.status(409).json({ success: false, message: 'Monitoring is not running' });
+    }
+
+    monitoringService.stopMonitoring();
+    res.json({ success: true, message: 'Monitoring stopped' });
+  } catch (error) {
+    logger.error('Error stopping monitoring:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to stop monitoring', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/monitoring/run
+ * @desc Run a monitoring cycle now. With { dryRun: true } only list the cases the
+ *   cycle would check. With { shadow: true, cinos, limit } fetch and diff them and
+ *   answer with the changes and messages the cycle would have saved and sent,
+ *   without doing either. A real cycle runs in the background; follow it in
+ *   /api/admin/monitoring-runs.
+ * @access Private (API key)
+ */
+router.post('/monitoring/run', requireApiKey, async (req, res) => {
+  try {
+    const { dryRun, shadow, cinos, limit } = req.body;
+
+    if (dryRun) {
+      const plan = await monitoringService.planCycle();
+      return res.json({ success: true, dryRun: true, data: plan });
+    }
+
+    if (shadow) {
+      if (cinos !== undefined && !Array.isArray(cinos)) {
+        return res.status(400).json({ success: false, message: 'cinos must be an array' });
+      }
+      if (monitoringService.isShadowRunning) {
+        return res.status(409).json({ success: false, message: 'A shadow cycle is already in progress' });
+      }
+
+      const report = await monitoringService.runShadowCycle({
+        cinos: (cinos || []).map(cino => String(cino).trim()).filter(Boolean),
+        limit: parseInt(limit) || undefined
+      });
+      return res.json({ success: true, shadow: true, data: report });
+    }
+
+    if (monitoringService.isRunning) {
+      return res.status(409).json({ success: false, message: 'A monitoring cycle is already in progress' });
+    }
+
+    monitoringService.runManually().catch(error => {
+      logger.error('Error in manual monitoring cycle:', error.message);
+    });
+    res.status(202).json({ success: true, message: 'Monitoring cycle started' });
+  } catch (error) {
+    logger.error('Error running monitoring cycle:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to run monitoring cycle', error: error.message });
+  }
+});
+
+/**
+ * @route PUT /api/monitoring/schedule
+ * @desc Change the cron schedule of monitoring cycles, restarting them if running
+ * @access Private (API key)
+ */
+router.put('/monitoring/schedule', requireApiKey, (req, res) => {
+  try {
+    const { schedule } = req.body;
+    if (!monitoringService.isValidSchedule(schedule)) {
+      return res.status(400).json({ success: false, message: `Invalid cron schedule: ${schedule}` });
+    }
+
+    monitoringService.updateConfig({ schedule });
+    res.json({
+      success: true,
+      message: 'Monitoring schedule updated',
+      data: { schedule: monitoringService.config.schedule, isScheduled: monitoringService.jobs.has('monitoring') }
+    });
+  } catch (error) {
+    logger.error('Error updating monitoring schedule:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to update monitoring schedule', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/monitoring/cases/:cino/check
+ * @desc Check one case now and notify its subscribers of changes. With
+ *   { dryRun: true } fetch and diff it without saving or notifying.
+ * @access Private (API key)
+ */
+router.post('/monitoring/cases/:cino/check', requireApiKey, async (req, res) => {
+  try {
+    const cino = req.params.cino.trim();
+
+    if (req.body.dryRun) {
+      const preview = await monitoringService.previewCase(cino);
+      return res.json({ success: true, dryRun: true, data: preview });
+    }
+
+    const result = await monitoringService.checkCaseNow(cino);
+    if (!result) {
+      return res.status(404).json({ success: false, message: `CINO ${cino} is not monitored` });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error instanceof CourtError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    logger.error(`Error checking case ${req.params.cino}:`, error.message);
+    res.status(500).json({ success: false, message: 'Failed to check case', error: error.message });
+  }
+});
+
+// ==================== SYSTEM ROUTES ====================
+
+/**
+ * @route GET /api/stats
+ * @desc Counts of cases, users, subscriptions and jobs, with run history totals
+ * @access Private (API key)
+ */
+router.get('/stats', requireApiKey, async (req, res) => {
+  try {
+    const [
+      totalCases,
+      activeCases,
+      totalUsers,
+      activeUsers,
+      activeSubscriptions,
+      cinoMappings,
+      jobs,
+      runs
+    ] = await Promise.all([
+      Case.countDocuments({}),
+      Case.countDocuments({ isActive: true }),
+      User.countDocuments({}),
+      User.countDocuments({ isActive: true }),
+      UserCase.countDocuments({ isActive: true }),
+      CinoNumbers.countDocuments({}),
+      jobQueueService.getStats(),
+      monitoringRunService.getHistory()
+    ]);
+
+    const status = monitoringService.getStatus();
+    res.json({
+      success: true,
+      data: {
+        cases: { total: totalCases, active: activeCases },
+        users: { total: totalUsers, active: activeUsers },
+        subscriptions: { active: activeSubscriptions },
+        cinoMappings,
+        runs: { total: runs.runCount, failed: runs.errorCount, last: runs.lastRun },
+        jobs,
+        fetchOutcomes: status.fetchOutcomes,
+        rateLimiter: status.rateLimiter,
+        circuitBreakers: status.circuitBreakers
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching system statistics:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch system statistics', error: error.message });
+  }
+});
+
+/**
+ * @route POST /api/test/whatsapp
+ * @desc Send a test WhatsApp message to phoneNumber or phoneNumbers, with an optional message,
+ *   through the notification log like any other message
+ * @access Private (API key)
+ */
+router.post('/test/whatsapp', requireApiKey, async (req, res) => {
+  try {
+    const { phoneNumber, phoneNumbers, message } = req.body;
+    if (phoneNumbers !== undefined && !Array.isArray(phoneNumbers)) {
+      return res.status(400).json({ success: false, message: 'phoneNumbers must be an array' });
+    }
+
+    const numbers = (phoneNumbers || (phoneNumber ? [phoneNumber] : []))
+      .map(number => String(number).trim())
+      .filter(Boolean);
+    if (numbers.length === 0) {
+      return res.status(400).json({ success: false, message: 'phoneNumber or phoneNumbers is required' });
+    }
+
+    const result = await notificationOutboxService.sendTest('whatsapp', numbers, message);
+    res.json({ success: true, message: 'Test message sent', data: { notificationId: result.notificationId, recipients: result.recipients } });
+  } catch (error) {
+    logger.error('Error sending test WhatsApp message:', error.message);
+    res.status(502).json({ success: false, message: 'Failed to send test message', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireCallbackToken } = require('../middleware/auth');
+
+// Import services
+const notificationDispatcher = require('../services/notificationDispatcher');
+const notificationOutboxService = require('../services/notificationOutboxService');
+
+// ==================== DELIVERY CALLBACK ROUTES ====================
+
+/**
+ * @route POST /api/notifications/delivery-status/:channel
+ * @desc Delivery status from a provider: { messageId, status, error, timestamp },
+ *   or { statuses: [...] } for several messages
+ * @access Private (callback token)
+ */
+router.post('/delivery-status/:channel', requireCallbackToken, async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (notificationDispatcher.unknownChannels([channel]).length > 0) {
+      return res.status(404).json({ success: false, message: `Unknown notification channel: ${channel}` });
+    }
+
+    const updates = Array.isArray(req.body.statuses) ? req.body.statuses : [req.body];
+    const results = [];
+    for (const update of updates) {
+      const messageId = update.messageId || update.message_id || update.id;
+      if (!messageId || !update.status) {
+        results.push({ messageId, status: null, updated: false });
+        continue;
+      }
+
+      const at = update.timestamp ? new Date(update.timestamp) : undefined;
+      const result = await notificationOutboxService.recordCallback({
+        channel,
+        messageId,
+        status: update.status,
+        error: update.error || update.reason,
+        at: at && !isNaN(at) ? at : undefined
+      });
+      results.push({ messageId: String(messageId), ...result });
+    }
+
+    res.json({ success: true, data: results });
+  } catch (error) {
+    logger.error('Error recording delivery status:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to record delivery status', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -9,7 +9,14 @@ const UserCase = require('../models/UserCase');
 
 // Import services
 const apiService = require('../services/apiService');
-const whatsappService = require('../services/whatsappService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const orderDocumentService = require('../services/orderDocumentService');
+const orderSearchService = require('../services/orderSearchService');
+const causeListService = require('../services/causeListService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+const { CourtError, UnsafeUrlError } = require('../utils/errors');
+const { assertPublicUrl } = require('../utils/publicUrl');
 
 /**
  * @route POST /api/users/register
@@ -58,9 +65,9 @@ router.post('/register', async (req, res) => {
       `🤖 Allahabad HC Monitor`;
 
     try {
-      await whatsappService.sendMessage(mobileNumber, welcomeMessage);
-    } catch (whatsappError) {
-      logger.warn(`Failed to send welcome message to ${mobileNumber}:`, whatsappError.message);
+      await notificationOutboxService.notifyUser(user, welcomeMessage, { subject: 'Welcome to Allahabad HC Monitor' });
+    } catch (deliveryError) {
+      logger.warn(`Failed to send welcome message to ${mobileNumber}:`, deliveryError.message);
     }
 
     logger.info(`New user registered: ${mobileNumber}`);
@@ -96,7 +103,7 @@ router.post('/register', async (req, res) => {
 router.post('/:userId/subscribe', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { cino, alias, notes, priority, notificationTypes } = req.body;
+    const { cino, courtAdapter, court, alias, notes, priority, notificationTypes, subscriptionType } = req.body;
 
     // Validate required fields
     if (!cino) {
@@ -106,6 +113,24 @@ router.post('/:userId/subscribe', async (req, res) => {
       });
     }
 
+    if (subscriptionType !== undefined && !notificationPreferenceService.subscriptionTypes.includes(subscriptionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `subscriptionType must be one of ${notificationPreferenceService.subscriptionTypes.join(', ')}`
+      });
+    }
+
+    let adapter;
+    try {
+      // courtAdapter, as search results name it; court is the older name
+      adapter = apiService.getAdapter(courtAdapter || court);
+    } catch (adapterError) {
+      return res.status(400).json({
+        success: false,
+        message: adapterError.message
+      });
+    }
+
     // Validate user exists
     const user = await User.findById(userId);
     if (!user) {
@@ -126,18 +151,27 @@ router.post('/:userId/subscribe', async (req, res) => {
     let caseDoc = await Case.findOne({ cino });
     
     if (!caseDoc) {
-      logger.info(`Case ${cino} not found in database, fetching from API...`);
+      if (!adapter.validateCino(cino)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid CINO format for ${adapter.displayName}`
+        });
+      }
+
+      logger.info(`Case ${cino} not found in database, fetching from ${adapter.displayName}...`);
       
       try {
-        const caseData = await apiService.fetchSingleCase(cino);
+        const caseData = await apiService.fetchSingleCase(cino, adapter.id);
         
         if (!caseData) {
           return res.status(404).json({
             success: false,
-            message: 'Case not found in Allahabad High Court records'
+            message: `Case not found in ${adapter.displayName} records`
           });
         }
 
+        caseData.orders = (await orderDocumentService.syncOrders(null, caseData.orderLinks, adapter.id)).orders;
+
         // Create new case in database
         caseDoc = new Case(caseData);
         caseDoc.dataHash = caseDoc.generateDataHash();
@@ -146,6 +180,9 @@ router.post('/:userId/subscribe', async (req, res) => {
         logger.info(`New case created in database: ${cino}`);
         
       } catch (apiError) {
+        if (apiError instanceof CourtError) {
+          return res.status(apiError.statusCode).json(apiError.toResponse());
+        }
         logger.error(`Error fetching case ${cino} from API:`, apiError.message);
         return res.status(503).json({
           success: false,
@@ -175,11 +212,10 @@ router.post('/:userId/subscribe', async (req, res) => {
         existingSubscription.notes = notes || existingSubscription.notes;
         existingSubscription.priority = priority || existingSubscription.priority;
         
+        if (subscriptionType) existingSubscription.subscriptionType = subscriptionType;
         if (notificationTypes) {
-          existingSubscription.notificationSettings = {
-            ...existingSubscription.notificationSettings,
-            ...notificationTypes
-          };
+          Object.assign(existingSubscription.notificationSettings,
+            notificationPreferenceService.normalizeSettings(notificationTypes));
         }
         
         await existingSubscription.save();
@@ -197,18 +233,12 @@ router.post('/:userId/subscribe', async (req, res) => {
       userId: userId,
       caseId: caseDoc._id,
       cino: caseDoc.cino,
-      subscriptionType: 'manual',
+      subscriptionType: subscriptionType || 'full',
       isActive: true,
       alias: alias || caseDoc.caseTitle,
       notes: notes || '',
       priority: priority || 'medium',
-      notificationSettings: {
-        statusChanges: true,
-        hearingDates: true,
-        orderUpdates: true,
-        generalUpdates: false,
-        ...notificationTypes
-      }
+      notificationSettings: notificationPreferenceService.normalizeSettings(notificationTypes)
     });
 
     await subscription.save();
@@ -220,16 +250,21 @@ router.post('/:userId/subscribe', async (req, res) => {
       `🔢 *CINO:* ${cino}\n` +
       `📱 *Priority:* ${priority || 'Medium'}\n\n` +
       `You will receive notifications for:\n` +
-      `${subscription.notificationSettings.statusChanges ? '✅' : '❌'} Status changes\n` +
-      `${subscription.notificationSettings.hearingDates ? '✅' : '❌'} Hearing date updates\n` +
-      `${subscription.notificationSettings.orderUpdates ? '✅' : '❌'} Order updates\n` +
-      `${subscription.notificationSettings.generalUpdates ? '✅' : '❌'} General updates\n\n` +
+      `${subscription.notificationSettings.statusChange ? '✅' : '❌'} Status changes\n` +
+      `${subscription.notificationSettings.hearingDate ? '✅' : '❌'} Hearing date updates\n` +
+      `${subscription.notificationSettings.orderUpdate ? '✅' : '❌'} Order updates\n` +
+      `${subscription.notificationSettings.listingUpdate ? '✅' : '❌'} Listing updates\n` +
+      `${subscription.notificationSettings.iaUpdate ? '✅' : '❌'} IA application updates\n\n` +
       `🤖 Allahabad HC Monitor`;
 
     try {
-      await whatsappService.sendMessage(user.mobileNumber, confirmationMessage);
-    } catch (whatsappError) {
-      logger.warn(`Failed to send confirmation message to ${user.mobileNumber}:`, whatsappError.message);
+      await notificationOutboxService.notifyUser(user, confirmationMessage, {
+        subject: `Subscribed to ${cino}`,
+        cino,
+        subscriptionId: subscription._id
+      });
+    } catch (deliveryError) {
+      logger.warn(`Failed to send confirmation message to ${user.mobileNumber}:`, deliveryError.message);
     }
 
     logger.info(`User ${userId} subscribed to case ${cino}`);
@@ -248,6 +283,7 @@ router.post('/:userId/subscribe', async (req, res) => {
       case: {
         id: caseDoc._id,
         cino: caseDoc.cino,
+        courtAdapter: caseDoc.courtAdapter,
         caseTitle: caseDoc.caseTitle,
         caseStatus: caseDoc.caseStatus,
         nextHearingDate: caseDoc.nextHearingDate
@@ -340,7 +376,14 @@ router.get('/:userId/subscriptions', async (req, res) => {
 router.put('/:userId/subscriptions/:subscriptionId', async (req, res) => {
   try {
     const { userId, subscriptionId } = req.params;
-    const { alias, notes, priority, notificationSettings, isActive } = req.body;
+    const { alias, notes, priority, notificationSettings, subscriptionType, isActive } = req.body;
+
+    if (subscriptionType !== undefined && !notificationPreferenceService.subscriptionTypes.includes(subscriptionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `subscriptionType must be one of ${notificationPreferenceService.subscriptionTypes.join(', ')}`
+      });
+    }
 
     // Validate user exists
     const user = await User.findById(userId);
@@ -369,12 +412,11 @@ router.put('/:userId/subscriptions/:subscriptionId', async (req, res) => {
     if (notes !== undefined) subscription.notes = notes;
     if (priority !== undefined) subscription.priority = priority;
     if (isActive !== undefined) subscription.isActive = isActive;
+    if (subscriptionType !== undefined) subscription.subscriptionType = subscriptionType;
     
     if (notificationSettings) {
-      subscription.notificationSettings = {
-        ...subscription.notificationSettings,
-        ...notificationSettings
-      };
+      Object.assign(subscription.notificationSettings,
+        notificationPreferenceService.normalizeSettings(notificationSettings));
     }
 
     await subscription.save();
@@ -390,6 +432,7 @@ router.put('/:userId/subscriptions/:subscriptionId', async (req, res) => {
         alias: subscription.alias,
         priority: subscription.priority,
         isActive: subscription.isActive,
+        subscriptionType: subscription.subscriptionType,
         notificationSettings: subscription.notificationSettings
       }
     });
@@ -448,9 +491,13 @@ router.delete('/:userId/subscriptions/:subscriptionId', async (req, res) => {
       `🤖 Allahabad HC Monitor`;
 
     try {
-      await whatsappService.sendMessage(user.mobileNumber, confirmationMessage);
-    } catch (whatsappError) {
-      logger.warn(`Failed to send unsubscribe confirmation to ${user.mobileNumber}:`, whatsappError.message);
+      await notificationOutboxService.notifyUser(user, confirmationMessage, {
+        subject: `Unsubscribed from ${subscription.cino}`,
+        cino: subscription.cino,
+        subscriptionId: subscription._id
+      });
+    } catch (deliveryError) {
+      logger.warn(`Failed to send unsubscribe confirmation to ${user.mobileNumber}:`, deliveryError.message);
     }
 
     logger.info(`User ${userId} unsubscribed from case ${subscription.cino}`);
@@ -470,6 +517,254 @@ router.delete('/:userId/subscriptions/:subscriptionId', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/users/:userId/orders/search
+ * @desc Keyword search across the orders of the user's subscribed cases
+ * @access Public
+ */
+router.get('/:userId/orders/search', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { q, limit } = req.query;
+
+    if (!q || orderSearchService.getTerms(q).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query q must contain at least one word of three or more characters'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const results = await orderSearchService.searchUserOrders(userId, q, {
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      results,
+      total: results.length
+    });
+
+  } catch (error) {
+    logger.error('Error searching case orders:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/users/:userId/cases/:cino/cause-list
+ * @desc Today's and upcoming cause list listings of a subscribed case
+ * @access Public
+ */
+router.get('/:userId/cases/:cino/cause-list', async (req, res) => {
+  try {
+    const { userId, cino } = req.params;
+
+    const subscription = await UserCase.findOne({ userId, cino, isActive: true });
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active subscription for this case'
+      });
+    }
+
+    const listings = await causeListService.getListingsForCase(cino);
+
+    res.json({
+      success: true,
+      cino,
+      listings: listings.map(listing => ({
+        listDate: listing.listDate,
+        bench: listing.bench,
+        listType: listing.listType,
+        courtNumber: listing.courtNumber,
+        benchJustices: listing.benchJustices,
+        itemNumber: listing.itemNumber,
+        connected: listing.connected,
+        caseReference: listing.caseReference
+      })),
+      total: listings.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching case listings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/users/:userId/cases/:cino/orders
+ * @desc List archived orders and judgments for a subscribed case
+ * @access Public
+ */
+router.get('/:userId/cases/:cino/orders', async (req, res) => {
+  try {
+    const { userId, cino } = req.params;
+
+    const subscription = await UserCase.findOne({ userId, cino, isActive: true });
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active subscription for this case'
+      });
+    }
+
+    const caseDoc = await Case.findOne({ cino }).select('cino caseTitle orders').lean();
+    if (!caseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    const orders = (caseDoc.orders || [])
+      .slice()
+      .sort((a, b) => new Date(b.orderDate || 0) - new Date(a.orderDate || 0))
+      .map(order => ({
+        documentType: order.documentType,
+        orderDate: order.orderDate,
+        benchId: order.benchId,
+        justice: order.justice,
+        contentHash: order.contentHash,
+        size: order.size,
+        downloadedAt: order.downloadedAt,
+        downloadUrl: `/api/users/${userId}/cases/${cino}/orders/${order.contentHash}`
+      }));
+
+    res.json({
+      success: true,
+      cino,
+      caseTitle: caseDoc.caseTitle,
+      orders,
+      total: orders.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing case orders:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/users/:userId/cases/:cino/orders/:contentHash
+ * @desc Download an archived order or judgment PDF
+ * @access Public
+ */
+router.get('/:userId/cases/:cino/orders/:contentHash', async (req, res) => {
+  try {
+    const { userId, cino, contentHash } = req.params;
+
+    const subscription = await UserCase.findOne({ userId, cino, isActive: true });
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active subscription for this case'
+      });
+    }
+
+    // Only serve files that belong to this case
+    const caseDoc = await Case.findOne({ cino, 'orders.contentHash': contentHash }).select('orders.$').lean();
+    const order = caseDoc && caseDoc.orders[0];
+    const filePath = order && orderDocumentService.getOrderFile(contentHash);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const datePart = order.orderDate ? new Date(order.orderDate).toISOString().slice(0, 10) : contentHash.slice(0, 12);
+    res.type('application/pdf');
+    res.download(filePath, `${cino}-${order.documentType}-${datePart}.pdf`);
+
+  } catch (error) {
+    logger.error('Error downloading case order:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/users/:userId/notifications
+ * @desc Messages sent to the user, newest first, with how far each got:
+ *   ?status=&cino=&page=&limit=
+ * @access Public
+ */
+router.get('/:userId/notifications', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, cino } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { notifications, total } = await notificationOutboxService.listNotifications({
+      userId: user._id,
+      status,
+      cino,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => ({
+        id: notification._id,
+        kind: notification.kind,
+        cino: notification.cino,
+        subject: notification.subject,
+        message: notification.body,
+        status: notification.status,
+        channel: notification.channel,
+        createdAt: notification.createdAt,
+        sentAt: notification.sentAt,
+        deliveredAt: notification.deliveredAt,
+        readAt: notification.readAt,
+        failedAt: notification.failedAt
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    logger.error('Error listing user notifications:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/users/:userId/profile
  * @desc Get user profile
@@ -541,7 +836,31 @@ router.get('/:userId/profile', async (req, res) => {
 router.put('/:userId/profile', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { name, email, notificationPreferences } = req.body;
+    const { name, email, notificationPreferences, notificationChannels, telegramChatId, webhookUrl } = req.body;
+
+    if (notificationChannels !== undefined) {
+      const unknown = Array.isArray(notificationChannels)
+        ? notificationDispatcher.unknownChannels(notificationChannels)
+        : [];
+      if (!Array.isArray(notificationChannels) || notificationChannels.length === 0 || unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `notificationChannels must list channels to try in order, from ${notificationDispatcher.listChannels().map(channel => channel.id).join(', ')}`
+        });
+      }
+    }
+
+    if (webhookUrl) {
+      try {
+        await assertPublicUrl(webhookUrl);
+      } catch (error) {
+        if (!(error instanceof UnsafeUrlError)) throw error;
+        return res.status(400).json({
+          success: false,
+          message: `webhookUrl must be an https URL on a public host: ${error.reason}`
+        });
+      }
+    }
 
     const user = await User.findById(userId);
     if (!user) {
@@ -554,11 +873,12 @@ router.put('/:userId/profile', async (req, res) => {
     // Update fields
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
+    if (telegramChatId !== undefined) user.telegramChatId = telegramChatId;
+    if (webhookUrl !== undefined) user.webhookUrl = webhookUrl;
+    if (notificationChannels !== undefined) user.notificationChannels = [...new Set(notificationChannels)];
     if (notificationPreferences !== undefined) {
-      user.notificationPreferences = {
-        ...user.notificationPreferences,
-        ...notificationPreferences
-      };
+      Object.assign(user.notificationPreferences,
+        notificationPreferenceService.normalizeSettings(notificationPreferences));
     }
 
     await user.save();
@@ -573,6 +893,9 @@ router.put('/:userId/profile', async (req, res) => {
         mobileNumber: user.mobileNumber,
         name: user.name,
         email: user.email,
+        telegramChatId: user.telegramChatId,
+        webhookUrl: user.webhookUrl,
+        notificationChannels: user.notificationChannels,
         notificationPreferences: user.notificationPreferences
       }
     });
@@ -587,35 +910,128 @@ router.put('/:userId/profile', async (req, res) => {
   }
 });
 
+/**
+ * Build a court search query from the search request body
+ * @param {Object} body - Request body
+ * @param {Object} adapter - Court adapter
+ * @returns {Object} { query } or { error } describing what is missing
+ */
+function buildSearchQuery(body, adapter) {
+  const { caseNumber, caseType, year, partyName, advocateName } = body;
+
+  if (partyName || advocateName) {
+    const name = String(partyName || advocateName).trim();
+    if (name.length < 3) {
+      return { error: 'Party or advocate name must be at least 3 characters' };
+    }
+    return {
+      query: {
+        type: partyName ? 'party' : 'advocate',
+        name,
+        year: year ? String(year) : undefined
+      }
+    };
+  }
+
+  const reference = caseType && year
+    ? { caseType: String(caseType).trim().toUpperCase(), caseNumber: String(caseNumber).trim(), year: String(year) }
+    : adapter.parseCaseReference(String(caseNumber));
+
+  if (!reference || !/^\d+$/.test(reference.caseNumber) || !/^\d{4}$/.test(reference.year)) {
+    return { error: 'Case number must look like "WRIT-C 12345/2024", or be sent with caseType and year' };
+  }
+
+  return { query: { type: 'case_number', ...reference } };
+}
+
 /**
  * @route POST /api/users/search
- * @desc Search for cases by CINO or case number
+ * @desc Search for cases by CINO, case type/number/year, party name or advocate name
  * @access Public
  */
 router.post('/search', async (req, res) => {
   try {
-    const { cino, caseNumber } = req.body;
+    const { cino, caseNumber, partyName, advocateName, courtAdapter, court } = req.body;
+
+    if (!cino && !caseNumber && !partyName && !advocateName) {
+      return res.status(400).json({
+        success: false,
+        message: 'CINO, case number, party name or advocate name is required'
+      });
+    }
 
-    if (!cino && !caseNumber) {
+    let adapter;
+    try {
+      // courtAdapter, as search results name it; court is the older name
+      adapter = apiService.getAdapter(courtAdapter || court);
+    } catch (adapterError) {
       return res.status(400).json({
         success: false,
-        message: 'CINO or case number is required'
+        message: adapterError.message
       });
     }
 
-    let caseDoc = null;
+    // Anything other than a CINO is resolved to candidate CINOs by the court's search forms
+    if (!cino) {
+      const { query, error } = buildSearchQuery(req.body, adapter);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
 
-    // Search in database first
-    if (cino) {
-      caseDoc = await Case.findOne({ cino });
-    } else if (caseNumber) {
-      caseDoc = await Case.findOne({ caseNumber });
+      let candidates;
+      try {
+        candidates = await apiService.searchCases(query, adapter.id);
+      } catch (apiError) {
+        if (apiError instanceof CourtError) {
+          return res.status(apiError.statusCode).json(apiError.toResponse());
+        }
+        logger.error(`Case search failed on ${adapter.id}:`, apiError.message);
+        return res.status(503).json({
+          success: false,
+          message: `Unable to search ${adapter.displayName} records`,
+          error: apiError.message
+        });
+      }
+
+      // Flag candidates we already track so clients can show their current status
+      const trackedCases = await Case.find({ cino: { $in: candidates.map(candidate => candidate.cino) } })
+        .select('cino caseTitle caseStatus nextHearingDate');
+      const trackedByCino = new Map(trackedCases.map(caseDoc => [caseDoc.cino, caseDoc]));
+
+      return res.json({
+        success: true,
+        query,
+        courtAdapter: adapter.id,
+        count: candidates.length,
+        candidates: candidates.map(candidate => {
+          const tracked = trackedByCino.get(candidate.cino);
+          return {
+            ...candidate,
+            isTracked: Boolean(tracked),
+            caseStatus: tracked ? tracked.caseStatus : undefined,
+            nextHearingDate: tracked ? tracked.nextHearingDate : undefined
+          };
+        })
+      });
     }
 
+    // Search in database first
+    let caseDoc = await Case.findOne({ cino });
+
     // If not found in database, try API
-    if (!caseDoc && cino) {
+    if (!caseDoc) {
+      if (!adapter.validateCino(cino)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid CINO format for ${adapter.displayName}`
+        });
+      }
+
       try {
-        const caseData = await apiService.fetchSingleCase(cino);
+        const caseData = await apiService.fetchSingleCase(cino, adapter.id);
         if (caseData) {
           caseDoc = {
             ...caseData,
@@ -623,6 +1039,9 @@ router.post('/search', async (req, res) => {
           };
         }
       } catch (apiError) {
+        if (apiError instanceof CourtError) {
+          return res.status(apiError.statusCode).json(apiError.toResponse());
+        }
         logger.warn(`API search failed for CINO ${cino}:`, apiError.message);
       }
     }
@@ -639,7 +1058,7 @@ router.post('/search', async (req, res) => {
       case: {
         cino: caseDoc.cino,
         cnr: caseDoc.cnr,
-        caseNumber: caseDoc.caseNumber,
+        courtAdapter: caseDoc.courtAdapter,
         caseTitle: caseDoc.caseTitle,
         caseStatus: caseDoc.caseStatus,
         nextHearingDate: caseDoc.nextHearingDate,
@@ -0,0 +1,38 @@
+/**
+ * Re-run the current parser over archived HTML snapshots and rebuild case data.
+ *
+ * Usage:
+ *   node scripts/reparse-snapshots.js [--dry-run] [CINO ...]
+ *
+ * With no CINOs every archived case is re-parsed.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const reparseService = require('../services/reparseService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/ahc-updates';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const cinos = args.filter(arg => !arg.startsWith('--'));
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
+
+  try {
+    const result = await reparseService.reparseSnapshots({ cinos, dryRun });
+
+    for (const item of result.results) {
+      const fields = item.changedFields && item.changedFields.length ? ` [${item.changedFields.join(', ')}]` : '';
+      console.log(`${item.cino}\t${item.status}${item.confidence !== undefined ? `\t${item.confidence}` : ''}${fields}`);
+    }
+    console.log(`\n${dryRun ? 'Dry run' : 'Re-parse'} totals: ${JSON.stringify(result.totals)}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Re-parse failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * Run a monitoring cycle in shadow mode: fetch, parse and diff cases, then
+ * report the changes and messages a real cycle would have saved and sent.
+ * Nothing is written to cases and no message is sent.
+ *
+ * Usage:
+ *   node scripts/shadow-run.js [--limit=N] [--out=report.json] [--messages] [CINO ...]
+ *
+ * With no CINOs the cases due for a check now are used.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const monitoringService = require('../services/monitoringService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/ahc-updates';
+
+function option(args, name) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const limit = parseInt(option(args, 'limit')) || undefined;
+  const out = option(args, 'out');
+  const showMessages = args.includes('--messages');
+  const cinos = args.filter(arg => !arg.startsWith('--'));
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
+
+  try {
+    const report = await monitoringService.runShadowCycle({ cinos, limit });
+
+    for (const item of report.cases) {
+      const fields = item.changedFields && item.changedFields.length ? ` [${item.changedFields.join(', ')}]` : '';
+      const messages = item.messages ? `\t${item.messages.length} message(s)` : '';
+      console.log(`${item.cino}\t${item.outcome}${fields}${messages}${item.error ? `\t${item.error}` : ''}`);
+
+      if (showMessages) {
+        for (const message of item.messages || []) {
+          console.log(`\n--- ${message.type} to ${message.to.join(', ')} ---\n${message.message}\n`);
+        }
+      }
+    }
+    console.log(`\nShadow run totals: ${JSON.stringify(report.summary)}`);
+
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify(report, null, 2));
+      console.log(`Report written to ${out}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Shadow run failed:', error.message);
+  process.exit(1);
+});
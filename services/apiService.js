@@ -1,56 +1,194 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const RateLimiter = require('../utils/rateLimiter');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const {
+  ParserDriftError,
+  CourtUnavailableError,
+  CourtResponseError,
+  CaseNotFoundError,
+  InvalidCinoError,
+  CourtMaintenanceError,
+  CourtBlockedError
+} = require('../utils/errors');
+const courtAdapters = require('./courtAdapters');
+const courtOutageService = require('./courtOutageService');
+const parserDriftService = require('./parserDriftService');
+const snapshotService = require('./snapshotService');
 
+// Error raised for each response class other than a valid case page
+const RESPONSE_ERRORS = {
+  not_found: CaseNotFoundError,
+  invalid_cino: InvalidCinoError,
+  maintenance: CourtMaintenanceError,
+  blocked: CourtBlockedError
+};
+
+/**
+ * Fetches court case data through the court adapter each case belongs to.
+ * Retries, pacing, snapshot archiving and drift checks live here so every
+ * adapter gets them for free.
+ */
 class ApiService {
   constructor() {
-    this.baseUrl = 'https://allahabadhighcourt.in/apps/status_ccms/index.php/get_CaseDetails';
-    this.timeout = 30000; // 30 seconds timeout
     this.retryAttempts = 3;
-    this.requestDelay = 1000; // 1 second delay between requests to be respectful
+    this.defaultAdapterId = courtAdapters.DEFAULT_ADAPTER_ID;
+
+    // Every request to a court goes through this one limiter, whichever path
+    // triggered it, so monitoring, refreshes and searches never stack up
+    this.limiter = new RateLimiter({
+      requestsPerMinute: parseInt(process.env.COURT_REQUESTS_PER_MINUTE) || 30,
+      maxConcurrency: parseInt(process.env.COURT_MAX_CONCURRENCY) || 2
+    });
+
+    // One circuit breaker per court, created on first use
+    this.breakers = new Map();
+    this.breakerFailureThreshold = parseInt(process.env.COURT_BREAKER_FAILURE_THRESHOLD) || 5;
+    this.breakerProbeIntervalMs = parseInt(process.env.COURT_BREAKER_PROBE_INTERVAL_MS) || 5 * 60 * 1000;
+  }
+
+  /**
+   * Get the circuit breaker guarding a court
+   * @param {Object} adapter - Court adapter
+   * @returns {CircuitBreaker} Breaker for the adapter
+   */
+  getBreaker(adapter) {
+    if (!this.breakers.has(adapter.id)) {
+      this.breakers.set(adapter.id, new CircuitBreaker({
+        name: adapter.id,
+        failureThreshold: this.breakerFailureThreshold,
+        probeIntervalMs: this.breakerProbeIntervalMs,
+        probe: () => this.limiter.schedule(() => adapter.testConnectivity()),
+        onOpen: stats => courtOutageService.recordOutageStart(adapter, stats),
+        onClose: stats => courtOutageService.recordOutageEnd(adapter, stats)
+      }));
+    }
+    return this.breakers.get(adapter.id);
+  }
+
+  /**
+   * Fail fast when a court's circuit is open
+   * @param {Object} adapter - Court adapter
+   * @throws {CourtUnavailableError} While the court is marked down
+   */
+  assertCourtAvailable(adapter) {
+    const breaker = this.getBreaker(adapter);
+    if (breaker.isOpen()) {
+      breaker.recordSkipped();
+      throw new CourtUnavailableError(adapter.id, breaker.getStats());
+    }
+  }
+
+  /**
+   * Whether an error means the court itself is failing, rather than our parsing
+   * @param {Error} error - Error from a court request
+   * @returns {boolean} True for network errors, timeouts, 5xx, 429, maintenance and blocked pages
+   */
+  isCourtFailure(error) {
+    // Maintenance and captcha pages mean the court is not serving cases either
+    if (error instanceof CourtMaintenanceError || error instanceof CourtBlockedError) {
+      return true;
+    }
+    if (error instanceof CourtResponseError) {
+      return false;
+    }
+    if (error.response) {
+      return error.response.status >= 500 || error.response.status === 429;
+    }
+    return Boolean(error.code || error.request);
+  }
+
+  /**
+   * Run a court request, feeding its outcome to the court's circuit breaker
+   * @param {Object} adapter - Court adapter
+   * @param {Function} request - Async function making the request
+   * @returns {Promise} The request's result
+   */
+  async callCourt(adapter, request) {
+    const breaker = this.getBreaker(adapter);
+    try {
+      const result = await request();
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      // Retrying into a captcha only makes the block last longer
+      if (error instanceof CourtBlockedError) {
+        breaker.trip(error);
+      } else if (this.isCourtFailure(error)) {
+        breaker.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the adapter for a court
+   * @param {string} adapterId - Adapter ID, defaults to Allahabad HC
+   * @returns {Object} Court adapter
+   */
+  getAdapter(adapterId) {
+    return courtAdapters.getAdapter(adapterId || this.defaultAdapterId);
   }
 
   /**
    * Fetch case data for multiple CINOs
    * @param {Array} cinos - Array of CINO numbers to fetch
+   * @param {string} adapterId - Court adapter ID
    * @returns {Promise<Array>} Array of parsed case data
    */
-  async fetchCaseData(cinos = []) {
+  async fetchCaseData(cinos = [], adapterId) {
     const results = [];
-    
+
     for (const cino of cinos) {
       try {
         logger.info(`Fetching data for CINO: ${cino}`);
-        const caseData = await this.fetchSingleCase(cino);
+        const caseData = await this.fetchSingleCase(cino, adapterId);
         if (caseData) {
           results.push(caseData);
         }
-        
-        // Add delay between requests to be respectful to the server
-        if (cinos.indexOf(cino) < cinos.length - 1) {
-          await this.delay(this.requestDelay);
-        }
       } catch (error) {
         logger.error(`Error fetching case ${cino}:`, error.message);
       }
     }
-    
+
     return results;
   }
 
   /**
    * Fetch data for a single case with retry mechanism
    * @param {string} cino - CINO number to fetch
+   * @param {string} adapterId - Court adapter ID, usually Case.courtAdapter
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Fetch and parse only: no snapshot, no drift
+   *   record or alert, and the circuit breaker is left alone so no outage alert fires
    * @returns {Promise<Object|null>} Parsed case data or null
    */
-  async fetchSingleCase(cino) {
+  async fetchSingleCase(cino, adapterId, { dryRun = false } = {}) {
+    const adapter = this.getAdapter(adapterId);
+    this.assertCourtAvailable(adapter);
+
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        const response = await this.makeRequest(cino);
-        if (response && response.data) {
-          return this.parseHtmlToJson(response.data, cino);
+        const request = async () => {
+          const result = await this.makeRequest(cino, adapter.id);
+          this.checkResponseClass(adapter, cino, result);
+          return result;
+        };
+        const response = dryRun ? await request() : await this.callCourt(adapter, request);
+        if (!dryRun) {
+          await snapshotService.saveSnapshot(cino, response.data, adapter.parserVersion, adapter.id);
         }
+        const caseData = adapter.parseCase(response.data, cino);
+        await this.checkParseReport(caseData, adapter, { dryRun });
+        return caseData;
       } catch (error) {
+        // Drifted layouts and classified error pages will not change on an immediate retry
+        if (error instanceof ParserDriftError || error instanceof CourtResponseError) {
+          throw error;
+        }
+        // Stop retrying as soon as the court is marked down
+        if (this.getBreaker(adapter).isOpen()) {
+          throw new CourtUnavailableError(adapter.id, this.getBreaker(adapter).getStats());
+        }
         logger.warn(`Attempt ${attempt} failed for CINO ${cino}:`, error.message);
         if (attempt === this.retryAttempts) {
           throw error;
@@ -63,507 +201,134 @@ class ApiService {
   }
 
   /**
-   * Make HTTP POST request to fetch case data
-   * @param {string} cino - CINO number
-   * @returns {Promise<Object>} HTTP response
+   * Search a court for cases by case number, party or advocate name
+   * @param {Object} query - Search query, see the adapter's searchCases
+   * @param {string} adapterId - Court adapter ID
+   * @returns {Promise<Array>} Candidate cases, each with cino and courtAdapter
    */
-  async makeRequest(cino) {
-    const formData = new URLSearchParams();
-    formData.append('cino', cino);
-    formData.append('source', 'undefined');
-
-    const config = {
-      method: 'POST',
-      url: this.baseUrl,
-      data: formData,
-      timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'same-origin'
-      }
-    };
-
-    return await axios(config);
+  async searchCases(query, adapterId) {
+    const adapter = this.getAdapter(adapterId);
+    const candidates = await this.requestWithRetry(adapter, `${query.type} search`, () => adapter.searchCases(query));
+    logger.info(`${adapter.displayName} ${query.type} search returned ${candidates.length} candidate(s)`);
+    return candidates;
   }
 
   /**
-   * Parse HTML response to structured JSON
-   * @param {string} htmlData - Raw HTML data
-   * @param {string} cino - CINO number
-   * @returns {Object} Parsed case data
+   * Download an order or judgment document through the same limits and breaker as case fetches
+   * @param {string} url - Document URL found by the adapter
+   * @param {string} adapterId - Court adapter id
+   * @returns {Promise<Buffer>} File contents
    */
-  parseHtmlToJson(htmlData, cino) {
-    try {
-      const $ = cheerio.load(htmlData);
-      
-      // Extract basic case information
-      const caseData = {
-        cino: cino,
-        cnr: this.extractText($, 'td:contains("CNR")').replace('CNR', '').trim(),
-        filingNumber: this.extractText($, 'td:contains("Filing No.")').replace('Filing No.', '').trim(),
-        filingDate: this.parseDate(this.extractText($, 'td:contains("Filing Date")')),
-        registrationDate: this.parseDate(this.extractText($, 'td:contains("Date of Registration")')),
-        caseStatus: this.extractText($, 'td:contains("Case Status")').replace('Case Status', '').trim(),
-        caseTitle: this.extractCaseTitle($),
-        
-        // Hearing information
-        firstHearingDate: this.parseDate(this.extractText($, 'td:contains("First Hearing Date")')),
-        nextHearingDate: this.parseDate(this.extractText($, 'td:contains("Next Hearing Date")')),
-        stageOfCase: this.extractText($, 'td:contains("Stage of Case")').replace('Stage of Case', '').trim(),
-        
-        // Court details
-        benchType: this.extractText($, 'td:contains("Bench Type")').replace('Bench Type', '').trim(),
-        causelistType: this.extractText($, 'td:contains("Causelist Type")').replace('Causelist Type', '').trim(),
-        state: this.extractText($, 'td:contains("State")').replace('State', '').trim(),
-        district: this.extractText($, 'td:contains("District")').replace('District', '').trim(),
-        coram: this.extractText($, 'td:contains("Coram")').replace('Coram', '').trim(),
-        
-        // Parties information
-        petitioners: this.extractParties($, 'Petitioner'),
-        respondents: this.extractParties($, 'Respondent'),
-        
-        // Legal acts and sections
-        acts: this.extractActs($),
-        
-        // Category details
-        category: this.extractCategory($),
-        
-        // Lower court details
-        lowerCourt: this.extractLowerCourtDetails($),
-        
-        // Crime details
-        crimeDetails: this.extractCrimeDetails($),
-        
-        // IA Applications
-        iaApplications: this.extractIAApplications($),
-        
-        // Listing history
-        listingHistory: this.extractListingHistory($),
-        
-        // Raw data for backup
-        rawApiResponse: htmlData,
-        lastApiCheck: new Date(),
-        apiCheckCount: 1
-      };
-
-      // Generate hash for change detection
-      caseData.dataHash = this.generateDataHash(caseData);
-      
-      logger.info(`Successfully parsed case data for CINO: ${cino}`);
-      return caseData;
-      
-    } catch (error) {
-      logger.error(`Error parsing HTML for CINO ${cino}:`, error.message);
-      throw error;
-    }
+  async downloadDocument(url, adapterId) {
+    const adapter = this.getAdapter(adapterId);
+    const response = await this.requestWithRetry(adapter, `document download ${url}`, () => adapter.fetchDocument(url));
+    return response.data;
   }
 
   /**
-   * Extract case title from the HTML
+   * Fetch a cause list index or list page
+   * @param {string} url - Page URL from the adapter
+   * @param {string} adapterId - Court adapter id
+   * @returns {Promise<string>} Page HTML
    */
-  extractCaseTitle($) {
-    // Look for case title in various possible locations
-    let title = this.extractText($, 'h2, h3, .case-title, td:contains("APPLICATION")');
-    if (!title) {
-      // Try to extract from the first table row that contains case type info
-      title = $('td').filter((i, el) => {
-        const text = $(el).text();
-        return text.includes('APPLICATION') || text.includes('PETITION') || text.includes('APPEAL');
-      }).first().text().trim();
-    }
-    return title || 'Case Title Not Found';
+  async fetchCauseListPage(url, adapterId) {
+    const adapter = this.getAdapter(adapterId);
+    const response = await this.requestWithRetry(adapter, `cause list fetch ${url}`, () => adapter.fetchCauseListPage(url));
+    return response.data;
   }
 
   /**
-   * Extract parties (petitioners/respondents) information
+   * Run a court request through the rate limiter and circuit breaker, retrying
+   * with exponential backoff. Used for requests other than case fetches, which
+   * also need response classification and snapshots.
+   * @param {Object} adapter - Court adapter
+   * @param {string} description - What is being requested, for logs
+   * @param {Function} request - Async function making the request
+   * @returns {Promise<*>} Result of the request
    */
-  extractParties($, partyType) {
-    const parties = [];
-    const partySection = $(`td:contains("${partyType}")`).parent().next();
-    
-    if (partySection.length) {
-      const partyText = partySection.text();
-      const lines = partyText.split('\n').filter(line => line.trim());
-      
-      lines.forEach(line => {
-        const trimmedLine = line.trim();
-        if (trimmedLine && !trimmedLine.includes('Advocate')) {
-          const advocateMatch = lines.find(l => l.includes('Advocate') && l.includes(trimmedLine));
-          let advocate = { name: '', code: '' };
-          
-          if (advocateMatch) {
-            const advocateText = advocateMatch.replace('Advocate -', '').trim();
-            const codeMatch = advocateText.match(/\(([^)]+)\)/);
-            advocate.name = advocateText.replace(/\([^)]+\)/, '').trim();
-            advocate.code = codeMatch ? codeMatch[1] : '';
-          }
-          
-          parties.push({
-            name: trimmedLine,
-            advocate: advocate
-          });
-        }
-      });
-    }
-    
-    return parties;
-  }
+  async requestWithRetry(adapter, description, request) {
+    this.assertCourtAvailable(adapter);
 
-  /**
-   * Extract acts and sections
-   */
-  extractActs($) {
-    const acts = [];
-    const actsTable = $('table').filter((i, table) => {
-      return $(table).text().includes('Under Act(s)') && $(table).text().includes('Under Section(s)');
-    });
-    
-    if (actsTable.length) {
-      actsTable.find('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const actName = $(cells[0]).text().trim();
-          const sections = $(cells[1]).text().trim().split(',').map(s => s.trim());
-          
-          if (actName && actName !== 'Under Act(s)') {
-            acts.push({
-              actName: actName,
-              sections: sections
-            });
-          }
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      try {
+        return await this.callCourt(adapter, () => this.limiter.schedule(request));
+      } catch (error) {
+        if (this.getBreaker(adapter).isOpen()) {
+          throw new CourtUnavailableError(adapter.id, this.getBreaker(adapter).getStats());
         }
-      });
-    }
-    
-    return acts;
-  }
-
-  /**
-   * Extract category details
-   */
-  extractCategory($) {
-    const categoryText = this.extractText($, 'td:contains("Category")');
-    const subCategoryText = this.extractText($, 'td:contains("Sub Category")');
-    
-    // Clean up the extracted text
-    let mainCategory = categoryText.replace(/Category\s*:?\s*/i, '').trim();
-    let subCategory = subCategoryText.replace(/Sub\s*Category\s*:?\s*/i, '').trim();
-    
-    // If still empty, try alternative extraction
-    if (!mainCategory) {
-      const categoryCell = $('td').filter((i, el) => {
-        return $(el).text().toLowerCase().includes('category');
-      }).first();
-      if (categoryCell.length > 0) {
-        const cellText = categoryCell.text().trim();
-        mainCategory = cellText.replace(/Category\s*:?\s*/i, '').trim();
-      }
-    }
-    
-    if (!subCategory) {
-      const subCategoryCell = $('td').filter((i, el) => {
-        return $(el).text().toLowerCase().includes('sub category');
-      }).first();
-      if (subCategoryCell.length > 0) {
-        const cellText = subCategoryCell.text().trim();
-        subCategory = cellText.replace(/Sub\s*Category\s*:?\s*/i, '').trim();
+        // A client error will not change on retry
+        if (!this.isCourtFailure(error)) {
+          throw error;
+        }
+        logger.warn(`${description} attempt ${attempt} failed on ${adapter.id}:`, error.message);
+        if (attempt === this.retryAttempts) {
+          throw error;
+        }
+        await this.delay(1000 * Math.pow(2, attempt - 1));
       }
     }
-    
-    return {
-      main: mainCategory || '',
-      sub: subCategory || ''
-    };
   }
 
   /**
-   * Extract lower court details
+   * Make the court request for a CINO, waiting for the rate limiter
+   * @param {string} cino - CINO number
+   * @param {string} adapterId - Court adapter ID
+   * @returns {Promise<Object>} HTTP response
    */
-  extractLowerCourtDetails($) {
-    const caseNumberText = this.extractText($, 'td:contains("Case No. and Year")');
-    const decisionDateText = this.extractText($, 'td:contains("Decision Date")');
-    const districtText = this.extractText($, 'td:contains("District")');
-    
-    // Clean up the extracted text
-    let caseNumber = caseNumberText.replace(/Case\s*No\.\s*and\s*Year\s*:?\s*/i, '').trim();
-    let district = districtText.replace(/District\s*:?\s*/i, '').trim();
-    
-    // Extract case number and year if they're combined
-    let year = '';
-    if (caseNumber.includes('/')) {
-      const parts = caseNumber.split('/');
-      if (parts.length === 2) {
-        caseNumber = parts[0].trim();
-        year = parts[1].trim();
-      }
-    }
-    
-    return {
-      caseNumber: caseNumber || '',
-      year: year || '',
-      decisionDate: this.parseDate(decisionDateText),
-      district: district || ''
-    };
+  async makeRequest(cino, adapterId) {
+    const adapter = this.getAdapter(adapterId);
+    return await this.limiter.schedule(() => adapter.fetchCase(cino));
   }
 
   /**
-   * Extract crime details
+   * Parse a raw court page with the court's adapter
+   * @param {string} htmlData - Raw HTML data
+   * @param {string} cino - CINO number
+   * @param {string} adapterId - Court adapter ID
+   * @returns {Object} Parsed case data
    */
-  extractCrimeDetails($) {
-    const districtText = this.extractText($, 'td:contains("District")');
-    const policeStationText = this.extractText($, 'td:contains("Police Station")');
-    const crimeNumberText = this.extractText($, 'td:contains("Crime No.")');
-    const yearText = this.extractText($, 'td:contains("Year")');
-    
-    // Clean up the extracted text
-    let district = districtText.replace(/District\s*:?\s*/i, '').trim();
-    let policeStation = policeStationText.replace(/Police\s*Station\s*:?\s*/i, '').trim();
-    let crimeNumber = crimeNumberText.replace(/Crime\s*No\.\s*:?\s*/i, '').trim();
-    let year = yearText.replace(/Year\s*:?\s*/i, '').trim();
-    
-    // Extract crime number and year if they're combined
-    if (crimeNumber.includes('/') && !year) {
-      const parts = crimeNumber.split('/');
-      if (parts.length === 2) {
-        crimeNumber = parts[0].trim();
-        year = parts[1].trim();
-      }
-    }
-    
-    return {
-      district: district || '',
-      policeStation: policeStation || '',
-      crimeNumber: crimeNumber || '',
-      year: year || ''
-    };
+  parseHtmlToJson(htmlData, cino, adapterId) {
+    return this.getAdapter(adapterId).parseCase(htmlData, cino);
   }
 
   /**
-   * Extract IA Applications
+   * Reject responses the adapter classifies as anything but a case page
+   * @param {Object} adapter - Court adapter
+   * @param {string} cino - CINO that was requested
+   * @param {Object} response - HTTP response
+   * @throws {CourtResponseError} For not found, invalid CINO, maintenance and blocked pages
    */
-  extractIAApplications($) {
-    const applications = [];
-    const iaTable = $('table').filter((i, table) => {
-      return $(table).text().includes('IA Details') || $(table).text().includes('Application(s) Number');
-    });
-    
-    if (iaTable.length) {
-      iaTable.find('tr').slice(1).each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 3) {
-          const applicationText = $(cells[0]).text().trim();
-          const partyText = $(cells[1]).text().trim();
-          const filingDateText = $(cells[2]).text().trim();
-          const statusText = cells.length > 3 ? $(cells[3]).text().trim() : 'Pending';
-          
-          // Extract application number and classification
-          let applicationNumber = applicationText;
-          let classification = '';
-          
-          if (applicationText.includes('Classification')) {
-            const parts = applicationText.split('Classification');
-            applicationNumber = parts[0].trim();
-            classification = parts[1].replace(':', '').trim();
-          }
-          
-          // Extract applied by advocate from party text
-          let party = partyText;
-          let appliedBy = '';
-          
-          if (partyText.includes('Applied by (Advocate)')) {
-            const parts = partyText.split('Applied by (Advocate)');
-            party = parts[0].replace('Vs', 'vs').trim();
-            appliedBy = parts[1].replace(':', '').trim();
-          }
-          
-          applications.push({
-            applicationNumber: applicationNumber,
-            classification: classification,
-            party: party,
-            appliedBy: appliedBy,
-            filingDate: this.parseDate(filingDateText),
-            status: statusText || 'Pending'
-          });
-        }
-      });
-    }
-    
-    return applications;
-  }
+  checkResponseClass(adapter, cino, response) {
+    const { classification, reason } = adapter.classifyResponse(response ? response.data : '');
+    const ErrorType = RESPONSE_ERRORS[classification];
+    if (!ErrorType) return;
 
-  /**
-   * Extract listing history
-   */
-  extractListingHistory($) {
-    const history = [];
-    const historyTable = $('table').filter((i, table) => {
-      return $(table).text().includes('Listing History') || $(table).text().includes('Cause List Type');
-    });
-    
-    if (historyTable.length) {
-      historyTable.find('tr').slice(1).each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 3) {
-          const causeListType = $(cells[0]).text().trim();
-          const justiceText = $(cells[1]).text().trim();
-          const listingDateText = cells.length > 2 ? $(cells[2]).text().trim() : '';
-          const shortOrderText = cells.length > 3 ? $(cells[3]).text().trim() : '';
-          
-          // Extract bench ID from justice text
-          let justice = justiceText;
-          let benchId = '';
-          
-          if (justiceText.includes('(Bench ID:')) {
-            const benchMatch = justiceText.match(/\(Bench ID:(\d+)\)/);
-            if (benchMatch) {
-              benchId = benchMatch[1];
-              justice = justiceText.replace(/\(Bench ID:\d+\)/, '').trim();
-            }
-          }
-          
-          history.push({
-            causeListType: causeListType,
-            justice: justice,
-            benchId: benchId,
-            listingDate: this.parseDate(listingDateText),
-            shortOrder: shortOrderText
-          });
-        }
-      });
-    }
-    
-    return history.slice(0, 20); // Keep only last 20 entries
+    logger.warn(`${adapter.displayName} returned a ${classification} page for CINO ${cino}${reason ? ` (${reason})` : ''}`);
+    throw new ErrorType(cino, adapter.id, reason);
   }
 
   /**
-   * Generate hash for change detection
+   * Record the parse outcome and reject parses that look like layout drift
+   * @param {Object} caseData - Parsed case data with parseReport
+   * @param {Object} adapter - Court adapter that parsed it
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Reject drift without recording it or alerting
+   * @throws {ParserDriftError} When confidence is below the threshold
    */
-  generateDataHash(caseData) {
-    const crypto = require('crypto');
-    const dataString = JSON.stringify({
-      caseStatus: caseData.caseStatus,
-      nextHearingDate: caseData.nextHearingDate,
-      stageOfCase: caseData.stageOfCase,
-      coram: caseData.coram,
-      iaApplications: caseData.iaApplications,
-      listingHistory: caseData.listingHistory?.slice(-5)
-    });
-    return crypto.createHash('md5').update(dataString).digest('hex');
-  }
+  async checkParseReport(caseData, adapter, { dryRun = false } = {}) {
+    const report = caseData.parseReport;
+    if (!report) return;
 
-  /**
-   * Extract text from HTML elements using multiple selectors
-   * @param {Object} $ - Cheerio instance
-   * @param {string} selectors - CSS selectors separated by commas
-   * @returns {string} Extracted text
-   */
-  extractText($, selectors) {
-    const selectorArray = selectors.split(',').map(s => s.trim());
-    
-    for (const selector of selectorArray) {
-      const element = $(selector);
-      if (element.length > 0) {
-        return element.text().trim();
+    if (report.isSuspectedDrift) {
+      logger.warn(`Suspected layout drift for CINO ${caseData.cino}: confidence ${report.confidence}, missing ${report.labelsMissing.join(', ')}`);
+      if (!dryRun) {
+        await parserDriftService.recordDrift(caseData.cino, report, adapter.id);
       }
+      throw new ParserDriftError(caseData.cino, report);
     }
-    
-    // If no selector matches, try to find by text content in table cells
-    const textContent = $('td').filter((i, el) => {
-      const cellText = $(el).text().trim();
-      return cellText.includes(selectors.replace('td:contains("', '').replace('")', ''));
-    }).first();
-    
-    if (textContent.length > 0) {
-      // Try to get the value from the same cell (after the label)
-      const cellText = textContent.text().trim();
-      const labelText = selectors.replace('td:contains("', '').replace('")', '');
-      
-      if (cellText.includes(':')) {
-        // If there's a colon, get text after it
-        const parts = cellText.split(':');
-        if (parts.length > 1) {
-          return parts.slice(1).join(':').trim();
-        }
-      } else if (cellText.length > labelText.length) {
-        // Remove the label text from the beginning
-        return cellText.replace(labelText, '').trim();
-      }
-      
-      // Try to get value from next cell
-      const nextCell = textContent.next('td');
-      if (nextCell.length > 0) {
-        return nextCell.text().trim();
-      }
-      
-      // Try to get value from next sibling
-      const nextSibling = textContent.next();
-      if (nextSibling.length > 0) {
-        return nextSibling.text().trim();
-      }
-    }
-    
-    return '';
-  }
 
-  /**
-   * Parse date string to Date object
-   * @param {string} dateString - Date string
-   * @returns {Date|null} Parsed date or null
-   */
-  parseDate(dateString) {
-    if (!dateString || dateString.trim() === '') return null;
-    
-    try {
-      // Clean the date string
-      let cleanDate = dateString.replace(/[^\d\/\-\.\s]/g, '').trim();
-      
-      // Handle different date formats
-      if (cleanDate.includes('/')) {
-        // DD/MM/YYYY or MM/DD/YYYY format
-        const parts = cleanDate.split('/');
-        if (parts.length === 3) {
-          // Assume DD/MM/YYYY format (Indian standard)
-          const day = parseInt(parts[0]);
-          const month = parseInt(parts[1]) - 1; // Month is 0-indexed
-          const year = parseInt(parts[2]);
-          
-          if (year > 1900 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
-            return new Date(year, month, day);
-          }
-        }
-      } else if (cleanDate.includes('-')) {
-        // YYYY-MM-DD format
-        const date = new Date(cleanDate);
-        return isNaN(date.getTime()) ? null : date;
-      } else if (cleanDate.includes('.')) {
-        // DD.MM.YYYY format
-        const parts = cleanDate.split('.');
-        if (parts.length === 3) {
-          const day = parseInt(parts[0]);
-          const month = parseInt(parts[1]) - 1;
-          const year = parseInt(parts[2]);
-          
-          if (year > 1900 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
-            return new Date(year, month, day);
-          }
-        }
-      }
-      
-      // Try direct parsing as last resort
-      const date = new Date(cleanDate);
-      return isNaN(date.getTime()) ? null : date;
-      
-    } catch (error) {
-      logger.warn(`Error parsing date: ${dateString}`, error.message);
-      return null;
+    if (!dryRun) {
+      await parserDriftService.recordHealthyParse(caseData.cino, adapter.id);
     }
   }
 
@@ -577,16 +342,13 @@ class ApiService {
   }
 
   /**
-   * Validate CINO format
+   * Validate CINO format for a court
    * @param {string} cino - CINO to validate
+   * @param {string} adapterId - Court adapter ID
    * @returns {boolean} True if valid CINO format
    */
-  validateCino(cino) {
-    if (!cino || typeof cino !== 'string') return false;
-    
-    // Basic CINO validation - should be numeric and reasonable length
-    const cleanCino = cino.trim();
-    return /^\d{6,12}$/.test(cleanCino);
+  validateCino(cino, adapterId) {
+    return this.getAdapter(adapterId).validateCino(cino);
   }
 
   /**
@@ -595,47 +357,42 @@ class ApiService {
    */
   getApiStats() {
     return {
-      baseUrl: this.baseUrl,
-      timeout: this.timeout,
       retryAttempts: this.retryAttempts,
-      requestDelay: this.requestDelay
+      rateLimiter: this.limiter.getStats(),
+      circuitBreakers: this.getBreakerStats(),
+      defaultAdapter: this.defaultAdapterId,
+      adapters: courtAdapters.listAdapters()
     };
   }
 
   /**
-   * Test API connectivity
-   * @returns {Promise<boolean>} True if API is accessible
+   * Get circuit breaker state for every registered court
+   * @returns {Array} Breaker stats, one per adapter
    */
-  async testConnectivity() {
-    try {
-      const testCino = '123456'; // Test with a dummy CINO
-      const response = await this.makeRequest(testCino);
-      return response && response.status === 200;
-    } catch (error) {
-      logger.error('API connectivity test failed:', error.message);
-      return false;
-    }
+  getBreakerStats() {
+    return courtAdapters.listAdapters().map(({ id }) => this.getBreaker(this.getAdapter(id)).getStats());
   }
 
   /**
-   * Fetch case data using POST method (if required by the API)
-   * @param {Object} formData - Form data to submit
-   * @returns {Promise<Object>} HTTP response
+   * Change the court request rate limits at runtime
+   * @param {Object} limits - requestsPerMinute and/or maxConcurrency
+   * @returns {Object} Updated limiter statistics
    */
-  async fetchWithFormData(formData) {
-    const config = {
-      method: 'POST',
-      url: `${this.baseUrl}/case-search`,
-      data: formData,
-      timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      }
-    };
+  updateRateLimits({ requestsPerMinute, maxConcurrency } = {}) {
+    this.limiter.configure({ requestsPerMinute, maxConcurrency });
+    logger.info(`Court rate limits updated: ${this.limiter.requestsPerMinute}/min, concurrency ${this.limiter.maxConcurrency}`);
+    return this.limiter.getStats();
+  }
 
-    return await axios(config);
+  /**
+   * Test API connectivity
+   * @param {string} adapterId - Court adapter ID
+   * @returns {Promise<boolean>} True if API is accessible
+   */
+  async testConnectivity(adapterId) {
+    const adapter = this.getAdapter(adapterId);
+    return await this.limiter.schedule(() => adapter.testConnectivity());
   }
 }
 
-module.exports = new ApiService();
\ No newline at end of file
+module.exports = new ApiService();
@@ -0,0 +1,401 @@
+const CaseEvent = require('../models/CaseEvent');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Status and stage text meaning the case is over
+const DISPOSED = /dispos|decided|dismiss|allowed|withdrawn|abated/i;
+
+/**
+ * Short order phrases and the events they mean. The first matching pattern of
+ * a type wins, so stronger wording comes before weaker.
+ */
+const SHORT_ORDER_PATTERNS = [
+  { type: 'notice_issued', confidence: 'high', pattern: /\bissue\s+notice|\bnotice\s+(?:is\s+|be\s+)?issued/i },
+  { type: 'adjourned', confidence: 'high', pattern: /\badjourn/i },
+  { type: 'adjourned', confidence: 'medium', pattern: /\b(?:list|put\s+up)\s+(?:this\s+case\s+|the\s+case\s+|it\s+)?(?:again\s+)?(?:on|after|in|along)\b/i },
+  { type: 'adjourned', confidence: 'low', pattern: /\bnot\s+(?:taken\s+up|reached)\b/i },
+  { type: 'interim_order_granted', confidence: 'high', pattern: /\binterim\s+(?:order|relief|protection|stay)\s+(?:is\s+|be\s+)?(?:granted|allowed)/i },
+  { type: 'interim_order_granted', confidence: 'medium', pattern: /\bno\s+coercive\s+(?:action|steps?)|\b(?:stay|interim\s+(?:order|relief|protection))\b[^.]*\b(?:granted|allowed|shall\s+continue|extended)\b/i },
+  { type: 'interim_order_refused', confidence: 'medium', pattern: /\binterim\s+(?:order|relief|prayer|protection)\b[^.]*\b(?:refused|rejected|declined|denied)\b/i },
+  { type: 'counter_affidavit_time', confidence: 'high', pattern: /\bcounter[\s-]+affidavit\b[^.]*\b(?:weeks?|days?|time)\b|\b(?:weeks?|days?|time)\b[^.]*\bcounter[\s-]+affidavit/i },
+  { type: 'rejoinder_time', confidence: 'high', pattern: /\brejoinder\b[^.]*\b(?:weeks?|days?|time)\b|\b(?:weeks?|days?|time)\b[^.]*\brejoinder\b/i },
+  { type: 'judgment_reserved', confidence: 'high', pattern: /\b(?:judgment|orders?)\s+(?:is\s+|are\s+)?reserved/i },
+  { type: 'case_disposed', confidence: 'medium', pattern: /\b(?:petition|writ|appeal|revision|case|suit)\b[^.]*\b(?:disposed\s+of|dismissed|allowed|withdrawn)\b/i },
+  { type: 'case_disposed', confidence: 'low', pattern: /\b(?:disposed\s+of|dismissed)\b/i }
+];
+
+/**
+ * Typed case events from the changes found by ChangeDetectionService:
+ * status and stage moves, hearing dates, benches, listings, IA applications,
+ * orders, and what a listing's short order says happened. Events are stored
+ * per case so notifications, digests and analytics share one vocabulary.
+ */
+class CaseEventService {
+  constructor() {
+    this.eventTypes = {
+      case_disposed: 'Case disposed',
+      case_restored: 'Case restored',
+      status_changed: 'Status changed',
+      stage_changed: 'Stage changed',
+      hearing_fixed: 'Hearing date fixed',
+      hearing_rescheduled: 'Hearing rescheduled',
+      hearing_date_removed: 'Hearing date removed',
+      listed: 'Listed',
+      bench_changed: 'Listed before a new bench',
+      adjourned: 'Adjourned',
+      notice_issued: 'Notice issued',
+      interim_order_granted: 'Interim order granted',
+      interim_order_refused: 'Interim relief refused',
+      counter_affidavit_time: 'Time allowed for counter affidavit',
+      rejoinder_time: 'Time allowed for rejoinder',
+      judgment_reserved: 'Judgment reserved',
+      ia_filed: 'IA filed',
+      ia_disposed: 'IA disposed',
+      ia_status_changed: 'IA status changed',
+      order_uploaded: 'Order uploaded',
+      judgment_uploaded: 'Judgment uploaded'
+    };
+  }
+
+  /**
+   * Label of an event type
+   * @param {string} type - Event type
+   * @returns {string} Label for messages
+   */
+  label(type) {
+    return this.eventTypes[type] || type;
+  }
+
+  /**
+   * @param {*} value - Date or date string
+   * @returns {string} YYYY-MM-DD, or '' if value is not a date
+   */
+  dayKey(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {*} value - Date or date string
+   * @returns {string} Date as dd/mm/yyyy
+   */
+  formatDate(value) {
+    return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  }
+
+  /**
+   * Events of one check of a case
+   * @param {Object} oldCaseData - Stored case
+   * @param {Object} newCaseData - Fetched case data
+   * @param {Object} changeResult - From ChangeDetectionService.detectChanges
+   * @returns {Array<Object>} Events with type, confidence, source, summary, eventDate, details and key
+   */
+  classify(oldCaseData, newCaseData, changeResult) {
+    if (!changeResult || !changeResult.hasChanges) return [];
+
+    const detailed = changeResult.detailedChanges || {};
+    const events = [];
+    const add = event => {
+      if (!events.some(existing => existing.key === event.key)) {
+        events.push({ summary: this.label(event.type), details: {}, ...event });
+      }
+    };
+
+    if (detailed.caseStatus) this.classifyStatus(detailed.caseStatus, add);
+    if (detailed.stageOfCase) this.classifyStage(detailed.stageOfCase, add, events);
+    if (detailed.nextHearingDate) this.classifyHearingDate(detailed.nextHearingDate, add);
+    if (detailed.coram) {
+      add({
+        type: 'bench_changed',
+        confidence: 'high',
+        source: 'coram',
+        summary: `Listed before a new bench: ${detailed.coram.newValue || 'not set'}`,
+        details: { from: detailed.coram.oldValue || '', to: detailed.coram.newValue || '' },
+        key: `bench_changed:coram:${String(detailed.coram.newValue || '').trim().toLowerCase()}`
+      });
+    }
+    if (detailed.listingHistory && detailed.listingHistory.diff) {
+      this.classifyListings(oldCaseData.listingHistory, detailed.listingHistory.diff, add, events);
+    }
+    if (detailed.iaApplications && detailed.iaApplications.diff) {
+      this.classifyIaApplications(detailed.iaApplications.diff, add);
+    }
+    for (const order of (detailed.orders && detailed.orders.newOrders) || []) {
+      const type = order.documentType === 'judgment' ? 'judgment_uploaded' : 'order_uploaded';
+      add({
+        type,
+        confidence: 'high',
+        source: 'orders',
+        summary: order.orderDate ? `${this.label(type)}, dated ${this.formatDate(order.orderDate)}` : this.label(type),
+        eventDate: order.orderDate,
+        details: { sourceUrl: order.sourceUrl, orderDate: order.orderDate },
+        key: `${type}:${order.contentHash || order.sourceUrl}`
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * @param {Object} change - caseStatus field change
+   * @param {Function} add - Adds an event
+   */
+  classifyStatus(change, add) {
+    const from = String(change.oldValue || '');
+    const to = String(change.newValue || '');
+    const details = { from, to };
+    const key = `caseStatus:${to.trim().toLowerCase()}`;
+
+    if (DISPOSED.test(to) && !DISPOSED.test(from)) {
+      add({ type: 'case_disposed', confidence: 'high', source: 'caseStatus', summary: `Case disposed (${to})`, details, key: `case_disposed:${key}` });
+    } else if (DISPOSED.test(from) && !DISPOSED.test(to)) {
+      add({ type: 'case_restored', confidence: 'high', source: 'caseStatus', summary: `Case restored (${to})`, details, key: `case_restored:${key}` });
+    } else {
+      add({ type: 'status_changed', confidence: 'high', source: 'caseStatus', summary: `Status changed to ${to}`, details, key: `status_changed:${key}` });
+    }
+  }
+
+  /**
+   * @param {Object} change - stageOfCase field change
+   * @param {Function} add - Adds an event
+   * @param {Array} events - Events so far
+   */
+  classifyStage(change, add, events) {
+    const from = String(change.oldValue || '');
+    const to = String(change.newValue || '');
+    const stageKey = to.trim().toLowerCase();
+
+    add({
+      type: 'stage_changed',
+      confidence: 'high',
+      source: 'stageOfCase',
+      summary: `Stage changed to ${to || 'not set'}`,
+      details: { from, to },
+      key: `stage_changed:${stageKey}`
+    });
+
+    if (DISPOSED.test(to) && !events.some(event => event.type === 'case_disposed')) {
+      add({
+        type: 'case_disposed',
+        confidence: 'medium',
+        source: 'stageOfCase',
+        summary: `Case disposed (${to})`,
+        details: { from, to },
+        key: `case_disposed:stageOfCase:${stageKey}`
+      });
+    }
+  }
+
+  /**
+   * @param {Object} change - nextHearingDate field change
+   * @param {Function} add - Adds an event
+   */
+  classifyHearingDate(change, add) {
+    const from = this.dayKey(change.oldValue);
+    const to = this.dayKey(change.newValue);
+    const details = { from: from || null, to: to || null };
+
+    if (!to) {
+      add({ type: 'hearing_date_removed', confidence: 'medium', source: 'nextHearingDate', details, key: `hearing_date_removed:${from}` });
+      return;
+    }
+
+    const type = from ? 'hearing_rescheduled' : 'hearing_fixed';
+    add({
+      type,
+      confidence: 'high',
+      source: 'nextHearingDate',
+      summary: `${this.label(type)} for ${this.formatDate(change.newValue)}`,
+      eventDate: new Date(change.newValue),
+      details,
+      key: `${type}:${to}`
+    });
+  }
+
+  /**
+   * New listings, a bench other than the previous listing's, and what their short orders say
+   * @param {Array} oldListings - Stored listing history
+   * @param {Object} diff - From diffListingHistory
+   * @param {Function} add - Adds an event
+   * @param {Array} events - Events so far
+   */
+  classifyListings(oldListings, diff, add, events) {
+    const benchOf = listing => String(listing.benchId || listing.justice || '').trim().toLowerCase();
+    const listingKey = listing => `${this.dayKey(listing.listingDate)}:${benchOf(listing)}`;
+    const byDate = (a, b) => new Date(a.listingDate || 0) - new Date(b.listingDate || 0);
+
+    const previous = [...(oldListings || [])].sort(byDate).pop();
+    const added = [...diff.added].sort(byDate);
+
+    for (const listing of added) {
+      const day = listing.listingDate ? this.formatDate(listing.listingDate) : 'an unknown date';
+      const bench = listing.justice || (listing.benchId ? `Bench ${listing.benchId}` : '');
+      add({
+        type: 'listed',
+        confidence: 'high',
+        source: 'listingHistory',
+        summary: `Listed on ${day}${bench ? ` before ${bench}` : ''}`,
+        eventDate: listing.listingDate,
+        details: { causeListType: listing.causeListType, justice: listing.justice, benchId: listing.benchId },
+        key: `listed:${listingKey(listing)}:${String(listing.causeListType || '').trim().toLowerCase()}`
+      });
+    }
+
+    // The coram field already reports a new bench when the page sets it
+    const latest = added[added.length - 1];
+    if (latest && previous && benchOf(latest) && benchOf(previous) && benchOf(latest) !== benchOf(previous) &&
+        !events.some(event => event.type === 'bench_changed')) {
+      add({
+        type: 'bench_changed',
+        confidence: 'medium',
+        source: 'listingHistory',
+        summary: `Listed before a new bench: ${latest.justice || `Bench ${latest.benchId}`}`,
+        eventDate: latest.listingDate,
+        details: { from: previous.justice || previous.benchId, to: latest.justice || latest.benchId },
+        key: `bench_changed:${listingKey(latest)}`
+      });
+    }
+
+    const withOrders = [...added, ...diff.updated.map(({ listing }) => listing)]
+      .filter(listing => listing.shortOrder);
+    for (const listing of withOrders) {
+      for (const event of this.classifyShortOrder(listing.shortOrder)) {
+        add({
+          ...event,
+          source: 'listingHistory',
+          eventDate: listing.listingDate,
+          details: { shortOrder: listing.shortOrder, listingDate: listing.listingDate },
+          key: `${event.type}:${listingKey(listing)}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Events a short order's text reads as, at most one per type
+   * @param {string} text - Short order
+   * @returns {Array<Object>} type and confidence of each event
+   */
+  classifyShortOrder(text) {
+    const events = [];
+    for (const { type, confidence, pattern } of SHORT_ORDER_PATTERNS) {
+      if (pattern.test(text) && !events.some(event => event.type === type)) {
+        events.push({ type, confidence });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * @param {Object} diff - From diffIaApplications
+   * @param {Function} add - Adds an event
+   */
+  classifyIaApplications(diff, add) {
+    const label = application => application.classification
+      ? `IA ${application.applicationNumber} (${application.classification})`
+      : `IA ${application.applicationNumber}`;
+    const numberOf = application => String(application.applicationNumber || '').trim().toLowerCase();
+
+    for (const application of diff.added) {
+      add({
+        type: 'ia_filed',
+        confidence: 'high',
+        source: 'iaApplications',
+        summary: `${label(application)} filed`,
+        eventDate: application.filingDate,
+        details: { applicationNumber: application.applicationNumber, classification: application.classification },
+        key: `ia_filed:${numberOf(application)}`
+      });
+    }
+
+    for (const { application, from, to } of diff.statusChanges) {
+      const type = DISPOSED.test(to) || /reject/i.test(to) ? 'ia_disposed' : 'ia_status_changed';
+      add({
+        type,
+        confidence: 'high',
+        source: 'iaApplications',
+        summary: `${label(application)} ${type === 'ia_disposed' ? 'disposed' : 'moved'}: ${from || 'no status'} to ${to || 'no status'}`,
+        eventDate: application.disposalDate,
+        details: { applicationNumber: application.applicationNumber, classification: application.classification, from, to },
+        key: `${type}:${numberOf(application)}:${String(to).trim().toLowerCase()}`
+      });
+    }
+  }
+
+  /**
+   * Store a check's events; one already stored for the case is left as it is.
+   * Recording never fails the check: write errors are logged.
+   * @param {Object} caseDoc - Case document, for caseId and cino
+   * @param {Array<Object>} events - From classify
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @returns {Promise<number>} Events newly stored
+   */
+  async recordEvents(caseDoc, events, { runId } = {}) {
+    if (!events || events.length === 0) return 0;
+
+    try {
+      const detectedAt = new Date();
+      const result = await CaseEvent.bulkWrite(events.map(event => ({
+        updateOne: {
+          filter: { cino: caseDoc.cino, key: event.key },
+          update: {
+            $setOnInsert: {
+              caseId: caseDoc._id,
+              cino: caseDoc.cino,
+              type: event.type,
+              confidence: event.confidence,
+              source: event.source,
+              summary: event.summary,
+              eventDate: event.eventDate || detectedAt,
+              details: event.details,
+              key: event.key,
+              runId,
+              detectedAt
+            }
+          },
+          upsert: true
+        }
+      })));
+      return result.upsertedCount || 0;
+    } catch (error) {
+      logger.error(`Error recording events for case ${caseDoc.cino}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Stored events, newest first
+   * @param {Object} filter
+   * @param {string} filter.cino - Only this case
+   * @param {string} filter.type - Only this event type
+   * @param {string} filter.confidence - Only this confidence
+   * @param {number} filter.days - Only events detected in this many days
+   * @param {number} filter.limit - Most events
+   * @returns {Promise<Array>} Events
+   */
+  listEvents({ cino, type, confidence, days, limit = 50 } = {}) {
+    const query = {};
+    if (cino) query.cino = cino;
+    if (type) query.type = type;
+    if (confidence) query.confidence = confidence;
+    if (days) query.detectedAt = { $gte: new Date(Date.now() - days * DAY) };
+
+    return CaseEvent.find(query).sort({ detectedAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Events per type over recent days
+   * @param {Object} options
+   * @param {number} options.days - How far back
+   * @returns {Promise<Array>} type, label, total, counts per confidence and cases
+   */
+  async getStats({ days = 30 } = {}) {
+    const rows = await CaseEvent.countByType(new Date(Date.now() - days * DAY));
+    return rows.map(row => ({ ...row, label: this.label(row.type) }));
+  }
+}
+
+module.exports = new CaseEventService();
@@ -0,0 +1,232 @@
+const apiService = require('./apiService');
+const Case = require('../models/Case');
+const CauseListEntry = require('../models/CauseListEntry');
+const { CourtUnavailableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Downloads daily cause lists and stores where tracked cases are listed:
+ * court room, bench and item number, often before the case status page shows it
+ */
+class CauseListService {
+  constructor() {
+    // Index pages link one page per court room; this bounds a malformed index
+    this.maxPagesPerBench = 300;
+  }
+
+  /**
+   * Midnight in India on the list date
+   * @param {string|Date} value - YYYY-MM-DD or a date, defaults to today
+   * @returns {Date|null} List date, or null if value is not a date
+   */
+  toListDate(value) {
+    let ymd;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      ymd = value;
+    } else {
+      const date = value ? new Date(value) : new Date();
+      if (isNaN(date.getTime())) return null;
+      ymd = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    }
+
+    const listDate = new Date(`${ymd}T00:00:00+05:30`);
+    return isNaN(listDate.getTime()) ? null : listDate;
+  }
+
+  /**
+   * Download and parse every list page of one bench for a date
+   * @param {Object} adapter - Court adapter
+   * @param {string} benchId - Key of the adapter's causeListBenches
+   * @param {Date} listDate - List date
+   * @returns {Promise<Object>} published, pages, failedPages and entries
+   */
+  async fetchBenchEntries(adapter, benchId, listDate) {
+    const indexUrl = adapter.getCauseListUrl(benchId, listDate);
+    const result = { published: true, pages: 0, failedPages: 0, entries: [] };
+
+    let indexHtml;
+    try {
+      indexHtml = await apiService.fetchCauseListPage(indexUrl, adapter.id);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        result.published = false;
+        return result;
+      }
+      throw error;
+    }
+
+    // Some days the index is itself the list; otherwise it links one page per court
+    const pages = [{ url: indexUrl, html: indexHtml }];
+    const links = adapter.parseCauseListIndex(indexHtml, indexUrl).slice(0, this.maxPagesPerBench);
+
+    for (const url of links) {
+      try {
+        pages.push({ url, html: await apiService.fetchCauseListPage(url, adapter.id) });
+      } catch (error) {
+        if (error instanceof CourtUnavailableError) throw error;
+        logger.warn(`Failed to fetch cause list page ${url}:`, error.message);
+        result.failedPages++;
+      }
+    }
+
+    for (const page of pages) {
+      const { listType, entries } = adapter.parseCauseList(page.html);
+      result.entries.push(...entries.map(entry => ({ ...entry, listType, sourceUrl: page.url })));
+    }
+    result.pages = pages.length;
+
+    return result;
+  }
+
+  /**
+   * Index tracked cases by the reference cause lists use
+   * @param {Object} adapter - Court adapter
+   * @param {Array} cases - Cases with cino, cnr and caseTitle
+   * @returns {Map} caseReference -> cases
+   */
+  buildCaseIndex(adapter, cases) {
+    const index = new Map();
+    for (const caseDoc of cases) {
+      const reference = adapter.parseCaseReference(caseDoc.caseTitle);
+      if (!reference) continue;
+
+      const key = `${reference.caseType}/${reference.caseNumber}/${reference.year}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(caseDoc);
+    }
+    return index;
+  }
+
+  /**
+   * Pair list entries with tracked cases of the same bench. Case numbers repeat
+   * across benches, so a case only matches its own bench's list unless its
+   * bench is unknown.
+   * @param {Object} adapter - Court adapter
+   * @param {string} benchId - Bench the entries were listed at
+   * @param {Array} entries - Parsed entries
+   * @param {Map} caseIndex - From buildCaseIndex
+   * @returns {Array} { entry, caseDoc } pairs
+   */
+  matchEntries(adapter, benchId, entries, caseIndex) {
+    const matches = [];
+    for (const entry of entries) {
+      for (const caseDoc of caseIndex.get(entry.caseReference) || []) {
+        const caseBench = adapter.benchForCase(caseDoc);
+        if (caseBench && caseBench !== benchId) continue;
+        matches.push({ entry, caseDoc });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Store matched entries, updating ones already stored for the same list slot
+   * @param {Object} adapter - Court adapter
+   * @param {string} benchId - Bench id
+   * @param {Date} listDate - List date
+   * @param {Array} matches - From matchEntries
+   * @returns {Promise<number>} Entries written
+   */
+  async saveMatches(adapter, benchId, listDate, matches) {
+    if (matches.length === 0) return 0;
+
+    const operations = matches.map(({ entry, caseDoc }) => ({
+      updateOne: {
+        filter: {
+          listDate,
+          bench: benchId,
+          listType: entry.listType,
+          courtNumber: entry.courtNumber,
+          itemNumber: entry.itemNumber,
+          caseReference: entry.caseReference
+        },
+        update: {
+          $set: {
+            courtAdapter: adapter.id,
+            benchJustices: entry.bench,
+            connected: entry.connected,
+            rawText: entry.rawText,
+            sourceUrl: entry.sourceUrl,
+            caseId: caseDoc._id,
+            cino: caseDoc.cino
+          },
+          $setOnInsert: { matchedAt: new Date() }
+        },
+        upsert: true
+      }
+    }));
+
+    await CauseListEntry.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  }
+
+  /**
+   * Ingest the cause lists of a date and store where tracked cases are listed
+   * @param {Object} options
+   * @param {string|Date} options.date - List date, defaults to today
+   * @param {Array<string>} options.benches - Bench ids, defaults to all of the adapter's
+   * @param {string} options.adapterId - Court adapter id
+   * @returns {Promise<Object>} Per-bench summary
+   */
+  async ingest({ date, benches, adapterId } = {}) {
+    const adapter = apiService.getAdapter(adapterId);
+    const listDate = this.toListDate(date);
+    if (!listDate) {
+      throw new Error(`Invalid cause list date: ${date}`);
+    }
+
+    const benchIds = benches && benches.length > 0 ? benches : Object.keys(adapter.causeListBenches);
+    const unknown = benchIds.filter(id => !adapter.causeListBenches[id]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cause list bench: ${unknown.join(', ')}`);
+    }
+
+    const cases = await Case.find({ isActive: true, courtAdapter: adapter.id })
+      .select('cino cnr caseTitle')
+      .lean();
+    const caseIndex = this.buildCaseIndex(adapter, cases);
+
+    const summary = { listDate, courtAdapter: adapter.id, benches: {}, matched: 0 };
+
+    for (const benchId of benchIds) {
+      try {
+        const { entries, ...counts } = await this.fetchBenchEntries(adapter, benchId, listDate);
+        const matches = this.matchEntries(adapter, benchId, entries, caseIndex);
+        await this.saveMatches(adapter, benchId, listDate, matches);
+
+        summary.benches[benchId] = { ...counts, entries: entries.length, matches: matches.length };
+        summary.matched += matches.length;
+      } catch (error) {
+        logger.error(`Cause list ingestion failed for ${benchId}:`, error.message);
+        summary.benches[benchId] = { error: error.message };
+      }
+    }
+
+    logger.info(`Cause lists for ${listDate.toISOString().slice(0, 10)}: ${summary.matched} listing(s) of tracked cases`);
+    return summary;
+  }
+
+  /**
+   * Listings of a case from a date onwards
+   * @param {string} cino - CINO number
+   * @param {Date} fromDate - Earliest list date, defaults to today
+   * @returns {Promise<Array>} Entries, soonest first
+   */
+  getListingsForCase(cino, fromDate = this.toListDate()) {
+    return CauseListEntry.findListingsForCase(cino, fromDate).lean();
+  }
+
+  /**
+   * Stored listings of tracked cases for a date
+   * @param {Date} listDate - List date
+   * @param {string} bench - Optional bench id
+   * @returns {Promise<Array>} Entries by bench, court and item number
+   */
+  getListings(listDate, bench) {
+    const query = { listDate };
+    if (bench) query.bench = bench;
+    return CauseListEntry.find(query).sort({ bench: 1, courtNumber: 1, itemNumber: 1 }).lean();
+  }
+}
+
+module.exports = new CauseListService();
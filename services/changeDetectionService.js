@@ -1,11 +1,15 @@
 const logger = require('../utils/logger');
 const crypto = require('crypto');
+const { diffListingHistory, diffIaApplications } = require('../utils/caseDiff');
+const caseEventService = require('./caseEventService');
+const changeRuleService = require('./changeRuleService');
 
 /**
  * Service for detecting and analyzing changes in case data
  */
 class ChangeDetectionService {
   constructor() {
+    // Always compared; change rules can name more fields to compare
     this.significantFields = [
       'caseStatus',
       'nextHearingDate',
@@ -14,53 +18,58 @@ class ChangeDetectionService {
       'coram',
       'orderDetails',
       'listingHistory',
-      'iaApplications'
-    ];
-    
-    this.criticalFields = [
-      'caseStatus',
-      'nextHearingDate',
-      'stageOfCase'
+      'iaApplications',
+      'orders'
     ];
   }
 
   /**
-   * Detect changes between old and new case data
+   * Detect changes between old and new case data, read them as case events
+   * and rank them with the change rules
    * @param {Object} oldCaseData - Previous case data
    * @param {Object} newCaseData - New case data from API
+   * @param {Object} options
+   * @param {Array<Object>} options.rules - Compiled rules, the stored ones by default
    * @returns {Object} Change detection result
    */
-  detectChanges(oldCaseData, newCaseData) {
+  detectChanges(oldCaseData, newCaseData, { rules = changeRuleService.getRules() } = {}) {
     try {
       const changes = {
         hasChanges: false,
         hasCriticalChanges: false,
         changedFields: [],
         criticalChanges: [],
+        suppressedFields: [],
         detailedChanges: {},
+        events: [],
+        matchedRules: [],
         changesSummary: '',
         notificationPriority: 'low'
       };
 
-      // Compare each significant field
-      for (const field of this.significantFields) {
+      // Compare each significant field, and any other field a rule names
+      const fields = new Set([...this.significantFields, ...changeRuleService.getFields(rules)]);
+      for (const field of fields) {
         const fieldChange = this.compareField(field, oldCaseData[field], newCaseData[field]);
         
         if (fieldChange.hasChange) {
           changes.hasChanges = true;
           changes.changedFields.push(field);
           changes.detailedChanges[field] = fieldChange;
-
-          // Check if this is a critical change
-          if (this.criticalFields.includes(field)) {
-            changes.hasCriticalChanges = true;
-            changes.criticalChanges.push(field);
-          }
         }
       }
 
-      // Set notification priority based on changes
-      changes.notificationPriority = this.determineNotificationPriority(changes);
+      changes.events = caseEventService.classify(oldCaseData, newCaseData, changes);
+
+      // Rules set the priority, which fields are critical and which are suppressed
+      const ranking = changeRuleService.evaluate(changes, rules);
+      changes.matchedRules = ranking.matchedRules;
+      changes.suppressedFields = ranking.suppressedFields;
+      changes.criticalChanges = ranking.criticalFields;
+      changes.hasCriticalChanges = ranking.criticalFields.length > 0;
+      changes.notificationPriority = changes.hasChanges ? ranking.priority : 'none';
+      // Every change is saved, but one made only of suppressed fields is not notified
+      changes.isSuppressed = changes.hasChanges && ranking.notifiableFields.length === 0;
       
       // Generate changes summary
       changes.changesSummary = this.generateChangesSummary(changes);
@@ -113,21 +122,38 @@ class ChangeDetectionService {
         }
         break;
 
-      case 'listingHistory':
-        result.hasChange = this.compareArrays(oldValue, newValue);
+      case 'listingHistory': {
+        const diff = diffListingHistory(oldValue, newValue);
+        result.hasChange = diff.added.length > 0 || diff.updated.length > 0;
+        if (result.hasChange) {
+          result.changeType = 'array_change';
+          result.diff = diff;
+          result.description = this.describeListingChanges(diff).join('\n');
+        }
+        break;
+      }
+
+      case 'iaApplications': {
+        const diff = diffIaApplications(oldValue, newValue);
+        result.hasChange = diff.added.length > 0 || diff.removed.length > 0 || diff.statusChanges.length > 0;
         if (result.hasChange) {
           result.changeType = 'array_change';
-          result.description = `New entries added to listing history`;
+          result.diff = diff;
+          result.description = this.describeIaChanges(diff).join('\n');
         }
         break;
+      }
 
-      case 'iaApplications':
-        result.hasChange = this.compareArrays(oldValue, newValue);
+      case 'orders': {
+        const added = this.findNewOrders(oldValue, newValue);
+        result.hasChange = added.length > 0;
         if (result.hasChange) {
           result.changeType = 'array_change';
-          result.description = `IA applications updated`;
+          result.newOrders = added;
+          result.description = `${added.length} new ${added.length === 1 ? 'order' : 'orders'} uploaded`;
         }
         break;
+      }
 
       case 'caseStatus':
       case 'stageOfCase':
@@ -180,19 +206,65 @@ class ChangeDetectionService {
   }
 
   /**
-   * Compare array values
-   * @param {Array} oldArray - Old array
-   * @param {Array} newArray - New array
-   * @returns {boolean} True if arrays are different
+   * One line per new or updated listing
+   * @param {Object} diff - From diffListingHistory
+   * @returns {Array<string>} Description lines
    */
-  compareArrays(oldArray, newArray) {
-    if (!Array.isArray(oldArray)) oldArray = [];
-    if (!Array.isArray(newArray)) newArray = [];
-    
-    if (oldArray.length !== newArray.length) return true;
-    
-    // For listing history and IA applications, we mainly care about new entries
-    return newArray.length > oldArray.length;
+  describeListingChanges(diff) {
+    const lines = diff.added.map(listing => {
+      let line = `Listed on ${this.formatDate(listing.listingDate)}`;
+      if (listing.causeListType) line += ` in the ${listing.causeListType} list`;
+      if (listing.justice) line += ` before ${listing.justice}`;
+      if (listing.benchId) line += ` (Bench ID: ${listing.benchId})`;
+      if (listing.shortOrder) line += `, short order: ${listing.shortOrder}`;
+      return line;
+    });
+
+    for (const { listing } of diff.updated) {
+      lines.push(`Short order for the ${this.formatDate(listing.listingDate)} listing: ${listing.shortOrder || 'removed'}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * One line per new, removed or moved IA application
+   * @param {Object} diff - From diffIaApplications
+   * @returns {Array<string>} Description lines
+   */
+  describeIaChanges(diff) {
+    const label = application => application.classification
+      ? `IA ${application.applicationNumber} (${application.classification})`
+      : `IA ${application.applicationNumber}`;
+
+    return [
+      ...diff.added.map(application =>
+        `New ${label(application)} filed${application.filingDate ? ` on ${this.formatDate(application.filingDate)}` : ''}, ${application.status || 'Pending'}`
+      ),
+      ...diff.statusChanges.map(({ application, from, to }) =>
+        `${label(application)} moved from ${from || 'no status'} to ${to || 'no status'}`
+      ),
+      ...diff.removed.map(application => `${label(application)} is no longer shown on the case page`)
+    ];
+  }
+
+  /**
+   * Find orders that were not archived before, matched by source URL or file hash
+   * @param {Array} oldOrders - Previously archived orders
+   * @param {Array} newOrders - Orders after the latest sync
+   * @returns {Array} Newly uploaded orders
+   */
+  findNewOrders(oldOrders, newOrders) {
+    if (!Array.isArray(oldOrders)) oldOrders = [];
+    if (!Array.isArray(newOrders)) newOrders = [];
+
+    const known = new Set();
+    for (const order of oldOrders) {
+      if (order.sourceUrl) known.add(order.sourceUrl);
+      if (order.contentHash) known.add(order.contentHash);
+    }
+
+    return newOrders.filter(order => !known.has(order.sourceUrl) && !known.has(order.contentHash));
   }
 
   /**
@@ -228,32 +300,6 @@ class ChangeDetectionService {
     });
   }
 
-  /**
-   * Determine notification priority based on changes
-   * @param {Object} changes - Changes object
-   * @returns {string} Priority level
-   */
-  determineNotificationPriority(changes) {
-    if (!changes.hasChanges) return 'none';
-    
-    if (changes.hasCriticalChanges) {
-      // Check for specific critical scenarios
-      if (changes.criticalChanges.includes('nextHearingDate')) {
-        return 'urgent';
-      }
-      if (changes.criticalChanges.includes('caseStatus')) {
-        return 'high';
-      }
-      return 'high';
-    }
-    
-    if (changes.changedFields.includes('listingHistory')) {
-      return 'medium';
-    }
-    
-    return 'low';
-  }
-
   /**
    * Generate human-readable changes summary
    * @param {Object} changes - Changes object
@@ -265,23 +311,31 @@ class ChangeDetectionService {
     }
 
     const summaryParts = [];
+    // List fields describe each new or changed row on its own line
+    const addLines = (marker, change) => {
+      for (const line of change.description.split('\n')) {
+        summaryParts.push(`${marker} ${line}`);
+      }
+    };
     
     // Critical changes first
     if (changes.hasCriticalChanges) {
       for (const field of changes.criticalChanges) {
-        const change = changes.detailedChanges[field];
-        summaryParts.push(`🔴 ${change.description}`);
+        addLines('🔴', changes.detailedChanges[field]);
       }
     }
 
-    // Other significant changes
+    // Other significant changes; suppressed ones are left out
     for (const field of changes.changedFields) {
-      if (!changes.criticalChanges.includes(field)) {
-        const change = changes.detailedChanges[field];
-        summaryParts.push(`🔵 ${change.description}`);
+      if (!changes.criticalChanges.includes(field) && !changes.suppressedFields.includes(field)) {
+        addLines('🔵', changes.detailedChanges[field]);
       }
     }
 
+    if (summaryParts.length === 0) {
+      return `Only suppressed changes: ${changes.suppressedFields.join(', ')}`;
+    }
+
     return summaryParts.join('\n');
   }
 
@@ -0,0 +1,352 @@
+const ChangeRule = require('../models/ChangeRule');
+const caseEventService = require('./caseEventService');
+const logger = require('../utils/logger');
+
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+// Seeded into an empty collection; they match how changes were ranked before rules
+const DEFAULT_RULES = [
+  { name: 'Next hearing date changed', order: 10, match: { fields: ['nextHearingDate'] }, priority: 'urgent', critical: true },
+  { name: 'Case status changed', order: 20, match: { fields: ['caseStatus'] }, priority: 'high', critical: true },
+  { name: 'Stage changed', order: 30, match: { fields: ['stageOfCase'] }, priority: 'high', critical: true },
+  { name: 'New orders uploaded', order: 40, match: { fields: ['orders'] }, priority: 'high' },
+  { name: 'Listing history updated', order: 50, match: { fields: ['listingHistory'] }, priority: 'medium' }
+];
+
+/**
+ * Rules that rank detected changes. A rule matches changed fields, a field's
+ * transition, case events or short order text, and gives the fields it
+ * matched a priority, marks them critical or suppresses them from
+ * notifications. Rules live in MongoDB and are cached in memory so change
+ * detection stays synchronous.
+ */
+class ChangeRuleService {
+  constructor() {
+    // Priority of changes no rule matches
+    this.defaultPriority = 'low';
+    this.rules = DEFAULT_RULES.map(rule => this.compile(rule));
+    this.loadedAt = null;
+    // Rules are edited through any instance, so the cache is re-read this often
+    this.refreshMs = 5 * 60 * 1000;
+  }
+
+  /**
+   * Read the enabled rules into the cache
+   */
+  async load() {
+    const rules = await ChangeRule.find({ enabled: true }).sort({ order: 1, name: 1 }).lean();
+    this.rules = rules.map(rule => this.compile(rule));
+    this.loadedAt = new Date();
+    logger.info(`Loaded ${this.rules.length} change rules`);
+  }
+
+  /**
+   * Re-read the rules if the cache is older than refreshMs. The cached rules
+   * stay in use when the read fails.
+   */
+  async ensureLoaded() {
+    if (this.loadedAt && Date.now() - this.loadedAt.getTime() <= this.refreshMs) return;
+
+    try {
+      await this.load();
+    } catch (error) {
+      logger.error('Error loading change rules:', error.message);
+    }
+  }
+
+  /**
+   * Seed the default rules into an empty collection, then load the rules
+   */
+  async init() {
+    try {
+      if (await ChangeRule.countDocuments({}) === 0) {
+        await ChangeRule.insertMany(DEFAULT_RULES);
+        logger.info(`Seeded ${DEFAULT_RULES.length} default change rules`);
+      }
+      await this.load();
+    } catch (error) {
+      logger.error('Error loading change rules:', error.message);
+    }
+  }
+
+  /**
+   * Validate a rule
+   * @param {Object} rule - name, match, and priority, critical or suppress
+   * @returns {Object} Rule with only known properties
+   * @throws {Error} If the rule matches nothing, does nothing or has a bad pattern
+   */
+  normalizeRule(rule = {}) {
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name) {
+      throw new Error('Every change rule needs a name');
+    }
+
+    const match = rule.match || {};
+    const normalized = {};
+    for (const list of ['fields', 'events']) {
+      if (match[list] === undefined) continue;
+      if (!Array.isArray(match[list]) || match[list].length === 0 || !match[list].every(value => typeof value === 'string' && value)) {
+        throw new Error(`Rule ${name}: match.${list} must be a non-empty array of names`);
+      }
+      normalized[list] = match[list];
+    }
+
+    const unknownEvents = (normalized.events || []).filter(type => !caseEventService.eventTypes[type]);
+    if (unknownEvents.length > 0) {
+      throw new Error(`Rule ${name}: unknown event types ${unknownEvents.join(', ')}`);
+    }
+
+    if (match.minConfidence !== undefined) {
+      if (!CONFIDENCE_RANK[match.minConfidence]) {
+        throw new Error(`Rule ${name}: minConfidence must be high, medium or low`);
+      }
+      normalized.minConfidence = match.minConfidence;
+    }
+
+    if (match.transition) {
+      const { field, from, to } = match.transition;
+      if (!field || (from === undefined && to === undefined)) {
+        throw new Error(`Rule ${name}: a transition needs a field and from or to`);
+      }
+      normalized.transition = { field, from, to };
+    }
+
+    if (match.shortOrderPattern !== undefined) {
+      normalized.shortOrderPattern = match.shortOrderPattern;
+    }
+
+    for (const pattern of [normalized.transition?.from, normalized.transition?.to, normalized.shortOrderPattern]) {
+      if (pattern === undefined) continue;
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Rule ${name}: invalid pattern ${pattern}: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new Error(`Rule ${name} matches nothing; give fields, transition, events, minConfidence or shortOrderPattern`);
+    }
+
+    if (rule.priority !== undefined && !PRIORITIES.slice(1).includes(rule.priority)) {
+      throw new Error(`Rule ${name}: priority must be urgent, high, medium or low`);
+    }
+    if (!rule.priority && !rule.critical && !rule.suppress) {
+      throw new Error(`Rule ${name} does nothing; give a priority, critical or suppress`);
+    }
+
+    return {
+      name,
+      description: rule.description,
+      enabled: rule.enabled !== false,
+      order: rule.order !== undefined ? Number(rule.order) : 100,
+      match: normalized,
+      priority: rule.priority,
+      critical: Boolean(rule.critical),
+      suppress: Boolean(rule.suppress)
+    };
+  }
+
+  /**
+   * Rule with its patterns compiled, ready to evaluate
+   * @param {Object} rule - Stored or normalized rule
+   * @returns {Object} Compiled rule
+   */
+  compile(rule) {
+    const match = rule.match || {};
+    const toRegExp = pattern => (pattern === undefined || pattern === null ? null : new RegExp(pattern, 'i'));
+
+    return {
+      ...rule,
+      patterns: {
+        from: toRegExp(match.transition && match.transition.from),
+        to: toRegExp(match.transition && match.transition.to),
+        shortOrder: toRegExp(match.shortOrderPattern)
+      }
+    };
+  }
+
+  /**
+   * Compile rules given by an admin, such as candidates for the test endpoint
+   * @param {Array<Object>} rules - Unsaved rules
+   * @returns {Array<Object>} Compiled rules in their order
+   */
+  compileRules(rules) {
+    return rules
+      .map(rule => this.normalizeRule(rule))
+      .sort((a, b) => a.order - b.order)
+      .map(rule => this.compile(rule));
+  }
+
+  /**
+   * Cached rules
+   * @returns {Array<Object>} Compiled enabled rules
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Fields rules name, which change detection compares on top of its own
+   * @param {Array<Object>} rules - Compiled rules
+   * @returns {Array<string>} Field names
+   */
+  getFields(rules = this.rules) {
+    const fields = new Set();
+    for (const { match = {} } of rules) {
+      (match.fields || []).forEach(field => fields.add(field));
+      if (match.transition && match.transition.field) fields.add(match.transition.field);
+    }
+    return [...fields];
+  }
+
+  /**
+   * Text of a field value for transition patterns
+   * @param {*} value - Field value
+   * @returns {string}
+   */
+  valueText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+  }
+
+  /**
+   * The changed fields a rule matches
+   * @param {Object} rule - Compiled rule
+   * @param {Object} changes - Changes with changedFields, detailedChanges and events
+   * @returns {Array<string>|null} Matched fields, or null if the rule does not match
+   */
+  matchRule(rule, changes) {
+    const match = rule.match || {};
+    const targets = new Set();
+
+    if (match.fields) {
+      const fields = match.fields.filter(field => changes.changedFields.includes(field));
+      if (fields.length === 0) return null;
+      fields.forEach(field => targets.add(field));
+    }
+
+    if (match.transition && match.transition.field) {
+      const change = changes.detailedChanges[match.transition.field];
+      if (!change) return null;
+      if (rule.patterns.from && !rule.patterns.from.test(this.valueText(change.oldValue))) return null;
+      if (rule.patterns.to && !rule.patterns.to.test(this.valueText(change.newValue))) return null;
+      targets.add(match.transition.field);
+    }
+
+    if (match.events || match.minConfidence) {
+      const minimum = CONFIDENCE_RANK[match.minConfidence] || CONFIDENCE_RANK.low;
+      const events = (changes.events || []).filter(event =>
+        (!match.events || match.events.includes(event.type)) && CONFIDENCE_RANK[event.confidence] >= minimum
+      );
+      if (events.length === 0) return null;
+      events.forEach(event => targets.add(event.source));
+    }
+
+    if (rule.patterns.shortOrder) {
+      const diff = changes.detailedChanges.listingHistory && changes.detailedChanges.listingHistory.diff;
+      const shortOrders = diff
+        ? [...diff.added, ...diff.updated.map(({ listing }) => listing)].map(listing => listing.shortOrder || '')
+        : [];
+      if (!shortOrders.some(text => rule.patterns.shortOrder.test(text))) return null;
+      targets.add('listingHistory');
+    }
+
+    return [...targets];
+  }
+
+  /**
+   * Apply rules to detected changes. Suppressed fields stay out of
+   * notifications; a rule only ranks the change through fields that are not
+   * suppressed. The highest priority of those rules wins, and defaultPriority
+   * is the least a notifiable change gets.
+   * @param {Object} changes - Changes with changedFields, detailedChanges and events
+   * @param {Array<Object>} rules - Compiled rules, the cached ones by default
+   * @returns {Object} matchedRules, notifiableFields, suppressedFields, criticalFields and priority
+   */
+  evaluate(changes, rules = this.rules) {
+    const matches = [];
+    for (const rule of rules) {
+      const targets = this.matchRule(rule, changes);
+      if (targets) matches.push({ rule, targets });
+    }
+
+    const suppressed = new Set(matches
+      .filter(({ rule }) => rule.suppress)
+      .flatMap(({ targets }) => targets));
+    const notifiableFields = changes.changedFields.filter(field => !suppressed.has(field));
+
+    let priority = notifiableFields.length > 0 ? this.defaultPriority : 'none';
+    const criticalFields = new Set();
+    for (const { rule, targets } of matches) {
+      if (rule.suppress) continue;
+      const live = targets.filter(field => !suppressed.has(field));
+      if (live.length === 0) continue;
+
+      if (PRIORITIES.indexOf(rule.priority) > PRIORITIES.indexOf(priority)) {
+        priority = rule.priority;
+      }
+      if (rule.critical) live.forEach(field => criticalFields.add(field));
+    }
+
+    return {
+      matchedRules: matches.map(({ rule, targets }) => ({
+        name: rule.name,
+        priority: rule.priority,
+        critical: Boolean(rule.critical),
+        suppress: Boolean(rule.suppress),
+        fields: targets
+      })),
+      notifiableFields,
+      suppressedFields: changes.changedFields.filter(field => suppressed.has(field)),
+      criticalFields: notifiableFields.filter(field => criticalFields.has(field)),
+      priority
+    };
+  }
+
+  /**
+   * Stored rules, enabled or not
+   * @returns {Promise<Array>} Rules in order
+   */
+  listRules() {
+    return ChangeRule.find({}).sort({ order: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule to validate and store
+   * @returns {Promise<Object>} Stored rule
+   */
+  async addRule(rule) {
+    const created = await ChangeRule.create(this.normalizeRule(rule));
+    await this.load();
+    return created;
+  }
+
+  /**
+   * Replace a rule
+   * @param {string} id - Rule ID
+   * @param {Object} rule - Rule to validate and store
+   * @returns {Promise<Object|null>} Updated rule, or null if not found
+   */
+  async updateRule(id, rule) {
+    const updated = await ChangeRule.findByIdAndUpdate(id, { $set: this.normalizeRule(rule) }, { new: true });
+    if (updated) await this.load();
+    return updated;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object|null>} Deleted rule
+   */
+  async removeRule(id) {
+    const removed = await ChangeRule.findByIdAndDelete(id);
+    if (removed) await this.load();
+    return removed;
+  }
+}
+
+module.exports = new ChangeRuleService();
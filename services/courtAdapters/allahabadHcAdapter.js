@@ -0,0 +1,1039 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const BaseCourtAdapter = require('./baseCourtAdapter');
+const logger = require('../../utils/logger');
+
+/**
+ * Adapter for the Allahabad High Court status_ccms case status pages
+ */
+class AllahabadHcAdapter extends BaseCourtAdapter {
+  constructor() {
+    super({
+      id: 'allahabad_hc',
+      displayName: 'Allahabad High Court',
+      parserVersion: '1.3.1'
+    });
+
+    this.baseUrl = 'https://allahabadhighcourt.in/apps/status_ccms/index.php/get_CaseDetails';
+    this.searchBaseUrl = 'https://allahabadhighcourt.in/apps/status_ccms/index.php';
+    this.timeout = 30000; // 30 seconds timeout
+
+    // Form actions of the status_ccms search tabs, one per search kind
+    this.searchPaths = {
+      case_number: 'get_CaseTypeWise',
+      party: 'get_PartyWise',
+      advocate: 'get_AdvocateWise'
+    };
+
+    // Labels every case status page carries; missing ones lower the parse confidence
+    this.expectedLabels = [
+      'CNR',
+      'Filing No.',
+      'Filing Date',
+      'Date of Registration',
+      'Case Status',
+      'First Hearing Date',
+      'Next Hearing Date',
+      'Stage of Case',
+      'Bench Type',
+      'Causelist Type',
+      'Coram'
+    ];
+
+    // Daily cause lists of the principal seat and the Lucknow bench. {date} is
+    // replaced with the list date as DD-MM-YYYY; cnrPrefix tells which bench a case belongs to.
+    this.causeListBenches = {
+      allahabad: {
+        displayName: 'Allahabad',
+        cnrPrefix: 'UPHC01',
+        indexUrl: process.env.CAUSE_LIST_ALLAHABAD_URL || 'https://allahabadhighcourt.in/causelist/index.php?bench=A&date={date}'
+      },
+      lucknow: {
+        displayName: 'Lucknow',
+        cnrPrefix: 'UPHC02',
+        indexUrl: process.env.CAUSE_LIST_LUCKNOW_URL || 'https://allahabadhighcourt.in/causelist/index.php?bench=L&date={date}'
+      }
+    };
+
+    // Parses scoring below this are treated as suspected layout drift
+    this.driftThreshold = parseFloat(process.env.PARSER_DRIFT_THRESHOLD) || 0.7;
+
+    // Phrases that identify pages other than a case status page, checked in order.
+    // Captcha widgets are matched in the markup since their text is often just an image.
+    this.responsePatterns = [
+      { classification: 'blocked', pattern: /captcha/i, inMarkup: true },
+      { classification: 'blocked', pattern: /access denied|request rejected|too many requests|attention required/i },
+      { classification: 'maintenance', pattern: /under maintenance|temporarily unavailable|service unavailable|scheduled downtime/i },
+      { classification: 'invalid_cino', pattern: /invalid cino|invalid case (?:number|no)|enter (?:a )?valid cino/i },
+      { classification: 'not_found', pattern: /no record(?:s)? found|record not found|case (?:does not exist|not found)|no data found/i }
+    ];
+  }
+
+  /**
+   * Validate CINO format
+   * @param {string} cino - CINO to validate
+   * @returns {boolean} True if valid CINO format
+   */
+  validateCino(cino) {
+    if (!cino || typeof cino !== 'string') return false;
+    
+    // Basic CINO validation - should be numeric and reasonable length
+    const cleanCino = cino.trim();
+    return /^\d{6,12}$/.test(cleanCino);
+  }
+
+  /**
+   * Classify a get_CaseDetails response before parsing
+   * @param {string} htmlData - Raw HTML data
+   * @returns {Object} { classification, reason }
+   */
+  classifyResponse(htmlData) {
+    const html = htmlData || '';
+    const text = cheerio.load(html)('body').text().replace(/\s+/g, ' ').trim();
+
+    // A page with case labels is a case, even if a sub-table says "No Record Found"
+    if (text.includes('CNR') && text.includes('Case Status')) {
+      return { classification: 'valid', reason: null };
+    }
+
+    for (const { classification, pattern, inMarkup } of this.responsePatterns) {
+      const match = (inMarkup ? html : text).match(pattern);
+      if (match) {
+        return { classification, reason: match[0] };
+      }
+    }
+
+    if (!text) {
+      return { classification: 'not_found', reason: 'Empty response body' };
+    }
+
+    // Unrecognised pages go on to parsing, where drift detection judges them
+    return { classification: 'valid', reason: null };
+  }
+
+  /**
+   * Make HTTP POST request to fetch case data
+   * @param {string} cino - CINO number
+   * @returns {Promise<Object>} HTTP response
+   */
+  async fetchCase(cino) {
+    const formData = new URLSearchParams();
+    formData.append('cino', cino);
+    formData.append('source', 'undefined');
+
+    const config = {
+      method: 'POST',
+      url: this.baseUrl,
+      data: formData,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'same-origin'
+      }
+    };
+
+    return await axios(config);
+  }
+
+  /**
+   * Parse HTML response to structured JSON
+   * @param {string} htmlData - Raw HTML data
+   * @param {string} cino - CINO number
+   * @returns {Object} Parsed case data
+   */
+  parseCase(htmlData, cino) {
+    try {
+      const $ = cheerio.load(htmlData);
+      
+      // Extract basic case information
+      const caseData = {
+        cino: cino,
+        courtAdapter: this.id,
+        cnr: this.extractText($, 'td:contains("CNR")').replace('CNR', '').trim(),
+        filingNumber: this.extractText($, 'td:contains("Filing No.")').replace('Filing No.', '').trim(),
+        filingDate: this.parseDate(this.extractText($, 'td:contains("Filing Date")')),
+        registrationDate: this.parseDate(this.extractText($, 'td:contains("Date of Registration")')),
+        caseStatus: this.extractText($, 'td:contains("Case Status")').replace('Case Status', '').trim(),
+        caseTitle: this.extractCaseTitle($),
+        
+        // Hearing information
+        firstHearingDate: this.parseDate(this.extractText($, 'td:contains("First Hearing Date")')),
+        nextHearingDate: this.parseDate(this.extractText($, 'td:contains("Next Hearing Date")')),
+        stageOfCase: this.extractText($, 'td:contains("Stage of Case")').replace('Stage of Case', '').trim(),
+        
+        // Court details
+        benchType: this.extractText($, 'td:contains("Bench Type")').replace('Bench Type', '').trim(),
+        causelistType: this.extractText($, 'td:contains("Causelist Type")').replace('Causelist Type', '').trim(),
+        state: this.extractText($, 'td:contains("State")').replace('State', '').trim(),
+        district: this.extractText($, 'td:contains("District")').replace('District', '').trim(),
+        coram: this.extractText($, 'td:contains("Coram")').replace('Coram', '').trim(),
+        
+        // Parties information
+        petitioners: this.extractParties($, 'Petitioner'),
+        respondents: this.extractParties($, 'Respondent'),
+        
+        // Legal acts and sections
+        acts: this.extractActs($),
+        
+        // Category details
+        category: this.extractCategory($),
+        
+        // Lower court details
+        lowerCourt: this.extractLowerCourtDetails($),
+        
+        // Crime details
+        crimeDetails: this.extractCrimeDetails($),
+        
+        // IA Applications
+        iaApplications: this.extractIAApplications($),
+        
+        // Listing history
+        listingHistory: this.extractListingHistory($),
+        
+        // Linked order and judgment documents, downloaded separately
+        orderLinks: this.extractOrderLinks($),
+        
+        // Raw data for backup
+        rawApiResponse: htmlData,
+        parserVersion: this.parserVersion,
+        lastApiCheck: new Date(),
+        apiCheckCount: 1
+      };
+
+      // Completeness report used for layout drift detection
+      caseData.parseReport = this.buildParseReport($);
+
+      // Generate hash for change detection
+      caseData.dataHash = this.generateDataHash(caseData);
+      
+      logger.info(`Successfully parsed case data for CINO: ${cino}`);
+      return caseData;
+      
+    } catch (error) {
+      logger.error(`Error parsing HTML for CINO ${cino}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a completeness report for a parsed page
+   * @param {Object} $ - Cheerio instance
+   * @returns {Object} Labels found, tables matched and a confidence score
+   */
+  buildParseReport($) {
+    const cellTexts = $('td, th').map((i, el) => $(el).text()).get();
+    const hasLabel = label => cellTexts.some(text => text.includes(label));
+    const hasTable = (...markers) => $('table').filter((i, table) => {
+      const text = $(table).text();
+      return markers.some(marker => text.includes(marker));
+    }).length > 0;
+
+    const labelsFound = this.expectedLabels.filter(hasLabel);
+    const labelsMissing = this.expectedLabels.filter(label => !labelsFound.includes(label));
+
+    const tables = {
+      parties: hasLabel('Petitioner') && hasLabel('Respondent'),
+      acts: hasTable('Under Act(s)'),
+      iaApplications: hasTable('IA Details', 'Application(s) Number'),
+      listingHistory: hasTable('Listing History', 'Cause List Type')
+    };
+
+    // Only the parties table is on every page; the others depend on the case
+    const checks = this.expectedLabels.length + 1;
+    const passed = labelsFound.length + (tables.parties ? 1 : 0);
+    const confidence = Math.round((passed / checks) * 100) / 100;
+
+    return {
+      labelsFound,
+      labelsMissing,
+      tables,
+      confidence,
+      threshold: this.driftThreshold,
+      isSuspectedDrift: confidence < this.driftThreshold
+    };
+  }
+
+  /**
+   * Extract case title from the HTML
+   */
+  extractCaseTitle($) {
+    // Look for case title in various possible locations
+    let title = this.extractText($, 'h2, h3, .case-title, td:contains("APPLICATION")');
+    if (!title) {
+      // Try to extract from the first table row that contains case type info
+      title = $('td').filter((i, el) => {
+        const text = $(el).text();
+        return text.includes('APPLICATION') || text.includes('PETITION') || text.includes('APPEAL');
+      }).first().text().trim();
+    }
+    return title || 'Case Title Not Found';
+  }
+
+  /**
+   * Extract parties (petitioners/respondents) information
+   */
+  extractParties($, partyType) {
+    const parties = [];
+    const partySection = $(`td:contains("${partyType}")`).parent().next();
+    
+    if (partySection.length) {
+      const partyText = partySection.text();
+      const lines = partyText.split('\n').filter(line => line.trim());
+      
+      lines.forEach(line => {
+        const trimmedLine = line.trim();
+        if (trimmedLine && !trimmedLine.includes('Advocate')) {
+          const advocateMatch = lines.find(l => l.includes('Advocate') && l.includes(trimmedLine));
+          let advocate = { name: '', code: '' };
+          
+          if (advocateMatch) {
+            let advocateText = advocateMatch.replace('Advocate -', '').trim();
+            // The court repeats the party's name before the advocate's
+            if (advocateText.startsWith(trimmedLine)) {
+              advocateText = advocateText.slice(trimmedLine.length).trim();
+            }
+            const codeMatch = advocateText.match(/\(([^)]+)\)/);
+            advocate.name = advocateText.replace(/\([^)]+\)/, '').trim();
+            advocate.code = codeMatch ? codeMatch[1] : '';
+          }
+          
+          parties.push({
+            name: trimmedLine,
+            advocate: advocate
+          });
+        }
+      });
+    }
+    
+    return parties;
+  }
+
+  /**
+   * Extract acts and sections
+   */
+  extractActs($) {
+    const acts = [];
+    const actsTable = $('table').filter((i, table) => {
+      return $(table).text().includes('Under Act(s)') && $(table).text().includes('Under Section(s)');
+    });
+    
+    if (actsTable.length) {
+      actsTable.find('tr').each((i, row) => {
+        const cells = $(row).find('td');
+        if (cells.length >= 2) {
+          const actName = $(cells[0]).text().trim();
+          const sections = $(cells[1]).text().trim().split(',').map(s => s.trim());
+          
+          if (actName && actName !== 'Under Act(s)') {
+            acts.push({
+              actName: actName,
+              sections: sections
+            });
+          }
+        }
+      });
+    }
+    
+    return acts;
+  }
+
+  /**
+   * Extract category details
+   */
+  extractCategory($) {
+    const categoryText = this.extractText($, 'td:contains("Category")');
+    const subCategoryText = this.extractText($, 'td:contains("Sub Category")');
+    
+    // Clean up the extracted text
+    let mainCategory = categoryText.replace(/Category\s*:?\s*/i, '').trim();
+    let subCategory = subCategoryText.replace(/Sub\s*Category\s*:?\s*/i, '').trim();
+    
+    // If still empty, try alternative extraction
+    if (!mainCategory) {
+      const categoryCell = $('td').filter((i, el) => {
+        return $(el).text().toLowerCase().includes('category');
+      }).first();
+      if (categoryCell.length > 0) {
+        const cellText = categoryCell.text().trim();
+        mainCategory = cellText.replace(/Category\s*:?\s*/i, '').trim();
+      }
+    }
+    
+    if (!subCategory) {
+      const subCategoryCell = $('td').filter((i, el) => {
+        return $(el).text().toLowerCase().includes('sub category');
+      }).first();
+      if (subCategoryCell.length > 0) {
+        const cellText = subCategoryCell.text().trim();
+        subCategory = cellText.replace(/Sub\s*Category\s*:?\s*/i, '').trim();
+      }
+    }
+    
+    return {
+      main: mainCategory || '',
+      sub: subCategory || ''
+    };
+  }
+
+  /**
+   * Extract lower court details
+   */
+  extractLowerCourtDetails($) {
+    const caseNumberText = this.extractText($, 'td:contains("Case No. and Year")');
+    const decisionDateText = this.extractText($, 'td:contains("Decision Date")');
+    const districtText = this.extractText($, 'td:contains("District")');
+    
+    // Clean up the extracted text
+    let caseNumber = caseNumberText.replace(/Case\s*No\.\s*and\s*Year\s*:?\s*/i, '').trim();
+    let district = districtText.replace(/District\s*:?\s*/i, '').trim();
+    
+    // Extract case number and year if they're combined
+    let year = '';
+    if (caseNumber.includes('/')) {
+      const parts = caseNumber.split('/');
+      if (parts.length === 2) {
+        caseNumber = parts[0].trim();
+        year = parts[1].trim();
+      }
+    }
+    
+    return {
+      caseNumber: caseNumber || '',
+      year: year || '',
+      decisionDate: this.parseDate(decisionDateText),
+      district: district || ''
+    };
+  }
+
+  /**
+   * Extract crime details
+   */
+  extractCrimeDetails($) {
+    const districtText = this.extractText($, 'td:contains("District")');
+    const policeStationText = this.extractText($, 'td:contains("Police Station")');
+    const crimeNumberText = this.extractText($, 'td:contains("Crime No.")');
+    const yearText = this.extractText($, 'td:contains("Year")');
+    
+    // Clean up the extracted text
+    let district = districtText.replace(/District\s*:?\s*/i, '').trim();
+    let policeStation = policeStationText.replace(/Police\s*Station\s*:?\s*/i, '').trim();
+    let crimeNumber = crimeNumberText.replace(/Crime\s*No\.\s*:?\s*/i, '').trim();
+    let year = yearText.replace(/Year\s*:?\s*/i, '').trim();
+    
+    // Extract crime number and year if they're combined
+    if (crimeNumber.includes('/') && !year) {
+      const parts = crimeNumber.split('/');
+      if (parts.length === 2) {
+        crimeNumber = parts[0].trim();
+        year = parts[1].trim();
+      }
+    }
+    
+    return {
+      district: district || '',
+      policeStation: policeStation || '',
+      crimeNumber: crimeNumber || '',
+      year: year || ''
+    };
+  }
+
+  /**
+   * Extract IA Applications
+   */
+  extractIAApplications($) {
+    const applications = [];
+    const iaTable = $('table').filter((i, table) => {
+      return $(table).text().includes('IA Details') || $(table).text().includes('Application(s) Number');
+    });
+    
+    if (iaTable.length) {
+      iaTable.find('tr').slice(1).each((i, row) => {
+        const cells = $(row).find('td');
+        if (cells.length >= 3) {
+          const applicationText = $(cells[0]).text().trim();
+          const partyText = $(cells[1]).text().trim();
+          const filingDateText = $(cells[2]).text().trim();
+          const statusText = cells.length > 3 ? $(cells[3]).text().trim() : 'Pending';
+          
+          // Extract application number and classification
+          let applicationNumber = applicationText;
+          let classification = '';
+          
+          if (applicationText.includes('Classification')) {
+            const parts = applicationText.split('Classification');
+            applicationNumber = parts[0].trim();
+            classification = parts[1].replace(':', '').trim();
+          }
+          
+          // Extract applied by advocate from party text
+          let party = partyText;
+          let appliedBy = '';
+          
+          if (partyText.includes('Applied by (Advocate)')) {
+            const parts = partyText.split('Applied by (Advocate)');
+            party = parts[0].replace('Vs', 'vs').trim();
+            appliedBy = parts[1].replace(':', '').trim();
+          }
+          
+          applications.push({
+            applicationNumber: applicationNumber,
+            classification: classification,
+            party: party,
+            appliedBy: appliedBy,
+            filingDate: this.parseDate(filingDateText),
+            status: statusText || 'Pending'
+          });
+        }
+      });
+    }
+    
+    return applications;
+  }
+
+  /**
+   * Extract listing history
+   */
+  extractListingHistory($) {
+    const history = [];
+    const historyTable = $('table').filter((i, table) => {
+      return $(table).text().includes('Listing History') || $(table).text().includes('Cause List Type');
+    });
+    
+    if (historyTable.length) {
+      historyTable.find('tr').slice(1).each((i, row) => {
+        const cells = $(row).find('td');
+        if (cells.length >= 3) {
+          const causeListType = $(cells[0]).text().trim();
+          const justiceText = $(cells[1]).text().trim();
+          const listingDateText = cells.length > 2 ? $(cells[2]).text().trim() : '';
+          const shortOrderText = cells.length > 3 ? $(cells[3]).text().trim() : '';
+          
+          // Extract bench ID from justice text
+          let justice = justiceText;
+          let benchId = '';
+          
+          if (justiceText.includes('(Bench ID:')) {
+            const benchMatch = justiceText.match(/\(Bench ID:(\d+)\)/);
+            if (benchMatch) {
+              benchId = benchMatch[1];
+              justice = justiceText.replace(/\(Bench ID:\d+\)/, '').trim();
+            }
+          }
+          
+          history.push({
+            causeListType: causeListType,
+            justice: justice,
+            benchId: benchId,
+            listingDate: this.parseDate(listingDateText),
+            shortOrder: shortOrderText
+          });
+        }
+      });
+    }
+    
+    return history.slice(0, 20); // Keep only last 20 entries
+  }
+
+  /**
+   * Extract links to order and judgment documents, with the date and bench of the row they sit in.
+   * Only links on the court's own host are kept, since each one is downloaded.
+   */
+  extractOrderLinks($) {
+    const host = new URL(this.baseUrl).host;
+    const links = [];
+    const seen = new Set();
+
+    $('a[href]').each((i, anchor) => {
+      const href = ($(anchor).attr('href') || '').trim();
+      const label = $(anchor).text().trim();
+      if (!href || /^(javascript|mailto):|^#/i.test(href)) return;
+      if (!/\.pdf\b|order|judg/i.test(`${href} ${label}`)) return;
+
+      let url;
+      try {
+        const resolved = new URL(href, this.baseUrl);
+        if (resolved.host !== host) return;
+        url = resolved.toString();
+      } catch (error) {
+        return;
+      }
+      if (seen.has(url)) return;
+      seen.add(url);
+
+      const cells = $(anchor).closest('tr').find('td').map((j, cell) => $(cell).text().trim()).get();
+      const dateCell = cells.find(text => /^\d{1,2}[/.-]\d{1,2}[/.-]\d{4}$/.test(text));
+      const justiceCell = cells.find(text => text.includes("HON'BLE")) || '';
+      const benchMatch = justiceCell.match(/\(Bench ID:(\d+)\)/);
+
+      links.push({
+        url,
+        documentType: /judg/i.test(`${label} ${cells.join(' ')}`) ? 'judgment' : 'order',
+        orderDate: dateCell ? this.parseDate(dateCell) : null,
+        benchId: benchMatch ? benchMatch[1] : '',
+        justice: justiceCell.replace(/\(Bench ID:\d+\)/, '').trim()
+      });
+    });
+
+    return links;
+  }
+
+  /**
+   * Generate hash for change detection
+   */
+  generateDataHash(caseData) {
+    const dataString = JSON.stringify({
+      caseStatus: caseData.caseStatus,
+      nextHearingDate: caseData.nextHearingDate,
+      stageOfCase: caseData.stageOfCase,
+      coram: caseData.coram,
+      iaApplications: caseData.iaApplications,
+      listingHistory: caseData.listingHistory?.slice(-5)
+    });
+    return crypto.createHash('md5').update(dataString).digest('hex');
+  }
+
+  /**
+   * Extract text from HTML elements using multiple selectors
+   * @param {Object} $ - Cheerio instance
+   * @param {string} selectors - CSS selectors separated by commas
+   * @returns {string} Extracted text
+   */
+  extractText($, selectors) {
+    const selectorArray = selectors.split(',').map(s => s.trim());
+    
+    for (const selector of selectorArray) {
+      const element = $(selector);
+      if (element.length > 0) {
+        return element.text().trim();
+      }
+    }
+    
+    // If no selector matches, try to find by text content in table cells
+    const textContent = $('td').filter((i, el) => {
+      const cellText = $(el).text().trim();
+      return cellText.includes(selectors.replace('td:contains("', '').replace('")', ''));
+    }).first();
+    
+    if (textContent.length > 0) {
+      // Try to get the value from the same cell (after the label)
+      const cellText = textContent.text().trim();
+      const labelText = selectors.replace('td:contains("', '').replace('")', '');
+      
+      if (cellText.includes(':')) {
+        // If there's a colon, get text after it
+        const parts = cellText.split(':');
+        if (parts.length > 1) {
+          return parts.slice(1).join(':').trim();
+        }
+      } else if (cellText.length > labelText.length) {
+        // Remove the label text from the beginning
+        return cellText.replace(labelText, '').trim();
+      }
+      
+      // Try to get value from next cell
+      const nextCell = textContent.next('td');
+      if (nextCell.length > 0) {
+        return nextCell.text().trim();
+      }
+      
+      // Try to get value from next sibling
+      const nextSibling = textContent.next();
+      if (nextSibling.length > 0) {
+        return nextSibling.text().trim();
+      }
+    }
+    
+    return '';
+  }
+
+  /**
+   * Parse date string to Date object
+   * @param {string} dateString - Date string
+   * @returns {Date|null} Parsed date or null
+   */
+  parseDate(dateString) {
+    if (!dateString || dateString.trim() === '') return null;
+    
+    try {
+      // Clean the date string
+      let cleanDate = dateString.replace(/[^\d\/\-\.\s]/g, '').trim();
+      
+      // Handle different date formats
+      if (cleanDate.includes('/')) {
+        // DD/MM/YYYY or MM/DD/YYYY format
+        const parts = cleanDate.split('/');
+        if (parts.length === 3) {
+          // Assume DD/MM/YYYY format (Indian standard)
+          const day = parseInt(parts[0]);
+          const month = parseInt(parts[1]) - 1; // Month is 0-indexed
+          const year = parseInt(parts[2]);
+          
+          if (year > 1900 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
+            return new Date(year, month, day);
+          }
+        }
+      } else if (cleanDate.includes('-')) {
+        // YYYY-MM-DD format
+        const date = new Date(cleanDate);
+        return isNaN(date.getTime()) ? null : date;
+      } else if (cleanDate.includes('.')) {
+        // DD.MM.YYYY format
+        const parts = cleanDate.split('.');
+        if (parts.length === 3) {
+          const day = parseInt(parts[0]);
+          const month = parseInt(parts[1]) - 1;
+          const year = parseInt(parts[2]);
+          
+          if (year > 1900 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
+            return new Date(year, month, day);
+          }
+        }
+      }
+      
+      // Try direct parsing as last resort
+      const date = new Date(cleanDate);
+      return isNaN(date.getTime()) ? null : date;
+      
+    } catch (error) {
+      logger.warn(`Error parsing date: ${dateString}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Test API connectivity
+   * @returns {Promise<boolean>} True if API is accessible
+   */
+  async testConnectivity() {
+    try {
+      const testCino = '123456'; // Test with a dummy CINO
+      const response = await this.fetchCase(testCino);
+      if (!response || response.status !== 200) return false;
+
+      // Maintenance and captcha pages come back as 200 too
+      const { classification } = this.classifyResponse(response.data);
+      return classification !== 'maintenance' && classification !== 'blocked';
+    } catch (error) {
+      logger.error('API connectivity test failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Download an order or judgment document
+   * @param {string} url - Document URL from extractOrderLinks
+   * @returns {Promise<Object>} HTTP response with the file as a Buffer in data
+   * @throws {Error} For URLs off the court's host, and for redirects, which could lead off it
+   */
+  async fetchDocument(url) {
+    if (new URL(url).host !== new URL(this.baseUrl).host) {
+      throw new Error(`Refusing to download a document from outside the court site: ${url}`);
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url,
+      timeout: this.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: 25 * 1024 * 1024,
+      // The host check above only covers the first request
+      maxRedirects: 0,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/pdf,*/*;q=0.8'
+      }
+    });
+    return { ...response, data: Buffer.from(response.data) };
+  }
+
+  /**
+   * Split a case reference such as "WRIT-C 12345/2024" or the court's own
+   * "WRIT - C No. - 12345 of 2024"
+   * @param {string} reference - Case reference as clients write it
+   * @returns {Object|null} { caseType, caseNumber, year } or null if unrecognised
+   */
+  parseCaseReference(reference) {
+    if (!reference || typeof reference !== 'string') return null;
+
+    const match = reference.trim().match(/^([A-Z][A-Z0-9.()\- ]*?)\s*(?:No\.?\s*)?-?\s*(\d{1,7})\s*(?:\/|of)\s*(\d{4})$/i);
+    if (!match) return null;
+
+    return {
+      caseType: match[1].replace(/[\s.-]+$/, '').replace(/\s*-\s*/g, '-').toUpperCase(),
+      caseNumber: String(parseInt(match[2], 10)),
+      year: match[3]
+    };
+  }
+
+  /**
+   * Search the court's case status forms for matching cases
+   * @param {Object} query - { type: 'case_number', caseType, caseNumber, year }
+   *   or { type: 'party' | 'advocate', name, year }
+   * @returns {Promise<Array>} Candidate cases with CINOs
+   */
+  async searchCases(query) {
+    const path = this.searchPaths[query.type];
+    if (!path) {
+      throw new Error(`Unsupported search type: ${query.type}`);
+    }
+
+    const formData = new URLSearchParams();
+    if (query.type === 'case_number') {
+      formData.append('case_type', query.caseType);
+      formData.append('case_no', query.caseNumber);
+      formData.append('case_year', query.year);
+    } else {
+      formData.append(query.type === 'party' ? 'party_name' : 'adv_name', query.name);
+      if (query.year) {
+        formData.append('case_year', query.year);
+      }
+    }
+
+    const response = await this.fetchWithFormData(formData, path);
+    return this.parseSearchResults(response.data);
+  }
+
+  /**
+   * Parse a search results page into candidate cases.
+   * Each result row links to the case details page with its CINO.
+   * @param {string} htmlData - Raw HTML data
+   * @returns {Array} Candidate cases
+   */
+  parseSearchResults(htmlData) {
+    const $ = cheerio.load(htmlData);
+    const candidates = new Map();
+
+    $('tr').each((i, row) => {
+      const $row = $(row);
+      const cino = this.extractCinoFromRow($, $row);
+      if (!cino || candidates.has(cino)) return;
+
+      const cells = $row.find('td').map((j, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+      const referenceCell = cells.find(text => this.parseCaseReference(text));
+      const reference = referenceCell ? this.parseCaseReference(referenceCell) : null;
+      const partiesCell = cells.find(text => /\s(?:vs\.?|versus)\s/i.test(text)) || '';
+      const [petitioner = '', respondent = ''] = partiesCell.split(/\s(?:vs\.?|versus)\s/i).map(part => part.trim());
+
+      candidates.set(cino, {
+        cino,
+        courtAdapter: this.id,
+        caseType: reference ? reference.caseType : '',
+        caseNumber: reference ? reference.caseNumber : '',
+        year: reference ? reference.year : '',
+        caseReference: reference ? `${reference.caseType} ${reference.caseNumber}/${reference.year}` : '',
+        caseTitle: partiesCell,
+        petitioner,
+        respondent
+      });
+    });
+
+    return [...candidates.values()];
+  }
+
+  /**
+   * Find the CINO a search result row links to
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} $row - Result row
+   * @returns {string|null} CINO or null
+   */
+  extractCinoFromRow($, $row) {
+    const sources = [];
+    $row.find('[data-cino]').each((i, el) => sources.push($(el).attr('data-cino')));
+    $row.find('input[name="cino"]').each((i, el) => sources.push($(el).attr('value')));
+    $row.find('[onclick], a[href]').each((i, el) => {
+      sources.push($(el).attr('onclick'), $(el).attr('href'));
+    });
+
+    for (const source of sources) {
+      const match = source && source.match(/\b(\d{6,12})\b/);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Submit one of the court's search forms
+   * @param {URLSearchParams} formData - Form data to submit
+   * @param {string} path - Form action under the status_ccms app
+   * @returns {Promise<Object>} HTTP response
+   */
+  async fetchWithFormData(formData, path) {
+    const config = {
+      method: 'POST',
+      url: `${this.searchBaseUrl}/${path}`,
+      data: formData,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      }
+    };
+
+    return await axios(config);
+  }
+
+  /**
+   * URL of a bench's cause list index for a date
+   * @param {string} benchId - Key of causeListBenches
+   * @param {Date} date - List date
+   * @returns {string} Index page URL
+   */
+  getCauseListUrl(benchId, date) {
+    const bench = this.causeListBenches[benchId];
+    if (!bench) {
+      throw new Error(`Unknown cause list bench: ${benchId}`);
+    }
+
+    const listDate = date.toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' }).replace(/\//g, '-');
+    return bench.indexUrl.replace('{date}', listDate);
+  }
+
+  /**
+   * Fetch one cause list page
+   * @param {string} url - Index or list page URL
+   * @returns {Promise<Object>} HTTP response with the page in data
+   */
+  async fetchCauseListPage(url) {
+    return await axios({
+      method: 'GET',
+      url,
+      timeout: this.timeout,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8'
+      }
+    });
+  }
+
+  /**
+   * Find the court-wise list pages linked from a cause list index
+   * @param {string} htmlData - Index page HTML
+   * @param {string} pageUrl - URL the index was fetched from
+   * @returns {Array<string>} List page URLs on the same site
+   */
+  parseCauseListIndex(htmlData, pageUrl) {
+    const $ = cheerio.load(htmlData || '');
+    const host = new URL(pageUrl).host;
+    const urls = new Set();
+
+    $('a[href]').each((i, anchor) => {
+      const href = ($(anchor).attr('href') || '').trim();
+      const label = $(anchor).text().trim();
+      if (!href || /^(javascript|mailto):|^#/i.test(href)) return;
+      if (!/court|list|fresh|additional|daily|supplement/i.test(`${href} ${label}`)) return;
+
+      let url;
+      try {
+        url = new URL(href, pageUrl);
+      } catch (error) {
+        return;
+      }
+      if (url.host === host && url.toString() !== pageUrl) {
+        urls.add(url.toString());
+      }
+    });
+
+    return [...urls];
+  }
+
+  /**
+   * Parse a cause list page into listed items. Pages run court by court: a
+   * "COURT NO." heading, the bench's HON'BLE lines, then numbered items. A
+   * connected matter ("WITH ...") shares the item number above it.
+   * @param {string} htmlData - List page HTML
+   * @returns {Object} { listType, entries }
+   */
+  parseCauseList(htmlData) {
+    const $ = cheerio.load(htmlData || '');
+    $('br').replaceWith('\n');
+    $('td, th').after(' ');
+    $('tr, p, div, li, h1, h2, h3, h4, h5, h6').after('\n');
+
+    const lines = $('body').text()
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    const typeMatch = lines.join(' ').match(/\b(fresh|additional|supplementary|daily)\s+(?:cause\s*)?list\b/i);
+    const listType = typeMatch ? typeMatch[1].toLowerCase() : 'daily';
+
+    const entries = [];
+    let courtNumber = null;
+    let bench = [];
+    let itemNumber = null;
+
+    for (const line of lines) {
+      const courtMatch = line.match(/^COURT\s*NO\.?\s*[-:.]?\s*(\d+[A-Z]?)\b/i);
+      if (courtMatch) {
+        courtNumber = courtMatch[1].toUpperCase();
+        bench = [];
+        itemNumber = null;
+        continue;
+      }
+      if (!courtNumber) continue;
+
+      if (/^HON'?BLE\b/i.test(line) && itemNumber === null) {
+        bench.push(line);
+        continue;
+      }
+
+      const itemMatch = line.match(/^(\d{1,4})[.)]?\s+(.*)$/);
+      const connectedMatch = !itemMatch && itemNumber !== null && line.match(/^(?:connected\s+)?(?:with|and)\s+(.*)$/i);
+      const reference = this.findCaseReference(itemMatch ? itemMatch[2] : connectedMatch ? connectedMatch[1] : null);
+      if (!reference) continue;
+
+      if (itemMatch) {
+        itemNumber = parseInt(itemMatch[1], 10);
+      }
+
+      entries.push({
+        courtNumber,
+        bench: bench.join(' '),
+        itemNumber,
+        ...reference,
+        caseReference: `${reference.caseType}/${reference.caseNumber}/${reference.year}`,
+        connected: !itemMatch,
+        rawText: line.slice(0, 300)
+      });
+    }
+
+    return { listType, entries };
+  }
+
+  /**
+   * Read the case reference at the start of a cause list item
+   * @param {string} text - Item text after the item number
+   * @returns {Object|null} { caseType, caseNumber, year } or null if there is none
+   */
+  findCaseReference(text) {
+    if (!text) return null;
+
+    const match = text.match(/^([A-Z][A-Z0-9.()]*(?:[\s-]+[A-Z0-9.()]+)*?)\s*(?:No\.?\s*-?|\/)?\s*(\d{1,7})\s*(?:of|\/)\s*(\d{4})\b/i);
+    if (!match) return null;
+
+    return this.parseCaseReference(`${match[1]} ${match[2]}/${match[3]}`);
+  }
+
+  /**
+   * Bench a stored case is heard at, from the establishment code in its CNR
+   * @param {Object} caseDoc - Case with cnr
+   * @returns {string|null} Key of causeListBenches, or null if unknown
+   */
+  benchForCase(caseDoc) {
+    const cnr = ((caseDoc && caseDoc.cnr) || '').toUpperCase();
+    const match = Object.entries(this.causeListBenches).find(([, bench]) => cnr.startsWith(bench.cnrPrefix));
+    return match ? match[0] : null;
+  }
+}
+
+module.exports = AllahabadHcAdapter;
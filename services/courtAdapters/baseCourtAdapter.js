@@ -0,0 +1,163 @@
+/**
+ * Interface every court-source adapter implements.
+ *
+ * An adapter knows how to fetch one court's case status page, parse it into the
+ * Case shape, validate that court's CINO format and name itself for display.
+ * Adapters that can search the court for CINOs also implement searchCases, and
+ * adapters whose pages link order documents return them as orderLinks and
+ * implement fetchDocument. Adapters for courts that publish daily cause lists
+ * list their benches in causeListBenches and implement the causeList methods.
+ * ApiService owns everything around it: retries, pacing, snapshots and drift checks.
+ */
+class BaseCourtAdapter {
+  constructor({ id, displayName, parserVersion }) {
+    if (!id || !displayName || !parserVersion) {
+      throw new Error('Court adapters need an id, displayName and parserVersion');
+    }
+
+    // Stored on Case.courtAdapter, keep stable once cases exist
+    this.id = id;
+    this.displayName = displayName;
+
+    // Bump whenever parseCase output changes, so archived snapshots can be re-parsed
+    this.parserVersion = parserVersion;
+
+    // Benches with a daily cause list, keyed by bench id
+    this.causeListBenches = {};
+  }
+
+  /**
+   * Validate CINO format for this court
+   * @param {string} cino - CINO to validate
+   * @returns {boolean} True if valid CINO format
+   */
+  validateCino(cino) {
+    throw new Error(`${this.id} adapter does not implement validateCino`);
+  }
+
+  /**
+   * Fetch the raw case status response for a CINO
+   * @param {string} cino - CINO number
+   * @returns {Promise<Object>} HTTP response with the page in data
+   */
+  async fetchCase(cino) {
+    throw new Error(`${this.id} adapter does not implement fetchCase`);
+  }
+
+  /**
+   * Parse a raw case status page into case data.
+   * The result must include parseReport with confidence and isSuspectedDrift.
+   * @param {string} htmlData - Raw HTML data
+   * @param {string} cino - CINO number
+   * @returns {Object} Parsed case data
+   */
+  parseCase(htmlData, cino) {
+    throw new Error(`${this.id} adapter does not implement parseCase`);
+  }
+
+  /**
+   * Download a linked order or judgment document
+   * @param {string} url - Document URL found by parseCase
+   * @returns {Promise<Object>} HTTP response with the file as a Buffer in data
+   */
+  async fetchDocument(url) {
+    throw new Error(`${this.id} adapter does not implement fetchDocument`);
+  }
+
+  /**
+   * Classify a raw response before parsing.
+   * Adapters return one of valid, not_found, invalid_cino, maintenance or blocked.
+   * @param {string} htmlData - Raw HTML data
+   * @returns {Object} { classification, reason }
+   */
+  classifyResponse(htmlData) {
+    return { classification: 'valid', reason: null };
+  }
+
+  /**
+   * Split a free-text case reference into case type, number and year
+   * @param {string} reference - Case reference, e.g. "WRIT-C 12345/2024"
+   * @returns {Object|null} { caseType, caseNumber, year } or null if unrecognised
+   */
+  parseCaseReference(reference) {
+    return null;
+  }
+
+  /**
+   * Search the court by case number, party name or advocate name
+   * @param {Object} query - Search query with a type of case_number, party or advocate
+   * @returns {Promise<Array>} Candidate cases, each with cino and courtAdapter
+   */
+  async searchCases(query) {
+    throw new Error(`${this.id} adapter does not implement searchCases`);
+  }
+
+  /**
+   * URL of a bench's cause list index for a date
+   * @param {string} benchId - Key of causeListBenches
+   * @param {Date} date - List date
+   * @returns {string} Index page URL
+   */
+  getCauseListUrl(benchId, date) {
+    throw new Error(`${this.id} adapter does not publish cause lists`);
+  }
+
+  /**
+   * Fetch one cause list page
+   * @param {string} url - Index or list page URL
+   * @returns {Promise<Object>} HTTP response with the page in data
+   */
+  async fetchCauseListPage(url) {
+    throw new Error(`${this.id} adapter does not publish cause lists`);
+  }
+
+  /**
+   * Find the individual list pages linked from a cause list index
+   * @param {string} htmlData - Index page HTML
+   * @param {string} pageUrl - URL the index was fetched from
+   * @returns {Array<string>} List page URLs
+   */
+  parseCauseListIndex(htmlData, pageUrl) {
+    return [];
+  }
+
+  /**
+   * Parse a cause list page into listed items
+   * @param {string} htmlData - List page HTML
+   * @returns {Object} { listType, entries } with court number, bench, item number and case reference per entry
+   */
+  parseCauseList(htmlData) {
+    throw new Error(`${this.id} adapter does not publish cause lists`);
+  }
+
+  /**
+   * Bench a stored case is heard at, for matching it against cause lists
+   * @param {Object} caseDoc - Case with cnr
+   * @returns {string|null} Key of causeListBenches, or null if unknown
+   */
+  benchForCase(caseDoc) {
+    return null;
+  }
+
+  /**
+   * Test whether the court source is reachable
+   * @returns {Promise<boolean>} True if reachable
+   */
+  async testConnectivity() {
+    return false;
+  }
+
+  /**
+   * Describe the adapter for status endpoints
+   * @returns {Object} Adapter summary
+   */
+  describe() {
+    return {
+      id: this.id,
+      displayName: this.displayName,
+      parserVersion: this.parserVersion
+    };
+  }
+}
+
+module.exports = BaseCourtAdapter;
@@ -0,0 +1,50 @@
+const AllahabadHcAdapter = require('./allahabadHcAdapter');
+const { UnknownCourtAdapterError } = require('../../utils/errors');
+
+// Cases created before adapters existed all came from this source
+const DEFAULT_ADAPTER_ID = 'allahabad_hc';
+
+const adapters = new Map();
+
+/**
+ * Register a court adapter instance
+ * @param {Object} adapter - Adapter extending BaseCourtAdapter
+ */
+function registerAdapter(adapter) {
+  if (adapters.has(adapter.id)) {
+    throw new Error(`Court adapter already registered: ${adapter.id}`);
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get a registered adapter, falling back to the default
+ * @param {string} adapterId - Adapter ID, as stored on Case.courtAdapter
+ * @returns {Object} Adapter instance
+ * @throws {UnknownCourtAdapterError} When no adapter has that ID
+ */
+function getAdapter(adapterId) {
+  const id = adapterId || DEFAULT_ADAPTER_ID;
+  const adapter = adapters.get(id);
+  if (!adapter) {
+    throw new UnknownCourtAdapterError(id);
+  }
+  return adapter;
+}
+
+/**
+ * List registered adapters
+ * @returns {Array} Adapter summaries
+ */
+function listAdapters() {
+  return [...adapters.values()].map(adapter => adapter.describe());
+}
+
+registerAdapter(new AllahabadHcAdapter());
+
+module.exports = {
+  DEFAULT_ADAPTER_ID,
+  registerAdapter,
+  getAdapter,
+  listAdapters
+};
@@ -0,0 +1,329 @@
+const fs = require('fs/promises');
+const path = require('path');
+const CourtHoliday = require('../models/CourtHoliday');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ENTRY_TYPES = ['holiday', 'vacation', 'working'];
+
+/**
+ * The court's working calendar: weekly off days, holidays and vacations, and
+ * working days that override them. Entries live in MongoDB and are cached in
+ * memory so the engine can ask about any day without a query.
+ */
+class CourtCalendarService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    this.closedWeekdays = (process.env.COURT_CLOSED_WEEKDAYS || '0,6')
+      .split(',')
+      .map(day => parseInt(day))
+      .filter(day => day >= 0 && day <= 6);
+    this.entries = [];
+    this.loadedAt = null;
+    // Other instances edit the calendar too, so the cache is re-read this often
+    this.refreshMs = 10 * 60 * 1000;
+  }
+
+  /**
+   * India calendar date of a value
+   * @param {string|Date} value - YYYY-MM-DD or a date
+   * @returns {string|null} YYYY-MM-DD, or null if value is not a date
+   */
+  toDay(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return isNaN(Date.parse(value)) ? null : value;
+    }
+    const date = new Date(value);
+    if (value === null || value === undefined || isNaN(date.getTime())) return null;
+    return date.toLocaleDateString('en-CA', { timeZone: this.timezone });
+  }
+
+  /**
+   * Midnight in India on a calendar date
+   * @param {string} day - YYYY-MM-DD
+   * @returns {Date}
+   */
+  toDate(day) {
+    return new Date(`${day}T00:00:00+05:30`);
+  }
+
+  /**
+   * Read the entries into the cache
+   */
+  async load() {
+    this.entries = await CourtHoliday.find({}).sort({ startDate: 1 }).lean();
+    this.loadedAt = new Date();
+    logger.info(`Court calendar loaded with ${this.entries.length} entries`);
+  }
+
+  /**
+   * Re-read the entries if the cache is older than refreshMs
+   */
+  async ensureLoaded() {
+    if (!this.loadedAt || Date.now() - this.loadedAt.getTime() > this.refreshMs) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Import COURT_CALENDAR_FILE if set, then load the calendar
+   */
+  async init() {
+    try {
+      if (process.env.COURT_CALENDAR_FILE) {
+        await this.importFile(process.env.COURT_CALENDAR_FILE);
+      }
+      await this.load();
+    } catch (error) {
+      logger.error('Error loading court calendar:', error.message);
+    }
+  }
+
+  /**
+   * Whether the court sits on a day, and why not if it does not
+   * @param {string|Date} value - Day to check, defaults to today
+   * @returns {Object} date (YYYY-MM-DD), working, type (holiday, vacation,
+   *   weekly_off, working for an override, or null) and name
+   */
+  getDay(value = new Date()) {
+    const day = this.toDay(value);
+    if (!day) return null;
+
+    const time = this.toDate(day).getTime();
+    const matching = this.entries.filter(entry =>
+      new Date(entry.startDate).getTime() <= time && new Date(entry.endDate).getTime() >= time
+    );
+
+    const override = matching.find(entry => entry.type === 'working');
+    if (override) {
+      return { date: day, working: true, type: 'working', name: override.name };
+    }
+
+    const closed = matching.find(entry => entry.type === 'holiday') ||
+      matching.find(entry => entry.type === 'vacation');
+    if (closed) {
+      return { date: day, working: false, type: closed.type, name: closed.name };
+    }
+
+    const weekday = new Date(`${day}T12:00:00Z`).getUTCDay();
+    if (this.closedWeekdays.includes(weekday)) {
+      return { date: day, working: false, type: 'weekly_off', name: WEEKDAYS[weekday] };
+    }
+
+    return { date: day, working: true, type: null, name: null };
+  }
+
+  /**
+   * Whether the court sits on a day
+   * @param {string|Date} value - Day to check
+   * @returns {boolean}
+   */
+  isWorkingDay(value) {
+    const day = this.getDay(value);
+    return Boolean(day && day.working);
+  }
+
+  /**
+   * The holiday or vacation a hearing date falls on
+   * @param {string|Date} hearingDate - Next hearing date
+   * @returns {Object|null} date, type and name, or null if the court sits that day
+   */
+  getHearingHoliday(hearingDate) {
+    if (!hearingDate) return null;
+    const day = this.getDay(hearingDate);
+    if (!day || day.working) return null;
+    return { date: this.toDate(day.date), type: day.type, name: day.name };
+  }
+
+  /**
+   * Validate one calendar entry
+   * @param {Object} entry - name, type, and date or startDate/endDate (YYYY-MM-DD)
+   * @returns {Object} Entry with India-midnight startDate and endDate
+   * @throws {Error} If the entry is incomplete or its dates are invalid
+   */
+  normalizeEntry(entry = {}) {
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error('Every calendar entry needs a name');
+    }
+
+    const type = entry.type || 'holiday';
+    if (!ENTRY_TYPES.includes(type)) {
+      throw new Error(`Unknown calendar entry type "${type}" for ${name}, expected ${ENTRY_TYPES.join(', ')}`);
+    }
+
+    const start = this.toDay(entry.startDate || entry.date);
+    const end = this.toDay(entry.endDate || entry.startDate || entry.date);
+    if (!start || !end) {
+      throw new Error(`Calendar entry ${name} needs a date or startDate as YYYY-MM-DD`);
+    }
+    if (end < start) {
+      throw new Error(`Calendar entry ${name} ends before it starts`);
+    }
+
+    return {
+      name,
+      type,
+      startDate: this.toDate(start),
+      endDate: this.toDate(end),
+      notes: entry.notes
+    };
+  }
+
+  /**
+   * Parse a JSON calendar: an array of entries, or an object with a holidays array
+   * @param {string|Object} content - File content or parsed JSON
+   * @returns {Array<Object>} Normalized entries
+   */
+  parseJson(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const entries = Array.isArray(data) ? data : data && data.holidays;
+    if (!Array.isArray(entries)) {
+      throw new Error('Calendar JSON must be an array of entries or have a "holidays" array');
+    }
+    return entries.map(entry => this.normalizeEntry(entry));
+  }
+
+  /**
+   * Parse an iCalendar file. Each all-day VEVENT becomes an entry; a summary
+   * mentioning vacation or a working day sets the type.
+   * @param {string} content - ICS content
+   * @returns {Array<Object>} Normalized entries
+   */
+  parseIcs(content) {
+    // Lines starting with a space or tab continue the previous line
+    const lines = String(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const entries = [];
+    let event = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        if (event) entries.push(this.icsEventToEntry(event));
+        event = null;
+        continue;
+      }
+      if (!event) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const property = line.slice(0, separator).split(';')[0].toUpperCase();
+      event[property] = line.slice(separator + 1);
+    }
+
+    return entries.map(entry => this.normalizeEntry(entry));
+  }
+
+  /**
+   * @param {Object} event - VEVENT properties
+   * @returns {Object} Calendar entry
+   */
+  icsEventToEntry(event) {
+    const toDay = value => {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+      return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    };
+    const name = (event.SUMMARY || '').replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+
+    const startDate = toDay(event.DTSTART);
+    let endDate = startDate;
+    // An all-day DTEND is the day after the event ends
+    const end = toDay(event.DTEND);
+    if (end && startDate && end > startDate) {
+      endDate = new Date(Date.parse(end) - DAY).toISOString().slice(0, 10);
+    }
+
+    let type = 'holiday';
+    if (/vacation|recess/i.test(name)) type = 'vacation';
+    else if (/working day|court will sit/i.test(name)) type = 'working';
+
+    return { name, type, startDate, endDate, notes: event.DESCRIPTION };
+  }
+
+  /**
+   * Store entries, replacing an entry with the same start date and name
+   * @param {Array<Object>} entries - Normalized entries
+   * @param {Object} options
+   * @param {string} options.source - json, ics or admin
+   * @param {boolean} options.replace - Remove the source's other entries first
+   * @returns {Promise<Object>} Counts of imported and removed entries
+   */
+  async importEntries(entries, { source = 'admin', replace = false } = {}) {
+    let removed = 0;
+    if (replace) {
+      ({ deletedCount: removed } = await CourtHoliday.deleteMany({ source }));
+    }
+
+    if (entries.length > 0) {
+      await CourtHoliday.bulkWrite(entries.map(entry => ({
+        updateOne: {
+          filter: { startDate: entry.startDate, name: entry.name },
+          update: { $set: { ...entry, source } },
+          upsert: true
+        }
+      })));
+    }
+
+    await this.load();
+    logger.info(`Imported ${entries.length} court calendar entries from ${source}`);
+    return { imported: entries.length, removed };
+  }
+
+  /**
+   * Import a JSON or ICS file, replacing what was imported from that format before
+   * @param {string} filePath - .json or .ics file
+   * @returns {Promise<Object>} Counts of imported and removed entries
+   */
+  async importFile(filePath) {
+    const format = path.extname(filePath).slice(1).toLowerCase();
+    if (!['json', 'ics'].includes(format)) {
+      throw new Error(`Court calendar file must be .json or .ics: ${filePath}`);
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const entries = format === 'ics' ? this.parseIcs(content) : this.parseJson(content);
+    return this.importEntries(entries, { source: format, replace: true });
+  }
+
+  /**
+   * Add one entry
+   * @param {Object} entry - name, type, and date or startDate/endDate
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addEntry(entry) {
+    const created = await CourtHoliday.create({ ...this.normalizeEntry(entry), source: 'admin' });
+    await this.load();
+    return created;
+  }
+
+  /**
+   * Delete one entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Deleted entry
+   */
+  async removeEntry(id) {
+    const removed = await CourtHoliday.findByIdAndDelete(id);
+    if (removed) await this.load();
+    return removed;
+  }
+
+  /**
+   * Entries overlapping a range
+   * @param {Object} range
+   * @param {string} range.from - YYYY-MM-DD
+   * @param {string} range.to - YYYY-MM-DD
+   * @returns {Promise<Array>} Entries by start date
+   */
+  listEntries({ from, to } = {}) {
+    return CourtHoliday.findOverlapping(
+      from ? this.toDate(this.toDay(from)) : null,
+      to ? this.toDate(this.toDay(to)) : null
+    );
+  }
+}
+
+module.exports = new CourtCalendarService();
@@ -0,0 +1,153 @@
+const CourtOutage = require('../models/CourtOutage');
+const notificationOutboxService = require('./notificationOutboxService');
+const logger = require('../utils/logger');
+
+/**
+ * Records court outages as incidents and alerts admins when one starts and ends
+ */
+class CourtOutageService {
+  /**
+   * Open an outage incident, or return the one already open for the court
+   * @param {Object} adapter - Court adapter that went down
+   * @param {Object} breakerStats - Circuit breaker stats at the time it opened
+   * @returns {Promise<Object|null>} The open outage
+   */
+  async recordOutageStart(adapter, breakerStats) {
+    try {
+      const outage = await CourtOutage.findOneAndUpdate(
+        { courtAdapter: adapter.id, endedAt: null },
+        {
+          $setOnInsert: {
+            startedAt: breakerStats.openedAt || new Date(),
+            firstError: breakerStats.firstError
+          },
+          $set: {
+            consecutiveFailures: breakerStats.consecutiveFailures,
+            lastError: breakerStats.lastError
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      // Claim the alert atomically so a restart mid-outage does not repeat it
+      const claimed = await CourtOutage.findOneAndUpdate(
+        { _id: outage._id, alertSentAt: null },
+        { $set: { alertSentAt: new Date() } },
+        { new: true }
+      );
+
+      logger.warn(`${adapter.displayName} unavailable after ${breakerStats.consecutiveFailures} failures, court fetches paused`);
+      if (claimed) {
+        await this.sendOutageAlert(adapter, claimed);
+      }
+
+      return outage;
+    } catch (error) {
+      logger.error(`Failed to record outage start for ${adapter.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Close the open outage incident for a court
+   * @param {Object} adapter - Court adapter that recovered
+   * @param {Object} breakerStats - Circuit breaker stats just before it closed
+   * @returns {Promise<Object|null>} The closed outage
+   */
+  async recordOutageEnd(adapter, breakerStats) {
+    try {
+      const outage = await CourtOutage.findOpenOutage(adapter.id);
+      if (!outage) {
+        return null;
+      }
+
+      const endedAt = new Date();
+      const closed = await CourtOutage.findOneAndUpdate(
+        { _id: outage._id, endedAt: null },
+        {
+          $set: {
+            endedAt,
+            durationMs: endedAt - outage.startedAt,
+            lastError: breakerStats.lastError
+          },
+          $inc: {
+            probeCount: breakerStats.probeCount || 0,
+            skippedRequests: breakerStats.skippedRequests || 0
+          }
+        },
+        { new: true }
+      );
+
+      if (closed) {
+        logger.info(`${adapter.displayName} reachable again after ${Math.round(closed.durationMs / 60000)} min, court fetches resumed`);
+        await this.sendRecoveryAlert(adapter, closed);
+      }
+      return closed;
+    } catch (error) {
+      logger.error(`Failed to record outage end for ${adapter.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get admin WhatsApp numbers
+   * @returns {Array} Admin numbers
+   */
+  getAdminNumbers() {
+    return process.env.ADMIN_WHATSAPP_NUMBERS ?
+      process.env.ADMIN_WHATSAPP_NUMBERS.split(',').map(num => num.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Tell admins a court outage started
+   * @param {Object} adapter - Court adapter
+   * @param {Object} outage - Outage document
+   */
+  async sendOutageAlert(adapter, outage) {
+    const adminNumbers = this.getAdminNumbers();
+    if (adminNumbers.length === 0) return;
+
+    const message = `🚧 *${adapter.displayName} Unavailable*\n\n` +
+      `⏰ *Since:* ${outage.startedAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}\n` +
+      `❌ *Error:* ${outage.lastError || 'Unknown'}\n\n` +
+      `Court fetches are paused and will resume automatically once the site answers again.`;
+
+    try {
+      await notificationOutboxService.sendToNumbers(adminNumbers, message);
+    } catch (error) {
+      logger.error('Failed to send court outage alert:', error.message);
+    }
+  }
+
+  /**
+   * Tell admins a court outage ended
+   * @param {Object} adapter - Court adapter
+   * @param {Object} outage - Closed outage document
+   */
+  async sendRecoveryAlert(adapter, outage) {
+    const adminNumbers = this.getAdminNumbers();
+    if (adminNumbers.length === 0) return;
+
+    const message = `✅ *${adapter.displayName} Reachable Again*\n\n` +
+      `⏱️ *Outage:* ${Math.round(outage.durationMs / 60000)} min\n` +
+      `⏭️ *Fetches skipped:* ${outage.skippedRequests}\n\n` +
+      `Court fetches have resumed.`;
+
+    try {
+      await notificationOutboxService.sendToNumbers(adminNumbers, message);
+    } catch (error) {
+      logger.error('Failed to send court recovery alert:', error.message);
+    }
+  }
+
+  /**
+   * Get recent outage incidents
+   * @param {number} limit - Maximum incidents to return
+   * @returns {Promise<Array>} Outages, newest first
+   */
+  getRecentOutages(limit = 20) {
+    return CourtOutage.find().sort({ startedAt: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = new CourtOutageService();
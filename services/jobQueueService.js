@@ -0,0 +1,311 @@
+const os = require('os');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+const OPEN_STATUSES = ['queued', 'leased'];
+
+/**
+ * Durable work queue stored in MongoDB. Workers lease one job at a time; a job
+ * whose worker dies is taken over once its lease expires, failures are retried
+ * with exponential backoff, and jobs out of attempts are dead-lettered for an
+ * admin to retry or purge.
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 30000;
+    this.baseBackoffMs = 30 * 1000;
+    this.maxBackoffMs = 60 * 60 * 1000;
+    this.timer = null;
+    this.isDraining = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result stored on the job
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options
+   * @param {string} options.idempotencyKey - Returns the existing job if this key was used before
+   * @param {number} options.priority - Higher runs first
+   * @param {Date} options.runAt - Earliest start, defaults to now
+   * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+   * @returns {Promise<Object>} The queued job, or the existing one with the same key
+   */
+  async enqueue(type, payload = {}, { idempotencyKey, priority = 0, runAt = new Date(), maxAttempts } = {}) {
+    const fields = { type, payload, priority, runAt, status: 'queued' };
+    if (maxAttempts) fields.maxAttempts = maxAttempts;
+
+    if (!idempotencyKey) {
+      return Job.create(fields);
+    }
+
+    try {
+      return await Job.findOneAndUpdate(
+        { idempotencyKey },
+        { $setOnInsert: { ...fields, idempotencyKey } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two upserts raced on the unique key; the other one created it
+      if (error.code === 11000) {
+        return Job.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lease the next due job: queued jobs whose runAt has passed, or leased jobs
+   * whose worker let the lease expire
+   * @param {Array<string>} types - Limit to these job types
+   * @returns {Promise<Object|null>} Leased job, or null if none is due
+   */
+  lease(types) {
+    const now = new Date();
+    const query = {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'leased', leaseExpiresAt: { $lte: now } }
+      ]
+    };
+    if (types && types.length > 0) {
+      query.type = { $in: types };
+    }
+
+    return Job.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          status: 'leased',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.baseBackoffMs * 2 ** Math.max(attempts - 1, 0), this.maxBackoffMs);
+  }
+
+  /**
+   * Mark a leased job completed
+   * @param {Object} job - Leased job
+   * @param {*} result - Handler result
+   */
+  async complete(job, result) {
+    await Job.updateOne(
+      { _id: job._id, leaseOwner: this.workerId },
+      {
+        $set: { status: 'completed', result, completedAt: new Date(), leaseExpiresAt: null },
+        $unset: { lastError: 1 }
+      }
+    );
+  }
+
+  /**
+   * Schedule a retry for a failed job, or dead-letter it when it is out of
+   * attempts or the error says retrying cannot help
+   * @param {Object} job - Leased job
+   * @param {Error} error - Why it failed; retryable === false skips the retries
+   * @returns {Promise<string>} 'retried' or 'dead'
+   */
+  async fail(job, error) {
+    const now = new Date();
+    const dead = error.retryable === false || job.attempts >= job.maxAttempts;
+
+    const update = dead
+      ? { status: 'dead', deadAt: now, lastError: error.message, leaseExpiresAt: null }
+      : {
+        status: 'queued',
+        runAt: new Date(now.getTime() + this.getBackoffMs(job.attempts)),
+        lastError: error.message,
+        leaseExpiresAt: null
+      };
+
+    await Job.updateOne({ _id: job._id, leaseOwner: this.workerId }, { $set: update });
+
+    if (dead) {
+      logger.error(`Job ${job.type} ${job._id} dead after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      logger.warn(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}), retrying:`, error.message);
+    }
+    return dead ? 'dead' : 'retried';
+  }
+
+  /**
+   * Run a leased job through its handler
+   * @param {Object} job - Leased job
+   * @returns {Promise<string>} 'completed', 'retried' or 'dead'
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      const error = new Error(`No handler registered for job type ${job.type}`);
+      error.retryable = false;
+      return this.fail(job, error);
+    }
+
+    try {
+      const result = await handler(job.payload, job);
+      await this.complete(job, result);
+      return 'completed';
+    } catch (error) {
+      return this.fail(job, error);
+    }
+  }
+
+  /**
+   * Run due jobs until none is left
+   * @param {Object} options
+   * @param {Array<string>} options.types - Limit to these job types
+   * @param {number} options.limit - Most jobs to run
+   * @returns {Promise<Object>} Counts of completed, retried and dead jobs
+   */
+  async drain({ types, limit = Infinity } = {}) {
+    const counts = { completed: 0, retried: 0, dead: 0 };
+
+    for (let processed = 0; processed < limit; processed++) {
+      const job = await this.lease(types);
+      if (!job) break;
+      counts[await this.runJob(job)]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Poll for due jobs in the background, picking up retries and jobs left by
+   * a crashed process
+   * @param {Object} options
+   * @param {Function} options.types - Returns the job types to run on each poll, or undefined for all
+   */
+  start({ types = () => undefined } = {}) {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.isDraining) return;
+      this.isDraining = true;
+      try {
+        await this.drain({ types: types() });
+      } catch (error) {
+        logger.error('Job worker poll failed:', error.message);
+      } finally {
+        this.isDraining = false;
+      }
+    }, this.pollIntervalMs);
+    this.timer.unref();
+
+    logger.info(`Job worker ${this.workerId} polling every ${this.pollIntervalMs}ms`);
+  }
+
+  /**
+   * Stop polling; a job already running finishes
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * CINOs or other payload values of jobs not yet finished
+   * @param {string} type - Job type
+   * @param {string} field - Payload field
+   * @returns {Promise<Array>} Distinct values
+   */
+  getOpenPayloadValues(type, field) {
+    return Job.distinct(`payload.${field}`, { type, status: { $in: OPEN_STATUSES } });
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter
+   * @param {string} filter.status - Job status
+   * @param {string} filter.type - Job type
+   * @param {string} filter.runId - Monitoring cycle the jobs belong to
+   * @param {number} filter.limit - Most jobs to return, 0 for all
+   * @returns {Promise<Array>} Jobs
+   */
+  listJobs({ status, type, runId, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (runId) query['payload.runId'] = runId;
+    return Job.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Put dead jobs back in the queue with fresh attempts
+   * @param {Object} filter
+   * @param {string} filter.id - One job, otherwise every dead job
+   * @param {string} filter.type - Limit to a job type
+   * @returns {Promise<number>} Jobs requeued
+   */
+  async retryJobs({ id, type } = {}) {
+    const query = { status: 'dead' };
+    if (id) query._id = id;
+    if (type) query.type = type;
+
+    const result = await Job.updateMany(query, {
+      $set: { status: 'queued', runAt: new Date(), attempts: 0 },
+      $unset: { deadAt: 1, leaseOwner: 1, leaseExpiresAt: 1 }
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete finished jobs. Completed jobs keep their idempotency key while they
+   * exist, so purging them allows the same work to be queued again.
+   * @param {Object} filter
+   * @param {string} filter.status - 'completed' or 'dead'
+   * @param {Date} filter.before - Only jobs last updated before this date
+   * @returns {Promise<number>} Jobs deleted
+   */
+  async purgeJobs({ status, before } = {}) {
+    if (!['completed', 'dead'].includes(status)) {
+      throw new Error('Only completed or dead jobs can be purged');
+    }
+
+    const query = { status };
+    if (before) query.updatedAt = { $lt: before };
+
+    const result = await Job.deleteMany(query);
+    logger.info(`Purged ${result.deletedCount} ${status} job(s)`);
+    return result.deletedCount;
+  }
+
+  /**
+   * Job counts by type and status
+   * @returns {Promise<Object>} { [type]: { [status]: count } }
+   */
+  async getStats() {
+    const stats = {};
+    for (const { _id, count } of await Job.countByStatus()) {
+      stats[_id.type] = stats[_id.type] || {};
+      stats[_id.type][_id.status] = count;
+    }
+    return stats;
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,161 @@
+const os = require('os');
+const LeaderLock = require('../models/LeaderLock');
+const logger = require('../utils/logger');
+
+/**
+ * Elects one app instance to run scheduled work. The leader holds a lease in
+ * MongoDB and renews it on a heartbeat; every other instance keeps trying and
+ * takes over once the lease expires, so a crashed leader is replaced within
+ * one lease.
+ */
+class LeaderLockService {
+  constructor() {
+    this.name = 'scheduler';
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.ttlMs = parseInt(process.env.LEADER_LOCK_TTL_MS) || 60 * 1000;
+    this.heartbeatMs = Math.floor(this.ttlMs / 3);
+    this.timer = null;
+    this.leaseExpiresAt = null;
+    this.holder = null;
+    this.lastHeartbeatAt = null;
+  }
+
+  /**
+   * Whether this instance holds an unexpired lease. A leader that cannot
+   * renew stops counting itself leader when its lease runs out, since by then
+   * another instance may have taken over.
+   * @returns {boolean}
+   */
+  isLeader() {
+    return Boolean(this.leaseExpiresAt && this.leaseExpiresAt > new Date());
+  }
+
+  /**
+   * Renew the lease if held, otherwise take it over if it is free or expired
+   * @returns {Promise<boolean>} Whether this instance is leader afterwards
+   */
+  async heartbeat() {
+    const wasLeader = this.isLeader();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlMs);
+
+    try {
+      let lock = null;
+      if (wasLeader) {
+        lock = await LeaderLock.findOneAndUpdate(
+          { _id: this.name, owner: this.instanceId },
+          { $set: { expiresAt, heartbeatAt: now } },
+          { new: true }
+        );
+      }
+      if (!lock) {
+        lock = await this.takeOver(now, expiresAt);
+      }
+
+      this.lastHeartbeatAt = now;
+      this.holder = lock ? this.describe(lock) : await this.getHolder();
+      this.leaseExpiresAt = lock ? expiresAt : null;
+    } catch (error) {
+      logger.error('Leader lock heartbeat failed:', error.message);
+    }
+
+    const isLeader = this.isLeader();
+    if (isLeader && !wasLeader) {
+      logger.info(`Instance ${this.instanceId} is now the ${this.name} leader`);
+    } else if (!isLeader && wasLeader) {
+      logger.warn(`Instance ${this.instanceId} lost the ${this.name} lock` +
+        (this.holder ? ` to ${this.holder.owner}` : ''));
+    }
+    return isLeader;
+  }
+
+  /**
+   * Claim the lock if nobody holds it or the holder's lease has expired
+   * @param {Date} now - Current time
+   * @param {Date} expiresAt - End of the new lease
+   * @returns {Promise<Object|null>} The lock if taken, null if another instance holds it
+   */
+  async takeOver(now, expiresAt) {
+    try {
+      return await LeaderLock.findOneAndUpdate(
+        { _id: this.name, $or: [{ owner: this.instanceId }, { expiresAt: { $lte: now } }] },
+        { $set: { owner: this.instanceId, expiresAt, acquiredAt: now, heartbeatAt: now } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // The lock exists and is held: the upsert tried to insert a second one
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Current holder as stored in MongoDB
+   * @returns {Promise<Object|null>} owner, acquiredAt, heartbeatAt and expiresAt
+   */
+  async getHolder() {
+    const lock = await LeaderLock.findById(this.name).lean();
+    return lock ? this.describe(lock) : null;
+  }
+
+  /**
+   * @param {Object} lock - Lock document
+   * @returns {Object} Fields reported in status
+   */
+  describe(lock) {
+    return {
+      owner: lock.owner,
+      acquiredAt: lock.acquiredAt,
+      heartbeatAt: lock.heartbeatAt,
+      expiresAt: lock.expiresAt
+    };
+  }
+
+  /**
+   * Try for the lock now and on every heartbeat
+   */
+  start() {
+    if (this.timer) return;
+
+    this.heartbeat();
+    this.timer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+    this.timer.unref();
+
+    logger.info(`Instance ${this.instanceId} competing for the ${this.name} lock (lease ${this.ttlMs}ms)`);
+  }
+
+  /**
+   * Stop heartbeats and give up the lock so another instance takes over at once
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!this.isLeader()) return;
+
+    this.leaseExpiresAt = null;
+    try {
+      await LeaderLock.deleteOne({ _id: this.name, owner: this.instanceId });
+      logger.info(`Instance ${this.instanceId} released the ${this.name} lock`);
+    } catch (error) {
+      logger.error('Failed to release leader lock:', error.message);
+    }
+  }
+
+  /**
+   * Lock state for the status endpoint
+   * @returns {Object} Lock name, this instance, whether it leads, and the holder
+   */
+  getStatus() {
+    return {
+      lock: this.name,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader(),
+      holder: this.holder,
+      lastHeartbeatAt: this.lastHeartbeatAt
+    };
+  }
+}
+
+module.exports = new LeaderLockService();
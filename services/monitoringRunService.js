@@ -0,0 +1,171 @@
+const MonitoringRun = require('../models/MonitoringRun');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * History of monitoring cycles in the MonitoringRun collection. Recording a
+ * run never fails the cycle: write errors are logged and the cycle goes on.
+ */
+class MonitoringRunService {
+  /**
+   * Record the start of a cycle
+   * @param {Object} run - runId, trigger, instanceId and startedAt
+   * @returns {Promise<Object|null>} Run document, or null if it could not be stored
+   */
+  async startRun({ runId, trigger, instanceId, startedAt }) {
+    try {
+      return await MonitoringRun.create({ runId, trigger, instanceId, startedAt, status: 'running' });
+    } catch (error) {
+      logger.error(`Error recording start of monitoring run ${runId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record how a cycle ended
+   * @param {string} runId - Run ID
+   * @param {Object} outcome
+   * @param {string} outcome.status - completed or error
+   * @param {Date} outcome.startedAt - Cycle start
+   * @param {Object} outcome.summary - Summary from MonitoringService.generateSummary
+   * @param {Array} outcome.jobs - The cycle's jobs, for per-case outcomes
+   * @param {Error} outcome.error - Why the cycle failed
+   * @returns {Promise<Object|null>} Updated run document
+   */
+  async finishRun(runId, { status, startedAt, summary = {}, jobs = [], error } = {}) {
+    const finishedAt = new Date();
+    const { cases, runErrors } = this.summarizeCases(jobs);
+    if (error) {
+      runErrors.push({ message: error.message });
+    }
+
+    try {
+      return await MonitoringRun.findOneAndUpdate({ runId }, {
+        $set: {
+          status,
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime(),
+          casesChecked: summary.totalCasesChecked || 0,
+          fetchFailures: summary.fetchFailures || 0,
+          totalChanges: summary.totalChanges || 0,
+          criticalChanges: summary.criticalChanges || 0,
+          changesByPriority: summary.changesByPriority || {},
+          notificationsSent: summary.notificationsSent || 0,
+          notificationsFailed: summary.notificationsFailed || 0,
+          notificationsPending: summary.notificationsPending || 0,
+          fetchOutcomes: summary.fetchOutcomes || {},
+          cases,
+          runErrors
+        }
+      }, { new: true });
+    } catch (updateError) {
+      logger.error(`Error recording end of monitoring run ${runId}:`, updateError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Per-case outcomes of a cycle from its fetch jobs, with the notifications each change queued
+   * @param {Array} jobs - The cycle's jobs
+   * @returns {Object} cases and runErrors
+   */
+  summarizeCases(jobs) {
+    const cases = [];
+    const runErrors = [];
+
+    for (const job of jobs) {
+      if (job.type !== 'fetchCase') continue;
+
+      const cino = job.payload && job.payload.cino;
+      const result = job.result || {};
+      let outcome = result.outcome;
+      if (job.status === 'dead') outcome = 'failed';
+      else if (job.status !== 'completed') outcome = 'pending';
+
+      cases.push({
+        cino,
+        outcome: outcome || 'unknown',
+        priority: result.priority,
+        critical: result.critical,
+        events: result.events,
+        notifications: result.notifications,
+        skipped: result.skipped,
+        attempts: job.attempts,
+        error: job.status === 'completed' ? undefined : job.lastError
+      });
+      if (job.status !== 'completed' && job.lastError) {
+        runErrors.push({ cino, message: job.lastError });
+      }
+    }
+
+    return { cases, runErrors };
+  }
+
+  /**
+   * List runs, newest first, without their per-case outcomes
+   * @param {Object} filter
+   * @param {string} filter.status - running, completed or error
+   * @param {string} filter.trigger - scheduled or manual
+   * @param {number} filter.page - Page number, from 1
+   * @param {number} filter.limit - Runs per page
+   * @returns {Promise<Object>} runs and total
+   */
+  async listRuns({ status, trigger, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const [runs, total] = await Promise.all([
+      MonitoringRun.find(query)
+        .select('-cases')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      MonitoringRun.countDocuments(query)
+    ]);
+    return { runs, total };
+  }
+
+  /**
+   * One run with its per-case outcomes
+   * @param {string} runId - Run ID
+   * @param {Object} filter
+   * @param {string} filter.outcome - Only cases with this outcome
+   * @returns {Promise<Object|null>} Run
+   */
+  async getRun(runId, { outcome } = {}) {
+    const run = await MonitoringRun.findOne({ runId }).lean();
+    if (run && outcome) {
+      run.cases = run.cases.filter(caseOutcome => caseOutcome.outcome === outcome);
+    }
+    return run;
+  }
+
+  /**
+   * Totals per day or hour over recent runs
+   * @param {Object} options
+   * @param {number} options.days - How far back
+   * @param {string} options.unit - day or hour
+   * @returns {Promise<Array>} One row per period
+   */
+  getTrends({ days = 14, unit = 'day' } = {}) {
+    return MonitoringRun.getTrends(new Date(Date.now() - days * DAY), unit);
+  }
+
+  /**
+   * Run counts and the latest finished run, to restore status after a restart
+   * @returns {Promise<Object>} runCount, errorCount and lastRun
+   */
+  async getHistory() {
+    const [runCount, errorCount, lastRun] = await Promise.all([
+      MonitoringRun.countDocuments({}),
+      MonitoringRun.countDocuments({ status: 'error' }),
+      MonitoringRun.findOne({ status: { $ne: 'running' } }).select('-cases').sort({ startedAt: -1 }).lean()
+    ]);
+    return { runCount, errorCount, lastRun };
+  }
+}
+
+module.exports = new MonitoringRunService();
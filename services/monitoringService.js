@@ -1,16 +1,46 @@
+const crypto = require('crypto');
 const cron = require('node-cron');
 const apiService = require('./apiService');
 const ChangeDetectionService = require('./changeDetectionService');
-const whatsappService = require('./whatsappService');
+const notificationDispatcher = require('./notificationDispatcher');
+const notificationOutboxService = require('./notificationOutboxService');
+const orderDocumentService = require('./orderDocumentService');
+const jobQueueService = require('./jobQueueService');
+const leaderLockService = require('./leaderLockService');
+const causeListService = require('./causeListService');
+const pollingPolicyService = require('./pollingPolicyService');
+const courtCalendarService = require('./courtCalendarService');
+const monitoringRunService = require('./monitoringRunService');
+const caseEventService = require('./caseEventService');
+const changeRuleService = require('./changeRuleService');
+const notificationPreferenceService = require('./notificationPreferenceService');
 const logger = require('../utils/logger');
+const {
+  CourtUnavailableError,
+  CaseNotFoundError,
+  InvalidCinoError,
+  CourtMaintenanceError,
+  CourtBlockedError
+} = require('../utils/errors');
 
 // Import models
 const Case = require('../models/Case');
 const User = require('../models/User');
 const UserCase = require('../models/UserCase');
+const CinoNumbers = require('../models/CinoNumbers');
+
+// Job priority of a change's notifications, above every fetch so found changes go out first
+const PRIORITY_RANK = { urgent: 14, high: 13, medium: 12, low: 11 };
+
+// Jobs any instance's worker may run; fetchCase jobs run only on the leader
+const NOTIFICATION_JOB_TYPES = ['notifySubscriber', 'notifyNumbers', 'sendDigest', 'sendNotification'];
 
 /**
- * Optimized monitoring service for Allahabad High Court case updates
+ * The monitoring engine. Each cycle runs every monitored case through four stages:
+ * fetch (court page and orders), diff (against the stored case), persist and notify.
+ * Notifications go to UserCase subscribers and to the numbers mapped in CinoNumbers,
+ * and only when something changed. Fetches and messages run as jobs in the durable
+ * queue, so a crash mid-cycle resumes where it stopped without re-sending.
  */
 class MonitoringService {
   constructor() {
@@ -18,32 +48,82 @@ class MonitoringService {
     this.changeDetectionService = new ChangeDetectionService();
     this.jobs = new Map();
     this.isRunning = false;
+    this.isShadowRunning = false;
     this.lastRunTime = null;
+    // Start of the last scheduled cycle, for holiday thinning; lastRunTime only moves when a cycle checks cases
+    this.lastScheduledRunAt = null;
     this.lastRunStatus = null;
+    this.lastRunSummary = null;
     this.runCount = 0;
     this.errorCount = 0;
-    this.batchSize = parseInt(process.env.API_BATCH_SIZE) || 5;
-    this.apiDelay = parseInt(process.env.API_DELAY_MS) || 2000;
-    
-    // Default schedule: every 2 hours during business hours
-    this.defaultSchedule = process.env.CRON_SCHEDULE || '0 */2 9-18 * * 1-6';
+    this.fetchOutcomes = this.emptyFetchOutcomes();
+    this.config = this.loadConfig();
+
+    jobQueueService.registerHandler('fetchCase', payload => this.runFetchJob(payload));
+    jobQueueService.registerHandler('notifySubscriber', (payload, job) => this.runNotifySubscriberJob(payload, job));
+    jobQueueService.registerHandler('notifyNumbers', (payload, job) => this.runNotifyNumbersJob(payload, job));
+    jobQueueService.registerHandler('sendDigest', (payload, job) => this.runDigestJob(payload, job));
+  }
+
+  /**
+   * Read the engine configuration from the environment. Older variable names
+   * are still honoured so existing deployments keep their settings.
+   * @param {Object} env - Environment variables
+   * @returns {Object} schedule, causeListSchedule, statusPollSchedule, batchSize,
+   *   maxCasesPerCycle, autoStart, holidayPolling, holidayIntervalHours and timezone
+   */
+  loadConfig(env = process.env) {
+    return {
+      schedule: env.MONITORING_SCHEDULE || env.CRON_SCHEDULE || '*/30 9-18 * * 1-6',
+      causeListSchedule: env.CAUSE_LIST_SCHEDULE || '0 7,20 * * *',
+      statusPollSchedule: env.NOTIFICATION_STATUS_POLL_SCHEDULE || '*/10 * * * *',
+      batchSize: parseInt(env.MONITORING_BATCH_SIZE || env.API_BATCH_SIZE || env.BATCH_SIZE) || 5,
+      maxCasesPerCycle: parseInt(env.MONITORING_MAX_CASES_PER_CYCLE) || 200,
+      autoStart: env.AUTO_START_MONITORING !== 'false',
+      // On days the court does not sit: thin (one cycle per holidayIntervalHours), skip or normal
+      holidayPolling: ['thin', 'skip', 'normal'].includes(env.COURT_HOLIDAY_POLLING) ? env.COURT_HOLIDAY_POLLING : 'thin',
+      holidayIntervalHours: parseInt(env.COURT_HOLIDAY_INTERVAL_HOURS) || 6,
+      timezone: 'Asia/Kolkata'
+    };
+  }
+
+  /**
+   * Schedule the engine's jobs once the database is connected: the job worker,
+   * cause list ingestion and delivery status polling always, case monitoring unless AUTO_START_MONITORING
+   * is false. Every instance schedules them, but only the holder of the leader
+   * lock runs the scheduled ticks. The job worker runs everywhere, but only the
+   * leader's worker fetches cases, so the court sees one instance's request rate.
+   */
+  init() {
+    leaderLockService.start();
+    courtCalendarService.init();
+    changeRuleService.init();
+    this.restoreRunHistory();
+    jobQueueService.start({ types: () => this.getWorkerJobTypes() });
+    this.startCauseListIngestion();
+    this.startDeliveryStatusPolling();
+    if (this.config.autoStart) {
+      this.startMonitoring();
+    } else {
+      logger.info('Monitoring not started (AUTO_START_MONITORING=false)');
+    }
   }
 
   /**
    * Start the monitoring service
    * @param {string} schedule - Cron schedule expression
    */
-  startMonitoring(schedule = this.defaultSchedule) {
+  startMonitoring(schedule = this.config.schedule) {
     if (this.jobs.has('monitoring')) {
       logger.warn('Monitoring job is already running');
       return;
     }
 
     const job = cron.schedule(schedule, async () => {
-      await this.runMonitoringCycle();
+      await this.runIfLeader('Monitoring cycle', () => this.runScheduledCycle());
     }, {
       scheduled: false,
-      timezone: 'Asia/Kolkata'
+      timezone: this.config.timezone
     });
 
     this.jobs.set('monitoring', job);
@@ -65,10 +145,216 @@ class MonitoringService {
   }
 
   /**
-   * Run a complete monitoring cycle
+   * Job types this instance's background worker runs. Fetches go through the
+   * per-process rate limiter and circuit breaker and count towards the
+   * leader's run summary, so other instances only deliver notifications.
+   * @returns {Array<string>|undefined} Job types, or undefined for all
+   */
+  getWorkerJobTypes() {
+    return leaderLockService.isLeader() ? undefined : NOTIFICATION_JOB_TYPES;
+  }
+
+  /**
+   * Run a scheduled task only on the leader instance, so running several
+   * copies of the app does not run every cycle, and send every message, twice
+   * @param {string} task - Task name for the log
+   * @param {Function} run - The task
+   * @returns {Promise<*>} The task's result, or undefined if skipped
+   */
+  async runIfLeader(task, run) {
+    if (!leaderLockService.isLeader()) {
+      const holder = leaderLockService.holder;
+      logger.info(`${task} skipped, leader is ${holder ? holder.owner : 'not elected yet'}`);
+      return undefined;
+    }
+    return run();
+  }
+
+  /**
+   * Run a scheduled cycle, thinned out or skipped on days the court does not sit
+   * @param {Date} now - Tick time
+   * @returns {Promise<Object>} Monitoring results, or why the cycle was skipped
+   */
+  async runScheduledCycle(now = new Date()) {
+    await courtCalendarService.ensureLoaded();
+    const day = courtCalendarService.getDay(now);
+
+    if (!day.working && this.config.holidayPolling !== 'normal') {
+      const sinceLastRun = this.lastScheduledRunAt ? now - this.lastScheduledRunAt : Infinity;
+      if (this.config.holidayPolling === 'skip' || sinceLastRun < this.config.holidayIntervalHours * 60 * 60 * 1000) {
+        logger.info(`Monitoring cycle skipped, court closed today (${day.name})`);
+        return { status: 'skipped', reason: 'court_closed', day };
+      }
+    }
+
+    this.lastScheduledRunAt = now;
+    return this.runMonitoringCycle({ trigger: 'scheduled' });
+  }
+
+  /**
+   * Restore run counts and the last run from the stored history, so status
+   * survives a restart
+   */
+  async restoreRunHistory() {
+    try {
+      const { runCount, errorCount, lastRun } = await monitoringRunService.getHistory();
+      this.runCount = runCount;
+      this.errorCount = errorCount;
+      if (lastRun) {
+        this.lastRunTime = lastRun.startedAt;
+        this.lastRunStatus = lastRun.status === 'completed' ? 'success' : lastRun.status;
+        this.lastRunSummary = {
+          totalCasesChecked: lastRun.casesChecked,
+          totalChanges: lastRun.totalChanges,
+          criticalChanges: lastRun.criticalChanges,
+          fetchFailures: lastRun.fetchFailures,
+          notificationsSent: lastRun.notificationsSent,
+          notificationsFailed: lastRun.notificationsFailed,
+          notificationsPending: lastRun.notificationsPending,
+          fetchOutcomes: lastRun.fetchOutcomes,
+          changesByPriority: lastRun.changesByPriority
+        };
+      }
+    } catch (error) {
+      logger.error('Error restoring monitoring run history:', error.message);
+    }
+  }
+
+  /**
+   * Schedule cause list ingestion. Lists for the next day appear in the evening;
+   * the morning run picks up additional lists.
+   */
+  startCauseListIngestion() {
+    if (this.jobs.has('causeLists')) return;
+
+    const job = cron.schedule(this.config.causeListSchedule, async () => {
+      await this.runIfLeader('Cause list ingestion', () => this.ingestCauseLists());
+    }, {
+      scheduled: false,
+      timezone: this.config.timezone
+    });
+
+    this.jobs.set('causeLists', job);
+    job.start();
+
+    logger.info(`Cause list ingestion scheduled: ${this.config.causeListSchedule}`);
+  }
+
+  /**
+   * Schedule delivery status checks of recently sent notifications, for
+   * channels whose provider can be asked
+   */
+  startDeliveryStatusPolling() {
+    if (this.jobs.has('deliveryStatus')) return;
+
+    const job = cron.schedule(this.config.statusPollSchedule, async () => {
+      try {
+        await this.runIfLeader('Delivery status polling', () => notificationOutboxService.pollStatuses());
+      } catch (error) {
+        logger.error('Error polling delivery status:', error.message);
+      }
+    }, {
+      scheduled: false,
+      timezone: this.config.timezone
+    });
+
+    this.jobs.set('deliveryStatus', job);
+    job.start();
+
+    logger.info(`Delivery status polling scheduled: ${this.config.statusPollSchedule}`);
+  }
+
+  /**
+   * Ingest today's cause lists and, once published, tomorrow's, then send
+   * subscribers a digest of where their cases are listed. Days the court does
+   * not sit have no lists and are skipped.
+   */
+  async ingestCauseLists() {
+    const today = causeListService.toListDate();
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+    await courtCalendarService.ensureLoaded();
+
+    for (const date of [today, tomorrow]) {
+      const day = courtCalendarService.getDay(date);
+      if (!day.working) {
+        logger.info(`No cause lists for ${day.date}, court closed (${day.name})`);
+        continue;
+      }
+
+      try {
+        await causeListService.ingest({ date });
+        await this.enqueueListingDigests(date);
+      } catch (error) {
+        logger.error('Error in scheduled cause list ingestion:', error.message);
+      }
+    }
+    await jobQueueService.drain({ types: ['sendDigest'] });
+  }
+
+  /**
+   * Queue one digest per subscriber with cases listed on a date. The key covers
+   * the listings, so a later run only re-sends when an additional list adds one.
+   * @param {Date} listDate - List date
+   * @returns {Promise<Array>} Queued digest jobs
+   */
+  async enqueueListingDigests(listDate) {
+    const entries = await causeListService.getListings(listDate);
+    if (entries.length === 0) return [];
+
+    const entriesByCino = new Map();
+    for (const entry of entries) {
+      if (!entriesByCino.has(entry.cino)) entriesByCino.set(entry.cino, []);
+      entriesByCino.get(entry.cino).push(entry);
+    }
+
+    const subscriptions = await UserCase.find({
+      cino: { $in: [...entriesByCino.keys()] },
+      isActive: true
+    }).populate('userId');
+
+    const digests = new Map();
+    for (const subscription of subscriptions) {
+      const user = subscription.userId;
+      if (!user || !user.isActive) continue;
+
+      const key = String(user._id);
+      if (!digests.has(key)) digests.set(key, { user, items: [] });
+      digests.get(key).items.push({ subscription, entries: entriesByCino.get(subscription.cino) });
+    }
+
+    const ymd = listDate.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const jobs = [];
+    for (const { user, items } of digests.values()) {
+      const listings = items
+        .flatMap(item => item.entries.map(e => `${e.cino}|${e.listType}|${e.courtNumber}|${e.itemNumber}`))
+        .sort();
+      const listingsHash = crypto.createHash('md5').update(listings.join('\n')).digest('hex');
+
+      jobs.push(await notificationOutboxService.enqueue('sendDigest', {
+        kind: 'digest',
+        userId: user._id,
+        routes: notificationDispatcher.routesFor(user),
+        subject: 'Allahabad HC cause list',
+        body: this.generateListingDigest(user, items, listDate),
+        data: { listDate }
+      }, {
+        userId: user._id,
+        listDate
+      }, { idempotencyKey: `sendDigest:${user._id}:${ymd}:${listingsHash}` }));
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Run a complete monitoring cycle: queue a fetch job per due case, run them,
+   * then run the notification jobs they queued. Each cycle is recorded in the
+   * MonitoringRun collection.
+   * @param {Object} options
+   * @param {string} options.trigger - scheduled or manual
    * @returns {Promise<Object>} Monitoring results
    */
-  async runMonitoringCycle() {
+  async runMonitoringCycle({ trigger = 'manual' } = {}) {
     if (this.isRunning) {
       logger.warn('Monitoring cycle already in progress, skipping...');
       return { status: 'skipped', reason: 'already_running' };
@@ -76,9 +362,12 @@ class MonitoringService {
 
     this.isRunning = true;
     this.runCount++;
+    this.fetchOutcomes = this.emptyFetchOutcomes();
     const startTime = new Date();
+    const runId = startTime.toISOString();
     
     logger.info(`Starting monitoring cycle #${this.runCount}`);
+    await monitoringRunService.startRun({ runId, trigger, instanceId: leaderLockService.instanceId, startedAt: startTime });
 
     try {
       // Step 1: Get all cases that need checking
@@ -86,43 +375,45 @@ class MonitoringService {
       
       if (casesToCheck.length === 0) {
         logger.info('No cases to check');
-        return { status: 'completed', message: 'No cases to monitor' };
+        await monitoringRunService.finishRun(runId, { status: 'completed', startedAt: startTime, summary: this.generateSummary([]) });
+        return { status: 'completed', runId, message: 'No cases to monitor' };
       }
 
       logger.info(`Found ${casesToCheck.length} cases to check`);
 
-      // Step 2: Fetch data in batches to minimize API load
-      const allChanges = [];
-      const batches = this.createBatches(casesToCheck, this.batchSize);
-      
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        logger.info(`Processing batch ${i + 1}/${batches.length} (${batch.length} cases)`);
-        
-        const batchChanges = await this.processBatch(batch);
-        allChanges.push(...batchChanges);
-        
-        // Add delay between batches to be respectful to the API
-        if (i < batches.length - 1) {
-          await this.delay(this.apiDelay);
-        }
+      // Step 2: Fetch, diff and persist each case as a job; ApiService's rate limiter paces the requests
+      await this.enqueueChecks(casesToCheck, runId);
+
+      for (let batch = 1; ; batch++) {
+        const counts = await jobQueueService.drain({ types: ['fetchCase'], limit: this.config.batchSize });
+        const processed = counts.completed + counts.retried + counts.dead;
+        if (processed === 0) break;
+        logger.info(`Processed fetch batch ${batch} (${processed} jobs, ${counts.retried} to retry, ${counts.dead} dead)`);
+      }
+
+      const { skippedForOutage, maintenance, blocked } = this.fetchOutcomes;
+      if (skippedForOutage + maintenance + blocked > 0) {
+        logger.warn(`Court unavailable for ${skippedForOutage + maintenance + blocked} cases this cycle ` +
+          `(maintenance ${maintenance}, blocked ${blocked}, skipped ${skippedForOutage})`);
       }
 
-      // Step 3: Process notifications for changes
-      const notificationResults = await this.processNotifications(allChanges);
+      // Step 3: Send the notifications the fetches queued
+      await jobQueueService.drain({ types: ['notifySubscriber', 'notifyNumbers'] });
 
       // Step 4: Update statistics and log summary
-      const summary = this.generateSummary(allChanges, notificationResults);
+      const jobs = await jobQueueService.listJobs({ runId, limit: 0 });
+      const summary = this.generateSummary(jobs);
       this.logCycleSummary(startTime, summary);
+      await monitoringRunService.finishRun(runId, { status: 'completed', startedAt: startTime, summary, jobs });
 
       this.lastRunTime = startTime;
       this.lastRunStatus = 'success';
+      this.lastRunSummary = summary;
 
       return {
         status: 'completed',
-        changes: allChanges,
+        runId,
         summary: summary,
-        notifications: notificationResults,
         duration: Date.now() - startTime.getTime()
       };
 
@@ -130,11 +421,13 @@ class MonitoringService {
       this.errorCount++;
       this.lastRunStatus = 'error';
       logger.error(`Monitoring cycle #${this.runCount} failed:`, error.message);
+      await monitoringRunService.finishRun(runId, { status: 'error', startedAt: startTime, error });
       
       await this.sendErrorNotification(error);
       
       return {
         status: 'error',
+        runId,
         error: error.message,
         duration: Date.now() - startTime.getTime()
       };
@@ -145,31 +438,167 @@ class MonitoringService {
   }
 
   /**
-   * Get cases that need to be checked
-   * @returns {Promise<Array>} Array of cases to check
+   * Run a cycle in shadow mode: fetch, parse and diff every case as a real
+   * cycle would, but save nothing to Case and send nothing. The report lists
+   * the changes that would have been persisted and each message that would
+   * have been sent. Nothing else is written either: no snapshots, drift
+   * records, alerts or order downloads.
+   * @param {Object} options
+   * @param {Array<string>} options.cinos - Cases to check, by default those due now
+   * @param {number} options.limit - Most cases to check
+   * @returns {Promise<Object>} Shadow run report
+   */
+  async runShadowCycle({ cinos = [], limit = this.config.maxCasesPerCycle } = {}) {
+    if (this.isShadowRunning) {
+      return { status: 'skipped', reason: 'already_running' };
+    }
+
+    this.isShadowRunning = true;
+    const startTime = new Date();
+    const runId = `shadow:${startTime.toISOString()}`;
+    logger.info(`Starting shadow monitoring cycle ${runId}`);
+
+    try {
+      await changeRuleService.ensureLoaded();
+      const selected = cinos.length > 0
+        ? cinos
+        : (await this.getCasesToCheck()).map(caseDoc => caseDoc.cino);
+      const targets = await this.loadShadowTargets(selected.slice(0, limit));
+
+      const cases = [];
+      for (const target of targets) {
+        cases.push(await this.shadowCase(target, { runId }));
+      }
+
+      const summary = { casesChecked: cases.length, messages: 0, skippedMessages: 0, byOutcome: {} };
+      for (const result of cases) {
+        summary.byOutcome[result.outcome] = (summary.byOutcome[result.outcome] || 0) + 1;
+        summary.messages += (result.messages || []).length;
+        summary.skippedMessages += (result.skipped || []).length;
+      }
+
+      logger.info(`Shadow cycle ${runId} checked ${cases.length} cases: ${JSON.stringify(summary.byOutcome)}`);
+      return {
+        status: 'completed',
+        runId,
+        startedAt: startTime,
+        durationMs: Date.now() - startTime.getTime(),
+        summary,
+        cases
+      };
+    } finally {
+      this.isShadowRunning = false;
+    }
+  }
+
+  /**
+   * Full case documents for the CINOs of a shadow run; CINOs not stored are
+   * checked as untracked stubs
+   * @param {Array<string>} cinos - CINO numbers
+   * @returns {Promise<Array>} Case documents and stubs
+   */
+  async loadShadowTargets(cinos) {
+    const stored = await Case.find({ cino: { $in: cinos } }).select('-rawApiResponse -changeHistory');
+    const byCino = new Map(stored.map(caseDoc => [caseDoc.cino, caseDoc]));
+    return cinos.map(cino => byCino.get(cino) || { cino, untracked: true });
+  }
+
+  /**
+   * Shadow check of one case
+   * @param {Object} caseDoc - Case document, or untracked stub
+   * @param {Object} options
+   * @param {string} options.runId - Shadow run ID
+   * @returns {Promise<Object>} Outcome, the fields that would be saved and the messages that would be sent
+   */
+  async shadowCase(caseDoc, { runId } = {}) {
+    const cino = caseDoc.cino;
+
+    try {
+      const newCaseData = await this.fetchStage(caseDoc, { dryRun: true });
+      if (!newCaseData) return { cino, outcome: 'no_data' };
+
+      let change;
+      if (caseDoc.untracked) {
+        ({ change } = this.buildTrackedCase(caseDoc, newCaseData));
+      } else {
+        const changeResult = this.diffStage(caseDoc, newCaseData);
+        const unchangedChecks = changeResult.hasChanges ? 0 : (caseDoc.unchangedChecks || 0) + 1;
+        const nextCheck = this.scheduleNextCheck(newCaseData, unchangedChecks);
+        if (!changeResult.hasChanges) {
+          return { cino, outcome: 'unchanged', nextCheck };
+        }
+        change = this.buildChange(caseDoc, newCaseData, changeResult);
+        change.nextCheck = nextCheck;
+      }
+
+      const notifications = change.changes.isSuppressed
+        ? []
+        : await this.buildNotifications(change, { runId, checkNumber: caseDoc.apiCheckCount || 0 });
+      const changedFields = change.changes.changedFields || [];
+
+      let outcome = change.isNewCase ? 'new' : 'changed';
+      if (change.changes.isSuppressed) outcome = 'suppressed';
+
+      return {
+        cino,
+        outcome,
+        priority: change.changes.notificationPriority,
+        changesSummary: change.changes.changesSummary,
+        events: change.changes.events || [],
+        matchedRules: change.changes.matchedRules || [],
+        changedFields,
+        persisted: change.isNewCase
+          ? change.updatedCase
+          : Object.fromEntries(changedFields.map(field => [field, newCaseData[field]])),
+        nextCheck: change.nextCheck,
+        messages: notifications.map(({ type, payload }) => ({
+          type,
+          userId: payload.userId,
+          to: payload.numbers || [payload.mobileNumber],
+          channels: (payload.channels || notificationDispatcher.routesForNumbers(payload.numbers)).map(route => route.channel),
+          reason: payload.reason,
+          message: payload.message
+        })),
+        skipped: change.skipped || []
+      };
+    } catch (error) {
+      logger.warn(`Shadow check of ${cino} failed:`, error.message);
+      const outcome = error instanceof CourtUnavailableError ? 'skipped_for_outage' : error.classification || 'error';
+      return { cino, outcome, error: error.message };
+    }
+  }
+
+  /**
+   * Get cases due for a check, most urgent first: active cases plus every CINO
+   * with an active subscription or mapped numbers, whose nextCheckAt has passed.
+   * CINOs mapped in CinoNumbers that have no case yet come first as untracked
+   * stubs and are created on their first fetch. CINOs that still have a fetch
+   * job queued, such as one left by a crashed cycle, are left to that job.
+   * @returns {Promise<Array>} Untracked stubs and cases with cino and checkPriority
    */
   async getCasesToCheck() {
     try {
-      // Get cases that haven't been checked recently or have active subscriptions
-      const cutoffTime = new Date(Date.now() - 2 * 60 * 60 * 1000); // 2 hours ago
-      
-      const cases = await Case.find({
-        $or: [
-          { lastApiCheck: { $lt: cutoffTime } },
-          { lastApiCheck: { $exists: false } },
-          { isActive: true }
-        ]
-      }).select('cino cnr caseNumber lastApiCheck apiCheckCount');
-
-      // Also get cases that have active user subscriptions
-      const activeCinos = await UserCase.distinct('cino', { isActive: true });
-      
-      const subscribedCases = await Case.find({
-        cino: { $in: activeCinos },
-        _id: { $nin: cases.map(c => c._id) }
-      }).select('cino cnr caseNumber lastApiCheck apiCheckCount');
+      const [subscribedCinos, mappedCinos, openCinos] = await Promise.all([
+        UserCase.distinct('cino', { isActive: true }),
+        CinoNumbers.distinct('cino', { 'numbers.0': { $exists: true } }),
+        jobQueueService.getOpenPayloadValues('fetchCase', 'cino')
+      ]);
+      const followedCinos = [...new Set([...subscribedCinos, ...mappedCinos])];
+      const queued = new Set(openCinos);
+
+      const knownCinos = new Set(await Case.distinct('cino', { cino: { $in: mappedCinos } }));
+      const untracked = mappedCinos
+        .filter(cino => !knownCinos.has(cino) && !queued.has(cino))
+        .map(cino => ({ cino, untracked: true }))
+        .slice(0, this.config.maxCasesPerCycle);
+
+      // A limit of 0 would mean no limit, so skip the query when stubs fill the cycle
+      const remaining = this.config.maxCasesPerCycle - untracked.length;
+      const cases = remaining > 0
+        ? await Case.findCasesForApiCheck({ followedCinos, limit: remaining }).select('cino checkPriority')
+        : [];
 
-      return [...cases, ...subscribedCases];
+      return [...untracked, ...cases.filter(caseDoc => !queued.has(caseDoc.cino))];
       
     } catch (error) {
       logger.error('Error getting cases to check:', error.message);
@@ -178,84 +607,331 @@ class MonitoringService {
   }
 
   /**
-   * Create batches from array of cases
-   * @param {Array} cases - Array of cases
-   * @param {number} batchSize - Size of each batch
-   * @returns {Array} Array of batches
+   * Queue a fetch job per case, most urgent first
+   * @param {Array} cases - From getCasesToCheck
+   * @param {string} runId - Cycle the jobs belong to
+   * @returns {Promise<Array>} Queued jobs
    */
-  createBatches(cases, batchSize) {
-    const batches = [];
-    for (let i = 0; i < cases.length; i += batchSize) {
-      batches.push(cases.slice(i, i + batchSize));
+  async enqueueChecks(cases, runId) {
+    const jobs = [];
+    for (const caseDoc of cases) {
+      jobs.push(await jobQueueService.enqueue('fetchCase', {
+        runId,
+        cino: caseDoc.cino
+      }, {
+        idempotencyKey: `fetchCase:${caseDoc.cino}:${runId}`,
+        priority: caseDoc.untracked ? 3 : caseDoc.checkPriority || 0
+      }));
     }
-    return batches;
+    return jobs;
   }
 
   /**
-   * Process a batch of cases
-   * @param {Array} batch - Batch of cases to process
-   * @returns {Promise<Array>} Array of changes detected
+   * Handler for fetchCase jobs. Court pages that are not a case page are
+   * recorded and complete the job; other failures are retried by the queue.
+   * @param {Object} payload - runId and cino
+   * @returns {Promise<Object>} outcome, and priority for changed cases
    */
-  async processBatch(batch) {
-    const batchChanges = [];
-    
-    for (const caseDoc of batch) {
-      try {
-        const changes = await this.processCase(caseDoc);
-        if (changes) {
-          batchChanges.push(changes);
-        }
-      } catch (error) {
-        logger.error(`Error processing case ${caseDoc.cino}:`, error.message);
+  async runFetchJob({ cino, runId }) {
+    await changeRuleService.ensureLoaded();
+    let caseDoc = await Case.findOne({ cino }).select('-rawApiResponse -changeHistory');
+    if (!caseDoc) {
+      // Deleted since it was queued, unless numbers are mapped to it
+      const mapped = await CinoNumbers.exists({ cino, 'numbers.0': { $exists: true } });
+      if (!mapped) return { outcome: 'skipped' };
+      caseDoc = { cino, untracked: true };
+    }
+
+    try {
+      const change = await this.processCase(caseDoc, { runId });
+      if (!change) return { outcome: 'unchanged' };
+
+      return {
+        outcome: change.changes.isSuppressed ? 'suppressed' : 'changed',
+        priority: change.changes.notificationPriority,
+        critical: Boolean(change.changes.hasCriticalChanges),
+        events: (change.changes.events || []).map(event => event.type),
+        notifications: change.notifications,
+        skipped: change.skipped || []
+      };
+    } catch (error) {
+      if (await this.handleFetchError(caseDoc, error)) {
+        return { outcome: error.classification || 'skipped_for_outage' };
       }
+      logger.error(`Error processing case ${cino}:`, error.message);
+      throw error;
     }
-    
-    return batchChanges;
   }
 
   /**
-   * Process a single case
-   * @param {Object} caseDoc - Case document from database
-   * @returns {Promise<Object|null>} Changes detected or null
+   * Fresh per-cycle counters for fetches that did not return a case page
+   * @returns {Object} Zeroed counters
    */
-  async processCase(caseDoc) {
-    try {
-      // Fetch latest data from API
-      const newCaseData = await this.apiService.fetchSingleCase(caseDoc.cino);
-      
-      if (!newCaseData) {
-        logger.warn(`No data received for case ${caseDoc.cino}`);
-        return null;
-      }
+  emptyFetchOutcomes() {
+    return { notFound: 0, invalidCino: 0, maintenance: 0, blocked: 0, skippedForOutage: 0 };
+  }
+
+  /**
+   * Handle a fetch the court answered with something other than a case page.
+   * None of these run change detection, so subscribers never see them as updates.
+   * @param {Object} caseDoc - Case document being checked
+   * @param {Error} error - Error from fetchSingleCase
+   * @returns {Promise<boolean>} True if the error was one of the classified outcomes
+   */
+  async handleFetchError(caseDoc, error) {
+    const now = new Date();
 
-      // Update API check statistics
+    // Court-wide problems: leave the case untouched and check it next cycle.
+    // Blocked pages also trip ApiService's circuit breaker, pausing the rest of the cycle.
+    if (error instanceof CourtUnavailableError) {
+      this.fetchOutcomes.skippedForOutage++;
+      return true;
+    }
+    if (error instanceof CourtMaintenanceError) {
+      this.fetchOutcomes.maintenance++;
+      return true;
+    }
+    if (error instanceof CourtBlockedError) {
+      this.fetchOutcomes.blocked++;
+      return true;
+    }
+
+    // The court no longer lists the case; keep the stored data and keep checking
+    if (error instanceof CaseNotFoundError) {
+      this.fetchOutcomes.notFound++;
+      if (caseDoc.untracked) {
+        logger.warn(`Mapped CINO ${caseDoc.cino} not found at the court`);
+        return true;
+      }
+      const unchangedChecks = (caseDoc.unchangedChecks || 0) + 1;
       await Case.findByIdAndUpdate(caseDoc._id, {
-        lastApiCheck: new Date(),
-        $inc: { apiCheckCount: 1 }
+        fetchStatus: 'not_found',
+        fetchStatusAt: now,
+        lastApiCheck: now,
+        ...this.scheduleNextCheck({ fetchStatus: 'not_found' }, unchangedChecks),
+        $inc: { apiCheckCount: 1, notFoundCount: 1 }
       });
+      logger.warn(`Case ${caseDoc.cino} not found at the court, keeping stored data`);
+      return true;
+    }
 
-      // Detect changes using our change detection service
-      const changeResult = this.changeDetectionService.detectChanges(caseDoc.toObject(), newCaseData);
-      
-      if (changeResult.hasChanges) {
-        // Update case with new data and change history
-        const updatedCase = await this.updateCaseWithChanges(caseDoc, newCaseData, changeResult);
-        
-        return {
-          caseId: caseDoc._id,
-          cino: caseDoc.cino,
-          caseNumber: caseDoc.caseNumber,
-          changes: changeResult,
-          updatedCase: updatedCase
-        };
+    // The CINO itself is wrong and will never fetch; stop monitoring it
+    if (error instanceof InvalidCinoError) {
+      this.fetchOutcomes.invalidCino++;
+      if (caseDoc.untracked) {
+        logger.error(`Mapped CINO ${caseDoc.cino} rejected as an invalid CINO`);
+        return true;
       }
+      await Case.findByIdAndUpdate(caseDoc._id, {
+        fetchStatus: 'invalid_cino',
+        fetchStatusAt: now,
+        lastApiCheck: now,
+        isActive: false
+      });
+      logger.error(`Case ${caseDoc.cino} rejected as an invalid CINO, monitoring deactivated`);
+      return true;
+    }
 
+    return false;
+  }
+
+  /**
+   * Run one case through the fetch, diff, notify and persist stages.
+   * Notifications are queued before the case is saved: if the process dies in
+   * between, the retried job finds the same change and the idempotency keys stop
+   * a second message.
+   * @param {Object} caseDoc - Case document from database, or an untracked stub
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @returns {Promise<Object|null>} Changes detected, with the notifications queued, or null
+   */
+  async processCase(caseDoc, { runId } = {}) {
+    const newCaseData = await this.fetchStage(caseDoc);
+    
+    if (!newCaseData) {
+      logger.warn(`No data received for case ${caseDoc.cino}`);
+      return null;
+    }
+
+    if (caseDoc.untracked) {
+      return this.createTrackedCase(caseDoc, newCaseData, { runId });
+    }
+
+    const changeResult = this.diffStage(caseDoc, newCaseData);
+    let change = null;
+
+    if (changeResult.hasChanges) {
+      change = this.buildChange(caseDoc, newCaseData, changeResult);
+      // Changes made only of fields suppressed by a rule are saved without notifying
+      const jobs = changeResult.isSuppressed
+        ? []
+        : await this.notifyStage(change, { runId, checkNumber: caseDoc.apiCheckCount || 0 });
+      change.notifications = jobs.length;
+    }
+
+    await this.persistStage(caseDoc, newCaseData, changeResult, { runId });
+    return change;
+  }
+
+  /**
+   * Change record of a stored case, as passed to the notify stage
+   * @param {Object} caseDoc - Case document
+   * @param {Object} newCaseData - Fetched case data
+   * @param {Object} changeResult - Result of the diff stage
+   * @returns {Object} Change record
+   */
+  buildChange(caseDoc, newCaseData, changeResult) {
+    return {
+      caseId: caseDoc._id,
+      cino: caseDoc.cino,
+      caseNumber: caseDoc.caseNumber,
+      changes: changeResult,
+      updatedCase: { ...this.toPlainCase(caseDoc), ...newCaseData }
+    };
+  }
+
+  /**
+   * Plain object of a case document or stub
+   * @param {Object} caseDoc - Mongoose document or plain object
+   * @returns {Object} Plain case data
+   */
+  toPlainCase(caseDoc) {
+    return typeof caseDoc.toObject === 'function' ? caseDoc.toObject() : caseDoc;
+  }
+
+  /**
+   * Next check of a case after this one, from the data just fetched
+   * @param {Object} caseData - Fetched or stored case data
+   * @param {number} unchangedChecks - Consecutive checks that found no change
+   * @returns {Object} Case fields nextCheckAt, checkPriority, pollingReason and unchangedChecks
+   */
+  scheduleNextCheck(caseData, unchangedChecks) {
+    return {
+      ...pollingPolicyService.schedule(caseData, { unchangedChecks }),
+      unchangedChecks
+    };
+  }
+
+  /**
+   * Fetch stage: the latest case page, with newly linked orders archived so an
+   * upload shows up as a change
+   * @param {Object} caseDoc - Case document or untracked stub
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Write nothing and download no orders; new
+   *   orders are listed from their links
+   * @returns {Promise<Object|null>} Case data with orders
+   */
+  async fetchStage(caseDoc, { dryRun = false } = {}) {
+    const newCaseData = await this.apiService.fetchSingleCase(caseDoc.cino, caseDoc.courtAdapter, { dryRun });
+    if (!newCaseData) return null;
+
+    const archived = caseDoc.untracked ? null : caseDoc;
+    const { orders } = dryRun
+      ? orderDocumentService.previewOrders(archived, newCaseData.orderLinks)
+      : await orderDocumentService.syncOrders(archived, newCaseData.orderLinks, caseDoc.courtAdapter || newCaseData.courtAdapter);
+    newCaseData.orders = orders;
+
+    return newCaseData;
+  }
+
+  /**
+   * Diff stage: compare the fetched data with the stored case, read the
+   * changes as case events and rank them with the change rules
+   * @param {Object} caseDoc - Case document
+   * @param {Object} newCaseData - Fetched case data
+   * @returns {Object} Change detection result, with events and matched rules
+   */
+  diffStage(caseDoc, newCaseData) {
+    return this.changeDetectionService.detectChanges(this.toPlainCase(caseDoc), newCaseData);
+  }
+
+  /**
+   * Persist stage: record the check and when the case is next due and, when
+   * something changed, the new data and its events
+   * @param {Object} caseDoc - Case document
+   * @param {Object} newCaseData - Fetched case data
+   * @param {Object} changeResult - Result of the diff stage
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @returns {Promise<Object|null>} Updated case document, or null when nothing changed
+   */
+  async persistStage(caseDoc, newCaseData, changeResult, { runId } = {}) {
+    const unchangedChecks = changeResult.hasChanges ? 0 : (caseDoc.unchangedChecks || 0) + 1;
+
+    await Case.findByIdAndUpdate(caseDoc._id, {
+      lastApiCheck: new Date(),
+      fetchStatus: 'ok',
+      fetchStatusAt: new Date(),
+      notFoundCount: 0,
+      nextHearingHoliday: courtCalendarService.getHearingHoliday(newCaseData.nextHearingDate),
+      ...this.scheduleNextCheck(newCaseData, unchangedChecks),
+      $inc: { apiCheckCount: 1 }
+    });
+
+    if (!changeResult.hasChanges) {
       return null;
-      
-    } catch (error) {
-      logger.error(`Error processing case ${caseDoc.cino}:`, error.message);
-      throw error;
     }
+
+    await caseEventService.recordEvents(caseDoc, changeResult.events, { runId });
+    return this.updateCaseWithChanges(caseDoc, newCaseData, changeResult);
+  }
+
+  /**
+   * Unsaved case and change record for the first fetch of an untracked CINO
+   * @param {Object} stub - Untracked stub from getCasesToCheck
+   * @param {Object} newCaseData - Fetched case data
+   * @returns {Object} caseDoc and change
+   */
+  buildTrackedCase(stub, newCaseData) {
+    const caseDoc = new Case({
+      ...newCaseData,
+      lastApiCheck: new Date(),
+      fetchStatus: 'ok',
+      fetchStatusAt: new Date(),
+      apiCheckCount: 1,
+      nextHearingHoliday: courtCalendarService.getHearingHoliday(newCaseData.nextHearingDate),
+      ...this.scheduleNextCheck(newCaseData, 0)
+    });
+    caseDoc.dataHash = caseDoc.dataHash || caseDoc.generateDataHash();
+
+    const change = {
+      caseId: caseDoc._id,
+      cino: stub.cino,
+      caseNumber: caseDoc.caseNumber,
+      isNewCase: true,
+      changes: {
+        hasChanges: true,
+        hasCriticalChanges: false,
+        changedFields: [],
+        changesSummary: 'Now monitoring this case',
+        notificationPriority: 'low',
+        newDataHash: caseDoc.dataHash
+      },
+      updatedCase: caseDoc.toObject()
+    };
+
+    return { caseDoc, change };
+  }
+
+  /**
+   * Store the first fetch of a CINO mapped in CinoNumbers. Its recipients get
+   * one message with the case as it stands; later cycles only report changes.
+   * @param {Object} stub - Untracked stub from getCasesToCheck
+   * @param {Object} newCaseData - Fetched case data
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @returns {Promise<Object>} Change record with the notifications queued
+   */
+  async createTrackedCase(stub, newCaseData, { runId } = {}) {
+    const { caseDoc, change } = this.buildTrackedCase(stub, newCaseData);
+
+    const jobs = await this.notifyStage(change, { runId, checkNumber: 0 });
+    change.notifications = jobs.length;
+
+    await caseDoc.save();
+    logger.info(`Started tracking case ${stub.cino} for its mapped numbers`);
+
+    return change;
   }
 
   /**
@@ -298,93 +974,172 @@ class MonitoringService {
   }
 
   /**
-   * Process notifications for all changes
-   * @param {Array} allChanges - Array of all changes detected
-   * @returns {Promise<Array>} Notification results
+   * Notify stage: queue a message for each subscriber of a changed case and one
+   * for the numbers mapped to its CINO. Each message is written to the
+   * notification log first and the job carries its ID. Keys combine the case
+   * and its check number, so a retried check queues nothing new.
+   * @param {Object} change - Change record from processCase
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @param {number} options.checkNumber - apiCheckCount of the case before this check
+   * @returns {Promise<Array>} Queued notification jobs
    */
-  async processNotifications(allChanges) {
-    const notificationResults = [];
-    
-    for (const changeData of allChanges) {
-      try {
-        // Get users subscribed to this case
-        const subscriptions = await UserCase.find({
-          cino: changeData.cino,
-          isActive: true
-        }).populate('userId');
-
-        if (subscriptions.length === 0) {
-          logger.info(`No active subscriptions for case ${changeData.cino}`);
-          continue;
-        }
+  async notifyStage(change, { runId, checkNumber = 0 } = {}) {
+    const notifications = await this.buildNotifications(change, { runId, checkNumber });
 
-        // Send personalized notifications
-        for (const subscription of subscriptions) {
-          const user = subscription.userId;
-          if (!user || !user.isActive) continue;
-
-          const notificationResult = await this.sendPersonalizedNotification(
-            user,
-            subscription,
-            changeData
-          );
-          
-          notificationResults.push(notificationResult);
-        }
+    const jobs = [];
+    for (const { type, kind, payload, options } of notifications) {
+      const { message, channels, ...jobPayload } = payload;
+      jobs.push(await notificationOutboxService.enqueue(type, {
+        kind,
+        userId: payload.userId,
+        subscriptionId: payload.subscriptionId,
+        caseId: payload.caseId,
+        cino: payload.cino,
+        runId,
+        routes: channels || notificationDispatcher.routesForNumbers(payload.numbers),
+        reason: payload.reason,
+        subject: `Allahabad HC update: ${payload.cino}`,
+        body: message,
+        data: { cino: payload.cino, reason: payload.reason, keys: payload.keys }
+      }, jobPayload, options));
+    }
+    return jobs;
+  }
 
-        // Update case notification tracking
-        await Case.findByIdAndUpdate(changeData.caseId, {
-          lastNotificationSent: new Date(),
-          $inc: { notificationCount: subscriptions.length }
-        });
+  /**
+   * The notification jobs a change calls for, with their messages, without
+   * queuing them. Subscribers whose preferences rule the change out are left
+   * on change.skipped with the reason.
+   * @param {Object} change - Change record
+   * @param {Object} options
+   * @param {string} options.runId - Cycle the check belongs to
+   * @param {number} options.checkNumber - apiCheckCount of the case before this check
+   * @returns {Promise<Array>} type, kind, payload and queue options of each notification
+   */
+  async buildNotifications(change, { runId, checkNumber = 0 } = {}) {
+    const [subscriptions, mapping] = await Promise.all([
+      UserCase.find({ cino: change.cino, isActive: true }).populate('userId'),
+      CinoNumbers.findOne({ cino: change.cino }).lean()
+    ]);
+    const numbers = (mapping && mapping.numbers) || [];
 
-      } catch (error) {
-        logger.error(`Error processing notifications for case ${changeData.cino}:`, error.message);
+    if (subscriptions.length === 0 && numbers.length === 0) {
+      logger.info(`No active subscriptions for case ${change.cino}`);
+      return [];
+    }
+
+    const checkKey = `${change.caseId}:${checkNumber}`;
+    const priority = PRIORITY_RANK[change.changes.notificationPriority] || PRIORITY_RANK.low;
+    const notifications = [];
+
+    const skipped = [];
+
+    for (const subscription of subscriptions) {
+      const user = subscription.userId;
+      const decision = notificationPreferenceService.decide(user, subscription, change);
+      if (!decision.send) {
+        logger.info(`Not notifying subscription ${subscription._id} of ${change.cino}: ${decision.reason}`);
+        skipped.push({
+          subscriptionId: subscription._id,
+          userId: user && user._id,
+          reason: decision.reason,
+          blocked: decision.blocked
+        });
+        continue;
       }
+
+      notifications.push({
+        type: 'notifySubscriber',
+        kind: 'case_update',
+        payload: {
+          runId,
+          cino: change.cino,
+          caseId: change.caseId,
+          subscriptionId: subscription._id,
+          userId: user._id,
+          mobileNumber: user.mobileNumber,
+          channels: notificationDispatcher.routesFor(user),
+          reason: decision.reason,
+          keys: decision.keys,
+          message: this.generatePersonalizedMessage(user, subscription, change)
+        },
+        options: { idempotencyKey: `notifySubscriber:${subscription._id}:${checkKey}`, priority }
+      });
     }
-    
-    return notificationResults;
+
+    if (numbers.length > 0) {
+      notifications.push({
+        type: 'notifyNumbers',
+        kind: 'mapped_numbers',
+        payload: {
+          runId,
+          cino: change.cino,
+          caseId: change.caseId,
+          numbers,
+          reason: 'mapped_numbers',
+          message: this.generateChangeMessage(change)
+        },
+        options: { idempotencyKey: `notifyNumbers:${checkKey}`, priority }
+      });
+    }
+
+    change.skipped = skipped;
+    return notifications;
   }
 
   /**
-   * Send personalized notification to user
-   * @param {Object} user - User document
-   * @param {Object} subscription - UserCase subscription
-   * @param {Object} changeData - Change data
-   * @returns {Promise<Object>} Notification result
+   * Handler for notifySubscriber jobs: the message goes over the subscriber's
+   * channels, falling back in order
+   * @param {Object} payload - Notification and the records to update
+   * @param {Object} job - Job being run
+   * @returns {Promise<Object>} Channel used and the recipients it accepted
    */
-  async sendPersonalizedNotification(user, subscription, changeData) {
-    try {
-      const message = this.generatePersonalizedMessage(user, subscription, changeData);
-      
-      const result = await whatsappService.sendMessage([user.mobileNumber], message);
-      
-      // Update subscription notification tracking
-      await UserCase.findByIdAndUpdate(subscription._id, {
+  async runNotifySubscriberJob(payload, job) {
+    const { subscriptionId, caseId } = payload;
+    const result = await notificationOutboxService.deliverJob(payload, job);
+
+    await Promise.all([
+      UserCase.findByIdAndUpdate(subscriptionId, {
         lastNotificationSent: new Date(),
         $inc: { notificationCount: 1 }
-      });
+      }),
+      Case.findByIdAndUpdate(caseId, {
+        lastNotificationSent: new Date(),
+        $inc: { notificationCount: 1 }
+      })
+    ]);
 
-      return {
-        userId: user._id,
-        mobileNumber: user.mobileNumber,
-        cino: changeData.cino,
-        success: result.success,
-        messageId: result.messageId,
-        timestamp: new Date()
-      };
-      
-    } catch (error) {
-      logger.error(`Error sending notification to ${user.mobileNumber}:`, error.message);
-      return {
-        userId: user._id,
-        mobileNumber: user.mobileNumber,
-        cino: changeData.cino,
-        success: false,
-        error: error.message,
-        timestamp: new Date()
-      };
-    }
+    return { channel: result.channel, recipients: result.recipients, attempts: result.attempts };
+  }
+
+  /**
+   * Handler for notifyNumbers jobs: one shared message to the numbers mapped to a CINO
+   * @param {Object} payload - Notification, numbers and the case to update
+   * @param {Object} job - Job being run
+   * @returns {Promise<Object>} Channel used and the recipients it accepted
+   */
+  async runNotifyNumbersJob(payload, job) {
+    const { numbers, caseId } = payload;
+    const result = await notificationOutboxService.deliverJob(payload, job);
+
+    await Case.findByIdAndUpdate(caseId, {
+      lastNotificationSent: new Date(),
+      $inc: { notificationCount: numbers.length }
+    });
+
+    return { channel: result.channel, recipients: result.recipients, attempts: result.attempts };
+  }
+
+  /**
+   * Handler for sendDigest jobs
+   * @param {Object} payload - Notification holding the rendered digest
+   * @param {Object} job - Job being run
+   * @returns {Promise<Object>} Channel used and the recipients it accepted
+   */
+  async runDigestJob(payload, job) {
+    const result = await notificationOutboxService.deliverJob(payload, job);
+    return { channel: result.channel, recipients: result.recipients, attempts: result.attempts };
   }
 
   /**
@@ -395,12 +1150,27 @@ class MonitoringService {
    * @returns {string} Formatted message
    */
   generatePersonalizedMessage(user, subscription, changeData) {
+    return this.generateChangeMessage(changeData, {
+      greeting: `👋 Hi ${user.name || 'Test User'},\n\n`,
+      caseLabel: subscription.alias
+    });
+  }
+
+  /**
+   * Generate the WhatsApp message for a changed case
+   * @param {Object} changeData - Change data
+   * @param {Object} options
+   * @param {string} options.greeting - Opening line, none for mapped numbers
+   * @param {string} options.caseLabel - Subscriber's alias for the case
+   * @returns {string} Formatted message
+   */
+  generateChangeMessage(changeData, { greeting = '', caseLabel } = {}) {
     const changes = changeData.changes;
-    const caseAlias = subscription.alias || changeData.caseNumber || changeData.cino;
     const caseData = changeData.updatedCase || {};
+    const caseAlias = caseLabel || changeData.caseNumber || caseData.caseTitle || changeData.cino;
     
     let message = `🏛️ *Allahabad High Court Update*\n\n`;
-    message += `👋 Hi ${user.name || 'Test User'},\n\n`;
+    message += greeting;
     message += `📋 *Case:* ${caseAlias}\n`;
     message += `🔢 *CINO:* ${changeData.cino}\n\n`;
     
@@ -414,6 +1184,13 @@ class MonitoringService {
     
     message += `${priorityEmoji[changes.notificationPriority] || '🔵'} *Priority:* ${changes.notificationPriority.toUpperCase()}\n\n`;
     
+    // Events read from short order text with low confidence stay out of messages
+    const events = (changes.events || []).filter(event => event.confidence !== 'low');
+    if (events.length > 0) {
+      message += `📌 *What Happened:*\n`;
+      message += events.map(event => `• ${event.summary}`).join('\n') + '\n\n';
+    }
+    
     // Changes summary
     message += `📝 *Changes Detected:*\n`;
     message += changes.changesSummary + '\n\n';
@@ -434,6 +1211,38 @@ class MonitoringService {
     return message;
   }
 
+  /**
+   * Generate the WhatsApp digest of where a user's cases are listed on a date
+   * @param {Object} user - User document
+   * @param {Array} items - { subscription, entries } per listed case
+   * @param {Date} listDate - List date
+   * @returns {string} Formatted message
+   */
+  generateListingDigest(user, items, listDate) {
+    const day = listDate.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+    let message = `🏛️ *Allahabad High Court Cause List*\n\n`;
+    message += `👋 Hi ${user.name || 'there'},\n\n`;
+    message += `📅 Your cases listed on *${day}*:\n\n`;
+
+    for (const { subscription, entries } of items) {
+      message += `📋 *${subscription.userCaseAlias || entries[0].caseReference}*\n`;
+      for (const entry of entries) {
+        message += `🏛️ Court ${entry.courtNumber}, item ${entry.itemNumber}` +
+          `${entry.connected ? ' (connected)' : ''}, ${entry.listType} list\n`;
+        if (entry.benchJustices) {
+          message += `👨‍⚖️ ${entry.benchJustices}\n`;
+        }
+      }
+      message += `\n`;
+    }
+
+    message += `---\n`;
+    message += `🤖 *Allahabad HC Monitor*`;
+
+    return message;
+  }
+
   /**
    * Format detailed case information for WhatsApp message
    * @param {Object} caseData - Case data object
@@ -490,6 +1299,10 @@ class MonitoringService {
     if (caseData.nextHearingDate) {
       const nextHearing = new Date(caseData.nextHearingDate).toLocaleDateString('en-IN');
       details += `📅 *Next Hearing Date:* ${nextHearing}\n`;
+      const holiday = courtCalendarService.getHearingHoliday(caseData.nextHearingDate);
+      if (holiday) {
+        details += `⚠️ *Court closed that day:* ${holiday.name}, the date may be moved\n`;
+      }
     } else {
       details += `📅 *Next Hearing Date:* Not scheduled\n`;
     }
@@ -664,18 +1477,20 @@ class MonitoringService {
   }
 
   /**
-   * Generate monitoring summary
-   * @param {Array} allChanges - All changes detected
-   * @param {Array} notificationResults - Notification results
+   * Generate monitoring summary from the jobs of a cycle
+   * @param {Array} jobs - Fetch and notification jobs with the cycle's runId
    * @returns {Object} Summary object
    */
-  generateSummary(allChanges, notificationResults) {
+  generateSummary(jobs) {
     const summary = {
       totalCasesChecked: 0,
-      totalChanges: allChanges.length,
+      totalChanges: 0,
       criticalChanges: 0,
+      fetchFailures: 0,
       notificationsSent: 0,
       notificationsFailed: 0,
+      notificationsPending: 0,
+      fetchOutcomes: { ...this.fetchOutcomes },
       changesByPriority: {
         urgent: 0,
         high: 0,
@@ -684,26 +1499,36 @@ class MonitoringService {
       }
     };
 
-    // Count changes by priority
-    allChanges.forEach(change => {
-      const priority = change.changes.notificationPriority;
-      if (summary.changesByPriority[priority] !== undefined) {
-        summary.changesByPriority[priority]++;
-      }
-      
-      if (change.changes.hasCriticalChanges) {
-        summary.criticalChanges++;
+    for (const job of jobs) {
+      if (job.type === 'fetchCase') {
+        summary.totalCasesChecked++;
+        if (job.status !== 'completed') {
+          summary.fetchFailures++;
+          continue;
+        }
+
+        // Count changes by priority
+        const result = job.result || {};
+        if (result.outcome !== 'changed') continue;
+        summary.totalChanges++;
+        if (summary.changesByPriority[result.priority] !== undefined) {
+          summary.changesByPriority[result.priority]++;
+        }
+        if (result.critical) {
+          summary.criticalChanges++;
+        }
+        continue;
       }
-    });
 
-    // Count notification results
-    notificationResults.forEach(result => {
-      if (result.success) {
+      // Count notification results; queued ones are waiting for a retry
+      if (job.status === 'completed') {
         summary.notificationsSent++;
-      } else {
+      } else if (job.status === 'dead') {
         summary.notificationsFailed++;
+      } else {
+        summary.notificationsPending++;
       }
-    });
+    }
 
     return summary;
   }
@@ -718,10 +1543,11 @@ class MonitoringService {
     
     logger.info(`Monitoring cycle #${this.runCount} completed in ${duration}ms`);
     logger.info(`Summary:`);
+    logger.info(`- Cases checked: ${summary.totalCasesChecked} (${summary.fetchFailures} failed)`);
     logger.info(`- Total changes: ${summary.totalChanges}`);
     logger.info(`- Critical changes: ${summary.criticalChanges}`);
     logger.info(`- Notifications sent: ${summary.notificationsSent}`);
-    logger.info(`- Notifications failed: ${summary.notificationsFailed}`);
+    logger.info(`- Notifications failed: ${summary.notificationsFailed} (${summary.notificationsPending} to retry)`);
     logger.info(`- Changes by priority: ${JSON.stringify(summary.changesByPriority)}`);
   }
 
@@ -742,9 +1568,7 @@ class MonitoringService {
         `❌ *Error:* ${error.message}\n\n` +
         `Please check the system logs for more details.`;
 
-      for (const adminNumber of adminNumbers) {
-        await whatsappService.sendMessage([adminNumber.trim()], message);
-      }
+      await notificationOutboxService.sendToNumbers(adminNumbers.map(number => number.trim()), message);
       
     } catch (notificationError) {
       logger.error('Failed to send error notification:', notificationError.message);
@@ -765,16 +1589,24 @@ class MonitoringService {
    * @returns {Object} Status information
    */
   getStatus() {
+    const apiStats = this.apiService.getApiStats();
     return {
       isRunning: this.isRunning,
       isScheduled: this.jobs.has('monitoring'),
+      jobs: [...this.jobs.keys()],
+      config: { ...this.config },
       lastRunTime: this.lastRunTime,
+      lastScheduledRunAt: this.lastScheduledRunAt,
       lastRunStatus: this.lastRunStatus,
+      lastRunSummary: this.lastRunSummary,
       runCount: this.runCount,
       errorCount: this.errorCount,
-      schedule: this.defaultSchedule,
-      batchSize: this.batchSize,
-      apiDelay: this.apiDelay
+      fetchOutcomes: { ...this.fetchOutcomes },
+      jobWorker: { workerId: jobQueueService.workerId, polling: Boolean(jobQueueService.timer) },
+      leader: leaderLockService.getStatus(),
+      courtDay: courtCalendarService.getDay(),
+      rateLimiter: apiStats.rateLimiter,
+      circuitBreakers: apiStats.circuitBreakers
     };
   }
 
@@ -784,26 +1616,109 @@ class MonitoringService {
    */
   async runManually() {
     logger.info('Running monitoring cycle manually...');
-    return await this.runMonitoringCycle();
+    return await this.runMonitoringCycle({ trigger: 'manual' });
+  }
+
+  /**
+   * What the next cycle would check, without fetching anything
+   * @returns {Promise<Object>} Today's court day and the due cases in check order
+   */
+  async planCycle() {
+    await courtCalendarService.ensureLoaded();
+    const cases = await this.getCasesToCheck();
+    return {
+      courtDay: courtCalendarService.getDay(),
+      maxCasesPerCycle: this.config.maxCasesPerCycle,
+      total: cases.length,
+      cases: cases.map(caseDoc => ({
+        cino: caseDoc.cino,
+        untracked: Boolean(caseDoc.untracked),
+        checkPriority: caseDoc.untracked ? 3 : caseDoc.checkPriority
+      }))
+    };
+  }
+
+  /**
+   * Fetch one case and diff it against the stored case without saving or
+   * notifying anything
+   * @param {string} cino - CINO number
+   * @returns {Promise<Object>} outcome (new, changed or unchanged), the diff and the next check it would get
+   */
+  async previewCase(cino) {
+    await changeRuleService.ensureLoaded();
+    const stored = await Case.findOne({ cino }).select('-rawApiResponse -changeHistory');
+    const caseDoc = stored || { cino, untracked: true };
+
+    const newCaseData = await this.fetchStage(caseDoc, { dryRun: true });
+    if (!newCaseData) {
+      return { cino, outcome: 'no_data' };
+    }
+    if (!stored) {
+      return { cino, outcome: 'new', case: newCaseData };
+    }
+
+    const changes = this.diffStage(stored, newCaseData);
+    const unchangedChecks = changes.hasChanges ? 0 : (stored.unchangedChecks || 0) + 1;
+    return {
+      cino,
+      outcome: changes.hasChanges ? 'changed' : 'unchanged',
+      changes,
+      nextCheck: this.scheduleNextCheck(newCaseData, unchangedChecks)
+    };
+  }
+
+  /**
+   * Check one case now, outside the schedule, and send any notifications it queues
+   * @param {string} cino - CINO number
+   * @returns {Promise<Object|null>} Fetch outcome, or null if the CINO is not monitored
+   */
+  async checkCaseNow(cino) {
+    const result = await this.runFetchJob({ cino, runId: `manual:${cino}:${new Date().toISOString()}` });
+    if (result.outcome === 'skipped') return null;
+
+    if (result.notifications > 0) {
+      await jobQueueService.drain({ types: ['notifySubscriber', 'notifyNumbers'] });
+    }
+    return { cino, ...result };
+  }
+
+  /**
+   * Whether a cron expression is valid
+   * @param {string} schedule - Cron expression
+   * @returns {boolean}
+   */
+  isValidSchedule(schedule) {
+    return typeof schedule === 'string' && cron.validate(schedule);
   }
 
   /**
    * Update monitoring configuration
    * @param {Object} config - Configuration object
+   * @throws {Error} If the schedule is not a valid cron expression
    */
   updateConfig(config) {
+    if (config.schedule && !this.isValidSchedule(config.schedule)) {
+      throw new Error(`Invalid cron schedule: ${config.schedule}`);
+    }
+
     if (config.schedule) {
+      const wasScheduled = this.jobs.has('monitoring');
       this.stopMonitoring();
-      this.defaultSchedule = config.schedule;
-      this.startMonitoring(config.schedule);
+      this.config.schedule = config.schedule;
+      if (wasScheduled) {
+        this.startMonitoring(config.schedule);
+      }
     }
     
     if (config.batchSize) {
-      this.batchSize = config.batchSize;
+      this.config.batchSize = config.batchSize;
     }
     
-    if (config.apiDelay) {
-      this.apiDelay = config.apiDelay;
+    if (config.requestsPerMinute || config.maxConcurrency) {
+      this.apiService.updateRateLimits({
+        requestsPerMinute: config.requestsPerMinute,
+        maxConcurrency: config.maxConcurrency
+      });
     }
     
     logger.info('Monitoring configuration updated:', config);
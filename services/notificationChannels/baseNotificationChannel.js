@@ -0,0 +1,118 @@
+/**
+ * Interface every outbound notification channel implements.
+ *
+ * A channel knows one way of reaching people: which user field holds its
+ * address, whether the environment configures it, and how to send a message
+ * to one or more addresses. send throws when the message was not accepted, so
+ * the dispatcher can fall back to the next channel and queued sends are
+ * retried. Channels that reach phone numbers can also carry the messages for
+ * mapped numbers and admins, who have no user record.
+ */
+class BaseNotificationChannel {
+  constructor({ id, displayName, addressField }) {
+    if (!id || !displayName || !addressField) {
+      throw new Error('Notification channels need an id, displayName and addressField');
+    }
+
+    // Stored in User.notificationChannels, keep stable once users choose it
+    this.id = id;
+    this.displayName = displayName;
+
+    // User field holding this channel's address
+    this.addressField = addressField;
+  }
+
+  /**
+   * Whether the environment has what this channel needs to send
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * The user's address on this channel
+   * @param {Object} user - User document
+   * @returns {string|null} Address, or null if the user has none
+   */
+  addressFor(user) {
+    return (user && user[this.addressField]) || null;
+  }
+
+  /**
+   * Whether this channel can carry messages for bare phone numbers
+   * @returns {boolean}
+   */
+  reachesNumbers() {
+    return this.addressField === 'mobileNumber';
+  }
+
+  /**
+   * Send a message
+   * @param {Array<string>} addresses - Recipient addresses
+   * @param {string} message - Message text, with WhatsApp *bold* markup
+   * @param {Object} options
+   * @param {string} options.subject - Subject line, for channels that have one
+   * @param {Object} options.data - Structured details, for channels that carry them
+   * @returns {Promise<Object>} recipients, the provider's response and its messageId if it gives one
+   */
+  async send(addresses, message, options = {}) {
+    throw new Error(`${this.id} channel does not implement send`);
+  }
+
+  /**
+   * Whether the provider can be asked for a message's delivery status
+   * @returns {boolean}
+   */
+  supportsStatus() {
+    return false;
+  }
+
+  /**
+   * Ask the provider for a message's delivery status
+   * @param {string} messageId - Provider message ID
+   * @returns {Promise<Object>} status as the provider words it, and error if it failed
+   */
+  async getStatus(messageId) {
+    throw new Error(`${this.id} channel cannot look up delivery status`);
+  }
+
+  /**
+   * Message ID in a provider response, under the names providers commonly use
+   * @param {Object} response - Provider response body
+   * @returns {string|undefined}
+   */
+  messageIdFrom(response) {
+    if (!response || typeof response !== 'object') return undefined;
+    const id = response.messageId || response.message_id || response.id ||
+      (Array.isArray(response.messages) && response.messages[0] && response.messages[0].id) ||
+      (response.data && (response.data.messageId || response.data.id));
+    return id === undefined || id === null ? undefined : String(id);
+  }
+
+  /**
+   * Message text without WhatsApp markup, for channels that show it literally
+   * @param {string} message - Message text
+   * @returns {string}
+   */
+  plainText(message) {
+    return message.replace(/\*([^*\n]+)\*/g, '$1');
+  }
+
+  /**
+   * Describe the channel for listings
+   * @returns {Object} Channel summary
+   */
+  describe() {
+    return {
+      id: this.id,
+      displayName: this.displayName,
+      addressField: this.addressField,
+      configured: this.isConfigured(),
+      reachesNumbers: this.reachesNumbers(),
+      tracksStatus: this.supportsStatus()
+    };
+  }
+}
+
+module.exports = BaseNotificationChannel;
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const BaseNotificationChannel = require('./baseNotificationChannel');
+
+/**
+ * Email through an SMTP server
+ */
+class EmailChannel extends BaseNotificationChannel {
+  constructor() {
+    super({
+      id: 'email',
+      displayName: 'Email',
+      addressField: 'email'
+    });
+
+    this.host = process.env.EMAIL_HOST;
+    this.port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    this.user = process.env.EMAIL_USER;
+    this.pass = process.env.EMAIL_PASS;
+    this.from = process.env.EMAIL_FROM || this.user;
+    this.timeout = 30000;
+    this.transport = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.host && this.from);
+  }
+
+  /**
+   * SMTP transport, created on first use. Port 465 speaks TLS from the
+   * start; other ports upgrade with STARTTLS.
+   * @returns {Object} Nodemailer transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.port === 465,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+        connectionTimeout: this.timeout,
+        socketTimeout: this.timeout
+      });
+    }
+    return this.transport;
+  }
+
+  async send(addresses, message, { subject } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Email channel not configured: set EMAIL_HOST and EMAIL_FROM');
+    }
+
+    const info = await this.getTransport().sendMail({
+      from: this.from,
+      to: addresses.join(', '),
+      subject: subject || 'Allahabad HC Monitor',
+      text: this.plainText(message)
+    });
+
+    return { recipients: info.accepted || addresses, response: { messageId: info.messageId }, messageId: info.messageId };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,51 @@
+const WhatsAppChannel = require('./whatsappChannel');
+const EmailChannel = require('./emailChannel');
+const SmsChannel = require('./smsChannel');
+const TelegramChannel = require('./telegramChannel');
+const WebhookChannel = require('./webhookChannel');
+
+// Users who never chose channels are reached the way they always were
+const DEFAULT_CHANNEL_ID = 'whatsapp';
+
+const channels = new Map();
+
+/**
+ * Register a notification channel instance
+ * @param {Object} channel - Channel extending BaseNotificationChannel
+ */
+function registerChannel(channel) {
+  if (channels.has(channel.id)) {
+    throw new Error(`Notification channel already registered: ${channel.id}`);
+  }
+  channels.set(channel.id, channel);
+}
+
+/**
+ * Get a registered channel
+ * @param {string} channelId - Channel ID, as stored in User.notificationChannels
+ * @returns {Object|null} Channel instance, or null if none has that ID
+ */
+function getChannel(channelId) {
+  return channels.get(channelId) || null;
+}
+
+/**
+ * List registered channels
+ * @returns {Array} Channel summaries
+ */
+function listChannels() {
+  return [...channels.values()].map(channel => channel.describe());
+}
+
+registerChannel(new WhatsAppChannel());
+registerChannel(new EmailChannel());
+registerChannel(new SmsChannel());
+registerChannel(new TelegramChannel());
+registerChannel(new WebhookChannel());
+
+module.exports = {
+  DEFAULT_CHANNEL_ID,
+  registerChannel,
+  getChannel,
+  listChannels
+};
@@ -0,0 +1,48 @@
+const axios = require('axios');
+const BaseNotificationChannel = require('./baseNotificationChannel');
+
+/**
+ * SMS through a generic HTTP gateway. The gateway is posted
+ * { to, message, sender } with every number in one request, and an
+ * x-api-key header when a key is set.
+ */
+class SmsChannel extends BaseNotificationChannel {
+  constructor() {
+    super({
+      id: 'sms',
+      displayName: 'SMS',
+      addressField: 'mobileNumber'
+    });
+
+    this.apiUrl = process.env.SMS_GATEWAY_URL;
+    this.apiKey = process.env.SMS_GATEWAY_API_KEY;
+    this.sender = process.env.SMS_SENDER_ID;
+    this.timeout = 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiUrl);
+  }
+
+  async send(addresses, message) {
+    if (!this.isConfigured()) {
+      throw new Error('SMS channel not configured: set SMS_GATEWAY_URL');
+    }
+
+    const response = await axios.post(this.apiUrl, {
+      to: addresses,
+      message: this.plainText(message),
+      sender: this.sender
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'x-api-key': this.apiKey } : {})
+      },
+      timeout: this.timeout
+    });
+
+    return { recipients: addresses, response: response.data, messageId: this.messageIdFrom(response.data) };
+  }
+}
+
+module.exports = SmsChannel;
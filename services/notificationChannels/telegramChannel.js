@@ -0,0 +1,52 @@
+const axios = require('axios');
+const BaseNotificationChannel = require('./baseNotificationChannel');
+
+// Longest text the Bot API accepts in one message
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Telegram through a bot. Users start a chat with the bot and store its chat ID.
+ */
+class TelegramChannel extends BaseNotificationChannel {
+  constructor() {
+    super({
+      id: 'telegram',
+      displayName: 'Telegram',
+      addressField: 'telegramChatId'
+    });
+
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.apiUrl = 'https://api.telegram.org';
+    this.timeout = 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.botToken);
+  }
+
+  async send(addresses, message) {
+    if (!this.isConfigured()) {
+      throw new Error('Telegram channel not configured: set TELEGRAM_BOT_TOKEN');
+    }
+
+    const text = this.plainText(message).slice(0, MAX_MESSAGE_LENGTH);
+    const responses = [];
+    for (const chatId of addresses) {
+      const response = await axios.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+        chat_id: chatId,
+        text,
+        disable_web_page_preview: true
+      }, { timeout: this.timeout });
+      responses.push(response.data);
+    }
+
+    const first = responses[0] && responses[0].result;
+    return {
+      recipients: addresses,
+      response: responses,
+      messageId: first && first.message_id !== undefined ? String(first.message_id) : undefined
+    };
+  }
+}
+
+module.exports = TelegramChannel;
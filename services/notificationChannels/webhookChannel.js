@@ -0,0 +1,76 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const https = require('https');
+const BaseNotificationChannel = require('./baseNotificationChannel');
+const { assertPublicUrl, publicLookup } = require('../../utils/publicUrl');
+
+/**
+ * Signed JSON posts to a URL the user gives. Each post carries an
+ * X-Signature header, sha256= and the hex HMAC-SHA256 of
+ * "<X-Timestamp>.<body>" under WEBHOOK_SIGNING_SECRET, so receivers can check
+ * the post came from this system and is not a replay. Only https URLs on
+ * public addresses are posted to, checked again at connect time.
+ */
+class WebhookChannel extends BaseNotificationChannel {
+  constructor() {
+    super({
+      id: 'webhook',
+      displayName: 'Webhook',
+      addressField: 'webhookUrl'
+    });
+
+    this.secret = process.env.WEBHOOK_SIGNING_SECRET;
+    this.timeout = 15000;
+    this.httpsAgent = new https.Agent({ lookup: publicLookup });
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Signature of a webhook body
+   * @param {string} timestamp - X-Timestamp header value
+   * @param {string} body - Raw JSON body
+   * @returns {string} X-Signature header value
+   */
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  async send(addresses, message, { subject, data } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Webhook channel not configured: set WEBHOOK_SIGNING_SECRET');
+    }
+
+    const body = JSON.stringify({
+      type: 'notification',
+      subject,
+      message: this.plainText(message),
+      data,
+      sentAt: new Date().toISOString()
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const responses = [];
+    for (const url of addresses) {
+      await assertPublicUrl(url);
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Timestamp': timestamp,
+          'X-Signature': this.sign(timestamp, body)
+        },
+        timeout: this.timeout,
+        httpsAgent: this.httpsAgent,
+        maxRedirects: 0
+      });
+      responses.push(response.status);
+    }
+
+    return { recipients: addresses, response: responses };
+  }
+}
+
+module.exports = WebhookChannel;
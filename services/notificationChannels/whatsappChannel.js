@@ -0,0 +1,36 @@
+const BaseNotificationChannel = require('./baseNotificationChannel');
+const whatsappService = require('../whatsappService');
+
+/**
+ * WhatsApp through the bulk send API
+ */
+class WhatsAppChannel extends BaseNotificationChannel {
+  constructor() {
+    super({
+      id: 'whatsapp',
+      displayName: 'WhatsApp',
+      addressField: 'mobileNumber'
+    });
+  }
+
+  isConfigured() {
+    return Boolean(whatsappService.apiKey);
+  }
+
+  async send(addresses, message) {
+    const result = await whatsappService.deliver(addresses, message);
+    return { ...result, messageId: this.messageIdFrom(result.response) };
+  }
+
+  supportsStatus() {
+    return Boolean(whatsappService.statusUrl);
+  }
+
+  async getStatus(messageId) {
+    const response = await whatsappService.getMessageStatus(messageId);
+    const data = (response && response.data) || response || {};
+    return { status: data.status, error: data.error || data.reason };
+  }
+}
+
+module.exports = WhatsAppChannel;
@@ -0,0 +1,133 @@
+const { DEFAULT_CHANNEL_ID, getChannel, listChannels } = require('./notificationChannels');
+const { NotificationDeliveryError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Sends notifications over the channels people chose. A user's channels are
+ * tried in the order of User.notificationChannels until one accepts the
+ * message; channels the user has no address for are left out. Mapped numbers
+ * and admins have only a phone number, so their messages go over the
+ * channels in NOTIFICATION_NUMBER_CHANNELS that reach numbers.
+ */
+class NotificationDispatcher {
+  constructor() {
+    this.numberChannels = (process.env.NOTIFICATION_NUMBER_CHANNELS || DEFAULT_CHANNEL_ID)
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Registered channel summaries
+   * @returns {Array} id, displayName, addressField, configured and reachesNumbers of each
+   */
+  listChannels() {
+    return listChannels();
+  }
+
+  /**
+   * Channel IDs that are not registered
+   * @param {Array<string>} channelIds - Channel IDs
+   * @returns {Array<string>} Unknown IDs
+   */
+  unknownChannels(channelIds) {
+    return channelIds.filter(id => !getChannel(id));
+  }
+
+  /**
+   * Where a user can be reached, in the order to try
+   * @param {Object} user - User document
+   * @returns {Array<Object>} { channel, addresses } per channel the user has an address for
+   */
+  routesFor(user) {
+    const chosen = user.notificationChannels && user.notificationChannels.length > 0
+      ? user.notificationChannels
+      : [DEFAULT_CHANNEL_ID];
+
+    const routes = [];
+    for (const id of chosen) {
+      const channel = getChannel(id);
+      const address = channel && channel.addressFor(user);
+      if (address) routes.push({ channel: id, addresses: [address] });
+    }
+    return routes;
+  }
+
+  /**
+   * Where bare phone numbers can be reached, in the order to try
+   * @param {Array<string>} numbers - Phone numbers
+   * @returns {Array<Object>} { channel, addresses } per number channel
+   */
+  routesForNumbers(numbers) {
+    return this.numberChannels
+      .filter(id => getChannel(id) && getChannel(id).reachesNumbers())
+      .map(id => ({ channel: id, addresses: numbers }));
+  }
+
+  /**
+   * Send a message over the first route that accepts it
+   * @param {Array<Object>} routes - { channel, addresses } in the order to try
+   * @param {string} message - Message text
+   * @param {Object} options
+   * @param {string} options.subject - Subject line, for channels that have one
+   * @param {Object} options.data - Structured details, for channels that carry them
+   * @returns {Promise<Object>} channel used, recipients, the provider's messageId and
+   *   response, and the routes that failed first
+   * @throws {NotificationDeliveryError} When no route accepted the message
+   */
+  async deliver(routes, message, options = {}) {
+    const attempts = [];
+
+    for (const { channel: id, addresses } of routes) {
+      const channel = getChannel(id);
+      if (!channel) {
+        attempts.push({ channel: id, error: 'Unknown channel' });
+        continue;
+      }
+
+      try {
+        const result = await channel.send(addresses, message, options);
+        if (attempts.length > 0) {
+          logger.info(`Notification fell back to ${id} after ${attempts.map(attempt => attempt.channel).join(', ')} failed`);
+        }
+        return {
+          channel: id,
+          recipients: result.recipients,
+          messageId: result.messageId,
+          response: result.response,
+          attempts
+        };
+      } catch (error) {
+        logger.warn(`Notification over ${id} failed:`, error.message);
+        attempts.push({ channel: id, error: error.message });
+      }
+    }
+
+    throw new NotificationDeliveryError(attempts);
+  }
+
+  /**
+   * Send a message to a user over their channels
+   * @param {Object} user - User document
+   * @param {string} message - Message text
+   * @param {Object} options - subject and data, as for deliver
+   * @returns {Promise<Object>} Delivery result
+   */
+  notifyUser(user, message, options = {}) {
+    return this.deliver(this.routesFor(user), message, options);
+  }
+
+  /**
+   * Send one message to phone numbers, such as mapped numbers or admins
+   * @param {Array|string} numbers - Phone numbers
+   * @param {string} message - Message text
+   * @param {Object} options - subject and data, as for deliver
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendToNumbers(numbers, message, options = {}) {
+    const numbersArray = Array.isArray(numbers) ? numbers : [numbers];
+    return this.deliver(this.routesForNumbers(numbersArray), message, options);
+  }
+}
+
+module.exports = new NotificationDispatcher();
@@ -0,0 +1,428 @@
+const Notification = require('../models/Notification');
+const jobQueueService = require('./jobQueueService');
+const notificationDispatcher = require('./notificationDispatcher');
+const { getChannel, listChannels } = require('./notificationChannels');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// How providers word delivery states, and the state each means here
+const PROVIDER_STATUSES = {
+  accepted: 'sent',
+  queued: 'sent',
+  submitted: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  seen: 'read',
+  failed: 'failed',
+  undelivered: 'failed',
+  rejected: 'failed',
+  expired: 'failed',
+  error: 'failed'
+};
+
+// States a provider update may move a notification out of; updates never move it back
+const ADVANCES_FROM = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered'],
+  failed: ['sent']
+};
+
+const DELIVERED_STATUSES = ['sent', 'delivered', 'read'];
+
+/**
+ * Outbox of every outgoing message. A notification is written to the
+ * Notification collection before anything is sent, then delivered by the job
+ * worker, which retries failed sends with backoff. Each attempt, the channel
+ * that accepted it, the provider's response and message ID are recorded, and
+ * later delivery states come from provider callbacks or status polling.
+ */
+class NotificationOutboxService {
+  constructor() {
+    // Sent messages are polled for delivery status this long
+    this.statusPollHours = parseInt(process.env.NOTIFICATION_STATUS_POLL_HOURS) || 24;
+    this.statusPollLimit = 100;
+
+    jobQueueService.registerHandler('sendNotification', (payload, job) => this.deliverJob(payload, job));
+  }
+
+  /**
+   * Write a notification, once per key
+   * @param {Object} fields - kind, recipient, routes, subject, body and data; key stops a retried check writing it twice
+   * @returns {Promise<Object>} The notification, or the existing one with the same key
+   */
+  async record(fields) {
+    if (!fields.key) {
+      return Notification.create(fields);
+    }
+
+    try {
+      return await Notification.findOneAndUpdate(
+        { key: fields.key },
+        { $setOnInsert: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two upserts raced on the unique key; the other one created it
+      if (error.code === 11000) {
+        return Notification.findOne({ key: fields.key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a notification and queue the job that delivers it. The job payload
+   * carries the notificationId instead of the message.
+   * @param {string} type - Job type, such as notifySubscriber
+   * @param {Object} fields - Notification fields, as for record
+   * @param {Object} payload - Job payload the handler needs besides the notification
+   * @param {Object} options - Job queue options; idempotencyKey is also the notification's key
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(type, fields, payload = {}, options = {}) {
+    const notification = await this.record({ ...fields, key: options.idempotencyKey });
+    const job = await jobQueueService.enqueue(type, { ...payload, notificationId: notification._id }, options);
+
+    if (!notification.jobId) {
+      await Notification.updateOne({ _id: notification._id }, { $set: { jobId: job._id } });
+    }
+    return job;
+  }
+
+  /**
+   * Write a notification and send it now. If the send fails it is queued for
+   * the worker to retry, and the error is rethrown for the caller to report.
+   * @param {Object} fields - Notification fields, as for record
+   * @returns {Promise<Object>} Delivery result
+   */
+  async sendNow(fields) {
+    const notification = await this.record(fields);
+
+    try {
+      return await this.deliver(notification._id);
+    } catch (error) {
+      if (error.retryable !== false) {
+        const job = await jobQueueService.enqueue('sendNotification', { notificationId: notification._id }, {
+          idempotencyKey: `sendNotification:${notification._id}`,
+          runAt: new Date(Date.now() + jobQueueService.getBackoffMs(1))
+        });
+        await Notification.updateOne({ _id: notification._id }, { $set: { jobId: job._id } });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a user a message now over their channels, logged
+   * @param {Object} user - User document
+   * @param {string} message - Message text
+   * @param {Object} fields - kind (account by default), subject, data and other notification fields
+   * @returns {Promise<Object>} Delivery result
+   */
+  notifyUser(user, message, { kind = 'account', ...fields } = {}) {
+    return this.sendNow({
+      ...fields,
+      kind,
+      userId: user._id,
+      routes: notificationDispatcher.routesFor(user),
+      body: message
+    });
+  }
+
+  /**
+   * Send phone numbers a message now, logged
+   * @param {Array|string} numbers - Phone numbers
+   * @param {string} message - Message text
+   * @param {Object} fields - kind (admin_alert by default), subject, data and other notification fields
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendToNumbers(numbers, message, { kind = 'admin_alert', ...fields } = {}) {
+    const numbersArray = Array.isArray(numbers) ? numbers : [numbers];
+    return this.sendNow({
+      ...fields,
+      kind,
+      routes: notificationDispatcher.routesForNumbers(numbersArray),
+      body: message
+    });
+  }
+
+  /**
+   * Send a test message over one channel now, logged like any other message
+   * @param {string} channel - Channel name
+   * @param {Array<string>} addresses - Recipients on that channel
+   * @param {string} message - Message text, a standard test message when empty
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendTest(channel, addresses, message) {
+    const body = message || `🧪 Test Message from Allahabad HC Monitor\n\n` +
+      `Time: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}\n\n` +
+      `If you receive this message, the ${channel} channel is working correctly! ✅`;
+
+    return this.sendNow({
+      kind: 'manual',
+      routes: [{ channel, addresses }],
+      subject: 'Allahabad HC Monitor test message',
+      body,
+      data: { test: true }
+    });
+  }
+
+  /**
+   * Deliver a stored notification over its routes. One already sent, such as
+   * by a worker that died before completing its job, is not sent again.
+   * @param {string} notificationId - Notification ID
+   * @param {Object} job - Job delivering it, if any; its last attempt marks the notification failed
+   * @returns {Promise<Object>} notificationId, channel, recipients and the routes that failed first
+   */
+  async deliver(notificationId, job = null) {
+    const notification = await Notification.findById(notificationId);
+    if (!notification) {
+      const error = new Error(`Notification ${notificationId} not found`);
+      error.retryable = false;
+      throw error;
+    }
+
+    if (DELIVERED_STATUSES.includes(notification.status)) {
+      return {
+        notificationId: notification._id,
+        channel: notification.channel,
+        recipients: notification.recipients,
+        attempts: []
+      };
+    }
+
+    const now = new Date();
+    try {
+      const result = await notificationDispatcher.deliver(notification.routes, notification.body, {
+        subject: notification.subject,
+        data: notification.data
+      });
+
+      await Notification.updateOne({ _id: notification._id }, {
+        $set: {
+          status: 'sent',
+          channel: result.channel,
+          recipients: result.recipients,
+          providerMessageId: result.messageId,
+          providerResponse: result.response,
+          sentAt: now
+        },
+        $unset: { lastError: 1, failedAt: 1 },
+        $inc: { attempts: 1 },
+        $push: { failures: { $each: result.attempts.map(attempt => ({ at: now, ...attempt })) } }
+      });
+
+      return {
+        notificationId: notification._id,
+        channel: result.channel,
+        recipients: result.recipients,
+        attempts: result.attempts
+      };
+    } catch (error) {
+      const failed = error.retryable === false || Boolean(job && job.attempts >= job.maxAttempts);
+      const failures = error.attempts && error.attempts.length > 0
+        ? error.attempts
+        : [{ channel: null, error: error.message }];
+
+      await Notification.updateOne({ _id: notification._id }, {
+        $set: {
+          status: failed ? 'failed' : 'retrying',
+          lastError: error.message,
+          ...(failed ? { failedAt: now } : {})
+        },
+        $inc: { attempts: 1 },
+        $push: { failures: { $each: failures.map(attempt => ({ at: now, ...attempt })) } }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver the notification a queued job carries
+   * @param {Object} payload - Job payload with the notificationId
+   * @param {Object} job - Job being run
+   * @returns {Promise<Object>} Delivery result
+   */
+  async deliverJob(payload, job) {
+    if (!payload.notificationId) {
+      const error = new Error(`${job ? `${job.type} job ${job._id}` : 'Job'} has no notificationId`);
+      error.retryable = false;
+      throw error;
+    }
+    return this.deliver(payload.notificationId, job);
+  }
+
+  /**
+   * Our delivery state for a provider's status word
+   * @param {string} providerStatus - Status as the provider gives it
+   * @returns {string|null} sent, delivered, read or failed, or null if unknown
+   */
+  normalizeStatus(providerStatus) {
+    return PROVIDER_STATUSES[String(providerStatus || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Move a notification to a later delivery state
+   * @param {Object} filter - Notification to update, by _id or channel and providerMessageId
+   * @param {string} status - delivered, read or failed
+   * @param {Object} details
+   * @param {string} details.error - Why delivery failed
+   * @param {Date} details.at - When the provider saw the change
+   * @returns {Promise<boolean>} Whether the notification moved
+   */
+  async applyStatus(filter, status, { error, at = new Date() } = {}) {
+    if (!ADVANCES_FROM[status]) return false;
+
+    const update = { status, [`${status}At`]: at };
+    if (status === 'failed') update.lastError = error || 'Provider reported the message failed';
+
+    const result = await Notification.updateOne(
+      { ...filter, status: { $in: ADVANCES_FROM[status] } },
+      { $set: update }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Record a delivery callback from a provider
+   * @param {Object} callback
+   * @param {string} callback.channel - Channel ID
+   * @param {string} callback.messageId - Provider message ID
+   * @param {string} callback.status - Status as the provider gives it
+   * @param {string} callback.error - Why delivery failed
+   * @param {Date} callback.at - When the status changed
+   * @returns {Promise<Object>} status recognised and whether a notification moved
+   */
+  async recordCallback({ channel, messageId, status, error, at }) {
+    const normalized = this.normalizeStatus(status);
+    if (!normalized) {
+      return { status: null, updated: false };
+    }
+
+    const updated = await this.applyStatus(
+      { channel, providerMessageId: String(messageId) },
+      normalized,
+      { error, at: at || new Date() }
+    );
+    return { status: normalized, updated };
+  }
+
+  /**
+   * Ask providers for the delivery status of recent messages not yet read,
+   * least recently checked first. Only channels that track status are polled.
+   * @returns {Promise<Object>} Notifications checked and moved
+   */
+  async pollStatuses() {
+    const channels = listChannels().filter(channel => channel.tracksStatus).map(channel => channel.id);
+    if (channels.length === 0) return { checked: 0, updated: 0 };
+
+    const pending = await Notification.find({
+      status: { $in: ['sent', 'delivered'] },
+      channel: { $in: channels },
+      providerMessageId: { $exists: true },
+      sentAt: { $gte: new Date(Date.now() - this.statusPollHours * HOUR) }
+    })
+      .select('channel providerMessageId status')
+      .sort({ statusCheckedAt: 1 })
+      .limit(this.statusPollLimit)
+      .lean();
+
+    let updated = 0;
+    for (const notification of pending) {
+      try {
+        const { status, error } = await getChannel(notification.channel).getStatus(notification.providerMessageId);
+        const normalized = this.normalizeStatus(status);
+        if (normalized && await this.applyStatus({ _id: notification._id }, normalized, { error })) {
+          updated++;
+        }
+        await Notification.updateOne({ _id: notification._id }, { $set: { statusCheckedAt: new Date() } });
+      } catch (error) {
+        logger.warn(`Delivery status check of notification ${notification._id} failed:`, error.message);
+      }
+    }
+
+    if (updated > 0) {
+      logger.info(`Delivery status polled for ${pending.length} notifications, ${updated} moved`);
+    }
+    return { checked: pending.length, updated };
+  }
+
+  /**
+   * Notifications, newest first
+   * @param {Object} filter - status, channel, kind, cino, userId, page and limit
+   * @returns {Promise<Object>} notifications and the total matching
+   */
+  async listNotifications({ status, channel, kind, cino, userId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (kind) query.kind = kind;
+    if (cino) query.cino = cino;
+    if (userId) query.userId = userId;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .select('-providerResponse')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query)
+    ]);
+    return { notifications, total };
+  }
+
+  /**
+   * One notification with its attempts and the provider's response
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>}
+   */
+  getNotification(notificationId) {
+    return Notification.findById(notificationId).lean();
+  }
+
+  /**
+   * Notifications per status and channel over recent days
+   * @param {Object} options
+   * @param {number} options.days - How far back
+   * @returns {Promise<Object>} byStatus, byChannel and rows of status, channel and count
+   */
+  async getStats({ days = 7 } = {}) {
+    const rows = await Notification.countByStatus(new Date(Date.now() - days * 24 * HOUR));
+
+    const byStatus = {};
+    const byChannel = {};
+    for (const { _id, count } of rows) {
+      byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+      if (_id.channel) byChannel[_id.channel] = (byChannel[_id.channel] || 0) + count;
+    }
+    return { byStatus, byChannel, rows: rows.map(({ _id, count }) => ({ ..._id, count })) };
+  }
+
+  /**
+   * Queue a failed notification again with fresh attempts
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>} The queued job, or null if no failed notification has that ID
+   */
+  async retry(notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, status: 'failed' },
+      { $set: { status: 'queued' }, $unset: { failedAt: 1 } },
+      { new: true }
+    );
+    if (!notification) return null;
+
+    // Monitoring notifications keep their own job; others get a sendNotification job
+    if (notification.jobId && await jobQueueService.retryJobs({ id: notification.jobId }) > 0) {
+      return { jobId: notification.jobId };
+    }
+
+    const job = await jobQueueService.enqueue('sendNotification', { notificationId: notification._id });
+    await Notification.updateOne({ _id: notification._id }, { $set: { jobId: job._id } });
+    return { jobId: job._id };
+  }
+}
+
+module.exports = new NotificationOutboxService();
@@ -0,0 +1,190 @@
+const UserCase = require('../models/UserCase');
+
+const PREFERENCE_KEYS = ['statusChange', 'hearingDate', 'orderUpdate', 'listingUpdate', 'iaUpdate'];
+
+// Changed fields and the preference that covers them
+const FIELD_KEYS = {
+  caseStatus: 'statusChange',
+  stageOfCase: 'statusChange',
+  nextHearingDate: 'hearingDate',
+  firstHearingDate: 'hearingDate',
+  orders: 'orderUpdate',
+  orderDetails: 'orderUpdate',
+  listingHistory: 'listingUpdate',
+  coram: 'listingUpdate',
+  iaApplications: 'iaUpdate'
+};
+
+// Case events and the preference that covers them, so a disposal read from a
+// short order reaches subscribers who only follow the status
+const EVENT_KEYS = {
+  case_disposed: 'statusChange',
+  case_restored: 'statusChange',
+  status_changed: 'statusChange',
+  stage_changed: 'statusChange',
+  hearing_fixed: 'hearingDate',
+  hearing_rescheduled: 'hearingDate',
+  hearing_date_removed: 'hearingDate',
+  listed: 'listingUpdate',
+  bench_changed: 'listingUpdate',
+  adjourned: 'listingUpdate',
+  notice_issued: 'orderUpdate',
+  interim_order_granted: 'orderUpdate',
+  interim_order_refused: 'orderUpdate',
+  counter_affidavit_time: 'orderUpdate',
+  rejoinder_time: 'orderUpdate',
+  judgment_reserved: 'orderUpdate',
+  order_uploaded: 'orderUpdate',
+  judgment_uploaded: 'orderUpdate',
+  ia_filed: 'iaUpdate',
+  ia_disposed: 'iaUpdate',
+  ia_status_changed: 'iaUpdate'
+};
+
+// Preferences each subscription type can receive; full receives all of them
+const SUBSCRIPTION_TYPE_KEYS = {
+  full: PREFERENCE_KEYS,
+  status_only: ['statusChange'],
+  hearing_only: ['hearingDate'],
+  order_only: ['orderUpdate']
+};
+
+// Keys older clients send, and the preference each stands for
+const LEGACY_KEYS = {
+  statusChanges: 'statusChange',
+  hearingDates: 'hearingDate',
+  orderUpdates: 'orderUpdate',
+  listingUpdates: 'listingUpdate',
+  iaUpdates: 'iaUpdate'
+};
+
+/**
+ * Decides which subscribers hear about a change. Changed fields and case
+ * events map to preference keys; a subscriber gets the message when one of
+ * those keys is allowed by the subscription type, left on in the user's
+ * notificationPreferences and on in the subscription's notificationSettings.
+ * Fields no preference covers, such as ones only a change rule compares,
+ * reach full subscriptions.
+ */
+class NotificationPreferenceService {
+  constructor() {
+    this.preferenceKeys = PREFERENCE_KEYS;
+    this.subscriptionTypes = Object.keys(SUBSCRIPTION_TYPE_KEYS);
+  }
+
+  /**
+   * Preference keys a change touches. Suppressed fields and low-confidence
+   * events are left out, as they are from messages.
+   * @param {Object} changes - Result of change detection
+   * @returns {Array<string>} Preference keys, plus 'general' for fields no preference covers
+   */
+  keysForChange(changes = {}) {
+    const suppressed = new Set(changes.suppressedFields || []);
+    const keys = new Set();
+
+    for (const field of changes.changedFields || []) {
+      if (suppressed.has(field)) continue;
+      keys.add(FIELD_KEYS[field] || 'general');
+    }
+
+    for (const event of changes.events || []) {
+      if (event.confidence === 'low' || suppressed.has(event.source)) continue;
+      if (EVENT_KEYS[event.type]) keys.add(EVENT_KEYS[event.type]);
+    }
+
+    return [...keys];
+  }
+
+  /**
+   * Setting of a subscription, falling back to the schema default for
+   * subscriptions read without it
+   * @param {Object} subscription - UserCase subscription
+   * @param {string} key - Preference key
+   * @returns {boolean}
+   */
+  subscriptionSetting(subscription, key) {
+    const value = subscription.notificationSettings && subscription.notificationSettings[key];
+    if (typeof value === 'boolean') return value;
+    return Boolean(UserCase.schema.path(`notificationSettings.${key}`).defaultValue);
+  }
+
+  /**
+   * What keeps a subscriber from a preference key, if anything
+   * @param {Object} user - User document
+   * @param {Object} subscription - UserCase subscription
+   * @param {string} key - Preference key, or 'general'
+   * @returns {string|null} subscription_type, user_preferences, case_settings, or null if wanted
+   */
+  blockerFor(user, subscription, key) {
+    const allowed = SUBSCRIPTION_TYPE_KEYS[subscription.subscriptionType] || SUBSCRIPTION_TYPE_KEYS.full;
+    if (key === 'general') {
+      return allowed === SUBSCRIPTION_TYPE_KEYS.full ? null : 'subscription_type';
+    }
+    if (!allowed.includes(key)) return 'subscription_type';
+    if (user.notificationPreferences && user.notificationPreferences[key] === false) return 'user_preferences';
+    if (!this.subscriptionSetting(subscription, key)) return 'case_settings';
+    return null;
+  }
+
+  /**
+   * Decide whether a subscriber is sent a change
+   * @param {Object} user - User document
+   * @param {Object} subscription - UserCase subscription
+   * @param {Object} change - Change record
+   * @returns {Object} send, reason, the keys wanted and what blocked the others
+   */
+  decide(user, subscription, change) {
+    if (!user || !user.isActive) {
+      return { send: false, reason: 'user_inactive', keys: [], blocked: {} };
+    }
+    // The first message about a case shows it as it stands, whatever changed
+    if (change.isNewCase) {
+      return { send: true, reason: 'new_case', keys: [], blocked: {} };
+    }
+
+    const keys = this.keysForChange(change.changes);
+    if (keys.length === 0) {
+      return { send: false, reason: 'no_changes', keys: [], blocked: {} };
+    }
+
+    const wanted = [];
+    const blocked = {};
+    for (const key of keys) {
+      const blocker = this.blockerFor(user, subscription, key);
+      if (blocker) blocked[key] = blocker;
+      else wanted.push(key);
+    }
+
+    if (wanted.length > 0) {
+      return { send: true, reason: 'wanted', keys: wanted, blocked };
+    }
+
+    // One reason when every key was blocked the same way
+    const blockers = [...new Set(Object.values(blocked))];
+    return {
+      send: false,
+      reason: blockers.length === 1 ? blockers[0] : 'not_wanted',
+      keys: [],
+      blocked
+    };
+  }
+
+  /**
+   * Preference settings from a request body, with the keys older clients
+   * send mapped to current ones and anything else dropped
+   * @param {Object} settings - Settings from a request
+   * @returns {Object} Boolean settings by preference key
+   */
+  normalizeSettings(settings = {}) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(settings || {})) {
+      const key = LEGACY_KEYS[name] || name;
+      if (PREFERENCE_KEYS.includes(key) && typeof value === 'boolean') {
+        normalized[key] = value;
+      }
+    }
+    return normalized;
+  }
+}
+
+module.exports = new NotificationPreferenceService();
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const Case = require('../models/Case');
+const OrderDocument = require('../models/OrderDocument');
+const apiService = require('./apiService');
+const logger = require('../utils/logger');
+
+const CONTENT_HASH = /^[a-f0-9]{64}$/;
+
+/**
+ * Downloads order and judgment PDFs linked from case pages into a local
+ * content-addressed store, so each file is kept once however many cases link it
+ */
+class OrderDocumentService {
+  constructor() {
+    this.storeDir = process.env.ORDER_STORE_DIR || path.join(__dirname, '..', 'data', 'orders');
+    this.maxDocumentBytes = parseInt(process.env.ORDER_MAX_SIZE_MB || 25) * 1024 * 1024;
+    this.maxDownloadsPerSync = 10;
+    this.maxTextLength = 200000;
+  }
+
+  /**
+   * Hash file contents
+   * @param {Buffer} content - File contents
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Path of a stored document
+   * @param {string} contentHash - SHA-256 of the file
+   * @returns {string} Absolute file path
+   */
+  getFilePath(contentHash) {
+    return path.join(this.storeDir, contentHash.slice(0, 2), `${contentHash}.pdf`);
+  }
+
+  /**
+   * Write a document to the store unless it is already there
+   * @param {Buffer} content - PDF contents
+   * @returns {Promise<Object>} contentHash and size
+   */
+  async storeDocument(content) {
+    if (!Buffer.isBuffer(content) || content.length === 0) {
+      throw new Error('Empty document');
+    }
+    if (content.length > this.maxDocumentBytes) {
+      throw new Error(`Document larger than ${this.maxDocumentBytes} bytes`);
+    }
+    if (content.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new Error('Document is not a PDF');
+    }
+
+    const contentHash = this.hashContent(content);
+    const filePath = this.getFilePath(contentHash);
+
+    if (!fs.existsSync(filePath)) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a partial file under its hash
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, content);
+      await fs.promises.rename(tmpPath, filePath);
+    }
+
+    return { contentHash, size: content.length };
+  }
+
+  /**
+   * Extract the text layer of a PDF for search. Scanned orders without a text
+   * layer come back empty.
+   * @param {Buffer} content - PDF contents
+   * @returns {Promise<Object>} text and pageCount
+   */
+  async extractText(content) {
+    // pdf.js reads the whole underlying ArrayBuffer, so hand it a copy that starts at offset 0
+    const result = await pdfParse(new Uint8Array(content));
+    const text = (result.text || '').replace(/\s+/g, ' ').trim().slice(0, this.maxTextLength);
+    return { text, pageCount: result.numpages || 0 };
+  }
+
+  /**
+   * Extract text for an order, logging instead of failing the archive
+   * @param {Buffer} content - PDF contents
+   * @param {string} label - Order URL or hash for the log
+   * @returns {Promise<Object>} text, pageCount and textExtractedAt, empty on failure
+   */
+  async extractTextSafely(content, label) {
+    try {
+      const { text, pageCount } = await this.extractText(content);
+      return { text, pageCount, textExtractedAt: new Date() };
+    } catch (error) {
+      logger.warn(`Failed to extract text from order ${label}:`, error.message);
+      return { text: '', pageCount: 0, textExtractedAt: null };
+    }
+  }
+
+  /**
+   * Save the text of a stored document for search. A document linked from
+   * several cases is extracted once.
+   * @param {string} contentHash - SHA-256 of the file
+   * @param {number} size - File size in bytes
+   * @param {Buffer} content - PDF contents
+   * @param {string} label - Order URL or hash for the log
+   * @returns {Promise<void>}
+   */
+  async indexDocument(contentHash, size, content, label) {
+    const existing = await OrderDocument.findOne({ contentHash }).select('textExtractedAt').lean();
+    if (existing && existing.textExtractedAt) return;
+
+    const extracted = await this.extractTextSafely(content, label);
+    await this.saveText(contentHash, size, extracted);
+  }
+
+  /**
+   * Upsert the text of a document
+   * @param {string} contentHash - SHA-256 of the file
+   * @param {number} size - File size in bytes
+   * @param {Object} extracted - text, pageCount and textExtractedAt
+   * @returns {Promise<void>}
+   */
+  async saveText(contentHash, size, extracted) {
+    try {
+      await OrderDocument.updateOne({ contentHash }, { $set: { size, ...extracted } }, { upsert: true });
+    } catch (error) {
+      // Another check archived the same document at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Download orders linked from a case page that are not archived yet
+   * @param {Object} caseDoc - Case with its archived orders
+   * @param {Array} orderLinks - Links from the adapter's parseCase
+   * @param {string} adapterId - Court adapter ID
+   * @returns {Promise<Object>} orders (archived plus new) and newOrders
+   */
+  async syncOrders(caseDoc, orderLinks = [], adapterId) {
+    const existing = (caseDoc && caseDoc.orders) || [];
+    const known = new Set(existing.map(order => order.sourceUrl));
+    const pending = (orderLinks || []).filter(link => link.url && !known.has(link.url));
+    const newOrders = [];
+
+    for (const link of pending.slice(0, this.maxDownloadsPerSync)) {
+      try {
+        const content = await apiService.downloadDocument(link.url, adapterId);
+        const { contentHash, size } = await this.storeDocument(content);
+        await this.indexDocument(contentHash, size, content, link.url);
+
+        newOrders.push({
+          sourceUrl: link.url,
+          documentType: link.documentType || 'order',
+          orderDate: link.orderDate || null,
+          benchId: link.benchId || '',
+          justice: link.justice || '',
+          contentHash,
+          size,
+          downloadedAt: new Date()
+        });
+      } catch (error) {
+        // Left out of the case so the next check tries again
+        logger.warn(`Failed to archive order ${link.url}:`, error.message);
+      }
+    }
+
+    if (newOrders.length > 0) {
+      logger.info(`Archived ${newOrders.length} new order(s) for CINO ${caseDoc && caseDoc.cino}`);
+    }
+
+    return { orders: [...existing, ...newOrders], newOrders };
+  }
+
+  /**
+   * The orders syncOrders would archive, without downloading anything. New
+   * orders carry only what the case page says about them.
+   * @param {Object} caseDoc - Case with its archived orders
+   * @param {Array} orderLinks - Links from the adapter's parseCase
+   * @returns {Object} orders (archived plus new) and newOrders
+   */
+  previewOrders(caseDoc, orderLinks = []) {
+    const existing = (caseDoc && caseDoc.orders) || [];
+    const known = new Set(existing.map(order => order.sourceUrl));
+    const newOrders = (orderLinks || [])
+      .filter(link => link.url && !known.has(link.url))
+      .slice(0, this.maxDownloadsPerSync)
+      .map(link => ({
+        sourceUrl: link.url,
+        documentType: link.documentType || 'order',
+        orderDate: link.orderDate || null,
+        benchId: link.benchId || '',
+        justice: link.justice || ''
+      }));
+
+    return { orders: [...existing, ...newOrders], newOrders };
+  }
+
+  /**
+   * Extract text for archived orders that have none yet, such as orders
+   * downloaded before text extraction existed
+   * @param {Object} options
+   * @param {Array<string>} options.cinos - Limit to these CINOs, all cases when empty
+   * @returns {Promise<Object>} Counts of cases and orders indexed
+   */
+  async reindexOrderText({ cinos = [] } = {}) {
+    const query = { 'orders.0': { $exists: true } };
+    if (cinos.length > 0) {
+      query.cino = { $in: cinos };
+    }
+
+    const summary = { cases: 0, orders: 0, missingFiles: 0, failed: 0 };
+    const cases = await Case.find(query).select('cino orders').lean();
+
+    for (const caseDoc of cases) {
+      const hashes = caseDoc.orders.map(order => order.contentHash).filter(Boolean);
+      const documents = await OrderDocument.find({ contentHash: { $in: hashes }, textExtractedAt: { $ne: null } })
+        .select('contentHash')
+        .lean();
+      const done = new Set(documents.map(doc => doc.contentHash));
+
+      let indexed = 0;
+      for (const order of caseDoc.orders) {
+        if (!order.contentHash || done.has(order.contentHash)) continue;
+
+        const filePath = this.getOrderFile(order.contentHash);
+        if (!filePath) {
+          summary.missingFiles++;
+          continue;
+        }
+
+        const extracted = await this.extractTextSafely(await fs.promises.readFile(filePath), order.contentHash);
+        if (!extracted.textExtractedAt) {
+          summary.failed++;
+          continue;
+        }
+
+        await this.saveText(order.contentHash, order.size, extracted);
+        done.add(order.contentHash);
+        indexed++;
+      }
+
+      if (indexed > 0) {
+        summary.cases++;
+        summary.orders += indexed;
+      }
+    }
+
+    logger.info(`Order text reindex: ${summary.orders} order(s) in ${summary.cases} case(s)`);
+    return summary;
+  }
+
+  /**
+   * Locate a stored document
+   * @param {string} contentHash - SHA-256 of the file
+   * @returns {string|null} File path, or null if the hash is malformed or not stored
+   */
+  getOrderFile(contentHash) {
+    if (!CONTENT_HASH.test(contentHash || '')) return null;
+    const filePath = this.getFilePath(contentHash);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+}
+
+module.exports = new OrderDocumentService();
@@ -0,0 +1,149 @@
+const Case = require('../models/Case');
+const OrderDocument = require('../models/OrderDocument');
+const UserCase = require('../models/UserCase');
+
+/**
+ * Keyword search over the text of archived orders in a user's subscribed cases
+ */
+class OrderSearchService {
+  constructor() {
+    this.snippetRadius = 120;
+    this.maxDocuments = 100;
+  }
+
+  /**
+   * Split a query into lowercase search terms
+   * @param {string} query - Free text query
+   * @returns {Array<string>} Terms of three or more characters
+   */
+  getTerms(query) {
+    return [...new Set(
+      (query || '').toLowerCase().split(/[^a-z0-9]+/).filter(term => term.length >= 3)
+    )];
+  }
+
+  /**
+   * Score how well order text matches a query. The full phrase outranks
+   * scattered terms.
+   * @param {string} text - Order text
+   * @param {string} query - Free text query
+   * @returns {number} 0 when nothing matches
+   */
+  scoreText(text, query) {
+    const haystack = (text || '').toLowerCase();
+    if (!haystack) return 0;
+
+    const phrase = this.normalizePhrase(query);
+    const terms = this.getTerms(query);
+    const termHits = terms.filter(term => haystack.includes(term)).length;
+    if (termHits === 0) return 0;
+
+    return termHits + (phrase && haystack.includes(phrase) ? terms.length + 1 : 0);
+  }
+
+  /**
+   * Cut a snippet around the best match: the full phrase, else the first term found
+   * @param {string} text - Order text
+   * @param {string} query - Free text query
+   * @returns {string} Snippet with ellipses where the text was cut
+   */
+  buildSnippet(text, query) {
+    if (!text) return '';
+    const haystack = text.toLowerCase();
+
+    let index = -1;
+    let length = 0;
+    const phrase = this.normalizePhrase(query);
+    if (phrase) {
+      index = haystack.indexOf(phrase);
+      length = phrase.length;
+    }
+    for (const term of this.getTerms(query)) {
+      if (index !== -1) break;
+      index = haystack.indexOf(term);
+      length = term.length;
+    }
+    if (index === -1) {
+      index = 0;
+    }
+
+    const start = Math.max(0, index - this.snippetRadius);
+    const end = Math.min(text.length, index + length + this.snippetRadius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Lowercase a query and collapse its whitespace for phrase matching
+   * @param {string} query - Free text query
+   * @returns {string} Normalized phrase
+   */
+  normalizePhrase(query) {
+    return (query || '').replace(/["']/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Search the orders of every case a user actively follows
+   * @param {string} userId - User ID
+   * @param {string} query - Free text query
+   * @param {Object} options
+   * @param {number} options.limit - Maximum results
+   * @returns {Promise<Array>} Matching orders, best first
+   */
+  async searchUserOrders(userId, query, { limit = 20 } = {}) {
+    if (this.getTerms(query).length === 0) return [];
+
+    const subscriptions = await UserCase.find({ userId, isActive: true }).select('cino').lean();
+    const cinos = subscriptions.map(sub => sub.cino);
+    if (cinos.length === 0) return [];
+
+    const cases = await Case.find({ cino: { $in: cinos }, 'orders.0': { $exists: true } })
+      .select('cino caseTitle orders.documentType orders.orderDate orders.contentHash')
+      .lean();
+
+    // The same document can be linked from several of the user's cases
+    const ordersByHash = new Map();
+    for (const caseDoc of cases) {
+      for (const order of caseDoc.orders || []) {
+        if (!order.contentHash) continue;
+        if (!ordersByHash.has(order.contentHash)) ordersByHash.set(order.contentHash, []);
+        ordersByHash.get(order.contentHash).push({ caseDoc, order });
+      }
+    }
+    if (ordersByHash.size === 0) return [];
+
+    // The text index narrows to documents that mention the terms
+    const documents = await OrderDocument.find(
+      { contentHash: { $in: [...ordersByHash.keys()] }, $text: { $search: query } },
+      { score: { $meta: 'textScore' }, contentHash: 1, text: 1 }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(this.maxDocuments)
+      .lean();
+
+    const results = [];
+    for (const document of documents) {
+      const score = this.scoreText(document.text, query);
+      if (score === 0) continue;
+
+      const snippet = this.buildSnippet(document.text, query);
+      for (const { caseDoc, order } of ordersByHash.get(document.contentHash) || []) {
+        results.push({
+          cino: caseDoc.cino,
+          caseTitle: caseDoc.caseTitle,
+          documentType: order.documentType,
+          orderDate: order.orderDate,
+          contentHash: order.contentHash,
+          snippet,
+          score,
+          downloadUrl: `/api/users/${userId}/cases/${caseDoc.cino}/orders/${order.contentHash}`
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || new Date(b.orderDate || 0) - new Date(a.orderDate || 0))
+      .slice(0, limit);
+  }
+}
+
+module.exports = new OrderSearchService();
@@ -0,0 +1,148 @@
+const ParserDriftEvent = require('../models/ParserDriftEvent');
+const { DEFAULT_ADAPTER_ID } = require('./courtAdapters');
+const notificationOutboxService = require('./notificationOutboxService');
+const logger = require('../utils/logger');
+
+/**
+ * Tracks suspected court layout drift as events and alerts admins once per event
+ */
+class ParserDriftService {
+  constructor() {
+    // Healthy parses needed in a row before an open event is considered over
+    this.resolveAfter = parseInt(process.env.PARSER_DRIFT_RESOLVE_AFTER) || 5;
+    // Most recent affected CINOs kept on an event; affectedCount keeps the total
+    this.maxAffectedCinos = 100;
+  }
+
+  /**
+   * Record a parse rejected as layout drift
+   * @param {string} cino - CINO of the rejected parse
+   * @param {Object} report - Parse completeness report
+   * @param {string} courtAdapter - Court adapter ID
+   * @returns {Promise<Object|null>} The open drift event
+   */
+  async recordDrift(cino, report, courtAdapter = DEFAULT_ADAPTER_ID) {
+    try {
+      const filter = { courtAdapter, resolvedAt: null };
+      const update = {
+        $setOnInsert: { startedAt: new Date() },
+        $set: { healthyStreak: 0 },
+        $addToSet: { missingLabels: { $each: report.labelsMissing || [] } },
+        $inc: { occurrences: 1 },
+        $min: { lowestConfidence: report.confidence }
+      };
+
+      let event;
+      try {
+        event = await ParserDriftEvent.findOneAndUpdate(filter, update, { upsert: true, new: true });
+      } catch (error) {
+        // Another fetch opened the event first; the unique index rejected ours, so join theirs
+        if (error.code !== 11000) throw error;
+        event = await ParserDriftEvent.findOneAndUpdate(filter, update, { new: true });
+      }
+
+      // $addToSet cannot cap the list, so push only CINOs not already on it and drop the oldest
+      await ParserDriftEvent.updateOne(
+        { _id: event._id, affectedCinos: { $ne: cino } },
+        {
+          $push: { affectedCinos: { $each: [cino], $slice: -this.maxAffectedCinos } },
+          $inc: { affectedCount: 1 }
+        }
+      );
+
+      // Claim the alert atomically so only the first drifted case sends it
+      const claimed = await ParserDriftEvent.findOneAndUpdate(
+        { _id: event._id, alertSentAt: null },
+        { $set: { alertSentAt: new Date() } },
+        { new: true }
+      );
+
+      if (claimed) {
+        await this.sendDriftAlert(claimed, cino, report);
+      }
+
+      return event;
+    } catch (error) {
+      logger.error(`Failed to record parser drift for CINO ${cino}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a healthy parse, resolving the open event after enough in a row
+   * @param {string} cino - CINO of the healthy parse
+   * @param {string} courtAdapter - Court adapter ID
+   * @returns {Promise<Object|null>} The resolved event, if this parse closed one
+   */
+  async recordHealthyParse(cino, courtAdapter = DEFAULT_ADAPTER_ID) {
+    try {
+      const event = await ParserDriftEvent.findOneAndUpdate(
+        { courtAdapter, resolvedAt: null },
+        { $inc: { healthyStreak: 1 } },
+        { new: true }
+      );
+
+      if (!event || event.healthyStreak < this.resolveAfter) {
+        return null;
+      }
+
+      const resolved = await ParserDriftEvent.findOneAndUpdate(
+        { _id: event._id, resolvedAt: null },
+        { $set: { resolvedAt: new Date() } },
+        { new: true }
+      );
+
+      if (resolved) {
+        logger.info(`Parser drift event ${resolved._id} resolved after healthy parse of CINO ${cino}`);
+      }
+      return resolved;
+    } catch (error) {
+      logger.error(`Failed to record healthy parse for CINO ${cino}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send the drift alert to admin WhatsApp numbers
+   * @param {Object} event - Drift event document
+   * @param {string} cino - CINO that opened the event
+   * @param {Object} report - Parse completeness report
+   */
+  async sendDriftAlert(event, cino, report) {
+    const adminNumbers = process.env.ADMIN_WHATSAPP_NUMBERS ?
+      process.env.ADMIN_WHATSAPP_NUMBERS.split(',').map(num => num.trim()).filter(Boolean) : [];
+
+    if (adminNumbers.length === 0) {
+      logger.warn('Parser drift detected but no ADMIN_WHATSAPP_NUMBERS configured');
+      return;
+    }
+
+    const missingTables = Object.keys(report.tables || {}).filter(table => !report.tables[table]);
+    const message = `⚠️ *Allahabad HC Layout Drift Suspected*\n\n` +
+      `⏰ *Time:* ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}\n` +
+      `🔢 *First CINO:* ${cino}\n` +
+      `📉 *Confidence:* ${report.confidence} (threshold ${report.threshold})\n` +
+      `❓ *Missing labels:* ${report.labelsMissing.join(', ') || 'None'}\n` +
+      `📋 *Tables not found:* ${missingTables.join(', ') || 'None'}\n\n` +
+      `Parsed data is not being saved until the parser is fixed. ` +
+      `You will not be alerted again for this event.`;
+
+    try {
+      await notificationOutboxService.sendToNumbers(adminNumbers, message);
+      await ParserDriftEvent.findByIdAndUpdate(event._id, { alertRecipients: adminNumbers });
+    } catch (error) {
+      logger.error('Failed to send parser drift alert:', error.message);
+    }
+  }
+
+  /**
+   * Get recent drift events
+   * @param {number} limit - Maximum events to return
+   * @returns {Promise<Array>} Drift events, newest first
+   */
+  getRecentEvents(limit = 20) {
+    return ParserDriftEvent.find().sort({ startedAt: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = new ParserDriftService();
@@ -0,0 +1,131 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const DISPOSED_STATUS = /disposed|decided|dismissed|withdrawn|abated|closed/i;
+const SINE_DIE = /sine\s*die/i;
+
+/**
+ * Decides when each case is next fetched. Cases change within hours on and just
+ * after a hearing, and can sit untouched for months otherwise, so the interval
+ * follows the hearing calendar and backs off for cases that never change.
+ */
+class PollingPolicyService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+
+    // Unchanged checks before the interval doubles, and the most it may grow
+    this.backoffEvery = 5;
+    this.maxBackoffFactor = 8;
+    this.maxInterval = 7 * DAY;
+
+    // Days after a hearing or listing during which orders and new dates appear
+    this.hotWindowDays = 2;
+  }
+
+  /**
+   * Days from one India calendar date to another
+   * @param {Date} from - Earlier date
+   * @param {Date} to - Later date
+   * @returns {number} Whole days, negative when to is before from
+   */
+  daysBetween(from, to) {
+    const day = date => Date.parse(new Date(date).toLocaleDateString('en-CA', { timeZone: this.timezone }));
+    return Math.round((day(to) - day(from)) / DAY);
+  }
+
+  /**
+   * Most recent listing date on or before now
+   * @param {Array} listingHistory - Listings from the case page
+   * @param {Date} now - Current time
+   * @returns {Date|null} Last listing date
+   */
+  getLastListingDate(listingHistory = [], now) {
+    let last = null;
+    for (const listing of listingHistory || []) {
+      const date = listing && listing.listingDate ? new Date(listing.listingDate) : null;
+      if (!date || isNaN(date.getTime()) || date > now) continue;
+      if (!last || date > last) last = date;
+    }
+    return last;
+  }
+
+  /**
+   * Place a case in a polling tier
+   * @param {Object} caseData - Case data with caseStatus, stageOfCase, nextHearingDate,
+   *   listingHistory and fetchStatus
+   * @param {Date} now - Current time
+   * @returns {Object} interval (ms), priority (higher is checked first), reason and
+   *   whether the interval backs off for unchanged checks
+   */
+  classify(caseData, now) {
+    const status = caseData.caseStatus || '';
+    const stage = caseData.stageOfCase || '';
+
+    if (caseData.fetchStatus === 'not_found') {
+      return { interval: DAY, priority: 1, reason: 'not_found', backoff: true };
+    }
+    if (DISPOSED_STATUS.test(status)) {
+      return { interval: 7 * DAY, priority: 0, reason: 'disposed', backoff: false };
+    }
+
+    const hearing = caseData.nextHearingDate ? new Date(caseData.nextHearingDate) : null;
+    const hearingDays = hearing && !isNaN(hearing.getTime()) ? this.daysBetween(now, hearing) : null;
+    const lastListing = this.getLastListingDate(caseData.listingHistory, now);
+    const listingDays = lastListing ? this.daysBetween(lastListing, now) : null;
+
+    if (hearingDays !== null && hearingDays <= 0 && hearingDays >= -this.hotWindowDays) {
+      return { interval: HOUR, priority: 5, reason: 'hearing', backoff: false };
+    }
+    if (listingDays !== null && listingDays <= this.hotWindowDays) {
+      return { interval: HOUR, priority: 5, reason: 'listed', backoff: false };
+    }
+    if (hearingDays === 1) {
+      return { interval: 2 * HOUR, priority: 4, reason: 'hearing_tomorrow', backoff: false };
+    }
+    if (hearingDays !== null && hearingDays > 1 && hearingDays <= 7) {
+      return { interval: 6 * HOUR, priority: 3, reason: 'hearing_this_week', backoff: false };
+    }
+    if (SINE_DIE.test(status) || SINE_DIE.test(stage)) {
+      return { interval: 3 * DAY, priority: 1, reason: 'sine_die', backoff: false };
+    }
+    if (hearingDays !== null && hearingDays > 7) {
+      return { interval: DAY, priority: 2, reason: 'hearing_scheduled', backoff: true };
+    }
+    if (hearingDays !== null) {
+      // The hearing has passed and the court has not posted the next date yet
+      return { interval: 6 * HOUR, priority: 2, reason: 'awaiting_next_date', backoff: true };
+    }
+    return { interval: DAY, priority: 2, reason: 'no_hearing_date', backoff: true };
+  }
+
+  /**
+   * Compute when a case is next due
+   * @param {Object} caseData - Case data as just fetched or stored
+   * @param {Object} options
+   * @param {number} options.unchangedChecks - Consecutive checks that found no change
+   * @param {Date} options.now - Current time
+   * @returns {Object} nextCheckAt, checkPriority and pollingReason for the Case
+   */
+  schedule(caseData, { unchangedChecks = 0, now = new Date() } = {}) {
+    const { interval, priority, reason, backoff } = this.classify(caseData || {}, now);
+
+    const factor = backoff
+      ? Math.min(2 ** Math.floor(unchangedChecks / this.backoffEvery), this.maxBackoffFactor)
+      : 1;
+    let nextCheckAt = now.getTime() + Math.min(interval * factor, this.maxInterval);
+
+    // Backing off must not skip the week before a hearing
+    if (reason === 'hearing_scheduled') {
+      const weekBefore = new Date(caseData.nextHearingDate).getTime() - 7 * DAY;
+      nextCheckAt = Math.max(now.getTime() + interval, Math.min(nextCheckAt, weekBefore));
+    }
+
+    return {
+      nextCheckAt: new Date(nextCheckAt),
+      checkPriority: priority,
+      pollingReason: reason
+    };
+  }
+}
+
+module.exports = new PollingPolicyService();
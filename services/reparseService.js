@@ -0,0 +1,154 @@
+const apiService = require('./apiService');
+const snapshotService = require('./snapshotService');
+const ChangeDetectionService = require('./changeDetectionService');
+const CaseSnapshot = require('../models/CaseSnapshot');
+const Case = require('../models/Case');
+const logger = require('../utils/logger');
+
+/**
+ * Rebuilds case data from archived HTML snapshots using the current parser
+ */
+class ReparseService {
+  constructor() {
+    this.changeDetectionService = new ChangeDetectionService();
+
+    // Fetch bookkeeping that a re-parse must not overwrite
+    this.preservedFields = ['lastApiCheck', 'apiCheckCount'];
+  }
+
+  /**
+   * Re-parse the latest snapshot of each CINO and update its Case
+   * @param {Object} options - Re-parse options
+   * @param {Array} options.cinos - CINOs to re-parse; all archived CINOs when empty
+   * @param {boolean} options.dryRun - Report what would change without writing
+   * @returns {Promise<Object>} Per-CINO results and totals
+   */
+  async reparseSnapshots({ cinos = [], dryRun = false } = {}) {
+    const targetCinos = cinos.length > 0 ? cinos : await CaseSnapshot.distinct('cino');
+    logger.info(`Re-parsing snapshots for ${targetCinos.length} CINOs${dryRun ? ' (dry run)' : ''}`);
+
+    const results = [];
+    for (const cino of targetCinos) {
+      try {
+        results.push(await this.reparseCino(cino, dryRun));
+      } catch (error) {
+        logger.error(`Error re-parsing snapshot for CINO ${cino}:`, error.message);
+        results.push({ cino, status: 'error', error: error.message });
+      }
+    }
+
+    const totals = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      dryRun,
+      total: results.length,
+      totals,
+      results
+    };
+  }
+
+  /**
+   * Re-parse the latest snapshot of one CINO
+   * @param {string} cino - CINO number
+   * @param {boolean} dryRun - Report without writing
+   * @returns {Promise<Object>} Re-parse result
+   */
+  async reparseCino(cino, dryRun) {
+    const snapshot = await CaseSnapshot.findLatestForCino(cino);
+    if (!snapshot) {
+      return { cino, status: 'no_snapshot' };
+    }
+
+    const adapter = apiService.getAdapter(snapshot.courtAdapter);
+    const html = snapshotService.decompress(snapshot);
+    const parsed = adapter.parseCase(html, cino);
+    const result = {
+      cino,
+      courtAdapter: adapter.id,
+      contentHash: snapshot.contentHash,
+      capturedWithVersion: snapshot.parserVersion,
+      parsedWithVersion: adapter.parserVersion,
+      confidence: parsed.parseReport.confidence
+    };
+
+    if (!dryRun) {
+      await CaseSnapshot.findByIdAndUpdate(snapshot._id, {
+        lastParsedAt: new Date(),
+        lastParsedVersion: adapter.parserVersion,
+        lastParseConfidence: parsed.parseReport.confidence
+      });
+    }
+
+    if (parsed.parseReport.isSuspectedDrift) {
+      return { ...result, status: 'drift', labelsMissing: parsed.parseReport.labelsMissing };
+    }
+
+    const caseDoc = await Case.findOne({ cino });
+    if (!caseDoc) {
+      return { ...result, status: 'no_case' };
+    }
+
+    const changeResult = this.changeDetectionService.detectChanges(caseDoc.toObject(), parsed);
+    result.changedFields = changeResult.changedFields;
+
+    if (dryRun) {
+      return { ...result, status: changeResult.hasChanges ? 'would_update' : 'unchanged' };
+    }
+
+    const update = { ...parsed };
+    this.preservedFields.forEach(field => delete update[field]);
+
+    Object.assign(caseDoc, update);
+    caseDoc.dataHash = caseDoc.generateDataHash();
+    await caseDoc.save();
+
+    logger.info(`Rebuilt case ${cino} from snapshot ${snapshot.contentHash.substring(0, 12)}`);
+    return { ...result, status: 'updated' };
+  }
+
+  /**
+   * Diff two archived snapshots of a CINO as the monitoring engine would have,
+   * for trying change rules against real changes. By default the latest
+   * snapshot is compared with the one captured before it.
+   * @param {string} cino - CINO number
+   * @param {Object} options
+   * @param {string} options.from - Content hash of the older snapshot
+   * @param {string} options.to - Content hash of the newer snapshot
+   * @param {Array<Object>} options.rules - Compiled rules, the stored ones by default
+   * @returns {Promise<Object|null>} Both snapshots and the changes, or null without two snapshots
+   */
+  async diffSnapshots(cino, { from, to, rules } = {}) {
+    const snapshots = await CaseSnapshot.find({ cino }).select('-compressedHtml').sort({ firstSeenAt: -1 }).lean();
+
+    const toIndex = to ? snapshots.findIndex(snapshot => snapshot.contentHash === to) : 0;
+    const newer = snapshots[toIndex];
+    const older = from
+      ? snapshots.find(snapshot => snapshot.contentHash === from)
+      : snapshots[toIndex + 1];
+    if (!newer || !older) return null;
+
+    const parse = async snapshot => {
+      const html = await snapshotService.getSnapshotHtml(cino, snapshot.contentHash);
+      return apiService.getAdapter(snapshot.courtAdapter).parseCase(html, cino);
+    };
+    const oldCaseData = await parse(older);
+    const newCaseData = await parse(newer);
+
+    const describe = snapshot => ({
+      contentHash: snapshot.contentHash,
+      firstSeenAt: snapshot.firstSeenAt,
+      parserVersion: snapshot.parserVersion
+    });
+    return {
+      cino,
+      from: describe(older),
+      to: describe(newer),
+      changes: this.changeDetectionService.detectChanges(oldCaseData, newCaseData, rules ? { rules } : {})
+    };
+  }
+}
+
+module.exports = new ReparseService();
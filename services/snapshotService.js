@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const CaseSnapshot = require('../models/CaseSnapshot');
+const logger = require('../utils/logger');
+
+/**
+ * Archive of every distinct raw HTML response received from the court
+ */
+class SnapshotService {
+  /**
+   * Hash raw HTML content
+   * @param {string} html - Raw HTML
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(html) {
+    return crypto.createHash('sha256').update(html, 'utf8').digest('hex');
+  }
+
+  /**
+   * Store a response, or record another sighting if it is already archived
+   * @param {string} cino - CINO number
+   * @param {string} html - Raw HTML response
+   * @param {string} parserVersion - Current parser version of the adapter
+   * @param {string} courtAdapter - Court adapter ID
+   * @returns {Promise<Object|null>} Snapshot document without HTML, or null on failure
+   */
+  async saveSnapshot(cino, html, parserVersion, courtAdapter) {
+    if (!html || typeof html !== 'string') return null;
+
+    try {
+      const contentHash = this.hashContent(html);
+      const compressedHtml = zlib.gzipSync(Buffer.from(html, 'utf8'));
+      const now = new Date();
+
+      const snapshot = await CaseSnapshot.findOneAndUpdate(
+        { cino, contentHash },
+        {
+          $setOnInsert: {
+            compressedHtml,
+            originalSize: Buffer.byteLength(html, 'utf8'),
+            compressedSize: compressedHtml.length,
+            parserVersion,
+            courtAdapter,
+            firstSeenAt: now
+          },
+          $set: { lastSeenAt: now },
+          $inc: { seenCount: 1 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: false, projection: { compressedHtml: 0 } }
+      );
+
+      return snapshot;
+    } catch (error) {
+      logger.error(`Failed to archive HTML snapshot for CINO ${cino}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Decompress the HTML stored in a snapshot
+   * @param {Object} snapshot - Snapshot document with compressedHtml
+   * @returns {string} Raw HTML
+   */
+  decompress(snapshot) {
+    return zlib.gunzipSync(Buffer.from(snapshot.compressedHtml)).toString('utf8');
+  }
+
+  /**
+   * List snapshots for a CINO without their HTML
+   * @param {string} cino - CINO number
+   * @returns {Promise<Array>} Snapshots, most recently seen first
+   */
+  listSnapshots(cino) {
+    return CaseSnapshot.find({ cino })
+      .select('-compressedHtml')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Get the raw HTML of one snapshot
+   * @param {string} cino - CINO number
+   * @param {string} contentHash - Content hash
+   * @returns {Promise<string|null>} Raw HTML or null if not archived
+   */
+  async getSnapshotHtml(cino, contentHash) {
+    const snapshot = await CaseSnapshot.findOne({ cino, contentHash }).lean();
+    return snapshot ? this.decompress(snapshot) : null;
+  }
+
+  /**
+   * Get archive statistics
+   * @returns {Promise<Object>} Snapshot counts and sizes
+   */
+  async getStats() {
+    const [stats] = await CaseSnapshot.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalSnapshots: { $sum: 1 },
+          cinos: { $addToSet: '$cino' },
+          originalBytes: { $sum: '$originalSize' },
+          compressedBytes: { $sum: '$compressedSize' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          totalSnapshots: 1,
+          totalCases: { $size: '$cinos' },
+          originalBytes: 1,
+          compressedBytes: 1
+        }
+      }
+    ]);
+
+    return stats || { totalSnapshots: 0, totalCases: 0, originalBytes: 0, compressedBytes: 0 };
+  }
+}
+
+module.exports = new SnapshotService();
@@ -5,164 +5,25 @@ class WhatsAppService {
   constructor() {
     this.apiKey = process.env.WHATSAPP_API_KEY;
     this.apiUrl = 'http://198.38.87.182/api/whatsapp/send-bulk';
+    // Delivery status lookup; {messageId} is replaced with the provider's message ID
+    this.statusUrl = process.env.WHATSAPP_STATUS_URL;
     this.recipientNumbers = process.env.WHATSAPP_RECIPIENT_NUMBERS?.split(',').map(num => num.trim()) || [];
     this.adminNumbers = process.env.WHATSAPP_ADMIN_NUMBERS?.split(',').map(num => num.trim()) || [];
     this.timeout = 30000;
   }
 
   /**
-   * Send WhatsApp notifications for case changes
-   * @param {Array} changes - Array of case changes
-   * @returns {Promise<Array>} Array of notification results
-   */
-  async sendNotifications(changes) {
-    if (!this.accessToken || !this.phoneNumberId) {
-      logger.error('WhatsApp API credentials not configured');
-      return [];
-    }
-
-    if (changes.length === 0) {
-      logger.info('No changes to notify');
-      return [];
-    }
-
-    const results = [];
-    
-    // Group changes by case number for better messaging
-    const groupedChanges = this.groupChangesByCaseNumber(changes);
-    
-    for (const [caseNumber, caseChanges] of Object.entries(groupedChanges)) {
-      try {
-        const message = this.formatMessage(caseNumber, caseChanges);
-        const notificationResults = await this.sendToAllRecipients(message);
-        results.push(...notificationResults);
-      } catch (error) {
-        logger.error(`Error sending notification for case ${caseNumber}:`, error.message);
-      }
-    }
-    
-    return results;
-  }
-
-  /**
-   * Group changes by case number
-   * @param {Array} changes - Array of changes
-   * @returns {Object} Grouped changes
-   */
-  groupChangesByCaseNumber(changes) {
-    return changes.reduce((grouped, change) => {
-      if (!grouped[change.caseNumber]) {
-        grouped[change.caseNumber] = [];
-      }
-      grouped[change.caseNumber].push(change);
-      return grouped;
-    }, {});
-  }
-
-  /**
-   * Format message for WhatsApp
-   * @param {string} caseNumber - Case number
-   * @param {Array} changes - Array of changes for this case
-   * @returns {string} Formatted message
-   */
-  formatMessage(caseNumber, changes) {
-    const firstChange = changes[0];
-    let message = `🏛️ *Allahabad HC Update*\n\n`;
-    message += `📋 *Case:* ${caseNumber}\n`;
-    
-    if (firstChange.details.caseTitle) {
-      message += `📝 *Title:* ${firstChange.details.caseTitle}\n\n`;
-    }
-
-    changes.forEach((change, index) => {
-      switch (change.type) {
-        case 'NEW_CASE':
-          message += `🆕 *New Case Registered*\n`;
-          message += `👥 *Petitioner:* ${change.details.petitioner}\n`;
-          message += `👥 *Respondent:* ${change.details.respondent}\n`;
-          message += `📊 *Status:* ${change.details.status}\n`;
-          break;
-          
-        case 'STATUS_CHANGE':
-          message += `🔄 *Status Updated*\n`;
-          message += `📊 *Old Status:* ${change.details.oldStatus}\n`;
-          message += `📊 *New Status:* ${change.details.newStatus}\n`;
-          break;
-          
-        case 'HEARING_DATE_CHANGE':
-          message += `📅 *Hearing Date Updated*\n`;
-          if (change.details.oldDate) {
-            message += `📅 *Previous Date:* ${this.formatDate(change.details.oldDate)}\n`;
-          }
-          if (change.details.newDate) {
-            message += `📅 *New Date:* ${this.formatDate(change.details.newDate)}\n`;
-          }
-          break;
-          
-        case 'ORDER_UPDATE':
-          message += `⚖️ *New Order/Judgment*\n`;
-          if (change.details.orderDate) {
-            message += `📅 *Order Date:* ${this.formatDate(change.details.orderDate)}\n`;
-          }
-          if (change.details.orderDetails) {
-            message += `📄 *Details:* ${change.details.orderDetails.substring(0, 200)}${change.details.orderDetails.length > 200 ? '...' : ''}\n`;
-          }
-          break;
-          
-        case 'GENERAL_UPDATE':
-          message += `📝 *${change.details.field} Updated*\n`;
-          if (change.details.newValue) {
-            message += `🔄 *New Value:* ${change.details.newValue}\n`;
-          }
-          break;
-      }
-      
-      if (index < changes.length - 1) {
-        message += `\n`;
-      }
-    });
-
-    message += `\n⏰ *Updated:* ${this.formatDate(new Date())}\n`;
-    message += `\n🔗 Check full details on Allahabad HC website`;
-    
-    return message;
-  }
-
-  /**
-   * Send message to all configured recipients
-   * @param {string} message - Message to send
-   * @returns {Promise<Array>} Array of results
+   * Send a message and throw if the API did not accept it, so queued sends are retried
+   * @param {Array|string} numbers - Recipient phone numbers
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} recipients and the API response
    */
-  async sendToAllRecipients(message) {
-    const results = [];
-    
-    for (const recipientNumber of this.recipientNumbers) {
-      try {
-        const result = await this.sendMessage([recipientNumber.trim()], message);
-        results.push({
-          recipient: recipientNumber,
-          success: true,
-          messageId: result.messageId,
-          timestamp: new Date()
-        });
-        
-        logger.info(`WhatsApp message sent to ${recipientNumber}`);
-        
-        // Add delay between messages to avoid rate limiting
-        await this.delay(1000);
-        
-      } catch (error) {
-        logger.error(`Failed to send WhatsApp message to ${recipientNumber}:`, error.message);
-        results.push({
-          recipient: recipientNumber,
-          success: false,
-          error: error.message,
-          timestamp: new Date()
-        });
-      }
+  async deliver(numbers, message) {
+    const result = await this.sendMessage(numbers, message);
+    if (!result.success) {
+      throw new Error(result.error || 'WhatsApp API rejected the message');
     }
-    
-    return results;
+    return { recipients: result.recipients, response: result.response };
   }
 
   /**
@@ -347,13 +208,17 @@ class WhatsAppService {
    * @returns {Promise<Object>} Delivery status
    */
   async getMessageStatus(messageId) {
+    if (!this.statusUrl) {
+      throw new Error('WhatsApp status URL not configured');
+    }
+
     try {
-      const url = `${this.apiUrl}/${messageId}`;
+      const url = this.statusUrl.replace('{messageId}', encodeURIComponent(messageId));
       const config = {
         method: 'GET',
         url: url,
         headers: {
-          'Authorization': `Bearer ${this.accessToken}`
+          'x-api-key': this.apiKey
         },
         timeout: this.timeout
       };
@@ -365,47 +230,6 @@ class WhatsAppService {
       throw error;
     }
   }
-
-  /**
-   * Send test message to verify WhatsApp integration
-   * @param {string} testNumber - Optional test number, uses first recipient if not provided
-   * @returns {Promise<Object>} Test result
-   */
-  async sendTestMessage(testNumber = null) {
-    try {
-      const targetNumbers = testNumber ? [testNumber] : [this.recipientNumbers[0]];
-      
-      if (!targetNumbers[0]) {
-        throw new Error('No test number provided and no recipient numbers configured');
-      }
-
-      const testMessage = `🧪 Test Message from Allahabad HC Monitor\n\nTime: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}\n\nIf you receive this message, WhatsApp integration is working correctly! ✅`;
-
-      const result = await this.sendMessage(targetNumbers, testMessage);
-      
-      if (result.success) {
-        logger.info(`Test message sent successfully to ${targetNumbers[0]}`);
-        
-        return {
-          success: true,
-          recipients: result.recipients,
-          response: result.response,
-          timestamp: new Date().toISOString()
-        };
-      } else {
-        throw new Error(result.error);
-      }
-      
-    } catch (error) {
-      logger.error('Failed to send test message:', error.message);
-      
-      return {
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      };
-    }
-  }
 }
 
 module.exports = new WhatsAppService();
\ No newline at end of file
@@ -0,0 +1,501 @@
+/**
+ * Offline tests for the Allahabad HC adapter's parseCase and extract* helpers.
+ *
+ * Each fixture in test/fixtures/case-status is a saved get_CaseDetails page
+ * with a matching .json file holding the exact parsed output. After an
+ * intentional parser change, regenerate the expected files with:
+ *
+ *   UPDATE_FIXTURES=1 npm test
+ */
+
+// Dates are parsed in local time, so pin the zone the court publishes in
+process.env.TZ = 'Asia/Kolkata';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const cheerio = require('cheerio');
+const courtAdapters = require('../services/courtAdapters');
+const { UnknownCourtAdapterError } = require('../utils/errors');
+
+const adapter = courtAdapters.getAdapter('allahabad_hc');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'case-status');
+const SEARCH_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'case-search');
+const ERROR_PAGES_DIR = path.join(__dirname, 'fixtures', 'error-pages');
+const CAUSE_LIST_DIR = path.join(__dirname, 'fixtures', 'cause-list');
+const TEST_CINO = '123456';
+
+const fixtureNames = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => path.basename(file, '.html'))
+  .sort();
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Drop the per-run fields and round-trip through JSON so Dates compare as ISO strings
+ */
+function normalizeParsed(caseData) {
+  const { rawApiResponse, lastApiCheck, ...rest } = caseData;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+function loadExpected(name, actual) {
+  const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+  if (process.env.UPDATE_FIXTURES) {
+    fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+  }
+  return JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+}
+
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('AllahabadHcAdapter.parseCase fixtures', () => {
+  it('has the fixture corpus on disk', () => {
+    assert.deepEqual(fixtureNames, [
+      'criminal-bail',
+      'disposed-writ',
+      'long-listing-history',
+      'pending-writ',
+      'with-ia',
+      'with-orders'
+    ]);
+  });
+
+  for (const name of fixtureNames) {
+    describe(name, () => {
+      const html = loadFixture(name);
+      const parsed = adapter.parseCase(html, TEST_CINO);
+      const actual = normalizeParsed(parsed);
+      const expected = loadExpected(name, actual);
+      const $ = cheerio.load(html);
+
+      it('produces the expected structured output', () => {
+        assert.deepEqual(actual, expected);
+      });
+
+      it('keeps the raw HTML and check metadata', () => {
+        assert.equal(parsed.rawApiResponse, html);
+        assert.ok(parsed.lastApiCheck instanceof Date);
+        assert.equal(parsed.apiCheckCount, 1);
+      });
+
+      it('hashes deterministically', () => {
+        const again = adapter.parseCase(html, TEST_CINO);
+        assert.equal(again.dataHash, parsed.dataHash);
+        assert.equal(adapter.generateDataHash(parsed), expected.dataHash);
+      });
+
+      it('matches each extract* helper', () => {
+        assert.equal(adapter.extractCaseTitle($), expected.caseTitle);
+        assert.deepEqual(adapter.extractParties($, 'Petitioner'), expected.petitioners);
+        assert.deepEqual(adapter.extractParties($, 'Respondent'), expected.respondents);
+        assert.deepEqual(adapter.extractActs($), expected.acts);
+        assert.deepEqual(adapter.extractCategory($), expected.category);
+        assert.deepEqual(toJson(adapter.extractLowerCourtDetails($)), expected.lowerCourt);
+        assert.deepEqual(adapter.extractCrimeDetails($), expected.crimeDetails);
+        assert.deepEqual(toJson(adapter.extractIAApplications($)), expected.iaApplications);
+        assert.deepEqual(toJson(adapter.extractListingHistory($)), expected.listingHistory);
+      });
+    });
+  }
+});
+
+describe('AllahabadHcAdapter extract helpers', () => {
+  it('extractText reads label and value from the same cell', () => {
+    const $ = cheerio.load(loadFixture('pending-writ'));
+    assert.equal(adapter.extractText($, 'td:contains("CNR")'), 'CNR UPHC010123452024');
+    assert.equal(adapter.extractText($, 'td:contains("No Such Label")'), '');
+  });
+
+  it('extractText falls back to the next selector', () => {
+    const $ = cheerio.load('<table><tr><td>Case Status PENDING</td></tr></table>');
+    assert.equal(adapter.extractText($, '.missing, td:contains("Case Status")'), 'Case Status PENDING');
+  });
+
+  it('extractParties links advocates named on the party line', () => {
+    const $ = cheerio.load(loadFixture('pending-writ'));
+    assert.deepEqual(adapter.extractParties($, 'Petitioner'), [{
+      name: 'Ram Kumar Singh',
+      advocate: { name: 'Vikram Tiwari', code: 'A/V1234/2010' }
+    }]);
+    assert.equal(adapter.extractParties($, 'Respondent')[0].advocate.name, 'C.S.C.');
+  });
+
+  it('extractActs splits comma separated sections', () => {
+    const $ = cheerio.load(loadFixture('criminal-bail'));
+    assert.deepEqual(adapter.extractActs($), [
+      { actName: 'INDIAN PENAL CODE', sections: ['302', '34', '120B'] },
+      { actName: 'ARMS ACT', sections: ['25'] }
+    ]);
+  });
+
+  it('extractCategory strips the Category label', () => {
+    const $ = cheerio.load('<table><tr><td>Category: SERVICE</td></tr></table>');
+    assert.deepEqual(adapter.extractCategory($), { main: 'SERVICE', sub: '' });
+  });
+
+  it('extractLowerCourtDetails splits case number and year', () => {
+    const $ = cheerio.load(
+      '<table><tr><td>Case No. and Year: 118/2019</td>' +
+      '<td>Decision Date: 21/10/2022</td><td>District: KANPUR NAGAR</td></tr></table>'
+    );
+    assert.deepEqual(toJson(adapter.extractLowerCourtDetails($)), {
+      caseNumber: '118',
+      year: '2019',
+      decisionDate: '2022-10-20T18:30:00.000Z',
+      district: 'KANPUR NAGAR'
+    });
+  });
+
+  it('extractCrimeDetails splits crime number and year', () => {
+    const $ = cheerio.load(loadFixture('criminal-bail'));
+    assert.deepEqual(adapter.extractCrimeDetails($), {
+      district: '',
+      policeStation: 'KOTWALI NAGAR',
+      crimeNumber: '412',
+      year: '2023'
+    });
+  });
+
+  it('extractIAApplications defaults missing status to Pending', () => {
+    const $ = cheerio.load(loadFixture('with-ia'));
+    const applications = adapter.extractIAApplications($);
+    assert.equal(applications.length, 3);
+    assert.equal(applications[1].status, 'Disposed');
+    assert.equal(applications[2].status, 'Pending');
+    assert.equal(applications[2].classification, '');
+  });
+
+  it('extractListingHistory keeps at most 20 entries', () => {
+    const $ = cheerio.load(loadFixture('long-listing-history'));
+    const history = adapter.extractListingHistory($);
+    assert.equal($('table').last().find('tr').length - 1, 24);
+    assert.equal(history.length, 20);
+    assert.equal(history[0].causeListType, 'Fresh');
+    assert.equal(history[12].benchId, '6120');
+    assert.equal(history[12].justice, "HON'BLE PRASHANT KUMAR, J.");
+  });
+
+  it('extractOrderLinks resolves order links with their date and bench', () => {
+    const $ = cheerio.load(loadFixture('with-orders'));
+    const links = adapter.extractOrderLinks($);
+    assert.equal(links.length, 2);
+    assert.equal(links[0].url, 'https://allahabadhighcourt.in/apps/status_ccms/index.php/get_order?ord_id=ORD2023091400521&type=pdf');
+    assert.equal(links[0].documentType, 'order');
+    assert.equal(links[0].benchId, '3915');
+    assert.equal(links[0].justice, "HON'BLE MAHESH CHANDRA TRIPATHI, J.");
+    assert.equal(toJson(links[1].orderDate), '2024-01-09T18:30:00.000Z');
+  });
+
+  it('extractOrderLinks leaves out documents on other hosts', async () => {
+    const $ = cheerio.load('<table><tr><td>14/09/2023</td>' +
+      '<td><a href="https://example.com/order.pdf">Order</a></td>' +
+      '<td><a href="//allahabadhighcourt.in.example.net/judgment.pdf">Judgment</a></td>' +
+      '<td><a href="/apps/status_ccms/index.php/get_order?ord_id=1&type=pdf">Order</a></td></tr></table>');
+
+    assert.deepEqual(adapter.extractOrderLinks($).map(link => link.url), [
+      'https://allahabadhighcourt.in/apps/status_ccms/index.php/get_order?ord_id=1&type=pdf'
+    ]);
+    await assert.rejects(adapter.fetchDocument('https://example.com/order.pdf'), /outside the court site/);
+  });
+
+  it('fetchDocument does not follow redirects off the court site', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const local = Object.create(adapter, { baseUrl: { value: `http://127.0.0.1:${port}/get_CaseDetails` } });
+
+    try {
+      await assert.rejects(local.fetchDocument(`http://127.0.0.1:${port}/get_order?ord_id=1`),
+        error => error.response && error.response.status === 302);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('extractOrderLinks finds nothing on pages without orders', () => {
+    const $ = cheerio.load(loadFixture('pending-writ'));
+    assert.deepEqual(adapter.extractOrderLinks($), []);
+  });
+
+  it('extractCaseTitle reports a missing title', () => {
+    const $ = cheerio.load('<table><tr><td>Nothing here</td></tr></table>');
+    assert.equal(adapter.extractCaseTitle($), 'Case Title Not Found');
+  });
+});
+
+describe('AllahabadHcAdapter.buildParseReport', () => {
+  it('scores every fixture as a complete parse', () => {
+    for (const name of fixtureNames) {
+      const report = adapter.buildParseReport(cheerio.load(loadFixture(name)));
+      assert.equal(report.confidence, 1, name);
+      assert.deepEqual(report.labelsMissing, [], name);
+      assert.equal(report.isSuspectedDrift, false, name);
+    }
+  });
+
+  it('reports optional tables only when present', () => {
+    const report = adapter.buildParseReport(cheerio.load(loadFixture('with-ia')));
+    assert.deepEqual(report.tables, {
+      parties: true,
+      acts: false,
+      iaApplications: true,
+      listingHistory: true
+    });
+  });
+
+  it('flags a renamed layout as suspected drift', () => {
+    const html = loadFixture('pending-writ')
+      .replace(/<td><b>/g, '<td><span>')
+      .replace(/Case Status/g, 'Status of Case')
+      .replace('Stage of Case', 'Case Stage')
+      .replace('Bench Type', 'Bench')
+      .replace('Causelist Type', 'List Type')
+      .replace('First Hearing Date', 'Date of First Hearing')
+      .replace('Next Hearing Date', 'Date of Next Listing')
+      .replace(/Petitioner\(s\)/, 'Appellant(s)');
+    const report = adapter.buildParseReport(cheerio.load(html));
+    assert.equal(report.isSuspectedDrift, true);
+    assert.ok(report.confidence < report.threshold);
+    assert.deepEqual(report.labelsMissing, [
+      'Case Status',
+      'First Hearing Date',
+      'Next Hearing Date',
+      'Stage of Case',
+      'Bench Type',
+      'Causelist Type'
+    ]);
+    assert.equal(report.tables.parties, false);
+  });
+});
+
+describe('AllahabadHcAdapter.parseDate', () => {
+  it('parses DD/MM/YYYY, DD.MM.YYYY and ISO dates', () => {
+    assert.equal(adapter.parseDate('Filing Date 05/02/2024').toISOString(), '2024-02-04T18:30:00.000Z');
+    assert.equal(adapter.parseDate('03.04.2024').toISOString(), '2024-04-02T18:30:00.000Z');
+    assert.equal(adapter.parseDate('2024-12-02').toISOString(), '2024-12-02T00:00:00.000Z');
+  });
+
+  it('returns null for blank or unparseable input', () => {
+    assert.equal(adapter.parseDate(''), null);
+    assert.equal(adapter.parseDate('Next Hearing Date'), null);
+    assert.equal(adapter.parseDate(null), null);
+  });
+});
+
+describe('AllahabadHcAdapter.validateCino', () => {
+  it('accepts 6 to 12 digit CINOs only', () => {
+    assert.equal(adapter.validateCino('804692'), true);
+    assert.equal(adapter.validateCino(' 123456789012 '), true);
+    assert.equal(adapter.validateCino('12345'), false);
+    assert.equal(adapter.validateCino('UPHC0101'), false);
+    assert.equal(adapter.validateCino(undefined), false);
+  });
+});
+
+describe('AllahabadHcAdapter.classifyResponse', () => {
+  function loadErrorPage(name) {
+    return fs.readFileSync(path.join(ERROR_PAGES_DIR, `${name}.html`), 'utf8');
+  }
+
+  it('treats every case status fixture as valid', () => {
+    for (const name of fixtureNames) {
+      assert.equal(adapter.classifyResponse(loadFixture(name)).classification, 'valid', name);
+    }
+  });
+
+  it('classifies each error page', () => {
+    assert.deepEqual(adapter.classifyResponse(loadErrorPage('no-record')), {
+      classification: 'not_found',
+      reason: 'No Record Found'
+    });
+    assert.equal(adapter.classifyResponse(loadErrorPage('invalid-cino')).classification, 'invalid_cino');
+    assert.equal(adapter.classifyResponse(loadErrorPage('maintenance')).classification, 'maintenance');
+    assert.equal(adapter.classifyResponse(loadErrorPage('captcha')).classification, 'blocked');
+  });
+
+  it('treats an empty body as not found', () => {
+    assert.equal(adapter.classifyResponse('').classification, 'not_found');
+    assert.equal(adapter.classifyResponse('<html><body> </body></html>').classification, 'not_found');
+  });
+
+  it('keeps a case page whose IA table has no records', () => {
+    const html = loadFixture('pending-writ').replace('</body>', '<table><tr><td>No Record Found</td></tr></table></body>');
+    assert.equal(adapter.classifyResponse(html).classification, 'valid');
+  });
+
+  it('leaves unrecognised pages to drift detection', () => {
+    assert.equal(adapter.classifyResponse('<html><body><p>New portal</p></body></html>').classification, 'valid');
+  });
+});
+
+describe('AllahabadHcAdapter case search', () => {
+  afterEach(() => mock.restoreAll());
+
+  function loadSearchFixture(name) {
+    return fs.readFileSync(path.join(SEARCH_FIXTURES_DIR, `${name}.html`), 'utf8');
+  }
+
+  it('parseCaseReference reads client and court reference formats', () => {
+    const expected = { caseType: 'WRIT-C', caseNumber: '12345', year: '2024' };
+    assert.deepEqual(adapter.parseCaseReference('WRIT-C 12345/2024'), expected);
+    assert.deepEqual(adapter.parseCaseReference('writ-c no. 012345 of 2024'), expected);
+    assert.deepEqual(adapter.parseCaseReference('WRIT - C No. - 12345 of 2024'), expected);
+    assert.deepEqual(adapter.parseCaseReference('CRIMINAL MISC. BAIL APPLICATION 4521/2023'), {
+      caseType: 'CRIMINAL MISC. BAIL APPLICATION',
+      caseNumber: '4521',
+      year: '2023'
+    });
+  });
+
+  it('parseCaseReference rejects incomplete references', () => {
+    assert.equal(adapter.parseCaseReference('12345/2024'), null);
+    assert.equal(adapter.parseCaseReference('WRIT-C 12345'), null);
+    assert.equal(adapter.parseCaseReference(undefined), null);
+  });
+
+  it('parseSearchResults returns one candidate per CINO', () => {
+    assert.deepEqual(adapter.parseSearchResults(loadSearchFixture('party-results')), [
+      {
+        cino: '804692',
+        courtAdapter: 'allahabad_hc',
+        caseType: 'WRIT-C',
+        caseNumber: '12345',
+        year: '2024',
+        caseReference: 'WRIT-C 12345/2024',
+        caseTitle: 'Ram Kumar Singh vs Nagar Nigam Prayagraj And 2 Others',
+        petitioner: 'Ram Kumar Singh',
+        respondent: 'Nagar Nigam Prayagraj And 2 Others'
+      },
+      {
+        cino: '805117',
+        courtAdapter: 'allahabad_hc',
+        caseType: 'CRIMINAL MISC. BAIL APPLICATION',
+        caseNumber: '4521',
+        year: '2023',
+        caseReference: 'CRIMINAL MISC. BAIL APPLICATION 4521/2023',
+        caseTitle: 'Ram Kumar Singh Versus State of U.P.',
+        petitioner: 'Ram Kumar Singh',
+        respondent: 'State of U.P.'
+      }
+    ]);
+  });
+
+  it('parseSearchResults returns no candidates for an empty result page', () => {
+    assert.deepEqual(adapter.parseSearchResults(loadSearchFixture('no-record')), []);
+  });
+
+  it('searchCases submits the case type form', async () => {
+    const fetchWithFormData = mock.method(adapter, 'fetchWithFormData', async () => ({
+      status: 200,
+      data: loadSearchFixture('party-results')
+    }));
+
+    const candidates = await adapter.searchCases({ type: 'case_number', caseType: 'WRIT-C', caseNumber: '12345', year: '2024' });
+    const [formData, formPath] = fetchWithFormData.mock.calls[0].arguments;
+    assert.equal(formPath, 'get_CaseTypeWise');
+    assert.equal(formData.toString(), 'case_type=WRIT-C&case_no=12345&case_year=2024');
+    assert.equal(candidates.length, 2);
+  });
+
+  it('searchCases submits the party name form', async () => {
+    const fetchWithFormData = mock.method(adapter, 'fetchWithFormData', async () => ({
+      status: 200,
+      data: loadSearchFixture('no-record')
+    }));
+
+    await adapter.searchCases({ type: 'party', name: 'Ram Kumar Singh' });
+    const [formData, formPath] = fetchWithFormData.mock.calls[0].arguments;
+    assert.equal(formPath, 'get_PartyWise');
+    assert.equal(formData.toString(), 'party_name=Ram+Kumar+Singh');
+  });
+
+  it('searchCases rejects unknown search types', async () => {
+    await assert.rejects(adapter.searchCases({ type: 'judge' }), /Unsupported search type/);
+  });
+});
+
+describe('AllahabadHcAdapter cause lists', () => {
+  const loadCauseList = name => fs.readFileSync(path.join(CAUSE_LIST_DIR, `${name}.html`), 'utf8');
+  const listDate = new Date('2024-11-21T18:30:00.000Z');
+
+  it('builds the index URL for a bench and date in Indian time', () => {
+    assert.equal(
+      adapter.getCauseListUrl('lucknow', listDate),
+      'https://allahabadhighcourt.in/causelist/index.php?bench=L&date=22-11-2024'
+    );
+    assert.throws(() => adapter.getCauseListUrl('agra', listDate), /Unknown cause list bench/);
+  });
+
+  it('follows each court list linked from the index once', () => {
+    const indexUrl = adapter.getCauseListUrl('allahabad', listDate);
+    assert.deepEqual(adapter.parseCauseListIndex(loadCauseList('index'), indexUrl), [
+      'https://allahabadhighcourt.in/causelist/list.php?court=12&type=F',
+      'https://allahabadhighcourt.in/causelist/list.php?court=34&type=A'
+    ]);
+  });
+
+  it('parses court, bench and item number for each listed case', () => {
+    const { listType, entries } = adapter.parseCauseList(loadCauseList('court-12-fresh'));
+    assert.equal(listType, 'fresh');
+    assert.deepEqual(entries.map(entry => [entry.courtNumber, entry.itemNumber, entry.caseReference]), [
+      ['12', 1, 'WRIT-C/21877/2023'],
+      ['12', 1, 'WRIT-C/22301/2023'],
+      ['12', 2, 'CRIMINAL MISC. BAIL APPLICATION/1234/2024'],
+      ['12', 4, 'WRIT-A/4567/2021'],
+      ['34', 1, 'WRIT-C/100/2024']
+    ]);
+    assert.equal(entries[0].bench, "HON'BLE MAHESH CHANDRA TRIPATHI, J. HON'BLE PRASHANT KUMAR, J.");
+    assert.equal(entries[0].connected, false);
+    assert.equal(entries[1].connected, true);
+    assert.equal(entries[4].bench, "HON'BLE SAURABH SHYAM SHAMSHERY, J.");
+  });
+
+  it('uses the same reference key as the case status title', () => {
+    const parsed = adapter.parseCase(loadFixture('with-orders'), TEST_CINO);
+    const reference = adapter.parseCaseReference(parsed.caseTitle);
+    assert.equal(`${reference.caseType}/${reference.caseNumber}/${reference.year}`, 'WRIT-C/21877/2023');
+  });
+
+  it('tells the bench from the CNR', () => {
+    assert.equal(adapter.benchForCase({ cnr: 'UPHC010218772023' }), 'allahabad');
+    assert.equal(adapter.benchForCase({ cnr: 'UPHC020012342024' }), 'lucknow');
+    assert.equal(adapter.benchForCase({ cnr: '' }), null);
+  });
+});
+
+describe('court adapter registry', () => {
+  it('lists the registered adapters', () => {
+    assert.deepEqual(courtAdapters.listAdapters(), [{
+      id: 'allahabad_hc',
+      displayName: 'Allahabad High Court',
+      parserVersion: adapter.parserVersion
+    }]);
+  });
+
+  it('tags parsed cases with the adapter that produced them', () => {
+    const parsed = adapter.parseCase(loadFixture('pending-writ'), TEST_CINO);
+    assert.equal(parsed.courtAdapter, 'allahabad_hc');
+    assert.equal(parsed.parserVersion, adapter.parserVersion);
+  });
+
+  it('rejects unknown adapter ids', () => {
+    assert.throws(() => courtAdapters.getAdapter('bombay_hc'), error => {
+      assert.ok(error instanceof UnknownCourtAdapterError);
+      assert.equal(error.adapterId, 'bombay_hc');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for ApiService orchestration: retries, drift checks and snapshot
+ * archiving around whichever court adapter a case uses.
+ */
+
+process.env.TZ = 'Asia/Kolkata';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const apiService = require('../services/apiService');
+const parserDriftService = require('../services/parserDriftService');
+const snapshotService = require('../services/snapshotService');
+const {
+  ParserDriftError,
+  UnknownCourtAdapterError,
+  CaseNotFoundError,
+  InvalidCinoError,
+  CourtMaintenanceError,
+  CourtBlockedError
+} = require('../utils/errors');
+const courtOutageService = require('../services/courtOutageService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'case-status');
+const ERROR_PAGES_DIR = path.join(__dirname, 'fixtures', 'error-pages');
+const TEST_CINO = '123456';
+const adapter = apiService.getAdapter();
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+describe('ApiService.fetchSingleCase', () => {
+  beforeEach(() => {
+    mock.method(snapshotService, 'saveSnapshot', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects drifted pages in fetchSingleCase without retrying', async () => {
+    const makeRequest = mock.method(apiService, 'makeRequest', async () => ({
+      status: 200,
+      data: '<html><body><p>Welcome to the new case status portal</p></body></html>'
+    }));
+    const recordDrift = mock.method(parserDriftService, 'recordDrift', async () => null);
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO), error => {
+      assert.ok(error instanceof ParserDriftError);
+      assert.equal(error.cino, TEST_CINO);
+      assert.equal(error.report.confidence, 0);
+      return true;
+    });
+    assert.equal(makeRequest.mock.callCount(), 1);
+    assert.equal(recordDrift.mock.callCount(), 1);
+  });
+
+  it('records nothing for a drifted page on a dry run', async () => {
+    mock.method(apiService, 'makeRequest', async () => ({
+      status: 200,
+      data: '<html><body><p>Welcome to the new case status portal</p></body></html>'
+    }));
+    const recordDrift = mock.method(parserDriftService, 'recordDrift', async () => null);
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO, undefined, { dryRun: true }), ParserDriftError);
+    assert.equal(recordDrift.mock.callCount(), 0);
+    assert.equal(snapshotService.saveSnapshot.mock.callCount(), 0);
+  });
+
+  it('records healthy parses from fetchSingleCase', async () => {
+    mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: loadFixture('disposed-writ') }));
+    const recordHealthyParse = mock.method(parserDriftService, 'recordHealthyParse', async () => null);
+
+    const caseData = await apiService.fetchSingleCase(TEST_CINO);
+    assert.equal(caseData.caseStatus, 'DISPOSED');
+    assert.deepEqual(recordHealthyParse.mock.calls[0].arguments, [TEST_CINO, 'allahabad_hc']);
+  });
+
+  it('archives the raw response before parsing', async () => {
+    const html = loadFixture('pending-writ');
+    mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: html }));
+    mock.method(parserDriftService, 'recordHealthyParse', async () => null);
+
+    await apiService.fetchSingleCase(TEST_CINO);
+    assert.deepEqual(snapshotService.saveSnapshot.mock.calls[0].arguments, [TEST_CINO, html, adapter.parserVersion, 'allahabad_hc']);
+  });
+
+  it('rejects unknown court adapters before fetching', async () => {
+    const makeRequest = mock.method(apiService, 'makeRequest', async () => null);
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO, 'bombay_hc'), UnknownCourtAdapterError);
+    assert.equal(makeRequest.mock.callCount(), 0);
+  });
+});
+
+describe('ApiService response classification', () => {
+  beforeEach(() => {
+    apiService.breakers.clear();
+    mock.method(apiService, 'delay', async () => {});
+    mock.method(snapshotService, 'saveSnapshot', async () => null);
+    mock.method(courtOutageService, 'recordOutageStart', async () => null);
+  });
+
+  afterEach(() => {
+    for (const breaker of apiService.breakers.values()) {
+      clearTimeout(breaker.timer);
+    }
+    apiService.breakers.clear();
+    mock.restoreAll();
+  });
+
+  const cases = [
+    ['no-record', CaseNotFoundError, 404],
+    ['invalid-cino', InvalidCinoError, 400],
+    ['maintenance', CourtMaintenanceError, 503],
+    ['captcha', CourtBlockedError, 503]
+  ];
+
+  for (const [name, ErrorType, statusCode] of cases) {
+    it(`raises ${ErrorType.name} for a ${name} page without retrying or archiving`, async () => {
+      const html = fs.readFileSync(path.join(ERROR_PAGES_DIR, `${name}.html`), 'utf8');
+      const makeRequest = mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: html }));
+
+      await assert.rejects(apiService.fetchSingleCase(TEST_CINO), error => {
+        assert.ok(error instanceof ErrorType);
+        assert.equal(error.statusCode, statusCode);
+        assert.equal(error.cino, TEST_CINO);
+        assert.equal(error.toResponse().success, false);
+        return true;
+      });
+      assert.equal(makeRequest.mock.callCount(), 1);
+      assert.equal(snapshotService.saveSnapshot.mock.callCount(), 0);
+    });
+  }
+
+  it('opens the circuit on the first blocked page', async () => {
+    const html = fs.readFileSync(path.join(ERROR_PAGES_DIR, 'captcha.html'), 'utf8');
+    mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: html }));
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO), CourtBlockedError);
+    assert.equal(apiService.getBreaker(adapter).isOpen(), true);
+  });
+
+  it('leaves the circuit alone on a dry run', async () => {
+    const html = fs.readFileSync(path.join(ERROR_PAGES_DIR, 'captcha.html'), 'utf8');
+    mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: html }));
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO, undefined, { dryRun: true }), CourtBlockedError);
+    assert.equal(apiService.getBreaker(adapter).isOpen(), false);
+    assert.equal(courtOutageService.recordOutageStart.mock.callCount(), 0);
+  });
+
+  it('counts maintenance pages towards the failure threshold only', async () => {
+    const html = fs.readFileSync(path.join(ERROR_PAGES_DIR, 'maintenance.html'), 'utf8');
+    mock.method(apiService, 'makeRequest', async () => ({ status: 200, data: html }));
+
+    await assert.rejects(apiService.fetchSingleCase(TEST_CINO), CourtMaintenanceError);
+    const stats = apiService.getBreaker(adapter).getStats();
+    assert.equal(stats.state, 'closed');
+    assert.equal(stats.consecutiveFailures, 1);
+  });
+});
+
+describe('ApiService.validateCino', () => {
+  it('delegates to the default adapter', () => {
+    assert.equal(apiService.validateCino('804692'), true);
+    assert.equal(apiService.validateCino('804692', 'allahabad_hc'), true);
+    assert.equal(apiService.validateCino('12345'), false);
+  });
+});
@@ -0,0 +1,84 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireApiKey, requireCallbackToken } = require('../middleware/auth');
+
+function call(headers = {}, middleware = requireApiKey, query = {}) {
+  const req = {
+    method: 'POST',
+    originalUrl: '/api/monitoring/run',
+    path: '/delivery-status/whatsapp',
+    query,
+    get: name => headers[name.toLowerCase()]
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+describe('requireApiKey', () => {
+  const apiKey = process.env.API_KEY;
+
+  beforeEach(() => {
+    process.env.API_KEY = 'secret-key';
+  });
+
+  afterEach(() => {
+    if (apiKey === undefined) delete process.env.API_KEY;
+    else process.env.API_KEY = apiKey;
+  });
+
+  it('accepts the key in x-api-key or as a Bearer token', () => {
+    assert.equal(call({ 'x-api-key': 'secret-key' }).nextCalled, true);
+    assert.equal(call({ authorization: 'Bearer secret-key' }).nextCalled, true);
+  });
+
+  it('rejects a missing or wrong key', () => {
+    for (const headers of [{}, { 'x-api-key': 'secret' }, { authorization: 'Basic secret-key' }]) {
+      const { res, nextCalled } = call(headers);
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+    }
+  });
+
+  it('stays closed when no API_KEY is configured', () => {
+    delete process.env.API_KEY;
+    const { res, nextCalled } = call({ 'x-api-key': '' });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 503);
+  });
+});
+
+describe('requireCallbackToken', () => {
+  const token = process.env.DELIVERY_CALLBACK_TOKEN;
+
+  beforeEach(() => {
+    process.env.DELIVERY_CALLBACK_TOKEN = 'callback-token';
+  });
+
+  afterEach(() => {
+    if (token === undefined) delete process.env.DELIVERY_CALLBACK_TOKEN;
+    else process.env.DELIVERY_CALLBACK_TOKEN = token;
+  });
+
+  it('accepts the token in x-callback-token or the query string', () => {
+    assert.equal(call({ 'x-callback-token': 'callback-token' }, requireCallbackToken).nextCalled, true);
+    assert.equal(call({}, requireCallbackToken, { token: 'callback-token' }).nextCalled, true);
+  });
+
+  it('rejects a missing or wrong token, and stays closed without one configured', () => {
+    const wrong = call({ 'x-callback-token': 'callback' }, requireCallbackToken);
+    assert.equal(wrong.nextCalled, false);
+    assert.equal(wrong.res.statusCode, 401);
+
+    delete process.env.DELIVERY_CALLBACK_TOKEN;
+    assert.equal(call({}, requireCallbackToken, { token: '' }).res.statusCode, 503);
+  });
+});
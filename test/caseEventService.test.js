@@ -0,0 +1,151 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const caseEventService = require('../services/caseEventService');
+const ChangeDetectionService = require('../services/changeDetectionService');
+const CaseEvent = require('../models/CaseEvent');
+
+const changeDetectionService = new ChangeDetectionService();
+
+const listing = (day, shortOrder = '', justice = "Hon'ble Justice A. Kumar", benchId = '41') => ({
+  causeListType: 'Fresh',
+  justice,
+  benchId,
+  listingDate: new Date(`${day}T00:00:00Z`),
+  shortOrder
+});
+
+function classify(oldCaseData, newCaseData) {
+  const changeResult = changeDetectionService.detectChanges(oldCaseData, newCaseData);
+  return caseEventService.classify(oldCaseData, newCaseData, changeResult);
+}
+
+const types = events => events.map(event => `${event.type}/${event.confidence}`);
+
+describe('CaseEventService.classify', () => {
+  it('reads a disposal from the status and stage', () => {
+    const events = classify(
+      { caseStatus: 'PENDING', stageOfCase: 'ADMISSION' },
+      { caseStatus: 'DISPOSED', stageOfCase: 'DISMISSED' }
+    );
+
+    assert.deepEqual(types(events), ['case_disposed/high', 'stage_changed/high']);
+    assert.equal(events[0].summary, 'Case disposed (DISPOSED)');
+    assert.deepEqual(events[0].details, { from: 'PENDING', to: 'DISPOSED' });
+  });
+
+  it('tells a fixed hearing date from a rescheduled one', () => {
+    const fixed = classify({}, { nextHearingDate: new Date('2024-12-02T00:00:00Z') });
+    const moved = classify(
+      { nextHearingDate: new Date('2024-12-02T00:00:00Z') },
+      { nextHearingDate: new Date('2024-12-16T00:00:00Z') }
+    );
+
+    assert.deepEqual(types(fixed), ['hearing_fixed/high']);
+    assert.deepEqual(types(moved), ['hearing_rescheduled/high']);
+    assert.equal(moved[0].summary, 'Hearing rescheduled for 16/12/2024');
+    assert.deepEqual(moved[0].details, { from: '2024-12-02', to: '2024-12-16' });
+  });
+
+  it('reads a new listing, its bench and its short order', () => {
+    const events = classify(
+      { listingHistory: [listing('2024-11-01', 'Adjourned')] },
+      {
+        listingHistory: [
+          listing('2024-11-01', 'Adjourned'),
+          listing('2024-11-15', 'Issue notice. Counter affidavit within four weeks. Interim order granted till next date.',
+            "Hon'ble Justice B. Singh", '52')
+        ]
+      }
+    );
+
+    assert.deepEqual(types(events), [
+      'listed/high',
+      'bench_changed/medium',
+      'notice_issued/high',
+      'interim_order_granted/high',
+      'counter_affidavit_time/high'
+    ]);
+    assert.equal(events[1].summary, "Listed before a new bench: Hon'ble Justice B. Singh");
+    assert.equal(events[2].eventDate.toISOString(), '2024-11-15T00:00:00.000Z');
+  });
+
+  it('reads a short order filled in after the hearing', () => {
+    const events = classify(
+      { listingHistory: [listing('2024-11-15')] },
+      { listingHistory: [listing('2024-11-15', 'List this case after two weeks.')] }
+    );
+
+    assert.deepEqual(types(events), ['adjourned/medium']);
+  });
+
+  it('reports IA filings and disposals', () => {
+    const events = classify(
+      { iaApplications: [{ applicationNumber: '1/2024', classification: 'Stay', status: 'Pending' }] },
+      {
+        iaApplications: [
+          { applicationNumber: '1/2024', classification: 'Stay', status: 'Disposed' },
+          { applicationNumber: '2/2024', classification: 'Exemption', status: 'Pending' }
+        ]
+      }
+    );
+
+    assert.deepEqual(types(events), ['ia_filed/high', 'ia_disposed/high']);
+    assert.equal(events[1].summary, 'IA 1/2024 (Stay) disposed: Pending to Disposed');
+  });
+
+  it('gives each event a key that stays the same for a repeated check', () => {
+    const oldCaseData = { caseStatus: 'PENDING' };
+    const newCaseData = { caseStatus: 'DISPOSED', nextHearingDate: new Date('2024-12-02T00:00:00Z') };
+
+    assert.deepEqual(
+      classify(oldCaseData, newCaseData).map(event => event.key),
+      classify(oldCaseData, newCaseData).map(event => event.key)
+    );
+  });
+
+  it('finds no events when nothing changed', () => {
+    assert.deepEqual(classify({ caseStatus: 'PENDING' }, { caseStatus: 'PENDING' }), []);
+  });
+});
+
+describe('CaseEventService.classifyShortOrder', () => {
+  it('grades weaker wording lower', () => {
+    assert.deepEqual(caseEventService.classifyShortOrder('Case not taken up today'), [
+      { type: 'adjourned', confidence: 'low' }
+    ]);
+    assert.deepEqual(caseEventService.classifyShortOrder('The writ petition is dismissed.'), [
+      { type: 'case_disposed', confidence: 'medium' }
+    ]);
+    assert.deepEqual(caseEventService.classifyShortOrder('Interim relief refused. Judgment reserved.'), [
+      { type: 'interim_order_refused', confidence: 'medium' },
+      { type: 'judgment_reserved', confidence: 'high' }
+    ]);
+  });
+});
+
+describe('CaseEventService.recordEvents', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores events once per case and key', async () => {
+    const bulkWrite = mock.method(CaseEvent, 'bulkWrite', async () => ({ upsertedCount: 1 }));
+    const events = classify({ caseStatus: 'PENDING' }, { caseStatus: 'DISPOSED' });
+
+    const stored = await caseEventService.recordEvents({ _id: 'case-1', cino: '804692' }, events, { runId: 'run-1' });
+
+    assert.equal(stored, 1);
+    const [operation] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(operation.updateOne.filter, { cino: '804692', key: events[0].key });
+    assert.equal(operation.updateOne.upsert, true);
+    assert.equal(operation.updateOne.update.$setOnInsert.type, 'case_disposed');
+    assert.equal(operation.updateOne.update.$setOnInsert.runId, 'run-1');
+  });
+
+  it('logs write errors instead of failing the check', async () => {
+    mock.method(CaseEvent, 'bulkWrite', async () => { throw new Error('write failed'); });
+    const events = classify({ caseStatus: 'PENDING' }, { caseStatus: 'DISPOSED' });
+
+    assert.equal(await caseEventService.recordEvents({ cino: '804692' }, events), 0);
+  });
+});
@@ -0,0 +1,93 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const apiService = require('../services/apiService');
+const causeListService = require('../services/causeListService');
+const Case = require('../models/Case');
+const CauseListEntry = require('../models/CauseListEntry');
+const { CourtUnavailableError } = require('../utils/errors');
+
+const CAUSE_LIST_DIR = path.join(__dirname, 'fixtures', 'cause-list');
+const loadCauseList = name => fs.readFileSync(path.join(CAUSE_LIST_DIR, `${name}.html`), 'utf8');
+
+const trackedCases = [
+  { _id: 'case-1', cino: '804692', cnr: 'UPHC010218772023', caseTitle: 'WRIT - C No. - 21877 of 2023' },
+  { _id: 'case-2', cino: '804693', cnr: 'UPHC020001002024', caseTitle: 'WRIT - C No. - 100 of 2024' },
+  { _id: 'case-3', cino: '804694', cnr: '', caseTitle: 'WRIT - A No. - 4567 of 2021' }
+];
+
+function mockCases(cases) {
+  const query = { select: () => query, lean: async () => cases };
+  return mock.method(Case, 'find', () => query);
+}
+
+function notFound() {
+  const error = new Error('Request failed with status code 404');
+  error.response = { status: 404 };
+  return error;
+}
+
+describe('CauseListService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('uses midnight in India as the list date', () => {
+    assert.equal(causeListService.toListDate('2024-11-22').toISOString(), '2024-11-21T18:30:00.000Z');
+    assert.equal(causeListService.toListDate(new Date('2024-11-21T20:00:00Z')).toISOString(), '2024-11-21T18:30:00.000Z');
+    assert.equal(causeListService.toListDate('next friday'), null);
+  });
+
+  it('stores listings of tracked cases at their own bench only', async () => {
+    mockCases(trackedCases);
+    const pages = {
+      index: loadCauseList('index'),
+      'court=12': loadCauseList('court-12-fresh')
+    };
+    const fetchPage = mock.method(apiService, 'fetchCauseListPage', async url => {
+      if (url.includes('bench=L')) throw notFound();
+      if (url.includes('court=34')) throw new Error('socket hang up');
+      return url.includes('court=12') ? pages['court=12'] : pages.index;
+    });
+    const bulkWrite = mock.method(CauseListEntry, 'bulkWrite', async () => ({}));
+
+    const summary = await causeListService.ingest({ date: '2024-11-22' });
+
+    assert.equal(fetchPage.mock.callCount(), 4);
+    assert.deepEqual(summary.benches.allahabad, { published: true, pages: 2, failedPages: 1, entries: 5, matches: 2 });
+    assert.deepEqual(summary.benches.lucknow, { published: false, pages: 0, failedPages: 0, entries: 0, matches: 0 });
+    assert.equal(summary.matched, 2);
+
+    // The Lucknow WRIT-C 100/2024 is not matched to the Allahabad list; a case without CNR is
+    const [operations] = bulkWrite.mock.calls[0].arguments;
+    assert.deepEqual(operations.map(op => op.updateOne.update.$set.cino), ['804692', '804694']);
+    const first = operations[0].updateOne;
+    assert.deepEqual(first.filter, {
+      listDate: new Date('2024-11-21T18:30:00.000Z'),
+      bench: 'allahabad',
+      listType: 'fresh',
+      courtNumber: '12',
+      itemNumber: 1,
+      caseReference: 'WRIT-C/21877/2023'
+    });
+    assert.equal(first.update.$set.sourceUrl, 'https://allahabadhighcourt.in/causelist/list.php?court=12&type=F');
+    assert.equal(first.update.$set.benchJustices, "HON'BLE MAHESH CHANDRA TRIPATHI, J. HON'BLE PRASHANT KUMAR, J.");
+  });
+
+  it('records a bench as failed when the court is down', async () => {
+    mockCases(trackedCases);
+    mock.method(apiService, 'fetchCauseListPage', async () => { throw new CourtUnavailableError('allahabad_hc'); });
+    const bulkWrite = mock.method(CauseListEntry, 'bulkWrite', async () => ({}));
+
+    const summary = await causeListService.ingest({ date: '2024-11-22', benches: ['allahabad'] });
+    assert.match(summary.benches.allahabad.error, /unavailable/);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+
+  it('rejects unknown benches before fetching', async () => {
+    const fetchPage = mock.method(apiService, 'fetchCauseListPage', async () => '');
+    await assert.rejects(causeListService.ingest({ benches: ['agra'] }), /Unknown cause list bench: agra/);
+    assert.equal(fetchPage.mock.callCount(), 0);
+  });
+});
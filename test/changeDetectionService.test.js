@@ -0,0 +1,134 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ChangeDetectionService = require('../services/changeDetectionService');
+const Case = require('../models/Case');
+const { diffListingHistory, diffIaApplications } = require('../utils/caseDiff');
+
+const changeDetectionService = new ChangeDetectionService();
+
+const listing = (day, shortOrder = '') => ({
+  causeListType: 'Fresh',
+  justice: "Hon'ble Justice A. Kumar",
+  benchId: '41',
+  listingDate: new Date(`${day}T00:00:00Z`),
+  shortOrder
+});
+
+const ia = (applicationNumber, status = 'Pending') => ({
+  applicationNumber,
+  classification: 'Stay Application',
+  filingDate: new Date('2024-10-01T00:00:00Z'),
+  status
+});
+
+describe('caseDiff', () => {
+  it('matches listings by date, bench and list type rather than position', () => {
+    const diff = diffListingHistory(
+      [listing('2024-11-01', 'Adjourned'), listing('2024-11-08')],
+      [listing('2024-11-15'), listing('2024-11-08', 'Heard'), listing('2024-11-01', 'Adjourned')]
+    );
+
+    assert.deepEqual(diff.added.map(entry => entry.listingDate.toISOString().slice(0, 10)), ['2024-11-15']);
+    assert.equal(diff.updated.length, 1);
+    assert.equal(diff.updated[0].listing.shortOrder, 'Heard');
+    assert.equal(diff.updated[0].previousShortOrder, '');
+  });
+
+  it('does not report listings that dropped off the page', () => {
+    const diff = diffListingHistory([listing('2024-11-01'), listing('2024-11-08')], [listing('2024-11-08')]);
+    assert.deepEqual(diff, { added: [], updated: [] });
+  });
+
+  it('matches IA applications by number and reports status moves', () => {
+    const diff = diffIaApplications(
+      [ia('12345/2024'), ia('222/2024')],
+      [ia('12345/2024', 'Disposed'), ia('999/2024')]
+    );
+
+    assert.deepEqual(diff.added.map(application => application.applicationNumber), ['999/2024']);
+    assert.deepEqual(diff.removed.map(application => application.applicationNumber), ['222/2024']);
+    assert.equal(diff.statusChanges.length, 1);
+    assert.equal(diff.statusChanges[0].from, 'Pending');
+    assert.equal(diff.statusChanges[0].to, 'Disposed');
+  });
+
+  it('ignores case and spacing differences in keys and statuses', () => {
+    const diff = diffIaApplications([ia('12345/2024', 'Pending')], [ia(' 12345/2024 ', 'PENDING ')]);
+    assert.deepEqual(diff, { added: [], removed: [], statusChanges: [] });
+  });
+});
+
+describe('ChangeDetectionService list fields', () => {
+  it('describes each new listing in the summary', () => {
+    const changes = changeDetectionService.detectChanges(
+      { listingHistory: [listing('2024-11-01', 'Adjourned')] },
+      { listingHistory: [listing('2024-11-01', 'Adjourned'), listing('2024-11-15', 'Notice issued')] }
+    );
+
+    assert.deepEqual(changes.changedFields, ['listingHistory']);
+    assert.equal(changes.detailedChanges.listingHistory.diff.added.length, 1);
+    assert.equal(changes.notificationPriority, 'medium');
+    assert.equal(
+      changes.changesSummary,
+      "🔵 Listed on 15/11/2024 in the Fresh list before Hon'ble Justice A. Kumar (Bench ID: 41), short order: Notice issued"
+    );
+  });
+
+  it('reports a short order filled in after the hearing', () => {
+    const changes = changeDetectionService.detectChanges(
+      { listingHistory: [listing('2024-11-15')] },
+      { listingHistory: [listing('2024-11-15', 'List after two weeks')] }
+    );
+
+    assert.equal(changes.changesSummary, '🔵 Short order for the 15/11/2024 listing: List after two weeks');
+  });
+
+  it('puts each IA change on its own line', () => {
+    const changes = changeDetectionService.detectChanges(
+      { iaApplications: [ia('12345/2024')] },
+      { iaApplications: [ia('12345/2024', 'Disposed'), ia('999/2024')] }
+    );
+
+    assert.deepEqual(changes.changesSummary.split('\n'), [
+      '🔵 New IA 999/2024 (Stay Application) filed on 01/10/2024, Pending',
+      '🔵 IA 12345/2024 (Stay Application) moved from Pending to Disposed'
+    ]);
+  });
+
+  it('finds no change when only the order of rows differs', () => {
+    const changes = changeDetectionService.detectChanges(
+      { listingHistory: [listing('2024-11-01'), listing('2024-11-08')], iaApplications: [ia('1/2024'), ia('2/2024')] },
+      { listingHistory: [listing('2024-11-08'), listing('2024-11-01')], iaApplications: [ia('2/2024'), ia('1/2024')] }
+    );
+
+    assert.equal(changes.hasChanges, false);
+  });
+});
+
+describe('Case.detectAndRecordChanges', () => {
+  it('records keyed diffs for list fields instead of whole lists', () => {
+    const caseDoc = new Case({
+      cino: '804692',
+      caseStatus: 'PENDING',
+      listingHistory: [listing('2024-11-01', 'Adjourned')],
+      iaApplications: [ia('12345/2024')]
+    });
+
+    const changes = caseDoc.detectAndRecordChanges({
+      caseStatus: 'PENDING',
+      stageOfCase: '',
+      coram: '',
+      listingHistory: [listing('2024-11-01', 'Adjourned'), listing('2024-11-15')],
+      iaApplications: [ia('12345/2024', 'Disposed')]
+    });
+
+    assert.deepEqual(changes.map(change => change.field), ['listingHistory', 'iaApplications']);
+    assert.equal(changes[0].oldValue, undefined);
+    assert.equal(changes[0].diff.added.length, 1);
+    assert.equal(changes[1].diff.statusChanges[0].to, 'Disposed');
+    assert.equal(caseDoc.changeHistory.length, 2);
+    assert.equal(caseDoc.changeHistory[1].diff.statusChanges[0].from, 'Pending');
+  });
+});
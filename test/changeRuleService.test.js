@@ -0,0 +1,212 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const changeRuleService = require('../services/changeRuleService');
+const ChangeDetectionService = require('../services/changeDetectionService');
+const reparseService = require('../services/reparseService');
+const snapshotService = require('../services/snapshotService');
+const apiService = require('../services/apiService');
+const ChangeRule = require('../models/ChangeRule');
+const CaseSnapshot = require('../models/CaseSnapshot');
+
+const changeDetectionService = new ChangeDetectionService();
+
+const listing = (day, shortOrder = '') => ({
+  causeListType: 'Fresh',
+  justice: "Hon'ble Justice A. Kumar",
+  benchId: '41',
+  listingDate: new Date(`${day}T00:00:00Z`),
+  shortOrder
+});
+
+function detect(oldCaseData, newCaseData, rules) {
+  return changeDetectionService.detectChanges(oldCaseData, newCaseData, {
+    rules: changeRuleService.compileRules(rules)
+  });
+}
+
+describe('ChangeRuleService default rules', () => {
+  it('rank changes as before rules existed', () => {
+    const hearing = changeDetectionService.detectChanges(
+      { nextHearingDate: new Date('2024-12-02'), caseStatus: 'PENDING' },
+      { nextHearingDate: new Date('2024-12-16'), caseStatus: 'PENDING' }
+    );
+    assert.equal(hearing.notificationPriority, 'urgent');
+    assert.deepEqual(hearing.criticalChanges, ['nextHearingDate']);
+    assert.deepEqual(hearing.matchedRules.map(rule => rule.name), ['Next hearing date changed']);
+
+    const coram = changeDetectionService.detectChanges({ coram: 'A' }, { coram: 'B' });
+    assert.equal(coram.notificationPriority, 'low');
+    assert.equal(coram.hasCriticalChanges, false);
+
+    const none = changeDetectionService.detectChanges({ coram: 'A' }, { coram: 'A' });
+    assert.equal(none.notificationPriority, 'none');
+  });
+});
+
+describe('ChangeRuleService.evaluate', () => {
+  it('matches a field transition', () => {
+    const rules = [{ name: 'Disposed', match: { transition: { field: 'caseStatus', from: 'pending', to: '^disposed' } }, priority: 'urgent', critical: true }];
+
+    const disposed = detect({ caseStatus: 'PENDING' }, { caseStatus: 'DISPOSED' }, rules);
+    const other = detect({ caseStatus: 'PENDING' }, { caseStatus: 'ADMITTED' }, rules);
+
+    assert.equal(disposed.notificationPriority, 'urgent');
+    assert.deepEqual(disposed.criticalChanges, ['caseStatus']);
+    assert.equal(other.notificationPriority, 'low');
+    assert.deepEqual(other.matchedRules, []);
+  });
+
+  it('matches case events above a confidence and short order text', () => {
+    const rules = [
+      { name: 'Notice', match: { events: ['notice_issued'], minConfidence: 'medium' }, priority: 'high' },
+      { name: 'Interim', match: { shortOrderPattern: 'interim (order|relief)' }, priority: 'urgent' }
+    ];
+
+    const notice = detect(
+      { listingHistory: [] },
+      { listingHistory: [listing('2024-11-15', 'Issue notice.')] },
+      rules
+    );
+    const interim = detect(
+      { listingHistory: [] },
+      { listingHistory: [listing('2024-11-15', 'Interim order granted.')] },
+      rules
+    );
+
+    assert.deepEqual(notice.matchedRules, [{ name: 'Notice', priority: 'high', critical: false, suppress: false, fields: ['listingHistory'] }]);
+    assert.equal(notice.notificationPriority, 'high');
+    assert.equal(interim.notificationPriority, 'urgent');
+  });
+
+  it('keeps suppressed fields out of the priority and summary', () => {
+    const rules = [
+      { name: 'Coram noise', match: { fields: ['coram'] }, suppress: true },
+      { name: 'Coram first', order: 1, match: { fields: ['coram'] }, priority: 'urgent' },
+      { name: 'Listings', match: { fields: ['listingHistory'] }, priority: 'medium' }
+    ];
+
+    const mixed = detect(
+      { coram: 'A', listingHistory: [] },
+      { coram: 'B', listingHistory: [listing('2024-11-15')] },
+      rules
+    );
+    assert.equal(mixed.notificationPriority, 'medium');
+    assert.deepEqual(mixed.suppressedFields, ['coram']);
+    assert.equal(mixed.isSuppressed, false);
+    assert.doesNotMatch(mixed.changesSummary, /coram/);
+
+    const onlyNoise = detect({ coram: 'A' }, { coram: 'B' }, rules);
+    assert.equal(onlyNoise.hasChanges, true);
+    assert.equal(onlyNoise.isSuppressed, true);
+    assert.equal(onlyNoise.notificationPriority, 'none');
+    assert.equal(onlyNoise.changesSummary, 'Only suppressed changes: coram');
+  });
+
+  it('compares fields that only a rule names', () => {
+    const changes = detect(
+      { benchType: 'Single' },
+      { benchType: 'Division' },
+      [{ name: 'Bench type', match: { fields: ['benchType'] }, priority: 'high' }]
+    );
+
+    assert.deepEqual(changes.changedFields, ['benchType']);
+    assert.equal(changes.notificationPriority, 'high');
+  });
+});
+
+describe('ChangeRuleService.normalizeRule', () => {
+  it('rejects rules that match nothing, do nothing or have bad patterns', () => {
+    assert.throws(() => changeRuleService.normalizeRule({ priority: 'high' }), /needs a name/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', priority: 'high' }), /matches nothing/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', match: { fields: ['coram'] } }), /does nothing/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', match: { fields: ['coram'] }, priority: 'top' }), /priority must be/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', match: { events: ['party'] }, priority: 'high' }), /unknown event types party/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', match: { shortOrderPattern: '(' }, priority: 'high' }), /invalid pattern/);
+    assert.throws(() => changeRuleService.normalizeRule({ name: 'x', match: { transition: { field: 'caseStatus' } }, priority: 'high' }), /needs a field and from or to/);
+  });
+
+  it('keeps only known properties', () => {
+    const rule = changeRuleService.normalizeRule({ name: ' Noise ', match: { fields: ['coram'], extra: 1 }, suppress: true, _id: 'x' });
+    assert.deepEqual(rule, {
+      name: 'Noise',
+      description: undefined,
+      enabled: true,
+      order: 100,
+      match: { fields: ['coram'] },
+      priority: undefined,
+      critical: false,
+      suppress: true
+    });
+  });
+});
+
+describe('ChangeRuleService storage', () => {
+  const defaults = changeRuleService.rules;
+
+  afterEach(() => {
+    mock.restoreAll();
+    changeRuleService.rules = defaults;
+    changeRuleService.loadedAt = null;
+  });
+
+  it('loads enabled rules in order', async () => {
+    const find = mock.method(ChangeRule, 'find', () => ({
+      sort: () => ({ lean: async () => [{ name: 'Noise', match: { fields: ['coram'] }, suppress: true }] })
+    }));
+
+    await changeRuleService.ensureLoaded();
+    await changeRuleService.ensureLoaded();
+
+    assert.equal(find.mock.callCount(), 1);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { enabled: true });
+    assert.deepEqual(changeRuleService.getRules().map(rule => rule.name), ['Noise']);
+  });
+
+  it('keeps the cached rules when they cannot be read', async () => {
+    mock.method(ChangeRule, 'find', () => ({ sort: () => ({ lean: async () => { throw new Error('down'); } }) }));
+
+    await changeRuleService.ensureLoaded();
+
+    assert.equal(changeRuleService.getRules(), defaults);
+  });
+});
+
+describe('ReparseService.diffSnapshots', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('diffs the latest snapshot against the one before it', async () => {
+    mock.method(CaseSnapshot, 'find', () => ({
+      select: () => ({
+        sort: () => ({
+          lean: async () => [
+            { contentHash: 'new', courtAdapter: 'allahabad_hc', firstSeenAt: new Date('2024-11-16') },
+            { contentHash: 'old', courtAdapter: 'allahabad_hc', firstSeenAt: new Date('2024-11-10') }
+          ]
+        })
+      })
+    }));
+    mock.method(snapshotService, 'getSnapshotHtml', async (cino, contentHash) => contentHash);
+    mock.method(apiService, 'getAdapter', () => ({
+      parseCase: html => ({ caseStatus: html === 'new' ? 'DISPOSED' : 'PENDING' })
+    }));
+
+    const diff = await reparseService.diffSnapshots('804692', {
+      rules: changeRuleService.compileRules([{ name: 'Disposed', match: { transition: { field: 'caseStatus', to: 'disposed' } }, priority: 'urgent' }])
+    });
+
+    assert.equal(diff.from.contentHash, 'old');
+    assert.equal(diff.to.contentHash, 'new');
+    assert.equal(diff.changes.notificationPriority, 'urgent');
+    assert.deepEqual(diff.changes.events.map(event => event.type), ['case_disposed']);
+  });
+
+  it('needs two snapshots', async () => {
+    mock.method(CaseSnapshot, 'find', () => ({
+      select: () => ({ sort: () => ({ lean: async () => [{ contentHash: 'only' }] }) })
+    }));
+
+    assert.equal(await reparseService.diffSnapshots('804692'), null);
+  });
+});
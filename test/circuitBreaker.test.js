@@ -0,0 +1,145 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const apiService = require('../services/apiService');
+const courtOutageService = require('../services/courtOutageService');
+const snapshotService = require('../services/snapshotService');
+const parserDriftService = require('../services/parserDriftService');
+const { CourtUnavailableError } = require('../utils/errors');
+
+function networkError() {
+  const error = new Error('connect ECONNREFUSED');
+  error.code = 'ECONNREFUSED';
+  return error;
+}
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  afterEach(() => {
+    if (breaker && breaker.isOpen()) breaker.close();
+  });
+
+  it('opens after the failure threshold and reports the outage once', () => {
+    const onOpen = mock.fn();
+    breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, onOpen });
+
+    breaker.recordFailure(new Error('timeout of 30000ms exceeded'));
+    breaker.recordFailure(new Error('socket hang up'));
+    assert.equal(breaker.isOpen(), false);
+
+    breaker.recordFailure(new Error('socket hang up'));
+    breaker.recordFailure(new Error('socket hang up'));
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.nextProbeAt instanceof Date);
+
+    const stats = breaker.getStats();
+    assert.equal(stats.firstError, 'timeout of 30000ms exceeded');
+    assert.equal(stats.lastError, 'socket hang up');
+    return new Promise(resolve => setImmediate(() => {
+      assert.equal(onOpen.mock.callCount(), 1);
+      resolve();
+    }));
+  });
+
+  it('resets the failure count on success', () => {
+    breaker = new CircuitBreaker({ failureThreshold: 2 });
+    breaker.recordFailure(new Error('a'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('b'));
+    assert.equal(breaker.isOpen(), false);
+  });
+
+  it('stays open when a probe fails and closes when one succeeds', async () => {
+    let healthy = false;
+    const onClose = mock.fn();
+    breaker = new CircuitBreaker({ failureThreshold: 1, probe: async () => healthy, onClose });
+    breaker.recordFailure(new Error('down'));
+    breaker.recordSkipped();
+
+    assert.equal(await breaker.runProbe(), false);
+    assert.equal(breaker.state, 'open');
+
+    healthy = true;
+    assert.equal(await breaker.runProbe(), true);
+    assert.equal(breaker.state, 'closed');
+
+    await new Promise(resolve => setImmediate(resolve));
+    const [stats] = onClose.mock.calls[0].arguments;
+    assert.equal(stats.probeCount, 2);
+    assert.equal(stats.skippedRequests, 1);
+    assert.ok(stats.openedAt instanceof Date);
+  });
+});
+
+describe('ApiService court outage handling', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = apiService.getAdapter();
+    apiService.breakers.clear();
+    mock.method(apiService, 'delay', async () => {});
+    mock.method(snapshotService, 'saveSnapshot', async () => null);
+    mock.method(parserDriftService, 'recordHealthyParse', async () => null);
+    mock.method(courtOutageService, 'recordOutageStart', async () => null);
+    mock.method(courtOutageService, 'recordOutageEnd', async () => null);
+  });
+
+  afterEach(() => {
+    // Probe timers are unref'd; drop the breakers without closing so no outage is recorded
+    for (const breaker of apiService.breakers.values()) {
+      clearTimeout(breaker.timer);
+    }
+    apiService.breakers.clear();
+    mock.restoreAll();
+  });
+
+  it('stops retrying and fails fast once the court is marked down', async () => {
+    const makeRequest = mock.method(apiService, 'makeRequest', async () => { throw networkError(); });
+
+    // 3 attempts for the first case, the 5th failure during the second opens the circuit
+    await assert.rejects(apiService.fetchSingleCase('804692'), /ECONNREFUSED/);
+    await assert.rejects(apiService.fetchSingleCase('804693'), CourtUnavailableError);
+    assert.equal(makeRequest.mock.callCount(), 5);
+
+    await assert.rejects(apiService.fetchSingleCase('804694'), error => {
+      assert.ok(error instanceof CourtUnavailableError);
+      assert.equal(error.adapterId, adapter.id);
+      assert.ok(error.retryAt instanceof Date);
+      return true;
+    });
+    assert.equal(makeRequest.mock.callCount(), 5);
+    assert.equal(apiService.getBreaker(adapter).getStats().skippedRequests, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(courtOutageService.recordOutageStart.mock.callCount(), 1);
+  });
+
+  it('does not count client errors as court failures', async () => {
+    mock.method(apiService, 'makeRequest', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      throw error;
+    });
+
+    for (const cino of ['804692', '804693']) {
+      await assert.rejects(apiService.fetchSingleCase(cino), /404/);
+    }
+    assert.equal(apiService.getBreaker(adapter).isOpen(), false);
+  });
+
+  it('resumes when a probe reaches the court again', async () => {
+    mock.method(apiService, 'makeRequest', async () => { throw networkError(); });
+    await assert.rejects(apiService.fetchSingleCase('804692'));
+    await assert.rejects(apiService.fetchSingleCase('804693'), CourtUnavailableError);
+
+    mock.method(adapter, 'testConnectivity', async () => true);
+    assert.equal(await apiService.getBreaker(adapter).runProbe(), true);
+    assert.equal(apiService.getBreaker(adapter).isOpen(), false);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(courtOutageService.recordOutageEnd.mock.callCount(), 1);
+  });
+});
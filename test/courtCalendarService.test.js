@@ -0,0 +1,136 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CourtHoliday = require('../models/CourtHoliday');
+const courtCalendarService = require('../services/courtCalendarService');
+
+const istDate = day => new Date(`${day}T00:00:00+05:30`);
+
+describe('CourtCalendarService.getDay', () => {
+  beforeEach(() => {
+    courtCalendarService.entries = [
+      { name: 'Holi', type: 'holiday', startDate: istDate('2025-03-14'), endDate: istDate('2025-03-14') },
+      { name: 'Summer Vacation', type: 'vacation', startDate: istDate('2025-06-01'), endDate: istDate('2025-06-30') },
+      { name: 'Working Saturday', type: 'working', startDate: istDate('2025-06-14'), endDate: istDate('2025-06-14') },
+      { name: 'Working Saturday', type: 'working', startDate: istDate('2025-03-08'), endDate: istDate('2025-03-08') }
+    ];
+  });
+
+  afterEach(() => {
+    courtCalendarService.entries = [];
+  });
+
+  it('treats an ordinary weekday as a working day', () => {
+    assert.deepEqual(courtCalendarService.getDay('2025-03-13'), { date: '2025-03-13', working: true, type: null, name: null });
+  });
+
+  it('closes on holidays and every day of a vacation', () => {
+    assert.deepEqual(courtCalendarService.getDay('2025-03-14'), { date: '2025-03-14', working: false, type: 'holiday', name: 'Holi' });
+    assert.equal(courtCalendarService.getDay('2025-06-01').type, 'vacation');
+    assert.equal(courtCalendarService.getDay('2025-06-30').type, 'vacation');
+    assert.equal(courtCalendarService.isWorkingDay('2025-07-01'), true);
+  });
+
+  it('closes on weekly off days unless a working day overrides them', () => {
+    assert.deepEqual(courtCalendarService.getDay('2025-03-15'), { date: '2025-03-15', working: false, type: 'weekly_off', name: 'Saturday' });
+    assert.equal(courtCalendarService.getDay('2025-03-16').name, 'Sunday');
+    assert.equal(courtCalendarService.getDay('2025-03-08').type, 'working');
+    assert.equal(courtCalendarService.isWorkingDay('2025-06-14'), true);
+  });
+
+  it('reads a timestamp as its India calendar date', () => {
+    // 20:00 UTC on the 13th is past midnight on Holi in India
+    assert.equal(courtCalendarService.getDay(new Date('2025-03-13T20:00:00Z')).name, 'Holi');
+  });
+
+  it('tags a hearing date that falls on a holiday', () => {
+    assert.deepEqual(courtCalendarService.getHearingHoliday(istDate('2025-03-14')), {
+      date: istDate('2025-03-14'),
+      type: 'holiday',
+      name: 'Holi'
+    });
+    assert.equal(courtCalendarService.getHearingHoliday(istDate('2025-03-13')), null);
+    assert.equal(courtCalendarService.getHearingHoliday(null), null);
+  });
+});
+
+describe('CourtCalendarService parsing', () => {
+  it('reads JSON entries with a single date or a range', () => {
+    const entries = courtCalendarService.parseJson(JSON.stringify({
+      holidays: [
+        { name: 'Holi', date: '2025-03-14' },
+        { name: 'Summer Vacation', type: 'vacation', startDate: '2025-06-01', endDate: '2025-06-30' }
+      ]
+    }));
+
+    assert.deepEqual(entries.map(({ name, type, startDate, endDate }) => ({ name, type, startDate, endDate })), [
+      { name: 'Holi', type: 'holiday', startDate: istDate('2025-03-14'), endDate: istDate('2025-03-14') },
+      { name: 'Summer Vacation', type: 'vacation', startDate: istDate('2025-06-01'), endDate: istDate('2025-06-30') }
+    ]);
+  });
+
+  it('rejects entries without a name or a valid date range', () => {
+    assert.throws(() => courtCalendarService.parseJson([{ date: '2025-03-14' }]), /needs a name/);
+    assert.throws(() => courtCalendarService.parseJson([{ name: 'Holi', date: '14/03/2025' }]), /YYYY-MM-DD/);
+    assert.throws(() => courtCalendarService.parseJson([{ name: 'X', startDate: '2025-06-30', endDate: '2025-06-01' }]), /ends before/);
+    assert.throws(() => courtCalendarService.parseJson([{ name: 'X', type: 'party', date: '2025-06-01' }]), /Unknown calendar entry type/);
+    assert.throws(() => courtCalendarService.parseJson({ days: [] }), /holidays/);
+  });
+
+  it('reads all-day ICS events, treating DTEND as exclusive', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250314',
+      'DTEND;VALUE=DATE:20250315',
+      'SUMMARY:Holi',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250601',
+      'DTEND;VALUE=DATE:20250701',
+      'SUMMARY:Summer Vacation\\, Allaha',
+      ' bad and Lucknow',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250614',
+      'SUMMARY:Working Day',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const entries = courtCalendarService.parseIcs(ics);
+
+    assert.deepEqual(entries.map(({ name, type, startDate, endDate }) => ({ name, type, startDate, endDate })), [
+      { name: 'Holi', type: 'holiday', startDate: istDate('2025-03-14'), endDate: istDate('2025-03-14') },
+      { name: 'Summer Vacation, Allahabad and Lucknow', type: 'vacation', startDate: istDate('2025-06-01'), endDate: istDate('2025-06-30') },
+      { name: 'Working Day', type: 'working', startDate: istDate('2025-06-14'), endDate: istDate('2025-06-14') }
+    ]);
+  });
+});
+
+describe('CourtCalendarService storage', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    courtCalendarService.entries = [];
+  });
+
+  it('upserts imported entries by start date and name and reloads the cache', async () => {
+    const deleteMany = mock.method(CourtHoliday, 'deleteMany', async () => ({ deletedCount: 4 }));
+    const bulkWrite = mock.method(CourtHoliday, 'bulkWrite', async () => ({}));
+    const stored = [{ name: 'Holi', type: 'holiday', startDate: istDate('2025-03-14'), endDate: istDate('2025-03-14') }];
+    mock.method(CourtHoliday, 'find', () => ({ sort: () => ({ lean: async () => stored }) }));
+
+    const entries = courtCalendarService.parseJson([{ name: 'Holi', date: '2025-03-14' }]);
+    const result = await courtCalendarService.importEntries(entries, { source: 'ics', replace: true });
+
+    assert.deepEqual(result, { imported: 1, removed: 4 });
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { source: 'ics' });
+    const [operation] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(operation.updateOne.filter, { startDate: istDate('2025-03-14'), name: 'Holi' });
+    assert.equal(operation.updateOne.update.$set.source, 'ics');
+    assert.equal(operation.updateOne.upsert, true);
+    assert.equal(courtCalendarService.isWorkingDay('2025-03-14'), false);
+  });
+});
@@ -0,0 +1,181 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const jobQueueService = require('../services/jobQueueService');
+
+function leasedJob(overrides = {}) {
+  return { _id: 'job-1', type: 'sendNotification', payload: {}, attempts: 1, maxAttempts: 5, ...overrides };
+}
+
+describe('JobQueueService.enqueue', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('upserts by idempotency key so a repeated enqueue returns the first job', async () => {
+    const upsert = mock.method(Job, 'findOneAndUpdate', async () => ({ _id: 'job-1' }));
+
+    const job = await jobQueueService.enqueue('fetchCase', { cino: '804692' }, { idempotencyKey: 'fetchCase:804692:r', priority: 4 });
+
+    assert.deepEqual(job, { _id: 'job-1' });
+    const [query, update, options] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(query, { idempotencyKey: 'fetchCase:804692:r' });
+    assert.equal(update.$setOnInsert.type, 'fetchCase');
+    assert.equal(update.$setOnInsert.priority, 4);
+    assert.equal(update.$setOnInsert.status, 'queued');
+    assert.equal(options.upsert, true);
+  });
+
+  it('returns the winner when two enqueues race on the same key', async () => {
+    mock.method(Job, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    const findOne = mock.method(Job, 'findOne', async () => ({ _id: 'job-1' }));
+
+    assert.deepEqual(await jobQueueService.enqueue('sendNotification', {}, { idempotencyKey: 'k' }), { _id: 'job-1' });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { idempotencyKey: 'k' });
+  });
+
+  it('creates a plain job when there is no key', async () => {
+    const create = mock.method(Job, 'create', async fields => fields);
+    const job = await jobQueueService.enqueue('sendNotification', { notificationId: 'notification-1' }, { maxAttempts: 2 });
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(job.maxAttempts, 2);
+  });
+});
+
+describe('JobQueueService leasing and retries', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('leases due queued jobs and expired leases, highest priority first', async () => {
+    const findOneAndUpdate = mock.method(Job, 'findOneAndUpdate', async () => null);
+
+    await jobQueueService.lease(['fetchCase']);
+
+    const [query, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(query.type, { $in: ['fetchCase'] });
+    assert.deepEqual(query.$or.map(clause => clause.status), ['queued', 'leased']);
+    assert.ok(query.$or[1].leaseExpiresAt.$lte instanceof Date);
+    assert.equal(update.$set.leaseOwner, jobQueueService.workerId);
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.deepEqual(options.sort, { priority: -1, runAt: 1 });
+  });
+
+  it('backs off exponentially up to an hour', () => {
+    assert.equal(jobQueueService.getBackoffMs(1), 30 * 1000);
+    assert.equal(jobQueueService.getBackoffMs(3), 120 * 1000);
+    assert.equal(jobQueueService.getBackoffMs(20), 60 * 60 * 1000);
+  });
+
+  it('requeues a failed job after the backoff', async () => {
+    const updateOne = mock.method(Job, 'updateOne', async () => ({}));
+    const before = Date.now();
+
+    assert.equal(await jobQueueService.fail(leasedJob({ attempts: 2 }), new Error('timeout')), 'retried');
+
+    const [filter, { $set }] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'job-1', leaseOwner: jobQueueService.workerId });
+    assert.equal($set.status, 'queued');
+    assert.equal($set.lastError, 'timeout');
+    assert.ok($set.runAt.getTime() >= before + 60 * 1000);
+  });
+
+  it('dead-letters a job out of attempts or with an error retrying cannot fix', async () => {
+    const updateOne = mock.method(Job, 'updateOne', async () => ({}));
+
+    assert.equal(await jobQueueService.fail(leasedJob({ attempts: 5 }), new Error('timeout')), 'dead');
+    const permanent = Object.assign(new Error('bad number'), { retryable: false });
+    assert.equal(await jobQueueService.fail(leasedJob({ attempts: 1 }), permanent), 'dead');
+
+    assert.deepEqual(updateOne.mock.calls.map(call => call.arguments[1].$set.status), ['dead', 'dead']);
+  });
+
+  it('dead-letters a job nobody can run', async () => {
+    const updateOne = mock.method(Job, 'updateOne', async () => ({}));
+    assert.equal(await jobQueueService.runJob(leasedJob({ type: 'unknown' })), 'dead');
+    assert.match(updateOne.mock.calls[0].arguments[1].$set.lastError, /No handler/);
+  });
+
+  it('drains due jobs and counts the outcomes', async () => {
+    const queue = [
+      leasedJob({ _id: 'a', type: 'test' }),
+      leasedJob({ _id: 'b', type: 'test', payload: { fail: true } }),
+      leasedJob({ _id: 'c', type: 'test' })
+    ];
+    mock.method(jobQueueService, 'lease', async () => queue.shift() || null);
+    const updateOne = mock.method(Job, 'updateOne', async () => ({}));
+    jobQueueService.registerHandler('test', async payload => {
+      if (payload.fail) throw new Error('boom');
+      return { ok: true };
+    });
+
+    try {
+      assert.deepEqual(await jobQueueService.drain({ limit: 2 }), { completed: 1, retried: 1, dead: 0 });
+      assert.deepEqual(await jobQueueService.drain(), { completed: 1, retried: 0, dead: 0 });
+      assert.deepEqual(updateOne.mock.calls[0].arguments[1].$set.result, { ok: true });
+    } finally {
+      jobQueueService.handlers.delete('test');
+    }
+  });
+});
+
+describe('JobQueueService worker', () => {
+  afterEach(() => {
+    jobQueueService.stop();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('asks for the job types to run on every poll', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const drain = mock.method(jobQueueService, 'drain', async () => ({ completed: 0, retried: 0, dead: 0 }));
+    let types = ['sendNotification'];
+
+    jobQueueService.start({ types: () => types });
+    mock.timers.tick(jobQueueService.pollIntervalMs);
+    await new Promise(resolve => setImmediate(resolve));
+    types = undefined;
+    mock.timers.tick(jobQueueService.pollIntervalMs);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(drain.mock.calls.map(call => call.arguments[0]), [{ types: ['sendNotification'] }, { types: undefined }]);
+  });
+});
+
+describe('JobQueueService administration', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('requeues dead jobs with fresh attempts', async () => {
+    const updateMany = mock.method(Job, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+    assert.equal(await jobQueueService.retryJobs({ type: 'notifySubscriber' }), 3);
+
+    const [query, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(query, { status: 'dead', type: 'notifySubscriber' });
+    assert.equal(update.$set.status, 'queued');
+    assert.equal(update.$set.attempts, 0);
+  });
+
+  it('purges only finished jobs', async () => {
+    const deleteMany = mock.method(Job, 'deleteMany', async () => ({ deletedCount: 2 }));
+    const before = new Date('2024-11-01');
+
+    assert.equal(await jobQueueService.purgeJobs({ status: 'completed', before }), 2);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { status: 'completed', updatedAt: { $lt: before } });
+    await assert.rejects(jobQueueService.purgeJobs({ status: 'queued' }), /completed or dead/);
+    assert.equal(deleteMany.mock.callCount(), 1);
+  });
+
+  it('groups job counts by type and status', async () => {
+    mock.method(Job, 'countByStatus', async () => [
+      { _id: { type: 'fetchCase', status: 'completed' }, count: 10 },
+      { _id: { type: 'fetchCase', status: 'dead' }, count: 1 },
+      { _id: { type: 'sendDigest', status: 'queued' }, count: 2 }
+    ]);
+
+    assert.deepEqual(await jobQueueService.getStats(), {
+      fetchCase: { completed: 10, dead: 1 },
+      sendDigest: { queued: 2 }
+    });
+  });
+});
@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const LeaderLock = require('../models/LeaderLock');
+const leaderLockService = require('../services/leaderLockService');
+
+const SECOND = 1000;
+
+describe('LeaderLockService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    leaderLockService.leaseExpiresAt = null;
+    leaderLockService.holder = null;
+  });
+
+  it('takes a free or expired lock', async () => {
+    const update = mock.method(LeaderLock, 'findOneAndUpdate', async (query, { $set }) => ({ _id: 'scheduler', ...$set }));
+
+    assert.equal(await leaderLockService.heartbeat(), true);
+
+    const [query, { $set }, options] = update.mock.calls[0].arguments;
+    assert.equal(query._id, 'scheduler');
+    assert.deepEqual(query.$or[0], { owner: leaderLockService.instanceId });
+    assert.ok(query.$or[1].expiresAt.$lte instanceof Date);
+    assert.equal($set.owner, leaderLockService.instanceId);
+    assert.equal(options.upsert, true);
+    assert.equal(leaderLockService.getStatus().holder.owner, leaderLockService.instanceId);
+  });
+
+  it('stays a follower while another instance holds the lease', async () => {
+    mock.method(LeaderLock, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    mock.method(LeaderLock, 'findById', () => ({
+      lean: async () => ({ _id: 'scheduler', owner: 'web-2:41', expiresAt: new Date(Date.now() + 30 * SECOND) })
+    }));
+
+    assert.equal(await leaderLockService.heartbeat(), false);
+
+    const status = leaderLockService.getStatus();
+    assert.equal(status.isLeader, false);
+    assert.equal(status.holder.owner, 'web-2:41');
+  });
+
+  it('renews a held lease without resetting when it was acquired', async () => {
+    leaderLockService.leaseExpiresAt = new Date(Date.now() + 30 * SECOND);
+    const update = mock.method(LeaderLock, 'findOneAndUpdate', async (query, { $set }) => ({ owner: leaderLockService.instanceId, ...$set }));
+
+    assert.equal(await leaderLockService.heartbeat(), true);
+
+    assert.equal(update.mock.callCount(), 1);
+    const [query, { $set }] = update.mock.calls[0].arguments;
+    assert.deepEqual(query, { _id: 'scheduler', owner: leaderLockService.instanceId });
+    assert.equal($set.acquiredAt, undefined);
+    assert.ok(leaderLockService.leaseExpiresAt.getTime() > Date.now() + 50 * SECOND);
+  });
+
+  it('steps down when another instance took over the lease', async () => {
+    leaderLockService.leaseExpiresAt = new Date(Date.now() + 30 * SECOND);
+    mock.method(LeaderLock, 'findOneAndUpdate', async query => {
+      if (query.$or) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      return null;
+    });
+    mock.method(LeaderLock, 'findById', () => ({ lean: async () => ({ owner: 'web-2:41' }) }));
+
+    assert.equal(await leaderLockService.heartbeat(), false);
+    assert.equal(leaderLockService.holder.owner, 'web-2:41');
+  });
+
+  it('keeps leading until its lease runs out when MongoDB is unreachable', async () => {
+    mock.method(LeaderLock, 'findOneAndUpdate', async () => {
+      throw new Error('connection refused');
+    });
+
+    leaderLockService.leaseExpiresAt = new Date(Date.now() + 30 * SECOND);
+    assert.equal(await leaderLockService.heartbeat(), true);
+
+    leaderLockService.leaseExpiresAt = new Date(Date.now() - SECOND);
+    assert.equal(await leaderLockService.heartbeat(), false);
+  });
+
+  it('releases the lock on shutdown only if it holds it', async () => {
+    const deleteOne = mock.method(LeaderLock, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    await leaderLockService.stop();
+    assert.equal(deleteOne.mock.callCount(), 0);
+
+    leaderLockService.leaseExpiresAt = new Date(Date.now() + 30 * SECOND);
+    await leaderLockService.stop();
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0], { _id: 'scheduler', owner: leaderLockService.instanceId });
+    assert.equal(leaderLockService.isLeader(), false);
+  });
+});
@@ -0,0 +1,88 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MonitoringRun = require('../models/MonitoringRun');
+const monitoringRunService = require('../services/monitoringRunService');
+
+const jobs = [
+  { type: 'fetchCase', status: 'completed', attempts: 1, payload: { cino: '111111' }, result: { outcome: 'changed', priority: 'high', critical: true, notifications: 2 } },
+  { type: 'fetchCase', status: 'completed', attempts: 1, payload: { cino: '222222' }, result: { outcome: 'not_found' } },
+  { type: 'fetchCase', status: 'dead', attempts: 5, payload: { cino: '333333' }, lastError: 'socket hang up' },
+  { type: 'fetchCase', status: 'queued', attempts: 1, payload: { cino: '444444' }, lastError: 'timeout' },
+  { type: 'notifySubscriber', status: 'completed', payload: { cino: '111111' } }
+];
+
+describe('MonitoringRunService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reports the outcome of every case a cycle fetched', () => {
+    const { cases, runErrors } = monitoringRunService.summarizeCases(jobs);
+
+    assert.deepEqual(cases.map(({ cino, outcome }) => [cino, outcome]), [
+      ['111111', 'changed'],
+      ['222222', 'not_found'],
+      ['333333', 'failed'],
+      ['444444', 'pending']
+    ]);
+    assert.equal(cases[0].notifications, 2);
+    assert.equal(cases[2].error, 'socket hang up');
+    assert.deepEqual(runErrors, [
+      { cino: '333333', message: 'socket hang up' },
+      { cino: '444444', message: 'timeout' }
+    ]);
+  });
+
+  it('stores the summary, per-case outcomes and duration when a cycle ends', async () => {
+    const update = mock.method(MonitoringRun, 'findOneAndUpdate', async () => ({}));
+    const startedAt = new Date(Date.now() - 5000);
+    const summary = {
+      totalCasesChecked: 4,
+      fetchFailures: 2,
+      totalChanges: 1,
+      criticalChanges: 1,
+      changesByPriority: { urgent: 0, high: 1, medium: 0, low: 0 },
+      notificationsSent: 1,
+      notificationsFailed: 0,
+      notificationsPending: 0,
+      fetchOutcomes: { notFound: 1 }
+    };
+
+    await monitoringRunService.finishRun('run-1', { status: 'completed', startedAt, summary, jobs });
+
+    const [query, { $set }] = update.mock.calls[0].arguments;
+    assert.deepEqual(query, { runId: 'run-1' });
+    assert.equal($set.status, 'completed');
+    assert.equal($set.casesChecked, 4);
+    assert.equal($set.fetchFailures, 2);
+    assert.deepEqual($set.changesByPriority, summary.changesByPriority);
+    assert.equal($set.cases.length, 4);
+    assert.ok($set.durationMs >= 5000);
+  });
+
+  it('records why a failed cycle failed', async () => {
+    const update = mock.method(MonitoringRun, 'findOneAndUpdate', async () => ({}));
+
+    await monitoringRunService.finishRun('run-1', { status: 'error', startedAt: new Date(), error: new Error('Mongo down') });
+
+    const { $set } = update.mock.calls[0].arguments[1];
+    assert.equal($set.status, 'error');
+    assert.deepEqual($set.runErrors, [{ message: 'Mongo down' }]);
+  });
+
+  it('never fails the cycle when the history cannot be written', async () => {
+    mock.method(MonitoringRun, 'create', async () => { throw new Error('not connected'); });
+    mock.method(MonitoringRun, 'findOneAndUpdate', async () => { throw new Error('not connected'); });
+
+    assert.equal(await monitoringRunService.startRun({ runId: 'run-1', startedAt: new Date() }), null);
+    assert.equal(await monitoringRunService.finishRun('run-1', { status: 'completed', startedAt: new Date() }), null);
+  });
+
+  it('filters a run\'s cases by outcome', async () => {
+    const { cases } = monitoringRunService.summarizeCases(jobs);
+    mock.method(MonitoringRun, 'findOne', () => ({ lean: async () => ({ runId: 'run-1', cases }) }));
+
+    const run = await monitoringRunService.getRun('run-1', { outcome: 'failed' });
+    assert.deepEqual(run.cases.map(caseOutcome => caseOutcome.cino), ['333333']);
+  });
+});
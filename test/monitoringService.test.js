@@ -0,0 +1,885 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Case = require('../models/Case');
+const UserCase = require('../models/UserCase');
+const CinoNumbers = require('../models/CinoNumbers');
+const Notification = require('../models/Notification');
+const orderDocumentService = require('../services/orderDocumentService');
+const whatsappService = require('../services/whatsappService');
+const jobQueueService = require('../services/jobQueueService');
+const causeListService = require('../services/causeListService');
+const leaderLockService = require('../services/leaderLockService');
+const courtCalendarService = require('../services/courtCalendarService');
+const monitoringRunService = require('../services/monitoringRunService');
+const caseEventService = require('../services/caseEventService');
+const changeRuleService = require('../services/changeRuleService');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const snapshotService = require('../services/snapshotService');
+const parserDriftService = require('../services/parserDriftService');
+const courtOutageService = require('../services/courtOutageService');
+const monitoringService = require('../services/monitoringService');
+const {
+  CourtUnavailableError,
+  CaseNotFoundError,
+  InvalidCinoError,
+  CourtMaintenanceError,
+  CourtBlockedError
+} = require('../utils/errors');
+
+const caseDoc = { _id: 'case-1', cino: '804692', courtAdapter: 'allahabad_hc' };
+
+// Notifications are logged before their jobs are queued
+function mockNotificationLog() {
+  mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+  return mock.method(notificationOutboxService, 'record', async fields => ({ _id: `notification-${fields.key}`, ...fields }));
+}
+
+describe('MonitoringService fetch outcomes', () => {
+  let updateCase;
+
+  beforeEach(() => {
+    monitoringService.fetchOutcomes = monitoringService.emptyFetchOutcomes();
+    updateCase = mock.method(Case, 'findByIdAndUpdate', async () => null);
+    mock.method(changeRuleService, 'ensureLoaded', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('records not found cases without touching their data', async () => {
+    const handled = await monitoringService.handleFetchError(caseDoc, new CaseNotFoundError('804692', 'allahabad_hc'));
+    assert.equal(handled, true);
+
+    const [id, update] = updateCase.mock.calls[0].arguments;
+    assert.equal(id, 'case-1');
+    assert.equal(update.fetchStatus, 'not_found');
+    assert.deepEqual(update.$inc, { apiCheckCount: 1, notFoundCount: 1 });
+    assert.equal(update.caseStatus, undefined);
+    assert.equal(update.pollingReason, 'not_found');
+    assert.equal(monitoringService.fetchOutcomes.notFound, 1);
+  });
+
+  it('deactivates cases whose CINO the court rejects', async () => {
+    await monitoringService.handleFetchError(caseDoc, new InvalidCinoError('804692', 'allahabad_hc'));
+
+    const [, update] = updateCase.mock.calls[0].arguments;
+    assert.equal(update.fetchStatus, 'invalid_cino');
+    assert.equal(update.isActive, false);
+    assert.equal(monitoringService.fetchOutcomes.invalidCino, 1);
+  });
+
+  it('leaves cases untouched during maintenance, blocks and outages', async () => {
+    await monitoringService.handleFetchError(caseDoc, new CourtMaintenanceError('804692', 'allahabad_hc'));
+    await monitoringService.handleFetchError(caseDoc, new CourtBlockedError('804692', 'allahabad_hc'));
+    await monitoringService.handleFetchError(caseDoc, new CourtUnavailableError('allahabad_hc'));
+
+    assert.equal(updateCase.mock.callCount(), 0);
+    assert.deepEqual(monitoringService.fetchOutcomes, {
+      notFound: 0,
+      invalidCino: 0,
+      maintenance: 1,
+      blocked: 1,
+      skippedForOutage: 1
+    });
+  });
+
+  it('leaves other errors to the caller', async () => {
+    assert.equal(await monitoringService.handleFetchError(caseDoc, new Error('boom')), false);
+  });
+
+  it('never runs change detection for classified pages', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => {
+      throw new CaseNotFoundError('804692', 'allahabad_hc');
+    });
+    mock.method(Case, 'findOne', () => ({ select: async () => caseDoc }));
+    const detectChanges = mock.method(monitoringService.changeDetectionService, 'detectChanges');
+
+    const result = await monitoringService.runFetchJob({ cino: '804692', runId: 'run-1' });
+    assert.deepEqual(result, { outcome: 'not_found' });
+    assert.equal(detectChanges.mock.callCount(), 0);
+  });
+
+  it('leaves other fetch errors to the queue to retry', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => {
+      throw new Error('socket hang up');
+    });
+    mock.method(Case, 'findOne', () => ({ select: async () => caseDoc }));
+
+    await assert.rejects(monitoringService.runFetchJob({ cino: '804692', runId: 'run-1' }), /socket hang up/);
+  });
+});
+
+describe('MonitoringService configuration', () => {
+  it('prefers MONITORING_* settings and falls back to the older names', () => {
+    assert.deepEqual(monitoringService.loadConfig({}), {
+      schedule: '*/30 9-18 * * 1-6',
+      causeListSchedule: '0 7,20 * * *',
+      statusPollSchedule: '*/10 * * * *',
+      batchSize: 5,
+      maxCasesPerCycle: 200,
+      autoStart: true,
+      holidayPolling: 'thin',
+      holidayIntervalHours: 6,
+      timezone: 'Asia/Kolkata'
+    });
+
+    const legacy = monitoringService.loadConfig({ CRON_SCHEDULE: '0 * * * *', BATCH_SIZE: '10' });
+    assert.equal(legacy.schedule, '0 * * * *');
+    assert.equal(legacy.batchSize, 10);
+
+    const current = monitoringService.loadConfig({
+      MONITORING_SCHEDULE: '*/15 * * * *',
+      CRON_SCHEDULE: '0 * * * *',
+      MONITORING_BATCH_SIZE: '3',
+      AUTO_START_MONITORING: 'false'
+    });
+    assert.equal(current.schedule, '*/15 * * * *');
+    assert.equal(current.batchSize, 3);
+    assert.equal(current.autoStart, false);
+  });
+});
+
+describe('MonitoringService court calendar', () => {
+  const holi = { date: '2025-03-14', working: false, type: 'holiday', name: 'Holi' };
+  const config = { ...monitoringService.config };
+  const lastScheduledRunAt = monitoringService.lastScheduledRunAt;
+
+  beforeEach(() => {
+    mock.method(courtCalendarService, 'ensureLoaded', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    monitoringService.config = { ...config };
+    monitoringService.lastScheduledRunAt = lastScheduledRunAt;
+  });
+
+  it('runs every scheduled cycle on working days', async () => {
+    mock.method(courtCalendarService, 'getDay', () => ({ date: '2025-03-13', working: true }));
+    const runCycle = mock.method(monitoringService, 'runMonitoringCycle', async () => ({ status: 'completed' }));
+    monitoringService.lastScheduledRunAt = new Date();
+
+    assert.equal((await monitoringService.runScheduledCycle()).status, 'completed');
+    assert.equal(runCycle.mock.callCount(), 1);
+  });
+
+  it('thins cycles out to one per holidayIntervalHours when the court is closed', async () => {
+    mock.method(courtCalendarService, 'getDay', () => holi);
+    const runCycle = mock.method(monitoringService, 'runMonitoringCycle', async () => ({ status: 'completed' }));
+    const now = new Date('2025-03-14T12:00:00+05:30');
+
+    monitoringService.lastScheduledRunAt = new Date(now.getTime() - 2 * 60 * 60 * 1000);
+    const skipped = await monitoringService.runScheduledCycle(now);
+    assert.deepEqual(skipped, { status: 'skipped', reason: 'court_closed', day: holi });
+
+    monitoringService.lastScheduledRunAt = new Date(now.getTime() - 7 * 60 * 60 * 1000);
+    await monitoringService.runScheduledCycle(now);
+    assert.equal(runCycle.mock.callCount(), 1);
+  });
+
+  it('counts a holiday cycle that found no cases toward the interval', async () => {
+    mock.method(courtCalendarService, 'getDay', () => holi);
+    // A cycle with nothing due returns before it records lastRunTime
+    const runCycle = mock.method(monitoringService, 'runMonitoringCycle', async () => ({ status: 'completed', message: 'No cases to monitor' }));
+    const now = new Date('2025-03-14T12:00:00+05:30');
+    monitoringService.lastScheduledRunAt = null;
+
+    await monitoringService.runScheduledCycle(now);
+    await monitoringService.runScheduledCycle(new Date(now.getTime() + 60 * 60 * 1000));
+
+    assert.equal(runCycle.mock.callCount(), 1);
+    assert.equal(monitoringService.lastScheduledRunAt, now);
+  });
+
+  it('skips holiday cycles entirely when COURT_HOLIDAY_POLLING is skip', async () => {
+    mock.method(courtCalendarService, 'getDay', () => holi);
+    const runCycle = mock.method(monitoringService, 'runMonitoringCycle', async () => ({}));
+    monitoringService.config.holidayPolling = 'skip';
+    monitoringService.lastScheduledRunAt = null;
+
+    assert.equal((await monitoringService.runScheduledCycle()).status, 'skipped');
+    assert.equal(runCycle.mock.callCount(), 0);
+  });
+
+  it('ingests cause lists only for days the court sits', async () => {
+    mock.method(courtCalendarService, 'getDay', date => ({
+      date: date.toISOString(),
+      working: date.getTime() === causeListService.toListDate().getTime(),
+      name: 'Sunday'
+    }));
+    const ingest = mock.method(causeListService, 'ingest', async () => ({}));
+    mock.method(monitoringService, 'enqueueListingDigests', async () => []);
+    mock.method(jobQueueService, 'drain', async () => ({ completed: 0, retried: 0, dead: 0 }));
+
+    await monitoringService.ingestCauseLists();
+
+    assert.equal(ingest.mock.callCount(), 1);
+    assert.equal(ingest.mock.calls[0].arguments[0].date.getTime(), causeListService.toListDate().getTime());
+  });
+
+  it('warns when the next hearing falls on a court holiday', () => {
+    mock.method(courtCalendarService, 'getHearingHoliday', () => ({ type: 'holiday', name: 'Holi' }));
+    const message = monitoringService.generateChangeMessage({
+      cino: '804692',
+      changes: { changesSummary: 'Next hearing date changed', notificationPriority: 'high' },
+      updatedCase: { nextHearingDate: new Date('2025-03-14T00:00:00+05:30') }
+    });
+    assert.match(message, /Court closed that day:\* Holi/);
+  });
+});
+
+describe('MonitoringService run history', () => {
+  const state = {};
+
+  beforeEach(() => {
+    for (const key of ['runCount', 'errorCount', 'lastRunTime', 'lastRunStatus', 'lastRunSummary']) {
+      state[key] = monitoringService[key];
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    Object.assign(monitoringService, state);
+  });
+
+  it('records each cycle with its trigger, summary and jobs', async () => {
+    const startRun = mock.method(monitoringRunService, 'startRun', async () => ({}));
+    const finishRun = mock.method(monitoringRunService, 'finishRun', async () => ({}));
+    mock.method(monitoringService, 'getCasesToCheck', async () => [{ cino: '111111', checkPriority: 2 }]);
+    mock.method(monitoringService, 'enqueueChecks', async () => []);
+    mock.method(jobQueueService, 'drain', async () => ({ completed: 0, retried: 0, dead: 0 }));
+    const jobs = [{ type: 'fetchCase', status: 'completed', payload: { cino: '111111' }, result: { outcome: 'unchanged' } }];
+    mock.method(jobQueueService, 'listJobs', async () => jobs);
+
+    const result = await monitoringService.runMonitoringCycle({ trigger: 'scheduled' });
+
+    assert.equal(result.status, 'completed');
+    const started = startRun.mock.calls[0].arguments[0];
+    assert.equal(started.runId, result.runId);
+    assert.equal(started.trigger, 'scheduled');
+    const [runId, finished] = finishRun.mock.calls[0].arguments;
+    assert.equal(runId, result.runId);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.summary.totalCasesChecked, 1);
+    assert.equal(finished.jobs, jobs);
+  });
+
+  it('records a failed cycle with its error', async () => {
+    mock.method(monitoringRunService, 'startRun', async () => ({}));
+    const finishRun = mock.method(monitoringRunService, 'finishRun', async () => ({}));
+    mock.method(monitoringService, 'getCasesToCheck', async () => { throw new Error('Mongo down'); });
+    mock.method(monitoringService, 'sendErrorNotification', async () => {});
+
+    const result = await monitoringService.runMonitoringCycle();
+
+    assert.equal(result.status, 'error');
+    const finished = finishRun.mock.calls[0].arguments[1];
+    assert.equal(finished.status, 'error');
+    assert.equal(finished.error.message, 'Mongo down');
+  });
+
+  it('restores counts and the last run after a restart', async () => {
+    const startedAt = new Date('2024-11-20T06:30:00Z');
+    mock.method(monitoringRunService, 'getHistory', async () => ({
+      runCount: 42,
+      errorCount: 3,
+      lastRun: { startedAt, status: 'completed', casesChecked: 17, totalChanges: 2 }
+    }));
+
+    await monitoringService.restoreRunHistory();
+
+    assert.equal(monitoringService.runCount, 42);
+    assert.equal(monitoringService.errorCount, 3);
+    assert.equal(monitoringService.lastRunTime, startedAt);
+    assert.equal(monitoringService.lastRunStatus, 'success');
+    assert.equal(monitoringService.lastRunSummary.totalCasesChecked, 17);
+  });
+});
+
+describe('MonitoringService manual control', () => {
+  const schedule = monitoringService.config.schedule;
+
+  afterEach(() => {
+    mock.restoreAll();
+    monitoringService.config.schedule = schedule;
+  });
+
+  it('validates cron schedules before applying them', () => {
+    assert.equal(monitoringService.isValidSchedule('*/15 9-18 * * 1-6'), true);
+    assert.equal(monitoringService.isValidSchedule('every 5 minutes'), false);
+    assert.equal(monitoringService.isValidSchedule(undefined), false);
+
+    assert.throws(() => monitoringService.updateConfig({ schedule: '61 * * * *' }), /Invalid cron schedule/);
+    assert.equal(monitoringService.config.schedule, schedule);
+
+    monitoringService.updateConfig({ schedule: '0 * * * *' });
+    assert.equal(monitoringService.config.schedule, '0 * * * *');
+  });
+
+  it('plans a cycle without fetching anything', async () => {
+    mock.method(courtCalendarService, 'ensureLoaded', async () => {});
+    mock.method(courtCalendarService, 'getDay', () => ({ date: '2025-03-13', working: true }));
+    mock.method(monitoringService, 'getCasesToCheck', async () => [
+      { cino: '333333', untracked: true },
+      { cino: '111111', checkPriority: 5 }
+    ]);
+    const fetch = mock.method(monitoringService.apiService, 'fetchSingleCase');
+
+    const plan = await monitoringService.planCycle();
+
+    assert.equal(plan.total, 2);
+    assert.deepEqual(plan.cases, [
+      { cino: '333333', untracked: true, checkPriority: 3 },
+      { cino: '111111', untracked: false, checkPriority: 5 }
+    ]);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('previews a case without saving or notifying', async () => {
+    mock.method(changeRuleService, 'ensureLoaded', async () => {});
+    mock.method(Case, 'findOne', () => ({ select: async () => ({ ...caseDoc, unchangedChecks: 2 }) }));
+    const fetch = mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({ cino: '804692', caseStatus: 'DISPOSED' }));
+    const syncOrders = mock.method(orderDocumentService, 'syncOrders');
+    mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({ hasChanges: true, changedFields: ['caseStatus'] }));
+    const update = mock.method(Case, 'findByIdAndUpdate', async () => null);
+    const enqueue = mock.method(jobQueueService, 'enqueue');
+
+    const preview = await monitoringService.previewCase('804692');
+
+    assert.equal(preview.outcome, 'changed');
+    assert.equal(preview.nextCheck.pollingReason, 'disposed');
+    assert.deepEqual(fetch.mock.calls[0].arguments[2], { dryRun: true });
+    assert.equal(syncOrders.mock.callCount(), 0);
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+
+  it('checks a case now and sends the notifications it queued', async () => {
+    mock.method(monitoringService, 'runFetchJob', async () => ({ outcome: 'changed', priority: 'high', notifications: 2 }));
+    const drain = mock.method(jobQueueService, 'drain', async () => ({ completed: 2, retried: 0, dead: 0 }));
+
+    const result = await monitoringService.checkCaseNow('804692');
+
+    assert.deepEqual(result, { cino: '804692', outcome: 'changed', priority: 'high', notifications: 2 });
+    assert.deepEqual(drain.mock.calls[0].arguments[0].types, ['notifySubscriber', 'notifyNumbers']);
+  });
+
+  it('reports a CINO nobody monitors', async () => {
+    mock.method(monitoringService, 'runFetchJob', async () => ({ outcome: 'skipped' }));
+    assert.equal(await monitoringService.checkCaseNow('999999'), null);
+  });
+});
+
+describe('MonitoringService shadow cycle', () => {
+  beforeEach(() => {
+    mock.method(changeRuleService, 'ensureLoaded', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const user = { _id: 'user-1', name: 'Asha', mobileNumber: '919876543210', isActive: true };
+
+  function mockWrites() {
+    return {
+      update: mock.method(Case, 'findByIdAndUpdate', async () => null),
+      save: mock.method(Case.prototype, 'save', async function() { return this; }),
+      enqueue: mock.method(jobQueueService, 'enqueue'),
+      record: mock.method(notificationOutboxService, 'record'),
+      send: mock.method(whatsappService, 'sendMessage'),
+      syncOrders: mock.method(orderDocumentService, 'syncOrders'),
+      snapshot: mock.method(snapshotService, 'saveSnapshot'),
+      recordDrift: mock.method(parserDriftService, 'recordDrift'),
+      recordHealthyParse: mock.method(parserDriftService, 'recordHealthyParse'),
+      outage: mock.method(courtOutageService, 'recordOutageStart')
+    };
+  }
+
+  it('reports the changes and messages a cycle would make without making them', async () => {
+    const stored = { ...caseDoc, caseNumber: 'WRIC/1/2024', caseStatus: 'PENDING', apiCheckCount: 3 };
+    mock.method(Case, 'find', () => ({ select: async () => [stored] }));
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async cino => {
+      if (cino === '404040') throw new CaseNotFoundError(cino, 'allahabad_hc');
+      return { cino, caseStatus: 'DISPOSED' };
+    });
+    mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({
+      hasChanges: true,
+      hasCriticalChanges: true,
+      changedFields: ['caseStatus'],
+      changesSummary: 'Status changed to DISPOSED',
+      notificationPriority: 'high'
+    }));
+    mock.method(UserCase, 'find', () => ({ populate: async () => [{ _id: 'sub-1', userCaseAlias: 'Land dispute', userId: user }] }));
+    mock.method(CinoNumbers, 'findOne', () => ({ lean: async () => ({ numbers: ['919000000001'] }) }));
+    const writes = mockWrites();
+
+    const report = await monitoringService.runShadowCycle({ cinos: ['804692', '404040'] });
+
+    assert.equal(report.status, 'completed');
+    assert.match(report.runId, /^shadow:/);
+    assert.deepEqual(report.summary, { casesChecked: 2, messages: 2, skippedMessages: 0, byOutcome: { changed: 1, not_found: 1 } });
+
+    const [changed, notFound] = report.cases;
+    assert.deepEqual(changed.persisted, { caseStatus: 'DISPOSED' });
+    assert.equal(changed.nextCheck.pollingReason, 'disposed');
+    assert.deepEqual(changed.messages.map(message => [message.type, message.to]), [
+      ['notifySubscriber', ['919876543210']],
+      ['notifyNumbers', ['919000000001']]
+    ]);
+    assert.match(changed.messages[0].message, /Hi Asha/);
+    assert.match(changed.messages[0].message, /Status changed to DISPOSED/);
+    assert.equal(notFound.outcome, 'not_found');
+
+    for (const write of Object.values(writes)) {
+      assert.equal(write.mock.callCount(), 0);
+    }
+  });
+
+  it('reports an untracked CINO as new without storing it', async () => {
+    mock.method(Case, 'find', () => ({ select: async () => [] }));
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async cino => ({ cino, caseStatus: 'PENDING' }));
+    mock.method(UserCase, 'find', () => ({ populate: async () => [] }));
+    mock.method(CinoNumbers, 'findOne', () => ({ lean: async () => ({ numbers: ['919000000001'] }) }));
+    const writes = mockWrites();
+
+    const report = await monitoringService.runShadowCycle({ cinos: ['333333'] });
+
+    const [result] = report.cases;
+    assert.equal(result.outcome, 'new');
+    assert.equal(result.persisted.cino, '333333');
+    assert.match(result.messages[0].message, /Now monitoring this case/);
+    assert.equal(writes.save.mock.callCount(), 0);
+  });
+
+  it('reports unchanged cases with the next check they would get', async () => {
+    mock.method(Case, 'find', () => ({ select: async () => [{ ...caseDoc, unchangedChecks: 1 }] }));
+    mock.method(monitoringService, 'getCasesToCheck', async () => [{ cino: '804692', checkPriority: 2 }]);
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({ cino: '804692', caseStatus: 'PENDING' }));
+    mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({ hasChanges: false }));
+    const writes = mockWrites();
+
+    const report = await monitoringService.runShadowCycle();
+
+    assert.equal(report.cases[0].outcome, 'unchanged');
+    assert.equal(report.cases[0].nextCheck.unchangedChecks, 2);
+    assert.equal(writes.update.mock.callCount(), 0);
+  });
+
+  it('records, queues and sends nothing for a low-confidence page', async () => {
+    mock.method(Case, 'find', () => ({ select: async () => [caseDoc] }));
+    mock.method(monitoringService.apiService, 'makeRequest', async () => ({
+      status: 200,
+      data: '<html><body><p>Welcome to the new case status portal</p></body></html>'
+    }));
+    const writes = mockWrites();
+
+    const report = await monitoringService.runShadowCycle({ cinos: ['804692'] });
+
+    assert.equal(report.cases[0].outcome, 'error');
+    assert.match(report.cases[0].error, /layout drift/);
+    for (const [name, write] of Object.entries(writes)) {
+      assert.equal(write.mock.callCount(), 0, name);
+    }
+  });
+
+  it('lists newly linked orders without downloading them', async () => {
+    mock.method(Case, 'find', () => ({ select: async () => [{ ...caseDoc, orders: [] }] }));
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async cino => ({
+      cino,
+      caseStatus: 'PENDING',
+      orderLinks: [{ url: 'https://allahabadhighcourt.in/order.pdf', documentType: 'order', orderDate: new Date('2024-01-10') }]
+    }));
+    const detect = mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({ hasChanges: false }));
+    const writes = mockWrites();
+
+    await monitoringService.runShadowCycle({ cinos: ['804692'] });
+
+    const [, fetched] = detect.mock.calls[0].arguments;
+    assert.deepEqual(fetched.orders.map(order => order.sourceUrl), ['https://allahabadhighcourt.in/order.pdf']);
+    assert.equal(writes.syncOrders.mock.callCount(), 0);
+  });
+});
+
+describe('MonitoringService leadership', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('runs scheduled tasks only on the instance holding the leader lock', async () => {
+    const task = mock.fn(async () => 'done');
+
+    mock.method(leaderLockService, 'isLeader', () => false);
+    assert.equal(await monitoringService.runIfLeader('Monitoring cycle', task), undefined);
+    assert.equal(task.mock.callCount(), 0);
+
+    mock.method(leaderLockService, 'isLeader', () => true);
+    assert.equal(await monitoringService.runIfLeader('Monitoring cycle', task), 'done');
+    assert.equal(task.mock.callCount(), 1);
+  });
+
+  it('leaves case fetches to the leader\'s job worker', () => {
+    mock.method(leaderLockService, 'isLeader', () => false);
+    const types = monitoringService.getWorkerJobTypes();
+    assert.ok(!types.includes('fetchCase'));
+    assert.ok(types.includes('sendNotification'));
+
+    mock.method(leaderLockService, 'isLeader', () => true);
+    assert.equal(monitoringService.getWorkerJobTypes(), undefined);
+  });
+
+  it('reports the lock holder in its status', () => {
+    mock.method(leaderLockService, 'getStatus', () => ({ lock: 'scheduler', isLeader: false, holder: { owner: 'web-2:41' } }));
+    assert.equal(monitoringService.getStatus().leader.holder.owner, 'web-2:41');
+  });
+});
+
+describe('MonitoringService case events', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reads events in the diff stage and stores them with the change', async () => {
+    const stored = { ...caseDoc, caseStatus: 'PENDING', stageOfCase: 'ADMISSION' };
+    const newCaseData = { cino: '804692', caseStatus: 'DISPOSED', stageOfCase: 'ADMISSION' };
+    mock.method(Case, 'findByIdAndUpdate', async () => ({}));
+    const record = mock.method(caseEventService, 'recordEvents', async events => events.length);
+
+    const changeResult = monitoringService.diffStage(stored, newCaseData);
+    await monitoringService.persistStage(stored, newCaseData, changeResult, { runId: 'run-1' });
+
+    assert.deepEqual(changeResult.events.map(event => event.type), ['case_disposed']);
+    const [recordedCase, events, options] = record.mock.calls[0].arguments;
+    assert.equal(recordedCase, stored);
+    assert.equal(events, changeResult.events);
+    assert.deepEqual(options, { runId: 'run-1' });
+  });
+
+  it('stores no events for an unchanged case', async () => {
+    mock.method(Case, 'findByIdAndUpdate', async () => ({}));
+    const record = mock.method(caseEventService, 'recordEvents', async () => 0);
+
+    await monitoringService.persistStage(caseDoc, { cino: '804692' }, { hasChanges: false, events: [] });
+
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it('lists what happened in the message, leaving out low confidence events', () => {
+    const message = monitoringService.generateChangeMessage({
+      cino: '804692',
+      changes: {
+        changesSummary: 'Short order added',
+        notificationPriority: 'medium',
+        events: [
+          { type: 'notice_issued', confidence: 'high', summary: 'Notice issued' },
+          { type: 'adjourned', confidence: 'low', summary: 'Adjourned' }
+        ]
+      }
+    });
+
+    assert.match(message, /What Happened:\*\n• Notice issued\n\n/);
+    assert.doesNotMatch(message, /Adjourned/);
+  });
+});
+
+describe('MonitoringService stages', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('checks due followed cases and stubs mapped CINOs without a case first', async () => {
+    mock.method(UserCase, 'distinct', async () => ['111111']);
+    mock.method(CinoNumbers, 'distinct', async () => ['222222', '333333']);
+    mock.method(jobQueueService, 'getOpenPayloadValues', async () => []);
+    const findDue = mock.method(Case, 'findCasesForApiCheck', () => ({
+      select: async () => [{ cino: '111111' }, { cino: '222222' }]
+    }));
+    mock.method(Case, 'distinct', async () => ['222222']);
+
+    const cases = await monitoringService.getCasesToCheck();
+
+    const [options] = findDue.mock.calls[0].arguments;
+    assert.deepEqual(options.followedCinos.sort(), ['111111', '222222', '333333']);
+    assert.equal(options.limit, monitoringService.config.maxCasesPerCycle - 1);
+    assert.deepEqual(cases, [{ cino: '333333', untracked: true }, { cino: '111111' }, { cino: '222222' }]);
+  });
+
+  it('leaves CINOs with a fetch job still queued to that job', async () => {
+    mock.method(UserCase, 'distinct', async () => ['111111']);
+    mock.method(CinoNumbers, 'distinct', async () => ['333333']);
+    mock.method(jobQueueService, 'getOpenPayloadValues', async () => ['111111', '333333']);
+    mock.method(Case, 'findCasesForApiCheck', () => ({ select: async () => [{ cino: '111111' }] }));
+    mock.method(Case, 'distinct', async () => []);
+
+    assert.deepEqual(await monitoringService.getCasesToCheck(), []);
+  });
+
+  it('queues one fetch job per case for the cycle, most urgent first', async () => {
+    const enqueue = mock.method(jobQueueService, 'enqueue', async (type, payload, options) => ({ type, payload, ...options }));
+
+    await monitoringService.enqueueChecks([{ cino: '333333', untracked: true }, { cino: '111111', checkPriority: 5 }], 'run-1');
+
+    assert.deepEqual(enqueue.mock.calls.map(call => call.arguments), [
+      ['fetchCase', { runId: 'run-1', cino: '333333' }, { idempotencyKey: 'fetchCase:333333:run-1', priority: 3 }],
+      ['fetchCase', { runId: 'run-1', cino: '111111' }, { idempotencyKey: 'fetchCase:111111:run-1', priority: 5 }]
+    ]);
+  });
+
+  it('records the check but reports nothing when the case is unchanged', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({ cino: '804692' }));
+    mock.method(orderDocumentService, 'syncOrders', async () => ({ orders: [], newOrders: [] }));
+    mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({ hasChanges: false }));
+    const updateCase = mock.method(Case, 'findByIdAndUpdate', async () => null);
+    const notifyStage = mock.method(monitoringService, 'notifyStage', async () => []);
+
+    assert.equal(await monitoringService.processCase({ ...caseDoc, unchangedChecks: 4 }), null);
+    assert.equal(notifyStage.mock.callCount(), 0);
+    assert.equal(updateCase.mock.callCount(), 1);
+    const [, update] = updateCase.mock.calls[0].arguments;
+    assert.equal(update.fetchStatus, 'ok');
+    assert.equal(update.unchangedChecks, 5);
+    assert.equal(update.pollingReason, 'no_hearing_date');
+    assert.ok(update.nextCheckAt > new Date());
+  });
+
+  it('creates the case on the first fetch of a mapped CINO', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({
+      cino: '333333',
+      courtAdapter: 'allahabad_hc',
+      caseTitle: 'WRIC/1/2024',
+      dataHash: 'hash'
+    }));
+    const syncOrders = mock.method(orderDocumentService, 'syncOrders', async () => ({ orders: [], newOrders: [] }));
+    const steps = [];
+    mock.method(Case.prototype, 'save', async function() { steps.push('save'); return this; });
+    mock.method(monitoringService, 'notifyStage', async (change, options) => {
+      steps.push(`notify:${options.runId}:${options.checkNumber}`);
+      return [{}];
+    });
+    const detectChanges = mock.method(monitoringService.changeDetectionService, 'detectChanges');
+
+    const change = await monitoringService.processCase({ cino: '333333', untracked: true }, { runId: 'run-1' });
+
+    assert.equal(syncOrders.mock.calls[0].arguments[0], null);
+    assert.deepEqual(steps, ['notify:run-1:0', 'save']);
+    assert.equal(change.notifications, 1);
+    assert.equal(detectChanges.mock.callCount(), 0);
+    assert.equal(change.isNewCase, true);
+    assert.equal(change.cino, '333333');
+    assert.equal(change.updatedCase.caseTitle, 'WRIC/1/2024');
+  });
+
+  it('queues notifications before saving a changed case', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({ cino: '804692', caseStatus: 'DISPOSED' }));
+    mock.method(orderDocumentService, 'syncOrders', async () => ({ orders: [], newOrders: [] }));
+    mock.method(monitoringService.changeDetectionService, 'detectChanges', () => ({
+      hasChanges: true,
+      changedFields: ['caseStatus'],
+      changesSummary: 'Status changed',
+      notificationPriority: 'high'
+    }));
+    const steps = [];
+    mock.method(monitoringService, 'notifyStage', async (change, options) => {
+      steps.push(`notify:${options.checkNumber}`);
+      return [{}, {}];
+    });
+    mock.method(Case, 'findByIdAndUpdate', async () => { steps.push('save'); return null; });
+
+    const change = await monitoringService.processCase({ ...caseDoc, apiCheckCount: 7, caseStatus: 'PENDING' });
+
+    assert.deepEqual(steps, ['notify:7', 'save', 'save']);
+    assert.equal(change.notifications, 2);
+    assert.equal(change.updatedCase.caseStatus, 'DISPOSED');
+  });
+
+  it('saves a change that rules suppress without notifying', async () => {
+    mock.method(monitoringService.apiService, 'fetchSingleCase', async () => ({ cino: '804692', coram: 'B' }));
+    mock.method(orderDocumentService, 'syncOrders', async () => ({ orders: [], newOrders: [] }));
+    mock.method(changeRuleService, 'getRules', () => changeRuleService.compileRules([
+      { name: 'Coram noise', match: { fields: ['coram'] }, suppress: true }
+    ]));
+    const notify = mock.method(monitoringService, 'notifyStage', async () => [{}]);
+    const update = mock.method(Case, 'findByIdAndUpdate', async () => null);
+    mock.method(caseEventService, 'recordEvents', async () => 0);
+
+    const change = await monitoringService.processCase({ ...caseDoc, coram: 'A' });
+
+    assert.equal(notify.mock.callCount(), 0);
+    assert.equal(change.notifications, 0);
+    assert.equal(change.changes.isSuppressed, true);
+    assert.equal(update.mock.calls[1].arguments[1].coram, 'B');
+  });
+
+  it('queues a message per subscriber and one for the mapped numbers, keyed by check', async () => {
+    const user = { _id: 'user-1', name: 'Asha', mobileNumber: '919876543210', isActive: true };
+    mock.method(UserCase, 'find', () => ({ populate: async () => [{ _id: 'sub-1', userId: user }] }));
+    mock.method(CinoNumbers, 'findOne', () => ({ lean: async () => ({ cino: '804692', numbers: ['919000000001', '919000000002'] }) }));
+    const record = mockNotificationLog();
+    const enqueue = mock.method(jobQueueService, 'enqueue', async (type, payload, options) => ({ type, payload, ...options }));
+
+    const jobs = await monitoringService.notifyStage({
+      caseId: 'case-1',
+      cino: '804692',
+      changes: { changedFields: ['caseStatus'], changesSummary: 'Status changed', notificationPriority: 'medium', hasCriticalChanges: false },
+      updatedCase: { cino: '804692', caseStatus: 'Disposed' }
+    }, { runId: 'run-1', checkNumber: 7 });
+
+    assert.deepEqual(jobs.map(job => job.type), ['notifySubscriber', 'notifyNumbers']);
+    assert.deepEqual(jobs.map(job => job.idempotencyKey), [
+      'notifySubscriber:sub-1:case-1:7',
+      'notifyNumbers:case-1:7'
+    ]);
+    assert.equal(jobs[0].payload.mobileNumber, '919876543210');
+    assert.equal(jobs[0].payload.notificationId, 'notification-notifySubscriber:sub-1:case-1:7');
+    assert.equal(jobs[0].payload.message, undefined);
+    assert.deepEqual(jobs[1].payload.numbers, ['919000000001', '919000000002']);
+    assert.ok(jobs.every(job => job.priority > 5));
+    assert.equal(enqueue.mock.callCount(), 2);
+
+    const [subscriber, numbers] = record.mock.calls.map(call => call.arguments[0]);
+    assert.equal(subscriber.kind, 'case_update');
+    assert.equal(subscriber.subscriptionId, 'sub-1');
+    assert.equal(subscriber.runId, 'run-1');
+    assert.deepEqual(subscriber.routes, [{ channel: 'whatsapp', addresses: ['919876543210'] }]);
+    assert.match(subscriber.body, /Hi Asha/);
+    assert.equal(numbers.kind, 'mapped_numbers');
+    assert.deepEqual(numbers.routes, [{ channel: 'whatsapp', addresses: ['919000000001', '919000000002'] }]);
+    assert.match(numbers.body, /Status changed/);
+    assert.doesNotMatch(numbers.body, /Hi /);
+  });
+
+  it('leaves out subscribers whose preferences rule the change out, with the reason', async () => {
+    const user = { _id: 'user-1', name: 'Asha', mobileNumber: '919876543210', isActive: true };
+    mock.method(UserCase, 'find', () => ({
+      populate: async () => [
+        { _id: 'sub-1', subscriptionType: 'hearing_only', userId: user },
+        { _id: 'sub-2', subscriptionType: 'full', notificationSettings: { listingUpdate: true }, userId: user },
+        { _id: 'sub-3', subscriptionType: 'full', userId: { ...user, isActive: false } }
+      ]
+    }));
+    mock.method(CinoNumbers, 'findOne', () => ({ lean: async () => null }));
+    mockNotificationLog();
+    const enqueue = mock.method(jobQueueService, 'enqueue', async (type, payload) => ({ type, payload }));
+    const change = {
+      caseId: 'case-1',
+      cino: '804692',
+      changes: { changedFields: ['listingHistory'], changesSummary: 'Listed', notificationPriority: 'medium' }
+    };
+
+    const jobs = await monitoringService.notifyStage(change, { runId: 'run-1' });
+
+    assert.equal(enqueue.mock.callCount(), 1);
+    assert.equal(jobs[0].payload.subscriptionId, 'sub-2');
+    assert.equal(jobs[0].payload.reason, 'wanted');
+    assert.deepEqual(jobs[0].payload.keys, ['listingUpdate']);
+    assert.deepEqual(change.skipped, [
+      { subscriptionId: 'sub-1', userId: 'user-1', reason: 'subscription_type', blocked: { listingUpdate: 'subscription_type' } },
+      { subscriptionId: 'sub-3', userId: 'user-1', reason: 'user_inactive', blocked: {} }
+    ]);
+  });
+
+  it('queues nothing for a case nobody follows', async () => {
+    mock.method(UserCase, 'find', () => ({ populate: async () => [] }));
+    mock.method(CinoNumbers, 'findOne', () => ({ lean: async () => null }));
+    const enqueue = mock.method(jobQueueService, 'enqueue');
+
+    const jobs = await monitoringService.notifyStage({ caseId: 'case-1', cino: '804692', changes: {} });
+    assert.deepEqual(jobs, []);
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+
+  it('records a subscriber notification only once it is delivered', async () => {
+    const updateSubscription = mock.method(UserCase, 'findByIdAndUpdate', async () => null);
+    const updateCase = mock.method(Case, 'findByIdAndUpdate', async () => null);
+    const payload = { notificationId: 'notification-1', subscriptionId: 'sub-1', caseId: 'case-1' };
+    const job = { _id: 'job-1', attempts: 1, maxAttempts: 5 };
+
+    const deliver = mock.method(notificationOutboxService, 'deliver', async () => { throw new Error('timeout'); });
+    await assert.rejects(monitoringService.runNotifySubscriberJob(payload, job), /timeout/);
+    assert.deepEqual(deliver.mock.calls[0].arguments, ['notification-1', job]);
+    assert.equal(updateSubscription.mock.callCount(), 0);
+
+    deliver.mock.mockImplementation(async () => ({ channel: 'whatsapp', recipients: ['919876543210'], attempts: [] }));
+    assert.deepEqual(await monitoringService.runNotifySubscriberJob(payload, job), { channel: 'whatsapp', recipients: ['919876543210'], attempts: [] });
+    assert.equal(updateSubscription.mock.callCount(), 1);
+    assert.equal(updateCase.mock.callCount(), 1);
+  });
+
+  it('summarizes a cycle from its jobs', () => {
+    const summary = monitoringService.generateSummary([
+      { type: 'fetchCase', status: 'completed', result: { outcome: 'changed', priority: 'high', critical: true } },
+      { type: 'fetchCase', status: 'completed', result: { outcome: 'unchanged' } },
+      { type: 'fetchCase', status: 'queued', result: null },
+      { type: 'notifySubscriber', status: 'completed' },
+      { type: 'notifyNumbers', status: 'dead' },
+      { type: 'notifySubscriber', status: 'queued' }
+    ]);
+
+    assert.equal(summary.totalCasesChecked, 3);
+    assert.equal(summary.fetchFailures, 1);
+    assert.equal(summary.totalChanges, 1);
+    assert.equal(summary.criticalChanges, 1);
+    assert.equal(summary.changesByPriority.high, 1);
+    assert.equal(summary.notificationsSent, 1);
+    assert.equal(summary.notificationsFailed, 1);
+    assert.equal(summary.notificationsPending, 1);
+  });
+});
+
+describe('MonitoringService listing digests', () => {
+  afterEach(() => mock.restoreAll());
+
+  const listDate = new Date('2024-11-21T00:00:00+05:30');
+  const entries = [
+    { cino: '804692', caseReference: 'WRIC/1/2024', listType: 'fresh', courtNumber: '12', itemNumber: 4, benchJustices: 'Hon\'ble A.B. Singh, J.' },
+    { cino: '804693', caseReference: 'WRIC/2/2024', listType: 'fresh', courtNumber: '12', itemNumber: 5, connected: true }
+  ];
+
+  function mockSubscriptions() {
+    const user = { _id: 'user-1', name: 'Asha', mobileNumber: '919876543210', isActive: true };
+    mock.method(UserCase, 'find', () => ({
+      populate: async () => [
+        { cino: '804692', userCaseAlias: 'Land dispute', userId: user },
+        { cino: '804693', userId: user }
+      ]
+    }));
+  }
+
+  it('queues one digest per user listing every case of theirs', async () => {
+    mock.method(causeListService, 'getListings', async () => entries);
+    mockSubscriptions();
+    const record = mockNotificationLog();
+    const enqueue = mock.method(jobQueueService, 'enqueue', async (type, payload, options) => ({ type, payload, ...options }));
+
+    const [job] = await monitoringService.enqueueListingDigests(listDate);
+
+    assert.equal(enqueue.mock.callCount(), 1);
+    assert.equal(job.type, 'sendDigest');
+    assert.match(job.idempotencyKey, /^sendDigest:user-1:2024-11-21:[a-f0-9]{32}$/);
+
+    const digest = record.mock.calls[0].arguments[0];
+    assert.equal(digest.kind, 'digest');
+    assert.equal(digest.key, job.idempotencyKey);
+    assert.match(digest.body, /Land dispute/);
+    assert.match(digest.body, /Court 12, item 4, fresh list/);
+    assert.match(digest.body, /WRIC\/2\/2024/);
+    assert.match(digest.body, /item 5 \(connected\)/);
+  });
+
+  it('keys digests by their listings so only a new listing re-sends', async () => {
+    const enqueue = mock.method(jobQueueService, 'enqueue', async (type, payload, options) => options);
+    mockSubscriptions();
+    mockNotificationLog();
+
+    mock.method(causeListService, 'getListings', async () => entries);
+    const [first] = await monitoringService.enqueueListingDigests(listDate);
+    const [again] = await monitoringService.enqueueListingDigests(listDate);
+
+    mock.method(causeListService, 'getListings', async () => [...entries, { ...entries[0], listType: 'additional', itemNumber: 40 }]);
+    const [added] = await monitoringService.enqueueListingDigests(listDate);
+
+    assert.equal(first.idempotencyKey, again.idempotencyKey);
+    assert.notEqual(first.idempotencyKey, added.idempotencyKey);
+    assert.equal(enqueue.mock.callCount(), 3);
+  });
+
+  it('queues nothing on a day with no listings', async () => {
+    mock.method(causeListService, 'getListings', async () => []);
+    const enqueue = mock.method(jobQueueService, 'enqueue');
+    assert.deepEqual(await monitoringService.enqueueListingDigests(listDate), []);
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,137 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const { getChannel } = require('../services/notificationChannels');
+const { NotificationDeliveryError } = require('../utils/errors');
+
+const user = {
+  mobileNumber: '9876543210',
+  email: 'asha@example.com',
+  telegramChatId: '12345',
+  notificationChannels: ['telegram', 'webhook', 'email', 'whatsapp']
+};
+
+describe('NotificationDispatcher.routesFor', () => {
+  it('keeps the user\'s order and leaves out channels without an address', () => {
+    assert.deepEqual(notificationDispatcher.routesFor(user), [
+      { channel: 'telegram', addresses: ['12345'] },
+      { channel: 'email', addresses: ['asha@example.com'] },
+      { channel: 'whatsapp', addresses: ['9876543210'] }
+    ]);
+  });
+
+  it('reaches users who never chose channels over WhatsApp', () => {
+    assert.deepEqual(notificationDispatcher.routesFor({ mobileNumber: '9876543210' }), [
+      { channel: 'whatsapp', addresses: ['9876543210'] }
+    ]);
+  });
+});
+
+describe('NotificationDispatcher.deliver', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('falls back to the next channel when one fails', async () => {
+    const telegram = mock.method(getChannel('telegram'), 'send', async () => { throw new Error('bot blocked'); });
+    const email = mock.method(getChannel('email'), 'send', async addresses => ({ recipients: addresses, messageId: 'mail-1', response: { messageId: 'mail-1' } }));
+    const whatsapp = mock.method(getChannel('whatsapp'), 'send');
+
+    const result = await notificationDispatcher.notifyUser(user, '*Case:* 804692', { subject: 'Update' });
+
+    assert.deepEqual(result, {
+      channel: 'email',
+      recipients: ['asha@example.com'],
+      messageId: 'mail-1',
+      response: { messageId: 'mail-1' },
+      attempts: [{ channel: 'telegram', error: 'bot blocked' }]
+    });
+    assert.equal(telegram.mock.callCount(), 1);
+    assert.equal(email.mock.calls[0].arguments[2].subject, 'Update');
+    assert.equal(whatsapp.mock.callCount(), 0);
+  });
+
+  it('throws with every attempt when no channel delivers', async () => {
+    mock.method(getChannel('whatsapp'), 'send', async () => { throw new Error('timeout'); });
+
+    await assert.rejects(
+      notificationDispatcher.notifyUser({ mobileNumber: '9876543210' }, 'hi'),
+      error => error instanceof NotificationDeliveryError &&
+        /whatsapp: timeout/.test(error.message) &&
+        error.attempts.length === 1
+    );
+    await assert.rejects(notificationDispatcher.notifyUser({ notificationChannels: ['telegram'] }, 'hi'), /No channel can reach/);
+  });
+
+  it('sends bare numbers only over channels that reach numbers', async () => {
+    const original = notificationDispatcher.numberChannels;
+    notificationDispatcher.numberChannels = ['email', 'whatsapp', 'sms'];
+    try {
+      assert.deepEqual(notificationDispatcher.routesForNumbers(['919000000001']).map(route => route.channel), ['whatsapp', 'sms']);
+    } finally {
+      notificationDispatcher.numberChannels = original;
+    }
+  });
+});
+
+describe('Notification channels', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses to post webhooks to plain http or non-public hosts', async () => {
+    const webhook = getChannel('webhook');
+    const secret = webhook.secret;
+    webhook.secret = 'shh';
+    mock.method(dns.promises, 'lookup', async () => [{ address: '10.0.0.5', family: 4 }]);
+    const post = mock.method(axios, 'post', async () => ({ status: 204 }));
+
+    try {
+      await assert.rejects(webhook.send(['http://example.com/hook'], 'hi'), /only https URLs/);
+      await assert.rejects(webhook.send(['https://169.254.169.254/latest/meta-data'], 'hi'), /non-public address 169\.254\.169\.254/);
+      await assert.rejects(webhook.send(['https://intranet.example.com/hook'], 'hi'), /non-public address 10\.0\.0\.5/);
+    } finally {
+      webhook.secret = secret;
+    }
+    assert.equal(post.mock.callCount(), 0);
+  });
+
+  it('signs webhook posts with the timestamp and body', async () => {
+    const webhook = getChannel('webhook');
+    const secret = webhook.secret;
+    webhook.secret = 'shh';
+    mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+    const post = mock.method(axios, 'post', async () => ({ status: 204 }));
+
+    try {
+      await webhook.send(['https://example.com/hook'], '*Case:* 804692', { subject: 'Update', data: { cino: '804692' } });
+    } finally {
+      webhook.secret = secret;
+    }
+
+    const [url, body, { headers }] = post.mock.calls[0].arguments;
+    const expected = crypto.createHmac('sha256', 'shh').update(`${headers['X-Timestamp']}.${body}`).digest('hex');
+    assert.equal(url, 'https://example.com/hook');
+    assert.equal(headers['X-Signature'], `sha256=${expected}`);
+    assert.deepEqual({ ...JSON.parse(body), sentAt: undefined }, {
+      type: 'notification',
+      subject: 'Update',
+      message: 'Case: 804692',
+      data: { cino: '804692' },
+      sentAt: undefined
+    });
+  });
+
+  it('refuses to send over a channel that is not configured', async () => {
+    const sms = getChannel('sms');
+    const apiUrl = sms.apiUrl;
+    sms.apiUrl = undefined;
+    try {
+      await assert.rejects(sms.send(['919000000001'], 'hi'), /SMS_GATEWAY_URL/);
+      assert.equal(sms.describe().configured, false);
+    } finally {
+      sms.apiUrl = apiUrl;
+    }
+  });
+});
@@ -0,0 +1,214 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../models/Notification');
+const jobQueueService = require('../services/jobQueueService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const { getChannel } = require('../services/notificationChannels');
+const { NotificationDeliveryError } = require('../utils/errors');
+
+const routes = [
+  { channel: 'telegram', addresses: ['12345'] },
+  { channel: 'whatsapp', addresses: ['919876543210'] }
+];
+
+function stored(fields = {}) {
+  return { _id: 'notification-1', kind: 'case_update', status: 'queued', routes, body: 'Status changed', ...fields };
+}
+
+describe('NotificationOutboxService.deliver', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('records the channel that took it, the provider message ID and earlier failures', async () => {
+    mock.method(Notification, 'findById', async () => stored({ subject: 'Update' }));
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const deliver = mock.method(notificationDispatcher, 'deliver', async () => ({
+      channel: 'whatsapp',
+      recipients: ['919876543210'],
+      messageId: 'wamid-1',
+      response: { success: true },
+      attempts: [{ channel: 'telegram', error: 'bot blocked' }]
+    }));
+
+    const result = await notificationOutboxService.deliver('notification-1');
+
+    assert.deepEqual(deliver.mock.calls[0].arguments.slice(0, 2), [routes, 'Status changed']);
+    assert.equal(deliver.mock.calls[0].arguments[2].subject, 'Update');
+    assert.deepEqual(result, {
+      notificationId: 'notification-1',
+      channel: 'whatsapp',
+      recipients: ['919876543210'],
+      attempts: [{ channel: 'telegram', error: 'bot blocked' }]
+    });
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'notification-1' });
+    assert.equal(changes.$set.status, 'sent');
+    assert.equal(changes.$set.providerMessageId, 'wamid-1');
+    assert.ok(changes.$set.sentAt instanceof Date);
+    assert.deepEqual(changes.$inc, { attempts: 1 });
+    assert.equal(changes.$push.failures.$each[0].channel, 'telegram');
+  });
+
+  it('does not send a notification again once it was sent', async () => {
+    mock.method(Notification, 'findById', async () => stored({ status: 'delivered', channel: 'whatsapp', recipients: ['919876543210'] }));
+    const deliver = mock.method(notificationDispatcher, 'deliver');
+
+    const result = await notificationOutboxService.deliver('notification-1');
+
+    assert.equal(deliver.mock.callCount(), 0);
+    assert.equal(result.channel, 'whatsapp');
+  });
+
+  it('leaves a failed send for the next attempt, and marks it failed on the last', async () => {
+    mock.method(Notification, 'findById', async () => stored());
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(notificationDispatcher, 'deliver', async () => {
+      throw new NotificationDeliveryError([{ channel: 'whatsapp', error: 'timeout' }]);
+    });
+
+    await assert.rejects(notificationOutboxService.deliver('notification-1', { attempts: 1, maxAttempts: 5 }), /whatsapp: timeout/);
+    await assert.rejects(notificationOutboxService.deliver('notification-1', { attempts: 5, maxAttempts: 5 }), /whatsapp: timeout/);
+
+    const [retrying, failed] = update.mock.calls.map(call => call.arguments[1].$set);
+    assert.equal(retrying.status, 'retrying');
+    assert.equal(retrying.failedAt, undefined);
+    assert.equal(failed.status, 'failed');
+    assert.ok(failed.failedAt instanceof Date);
+    assert.equal(failed.lastError, 'No channel delivered the notification (whatsapp: timeout)');
+  });
+
+  it('dead-letters a job that carries no notification', async () => {
+    const deliver = mock.method(notificationDispatcher, 'deliver');
+
+    await assert.rejects(
+      notificationOutboxService.deliverJob({ mobileNumber: '919876543210', message: 'hi' }, { _id: 'job-1', type: 'notifySubscriber' }),
+      error => {
+        assert.match(error.message, /notifySubscriber job job-1 has no notificationId/);
+        assert.equal(error.retryable, false);
+        return true;
+      }
+    );
+    assert.equal(deliver.mock.callCount(), 0);
+  });
+});
+
+describe('NotificationOutboxService.sendNow', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('queues a failed send for retry and still reports the failure', async () => {
+    mock.method(Notification, 'create', async fields => stored(fields));
+    mock.method(Notification, 'findById', async () => stored());
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(notificationDispatcher, 'deliver', async () => {
+      throw new NotificationDeliveryError([{ channel: 'whatsapp', error: 'timeout' }]);
+    });
+    const enqueue = mock.method(jobQueueService, 'enqueue', async () => ({ _id: 'job-1' }));
+
+    await assert.rejects(
+      notificationOutboxService.sendToNumbers('919000000001', 'Court unavailable'),
+      NotificationDeliveryError
+    );
+
+    const [type, payload, options] = enqueue.mock.calls[0].arguments;
+    assert.equal(type, 'sendNotification');
+    assert.deepEqual(payload, { notificationId: 'notification-1' });
+    assert.equal(options.idempotencyKey, 'sendNotification:notification-1');
+    assert.ok(options.runAt > new Date());
+    assert.deepEqual(update.mock.calls.at(-1).arguments[1], { $set: { jobId: 'job-1' } });
+  });
+
+  it('logs a test message before sending it', async () => {
+    const create = mock.method(Notification, 'create', async fields => stored(fields));
+    mock.method(Notification, 'findById', async () => stored({ routes: [{ channel: 'whatsapp', addresses: ['919876543210'] }] }));
+    mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(notificationDispatcher, 'deliver', async () => ({ channel: 'whatsapp', recipients: ['919876543210'], attempts: [] }));
+
+    const result = await notificationOutboxService.sendTest('whatsapp', ['919876543210']);
+
+    const fields = create.mock.calls[0].arguments[0];
+    assert.equal(fields.kind, 'manual');
+    assert.deepEqual(fields.routes, [{ channel: 'whatsapp', addresses: ['919876543210'] }]);
+    assert.match(fields.body, /the whatsapp channel is working/);
+    assert.deepEqual(result.recipients, ['919876543210']);
+  });
+
+  it('does not retry a user nothing can reach', async () => {
+    const create = mock.method(Notification, 'create', async fields => stored(fields));
+    mock.method(Notification, 'findById', async () => stored({ routes: [] }));
+    mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const enqueue = mock.method(jobQueueService, 'enqueue');
+
+    await assert.rejects(
+      notificationOutboxService.notifyUser({ _id: 'user-1', notificationChannels: ['email'] }, 'Welcome'),
+      /No channel can reach the recipient/
+    );
+
+    assert.equal(create.mock.calls[0].arguments[0].kind, 'account');
+    assert.deepEqual(create.mock.calls[0].arguments[0].routes, []);
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+});
+
+describe('NotificationOutboxService delivery status', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('maps provider statuses and only ever moves a notification forward', async () => {
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(
+      await notificationOutboxService.recordCallback({ channel: 'whatsapp', messageId: 'wamid-1', status: 'READ' }),
+      { status: 'read', updated: true }
+    );
+    assert.deepEqual(
+      await notificationOutboxService.recordCallback({ channel: 'whatsapp', messageId: 'wamid-1', status: 'sending' }),
+      { status: null, updated: false }
+    );
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { channel: 'whatsapp', providerMessageId: 'wamid-1', status: { $in: ['sent', 'delivered'] } });
+    assert.equal(changes.$set.status, 'read');
+    assert.ok(changes.$set.readAt instanceof Date);
+    assert.equal(update.mock.callCount(), 1);
+  });
+
+  it('records why the provider could not deliver', async () => {
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    const result = await notificationOutboxService.recordCallback({
+      channel: 'sms', messageId: 77, status: 'undelivered', error: 'DND number'
+    });
+
+    assert.deepEqual(result, { status: 'failed', updated: false });
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter.status, { $in: ['sent'] });
+    assert.equal(filter.providerMessageId, '77');
+    assert.equal(changes.$set.lastError, 'DND number');
+  });
+
+  it('polls only channels whose provider can be asked', async () => {
+    mock.method(getChannel('whatsapp'), 'supportsStatus', () => true);
+    const getStatus = mock.method(getChannel('whatsapp'), 'getStatus', async () => ({ status: 'delivered' }));
+    let query;
+    mock.method(Notification, 'find', filter => {
+      query = filter;
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        lean: async () => [{ _id: 'notification-1', channel: 'whatsapp', providerMessageId: 'wamid-1', status: 'sent' }]
+      };
+      return chain;
+    });
+    const update = mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await notificationOutboxService.pollStatuses(), { checked: 1, updated: 1 });
+
+    assert.deepEqual(query.channel, { $in: ['whatsapp'] });
+    assert.deepEqual(getStatus.mock.calls[0].arguments, ['wamid-1']);
+    assert.equal(update.mock.calls[0].arguments[1].$set.status, 'delivered');
+    assert.ok(update.mock.calls[1].arguments[1].$set.statusCheckedAt instanceof Date);
+  });
+});
@@ -0,0 +1,97 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
+
+const user = (notificationPreferences = {}) => ({ _id: 'user-1', isActive: true, notificationPreferences });
+
+const change = (changedFields, extra = {}) => ({
+  cino: '804692',
+  changes: { changedFields, ...extra }
+});
+
+describe('NotificationPreferenceService.keysForChange', () => {
+  it('maps changed fields and events to preference keys', () => {
+    const keys = notificationPreferenceService.keysForChange({
+      changedFields: ['nextHearingDate', 'listingHistory', 'benchType'],
+      events: [
+        { type: 'hearing_rescheduled', confidence: 'high', source: 'nextHearingDate' },
+        { type: 'case_disposed', confidence: 'medium', source: 'listingHistory' },
+        { type: 'adjourned', confidence: 'low', source: 'listingHistory' }
+      ]
+    });
+
+    assert.deepEqual(keys, ['hearingDate', 'listingUpdate', 'general', 'statusChange']);
+  });
+
+  it('leaves out suppressed fields and their events', () => {
+    const keys = notificationPreferenceService.keysForChange({
+      changedFields: ['coram', 'orders'],
+      suppressedFields: ['coram'],
+      events: [{ type: 'bench_changed', confidence: 'medium', source: 'coram' }]
+    });
+
+    assert.deepEqual(keys, ['orderUpdate']);
+  });
+});
+
+describe('NotificationPreferenceService.decide', () => {
+  it('limits a subscription to the keys of its type', () => {
+    const subscription = { subscriptionType: 'status_only' };
+
+    assert.deepEqual(
+      notificationPreferenceService.decide(user(), subscription, change(['caseStatus', 'nextHearingDate'])),
+      { send: true, reason: 'wanted', keys: ['statusChange'], blocked: { hearingDate: 'subscription_type' } }
+    );
+    assert.equal(notificationPreferenceService.decide(user(), subscription, change(['benchType'])).reason, 'subscription_type');
+  });
+
+  it('lets the user turn a key off for every case', () => {
+    const decision = notificationPreferenceService.decide(
+      user({ hearingDate: false }),
+      { subscriptionType: 'full', notificationSettings: { hearingDate: true } },
+      change(['nextHearingDate'])
+    );
+
+    assert.deepEqual(decision, { send: false, reason: 'user_preferences', keys: [], blocked: { hearingDate: 'user_preferences' } });
+  });
+
+  it('uses the subscription settings, and their defaults when missing', () => {
+    const listing = change(['listingHistory']);
+
+    assert.equal(notificationPreferenceService.decide(user(), { subscriptionType: 'full' }, listing).reason, 'case_settings');
+    assert.equal(notificationPreferenceService.decide(user(), { notificationSettings: { listingUpdate: true } }, listing).send, true);
+    assert.equal(notificationPreferenceService.decide(user(), { subscriptionType: 'full' }, change(['orders'])).send, true);
+  });
+
+  it('gives one reason when the keys were blocked in different ways', () => {
+    const decision = notificationPreferenceService.decide(
+      user({ orderUpdate: false }),
+      { subscriptionType: 'full' },
+      change(['orders', 'iaApplications'])
+    );
+
+    assert.equal(decision.reason, 'not_wanted');
+    assert.deepEqual(decision.blocked, { orderUpdate: 'user_preferences', iaUpdate: 'case_settings' });
+  });
+
+  it('always sends the first message about a case to active users', () => {
+    const subscription = { subscriptionType: 'order_only', notificationSettings: { orderUpdate: false } };
+
+    assert.equal(notificationPreferenceService.decide(user(), subscription, { isNewCase: true, changes: {} }).reason, 'new_case');
+    assert.equal(
+      notificationPreferenceService.decide({ ...user(), isActive: false }, subscription, { isNewCase: true, changes: {} }).reason,
+      'user_inactive'
+    );
+  });
+});
+
+describe('NotificationPreferenceService.normalizeSettings', () => {
+  it('maps the keys older clients send and drops the rest', () => {
+    assert.deepEqual(
+      notificationPreferenceService.normalizeSettings({ statusChanges: false, hearingDates: true, iaUpdate: true, generalUpdates: true, orderUpdate: 'yes' }),
+      { statusChange: false, hearingDate: true, iaUpdate: true }
+    );
+  });
+});
@@ -0,0 +1,182 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Case = require('../models/Case');
+const OrderDocument = require('../models/OrderDocument');
+const apiService = require('../services/apiService');
+const orderDocumentService = require('../services/orderDocumentService');
+const ChangeDetectionService = require('../services/changeDetectionService');
+
+const ORDER_URL = 'https://allahabadhighcourt.in/apps/status_ccms/index.php/get_order?ord_id=ORD2024011000188&type=pdf';
+
+/**
+ * Stand-in for a mongoose query chain resolving to result
+ */
+function queryResult(result) {
+  const query = { select: () => query, lean: async () => result };
+  return query;
+}
+
+/**
+ * Build a one-page PDF with a text layer, one line per entry
+ */
+function pdf(...lines) {
+  const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map(line => `(${line}) '`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+describe('OrderDocumentService', () => {
+  const originalStoreDir = orderDocumentService.storeDir;
+
+  beforeEach(() => {
+    orderDocumentService.storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(orderDocumentService.storeDir, { recursive: true, force: true });
+    orderDocumentService.storeDir = originalStoreDir;
+  });
+
+  it('stores each document once under its content hash', async () => {
+    const first = await orderDocumentService.storeDocument(pdf('order'));
+    const second = await orderDocumentService.storeDocument(pdf('order'));
+
+    assert.equal(first.contentHash, second.contentHash);
+    assert.match(first.contentHash, /^[a-f0-9]{64}$/);
+    const filePath = orderDocumentService.getOrderFile(first.contentHash);
+    assert.equal(filePath, path.join(orderDocumentService.storeDir, first.contentHash.slice(0, 2), `${first.contentHash}.pdf`));
+    assert.deepEqual(fs.readFileSync(filePath), pdf('order'));
+  });
+
+  it('extracts the text layer with whitespace collapsed', async () => {
+    const { text, pageCount } = await orderDocumentService.extractText(pdf('Interim relief is granted.', 'List after four weeks.'));
+    assert.equal(text, 'Interim relief is granted. List after four weeks.');
+    assert.equal(pageCount, 1);
+  });
+
+  it('rejects responses that are not PDFs', async () => {
+    await assert.rejects(
+      orderDocumentService.storeDocument(Buffer.from('<html>Session expired</html>')),
+      /not a PDF/
+    );
+  });
+
+  it('downloads only links the case has not archived', async () => {
+    const download = mock.method(apiService, 'downloadDocument', async () => pdf('new order'));
+    mock.method(OrderDocument, 'findOne', () => queryResult(null));
+    const saveText = mock.method(OrderDocument, 'updateOne', async () => ({ upsertedCount: 1 }));
+    const caseDoc = {
+      cino: '804692',
+      orders: [{ sourceUrl: 'https://example.test/old.pdf', contentHash: 'a'.repeat(64) }]
+    };
+    const links = [
+      { url: 'https://example.test/old.pdf', documentType: 'order' },
+      { url: ORDER_URL, documentType: 'order', orderDate: new Date(2024, 0, 10), benchId: '3915', justice: "HON'BLE MAHESH CHANDRA TRIPATHI, J." }
+    ];
+
+    const { orders, newOrders } = await orderDocumentService.syncOrders(caseDoc, links, 'allahabad_hc');
+
+    assert.equal(download.mock.callCount(), 1);
+    assert.deepEqual(download.mock.calls[0].arguments, [ORDER_URL, 'allahabad_hc']);
+    assert.equal(orders.length, 2);
+    assert.equal(newOrders.length, 1);
+    assert.equal(newOrders[0].benchId, '3915');
+    assert.equal(newOrders[0].size, pdf('new order').length);
+    assert.equal(newOrders[0].text, undefined);
+    assert.ok(orderDocumentService.getOrderFile(newOrders[0].contentHash));
+
+    const [filter, changes, options] = saveText.mock.calls[0].arguments;
+    assert.deepEqual(filter, { contentHash: newOrders[0].contentHash });
+    assert.equal(changes.$set.text, 'new order');
+    assert.ok(changes.$set.textExtractedAt instanceof Date);
+    assert.deepEqual(options, { upsert: true });
+  });
+
+  it('does not extract a document another case already indexed', async () => {
+    mock.method(apiService, 'downloadDocument', async () => pdf('shared order'));
+    mock.method(OrderDocument, 'findOne', () => queryResult({ textExtractedAt: new Date() }));
+    const saveText = mock.method(OrderDocument, 'updateOne', async () => ({}));
+    const extract = mock.method(orderDocumentService, 'extractText');
+
+    const { newOrders } = await orderDocumentService.syncOrders({ orders: [] }, [{ url: ORDER_URL }], 'allahabad_hc');
+
+    assert.equal(newOrders.length, 1);
+    assert.equal(extract.mock.callCount(), 0);
+    assert.equal(saveText.mock.callCount(), 0);
+  });
+
+  it('reindexes archived orders whose document has no text yet', async () => {
+    const { contentHash, size } = await orderDocumentService.storeDocument(pdf('interim relief'));
+    mock.method(Case, 'find', () => queryResult([{
+      _id: 'case-1',
+      cino: '804692',
+      orders: [{ contentHash, size }, { contentHash: 'a'.repeat(64), size: 10 }, { contentHash: 'b'.repeat(64), size: 10 }]
+    }]));
+    mock.method(OrderDocument, 'find', () => queryResult([{ contentHash: 'a'.repeat(64) }]));
+    const saveText = mock.method(OrderDocument, 'updateOne', async () => ({}));
+
+    const summary = await orderDocumentService.reindexOrderText();
+
+    assert.deepEqual(summary, { cases: 1, orders: 1, missingFiles: 1, failed: 0 });
+    assert.equal(saveText.mock.callCount(), 1);
+    const [filter, changes] = saveText.mock.calls[0].arguments;
+    assert.deepEqual(filter, { contentHash });
+    assert.equal(changes.$set.text, 'interim relief');
+  });
+
+  it('leaves failed downloads for the next check', async () => {
+    mock.method(apiService, 'downloadDocument', async () => { throw new Error('socket hang up'); });
+
+    const { orders, newOrders } = await orderDocumentService.syncOrders({ orders: [] }, [{ url: ORDER_URL }], 'allahabad_hc');
+    assert.deepEqual(orders, []);
+    assert.deepEqual(newOrders, []);
+  });
+
+  it('refuses malformed hashes', () => {
+    assert.equal(orderDocumentService.getOrderFile('../../etc/passwd'), null);
+    assert.equal(orderDocumentService.getOrderFile('b'.repeat(64)), null);
+  });
+});
+
+describe('ChangeDetectionService orders', () => {
+  const changeDetectionService = new ChangeDetectionService();
+  const oldOrder = { sourceUrl: 'https://example.test/1.pdf', contentHash: 'a'.repeat(64) };
+  const newOrder = { sourceUrl: ORDER_URL, contentHash: 'b'.repeat(64) };
+
+  it('reports a newly uploaded order as a high priority change', () => {
+    const changes = changeDetectionService.detectChanges({ orders: [oldOrder] }, { orders: [oldOrder, newOrder] });
+
+    assert.deepEqual(changes.changedFields, ['orders']);
+    assert.equal(changes.detailedChanges.orders.description, '1 new order uploaded');
+    assert.deepEqual(changes.detailedChanges.orders.newOrders, [newOrder]);
+    assert.equal(changes.notificationPriority, 'high');
+  });
+
+  it('ignores orders that were already archived', () => {
+    const changes = changeDetectionService.detectChanges({ orders: [oldOrder] }, { orders: [oldOrder] });
+    assert.equal(changes.hasChanges, false);
+  });
+});
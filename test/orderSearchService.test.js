@@ -0,0 +1,100 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Case = require('../models/Case');
+const OrderDocument = require('../models/OrderDocument');
+const UserCase = require('../models/UserCase');
+const orderSearchService = require('../services/orderSearchService');
+
+const INTERIM_ORDER = 'Heard learned counsel for the petitioner. Issue notice. By way of interim relief, ' +
+  'no coercive action shall be taken against the petitioner till the next date of listing.';
+const COUNTER_ORDER = 'Learned Standing Counsel prays for time. Counter affidavit may be filed within four weeks. ' +
+  'Rejoinder affidavit, if any, within two weeks thereafter.';
+
+/**
+ * Stand-in for a mongoose query chain resolving to docs
+ */
+function queryResult(docs) {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => docs
+  };
+  return query;
+}
+
+describe('OrderSearchService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('ranks the full phrase above scattered terms', () => {
+    const query = 'counter affidavit within four weeks';
+    assert.ok(orderSearchService.scoreText(COUNTER_ORDER, query) > orderSearchService.scoreText('Counter affidavit filed.', query));
+    assert.equal(orderSearchService.scoreText(INTERIM_ORDER, 'bail'), 0);
+  });
+
+  it('cuts a snippet around the match', () => {
+    const snippet = orderSearchService.buildSnippet(INTERIM_ORDER, 'interim relief');
+    assert.match(snippet, /By way of interim relief, no coercive action/);
+
+    orderSearchService.snippetRadius = 10;
+    try {
+      assert.equal(orderSearchService.buildSnippet(COUNTER_ORDER, 'rejoinder'), '…ur weeks. Rejoinder affidavit…');
+    } finally {
+      orderSearchService.snippetRadius = 120;
+    }
+  });
+
+  it('searches only the orders of cases the user follows', async () => {
+    const findSubscriptions = mock.method(UserCase, 'find', () => queryResult([{ cino: '804692' }, { cino: '804693' }]));
+    const findCases = mock.method(Case, 'find', () => queryResult([
+      {
+        cino: '804692',
+        caseTitle: 'Shiv Shakti Traders vs State of U.P.',
+        orders: [
+          { documentType: 'order', orderDate: new Date('2023-09-14'), contentHash: 'a'.repeat(64) },
+          { documentType: 'order', orderDate: new Date('2024-01-10'), contentHash: 'b'.repeat(64) }
+        ]
+      }
+    ]));
+    const findDocuments = mock.method(OrderDocument, 'find', () => queryResult([
+      { contentHash: 'a'.repeat(64), text: INTERIM_ORDER },
+      { contentHash: 'b'.repeat(64), text: COUNTER_ORDER }
+    ]));
+
+    const results = await orderSearchService.searchUserOrders('user-1', 'interim relief');
+
+    assert.deepEqual(findSubscriptions.mock.calls[0].arguments[0], { userId: 'user-1', isActive: true });
+    assert.deepEqual(findCases.mock.calls[0].arguments[0].cino, { $in: ['804692', '804693'] });
+    assert.deepEqual(findDocuments.mock.calls[0].arguments[0], {
+      contentHash: { $in: ['a'.repeat(64), 'b'.repeat(64)] },
+      $text: { $search: 'interim relief' }
+    });
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].cino, '804692');
+    assert.equal(results[0].contentHash, 'a'.repeat(64));
+    assert.equal(results[0].downloadUrl, `/api/users/user-1/cases/804692/orders/${'a'.repeat(64)}`);
+    assert.match(results[0].snippet, /interim relief/);
+  });
+
+  it('lists a document once for each followed case that links it', async () => {
+    mock.method(UserCase, 'find', () => queryResult([{ cino: '804692' }, { cino: '804693' }]));
+    mock.method(Case, 'find', () => queryResult([
+      { cino: '804692', caseTitle: 'First', orders: [{ documentType: 'order', contentHash: 'a'.repeat(64) }] },
+      { cino: '804693', caseTitle: 'Connected', orders: [{ documentType: 'order', contentHash: 'a'.repeat(64) }] }
+    ]));
+    mock.method(OrderDocument, 'find', () => queryResult([{ contentHash: 'a'.repeat(64), text: INTERIM_ORDER }]));
+
+    const results = await orderSearchService.searchUserOrders('user-1', 'interim relief');
+
+    assert.deepEqual(results.map(result => result.cino), ['804692', '804693']);
+  });
+
+  it('skips the database for queries without usable terms', async () => {
+    const findSubscriptions = mock.method(UserCase, 'find', () => queryResult([]));
+    assert.deepEqual(await orderSearchService.searchUserOrders('user-1', 'of a'), []);
+    assert.equal(findSubscriptions.mock.callCount(), 0);
+  });
+});
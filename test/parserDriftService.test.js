@@ -0,0 +1,197 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ParserDriftEvent = require('../models/ParserDriftEvent');
+const Notification = require('../models/Notification');
+const whatsappService = require('../services/whatsappService');
+const parserDriftService = require('../services/parserDriftService');
+
+const DRIFT_REPORT = {
+  labelsMissing: ['Case Status', 'Coram'],
+  tables: { parties: false, acts: false, iaApplications: false, listingHistory: false },
+  confidence: 0.25,
+  threshold: 0.7,
+  isSuspectedDrift: true
+};
+
+/**
+ * Minimal in-memory stand-in for the operators the service uses
+ */
+function installFakeStore() {
+  const events = [];
+  const matches = (event, filter) => Object.keys(filter).every(key => {
+    const value = filter[key];
+    if (value && value.$ne !== undefined) return !event[key].includes(value.$ne);
+    return event[key] === value;
+  });
+
+  mock.method(ParserDriftEvent, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let event = events.find(e => matches(e, filter));
+    if (!event) {
+      if (!options.upsert) return null;
+      event = {
+        _id: `event-${events.length + 1}`,
+        resolvedAt: null,
+        alertSentAt: null,
+        affectedCinos: [],
+        affectedCount: 0,
+        missingLabels: [],
+        occurrences: 0,
+        healthyStreak: 0,
+        ...filter,
+        ...update.$setOnInsert
+      };
+      events.push(event);
+    }
+    Object.assign(event, update.$set);
+    for (const [key, value] of Object.entries(update.$inc || {})) {
+      event[key] = (event[key] || 0) + value;
+    }
+    for (const [key, value] of Object.entries(update.$addToSet || {})) {
+      const values = value && value.$each ? value.$each : [value];
+      values.forEach(v => { if (!event[key].includes(v)) event[key].push(v); });
+    }
+    for (const [key, value] of Object.entries(update.$min || {})) {
+      event[key] = event[key] === undefined ? value : Math.min(event[key], value);
+    }
+    return { ...event };
+  });
+  mock.method(ParserDriftEvent, 'updateOne', async (filter, update) => {
+    const event = events.find(e => matches(e, filter));
+    if (!event) return { modifiedCount: 0 };
+    for (const [key, value] of Object.entries(update.$push || {})) {
+      event[key] = event[key].concat(value.$each).slice(value.$slice);
+    }
+    for (const [key, value] of Object.entries(update.$inc || {})) {
+      event[key] = (event[key] || 0) + value;
+    }
+    return { modifiedCount: 1 };
+  });
+  mock.method(ParserDriftEvent, 'findByIdAndUpdate', async () => null);
+
+  return events;
+}
+
+/**
+ * Alerts are logged before they are sent; keep the log in memory
+ */
+function installNotificationLog() {
+  const notifications = [];
+  mock.method(Notification, 'create', async fields => {
+    const notification = { _id: `notification-${notifications.length + 1}`, status: 'queued', ...fields };
+    notifications.push(notification);
+    return notification;
+  });
+  mock.method(Notification, 'findById', async id => notifications.find(n => n._id === id) || null);
+  mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 1 }));
+  return notifications;
+}
+
+describe('ParserDriftService', () => {
+  let events;
+  let notifications;
+  let sendMessage;
+
+  beforeEach(() => {
+    process.env.ADMIN_WHATSAPP_NUMBERS = '9876543210, 9123456789';
+    events = installFakeStore();
+    notifications = installNotificationLog();
+    sendMessage = mock.method(whatsappService, 'sendMessage', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ADMIN_WHATSAPP_NUMBERS;
+  });
+
+  it('alerts admins once per drift event, not once per case', async () => {
+    await parserDriftService.recordDrift('111111', DRIFT_REPORT);
+    await parserDriftService.recordDrift('222222', DRIFT_REPORT);
+    await parserDriftService.recordDrift('111111', { ...DRIFT_REPORT, confidence: 0.1 });
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].affectedCinos, ['111111', '222222']);
+    assert.equal(events[0].affectedCount, 2);
+    assert.equal(events[0].occurrences, 3);
+    assert.equal(events[0].lowestConfidence, 0.1);
+    assert.equal(sendMessage.mock.callCount(), 1);
+    assert.deepEqual(sendMessage.mock.calls[0].arguments[0], ['9876543210', '9123456789']);
+    assert.match(sendMessage.mock.calls[0].arguments[1], /Case Status, Coram/);
+    assert.deepEqual(notifications.map(n => n.kind), ['admin_alert']);
+  });
+
+  it('keeps only the most recent affected CINOs on a long-running event', async () => {
+    const { maxAffectedCinos } = parserDriftService;
+    parserDriftService.maxAffectedCinos = 2;
+    try {
+      for (const cino of ['111111', '222222', '333333', '333333']) {
+        await parserDriftService.recordDrift(cino, DRIFT_REPORT);
+      }
+    } finally {
+      parserDriftService.maxAffectedCinos = maxAffectedCinos;
+    }
+
+    assert.deepEqual(events[0].affectedCinos, ['222222', '333333']);
+    assert.equal(events[0].affectedCount, 3);
+    assert.equal(events[0].occurrences, 4);
+  });
+
+  it('resolves the event after enough healthy parses in a row', async () => {
+    await parserDriftService.recordDrift('111111', DRIFT_REPORT);
+
+    for (let i = 1; i < parserDriftService.resolveAfter; i++) {
+      assert.equal(await parserDriftService.recordHealthyParse('333333'), null);
+    }
+    const resolved = await parserDriftService.recordHealthyParse('333333');
+    assert.ok(resolved.resolvedAt instanceof Date);
+
+    // A new drift after resolution is a new event with its own alert
+    await parserDriftService.recordDrift('111111', DRIFT_REPORT);
+    assert.equal(events.length, 2);
+    assert.equal(sendMessage.mock.callCount(), 2);
+  });
+
+  it('restarts the healthy streak when drift recurs', async () => {
+    await parserDriftService.recordDrift('111111', DRIFT_REPORT);
+    await parserDriftService.recordHealthyParse('333333');
+    await parserDriftService.recordDrift('222222', DRIFT_REPORT);
+
+    assert.equal(events[0].healthyStreak, 0);
+    assert.equal(events[0].resolvedAt, null);
+  });
+
+  it('joins the event a concurrent fetch opened instead of alerting again', async () => {
+    const store = ParserDriftEvent.findOneAndUpdate;
+    let raced = false;
+    mock.method(ParserDriftEvent, 'findOneAndUpdate', async (filter, update, options = {}) => {
+      if (options.upsert && !raced) {
+        // The other fetch inserts first and claims the alert; our insert hits the unique index
+        raced = true;
+        await store(filter, { $setOnInsert: {}, $set: { alertSentAt: new Date() } }, options);
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      return store(filter, update, options);
+    });
+
+    const event = await parserDriftService.recordDrift('111111', DRIFT_REPORT);
+
+    assert.equal(events.length, 1);
+    assert.equal(event._id, events[0]._id);
+    assert.deepEqual(events[0].affectedCinos, ['111111']);
+    assert.equal(sendMessage.mock.callCount(), 0);
+  });
+
+  it('keeps a separate open event per court', async () => {
+    await parserDriftService.recordDrift('111111', DRIFT_REPORT, 'allahabad_hc');
+    await parserDriftService.recordDrift('222222', DRIFT_REPORT, 'other_court');
+
+    assert.deepEqual(events.map(event => event.courtAdapter), ['allahabad_hc', 'other_court']);
+    assert.equal(sendMessage.mock.callCount(), 2);
+  });
+
+  it('ignores healthy parses when no event is open', async () => {
+    assert.equal(await parserDriftService.recordHealthyParse('333333'), null);
+    assert.equal(events.length, 0);
+  });
+});
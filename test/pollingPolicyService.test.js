@@ -0,0 +1,84 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pollingPolicyService = require('../services/pollingPolicyService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Noon in India
+const now = new Date('2024-11-20T06:30:00Z');
+const daysFromNow = days => new Date(now.getTime() + days * DAY);
+
+const pending = { caseStatus: 'PENDING', stageOfCase: 'ADMISSION' };
+
+function schedule(caseData, unchangedChecks = 0) {
+  const result = pollingPolicyService.schedule(caseData, { now, unchangedChecks });
+  return { ...result, interval: result.nextCheckAt.getTime() - now.getTime() };
+}
+
+describe('PollingPolicyService.schedule', () => {
+  it('polls hourly on the hearing day and just after it', () => {
+    for (const days of [0, -1, -2]) {
+      const result = schedule({ ...pending, nextHearingDate: daysFromNow(days) }, 40);
+      assert.equal(result.pollingReason, 'hearing');
+      assert.equal(result.checkPriority, 5);
+      assert.equal(result.interval, HOUR);
+    }
+  });
+
+  it('polls hourly just after a listing', () => {
+    const result = schedule({
+      ...pending,
+      nextHearingDate: daysFromNow(30),
+      listingHistory: [{ listingDate: daysFromNow(-40) }, { listingDate: daysFromNow(-1) }]
+    });
+    assert.equal(result.pollingReason, 'listed');
+    assert.equal(result.interval, HOUR);
+  });
+
+  it('tightens as the hearing approaches', () => {
+    assert.equal(schedule({ ...pending, nextHearingDate: daysFromNow(1) }).interval, 2 * HOUR);
+    assert.equal(schedule({ ...pending, nextHearingDate: daysFromNow(5) }).interval, 6 * HOUR);
+    assert.equal(schedule({ ...pending, nextHearingDate: daysFromNow(30) }).interval, DAY);
+  });
+
+  it('ranks nearer hearings first', () => {
+    const priorities = [0, 1, 5, 30].map(days => schedule({ ...pending, nextHearingDate: daysFromNow(days) }).checkPriority);
+    assert.deepEqual(priorities, [5, 4, 3, 2]);
+  });
+
+  it('polls disposed and sine die cases rarely', () => {
+    const disposed = schedule({ caseStatus: 'DISPOSED', nextHearingDate: daysFromNow(1) });
+    assert.equal(disposed.pollingReason, 'disposed');
+    assert.equal(disposed.checkPriority, 0);
+    assert.equal(disposed.interval, 7 * DAY);
+
+    const sineDie = schedule({ caseStatus: 'PENDING', stageOfCase: 'Adjourned Sine Die' });
+    assert.equal(sineDie.pollingReason, 'sine_die');
+    assert.equal(sineDie.interval, 3 * DAY);
+  });
+
+  it('keeps checking for a new date after a hearing passes', () => {
+    const result = schedule({ ...pending, nextHearingDate: daysFromNow(-10) });
+    assert.equal(result.pollingReason, 'awaiting_next_date');
+    assert.equal(result.interval, 6 * HOUR);
+  });
+
+  it('backs off for cases that never change, up to a cap', () => {
+    assert.equal(schedule(pending, 4).interval, DAY);
+    assert.equal(schedule(pending, 5).interval, 2 * DAY);
+    assert.equal(schedule(pending, 10).interval, 4 * DAY);
+    assert.equal(schedule(pending, 100).interval, 7 * DAY);
+  });
+
+  it('does not back off past the week before a hearing', () => {
+    const result = schedule({ ...pending, nextHearingDate: daysFromNow(10) }, 100);
+    assert.equal(result.interval, 3 * DAY);
+  });
+
+  it('does not back off around a hearing', () => {
+    assert.equal(schedule({ ...pending, nextHearingDate: daysFromNow(1) }, 100).interval, 2 * HOUR);
+  });
+});
@@ -0,0 +1,57 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { isPrivateAddress, assertPublicUrl, publicLookup } = require('../utils/publicUrl');
+const { UnsafeUrlError } = require('../utils/errors');
+
+describe('publicUrl', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('tells public addresses from loopback, private, link-local and metadata ones', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '0.0.0.0', '100.64.0.1', '::1', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', '::ffff:7f00:1', 'not-an-ip']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700::1111']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it('accepts https URLs whose host resolves to public addresses only', async () => {
+    const lookup = mock.method(dns.promises, 'lookup', async () => [
+      { address: '93.184.216.34', family: 4 },
+      { address: '2606:2800:220:1::1', family: 6 }
+    ]);
+
+    const url = await assertPublicUrl('https://hooks.example.com/ahc');
+
+    assert.equal(url.hostname, 'hooks.example.com');
+    assert.deepEqual(lookup.mock.calls[0].arguments, ['hooks.example.com', { all: true }]);
+  });
+
+  it('rejects http, private hosts and hosts with any private address', async () => {
+    mock.method(dns.promises, 'lookup', async () => [
+      { address: '93.184.216.34', family: 4 },
+      { address: '127.0.0.1', family: 4 }
+    ]);
+
+    await assert.rejects(assertPublicUrl('http://hooks.example.com/ahc'), /only https URLs/);
+    await assert.rejects(assertPublicUrl('https://[::1]/ahc'), /non-public address ::1/);
+    await assert.rejects(assertPublicUrl('https://hooks.example.com/ahc'), error => {
+      assert.ok(error instanceof UnsafeUrlError);
+      assert.match(error.reason, /non-public address 127\.0\.0\.1/);
+      return true;
+    });
+    await assert.rejects(assertPublicUrl('not a url'), /not a valid URL/);
+  });
+
+  it('fails a connection whose host resolves to a private address', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '169.254.169.254', family: 4 }]));
+
+    const error = await new Promise(resolve => publicLookup('metadata.example.com', { all: true }, resolve));
+
+    assert.ok(error instanceof UnsafeUrlError);
+  });
+});
@@ -0,0 +1,103 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../utils/rateLimiter');
+const apiService = require('../services/apiService');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+}
+
+describe('RateLimiter', () => {
+  it('never runs more than maxConcurrency tasks at once', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60000, maxConcurrency: 2, burst: 5 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const results = gates.map((gate, i) => limiter.schedule(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, [0, 1]);
+    assert.equal(limiter.getStats().active, 2);
+    assert.equal(limiter.getStats().queueDepth, 1);
+
+    gates[0].resolve();
+    await results[0];
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, [0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+  });
+
+  it('spaces tasks by the refill interval once the bucket is empty', async () => {
+    // 600 per minute = one token every 100ms
+    const limiter = new RateLimiter({ requestsPerMinute: 600, maxConcurrency: 5, burst: 1 });
+    const startedAt = [];
+    const start = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => {
+      startedAt.push(Date.now() - start);
+    })));
+
+    assert.ok(startedAt[0] < 50);
+    assert.ok(startedAt[1] >= 90, `second task started after ${startedAt[1]}ms`);
+    assert.ok(startedAt[2] >= 190, `third task started after ${startedAt[2]}ms`);
+
+    const stats = limiter.getStats();
+    assert.equal(stats.totalScheduled, 3);
+    assert.ok(stats.maxWaitMs >= 190);
+    assert.ok(stats.averageWaitMs > 0);
+  });
+
+  it('passes task failures to the caller and keeps draining', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60000, maxConcurrency: 1, burst: 2 });
+
+    await assert.rejects(limiter.schedule(async () => { throw new Error('court down'); }), /court down/);
+    assert.equal(await limiter.schedule(async () => 'ok'), 'ok');
+    assert.equal(limiter.getStats().active, 0);
+  });
+
+  it('estimates the wait for a new task from the queue and refill rate', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 60, maxConcurrency: 1, burst: 1 });
+    assert.equal(limiter.estimateWaitMs(), 0);
+    limiter.tokens = 0;
+    limiter.lastRefill = Date.now();
+    assert.ok(limiter.estimateWaitMs() > 900);
+  });
+
+  it('rejects invalid limits', () => {
+    const limiter = new RateLimiter();
+    assert.throws(() => limiter.configure({ requestsPerMinute: 0 }), /requestsPerMinute/);
+    assert.throws(() => limiter.configure({ maxConcurrency: 0 }), /maxConcurrency/);
+  });
+});
+
+describe('ApiService rate limiting', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends court requests through the shared limiter', async () => {
+    const adapter = apiService.getAdapter();
+    mock.method(adapter, 'fetchCase', async () => ({ status: 200, data: '' }));
+    const schedule = mock.method(apiService.limiter, 'schedule');
+
+    await apiService.makeRequest('804692');
+    assert.equal(schedule.mock.callCount(), 1);
+    assert.equal(adapter.fetchCase.mock.callCount(), 1);
+  });
+
+  it('reports limiter stats with the API stats', () => {
+    const stats = apiService.getApiStats().rateLimiter;
+    assert.equal(stats.requestsPerMinute, 30);
+    assert.equal(stats.maxConcurrency, 2);
+    assert.equal(stats.queueDepth, 0);
+  });
+});
@@ -0,0 +1,120 @@
+process.env.TZ = 'Asia/Kolkata';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Case = require('../models/Case');
+const CaseSnapshot = require('../models/CaseSnapshot');
+const apiService = require('../services/apiService');
+const snapshotService = require('../services/snapshotService');
+const reparseService = require('../services/reparseService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'case-status');
+const loadFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+
+/**
+ * Build a stored snapshot the way saveSnapshot would insert it
+ */
+async function captureSnapshot(cino, html) {
+  let stored = null;
+  mock.method(CaseSnapshot, 'findOneAndUpdate', async (filter, update) => {
+    stored = { _id: 'snapshot-1', ...filter, ...update.$setOnInsert, ...update.$set };
+    return stored;
+  });
+  await snapshotService.saveSnapshot(cino, html, '1.0.0');
+  return stored;
+}
+
+describe('SnapshotService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keys snapshots by CINO and content hash and stores them compressed', async () => {
+    const html = loadFixture('long-listing-history');
+    const snapshot = await captureSnapshot('804692', html);
+
+    assert.equal(snapshot.cino, '804692');
+    assert.equal(snapshot.contentHash, snapshotService.hashContent(html));
+    assert.equal(snapshot.parserVersion, '1.0.0');
+    assert.equal(snapshot.originalSize, Buffer.byteLength(html));
+    assert.ok(snapshot.compressedSize < snapshot.originalSize);
+    assert.equal(snapshotService.decompress(snapshot), html);
+  });
+
+  it('gives identical responses the same hash', () => {
+    const html = loadFixture('pending-writ');
+    assert.equal(snapshotService.hashContent(html), snapshotService.hashContent(`${html}`));
+    assert.notEqual(snapshotService.hashContent(html), snapshotService.hashContent(`${html} `));
+  });
+
+  it('skips empty responses', async () => {
+    const findOneAndUpdate = mock.method(CaseSnapshot, 'findOneAndUpdate', async () => null);
+    assert.equal(await snapshotService.saveSnapshot('804692', '', '1.0.0'), null);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('ReparseService', () => {
+  afterEach(() => mock.restoreAll());
+
+  function stubCase(data) {
+    const doc = new Case({ ...data, dataHash: 'old' });
+    mock.method(doc, 'save', async () => doc);
+    mock.method(Case, 'findOne', async () => doc);
+    return doc;
+  }
+
+  it('reports changed fields on a dry run without writing', async () => {
+    const snapshot = await captureSnapshot('804692', loadFixture('disposed-writ'));
+    mock.method(CaseSnapshot, 'findLatestForCino', async () => snapshot);
+    const updateSnapshot = mock.method(CaseSnapshot, 'findByIdAndUpdate', async () => null);
+
+    const current = apiService.parseHtmlToJson(loadFixture('disposed-writ'), '804692');
+    const doc = stubCase({ ...current, caseStatus: 'PENDING', stageOfCase: 'ADMISSION' });
+
+    const result = await reparseService.reparseSnapshots({ cinos: ['804692'], dryRun: true });
+    assert.equal(result.results[0].status, 'would_update');
+    assert.deepEqual(result.results[0].changedFields, ['caseStatus', 'stageOfCase']);
+    assert.equal(doc.save.mock.callCount(), 0);
+    assert.equal(updateSnapshot.mock.callCount(), 0);
+  });
+
+  it('rebuilds the case but keeps fetch bookkeeping', async () => {
+    const snapshot = await captureSnapshot('804692', loadFixture('disposed-writ'));
+    mock.method(CaseSnapshot, 'findLatestForCino', async () => snapshot);
+    const updateSnapshot = mock.method(CaseSnapshot, 'findByIdAndUpdate', async () => null);
+
+    const lastApiCheck = new Date('2024-01-01T00:00:00Z');
+    const current = apiService.parseHtmlToJson(loadFixture('disposed-writ'), '804692');
+    const doc = stubCase({ ...current, caseStatus: 'PENDING', lastApiCheck, apiCheckCount: 42 });
+
+    const result = await reparseService.reparseSnapshots({ cinos: ['804692'] });
+    assert.equal(result.results[0].status, 'updated');
+    assert.equal(doc.caseStatus, 'DISPOSED');
+    assert.equal(doc.apiCheckCount, 42);
+    assert.equal(doc.lastApiCheck.getTime(), lastApiCheck.getTime());
+    assert.equal(doc.parserVersion, apiService.getAdapter().parserVersion);
+    assert.equal(doc.dataHash, doc.generateDataHash());
+    assert.equal(doc.save.mock.callCount(), 1);
+    assert.equal(updateSnapshot.mock.calls[0].arguments[1].lastParsedVersion, apiService.getAdapter().parserVersion);
+  });
+
+  it('leaves cases alone when the snapshot still parses as drift', async () => {
+    const snapshot = await captureSnapshot('804692', '<html><body>Service unavailable</body></html>');
+    mock.method(CaseSnapshot, 'findLatestForCino', async () => snapshot);
+    mock.method(CaseSnapshot, 'findByIdAndUpdate', async () => null);
+    const findCase = mock.method(Case, 'findOne', async () => null);
+
+    const result = await reparseService.reparseSnapshots({ cinos: ['804692'] });
+    assert.equal(result.results[0].status, 'drift');
+    assert.deepEqual(result.totals, { drift: 1 });
+    assert.equal(findCase.mock.callCount(), 0);
+  });
+
+  it('reports CINOs without snapshots', async () => {
+    mock.method(CaseSnapshot, 'findLatestForCino', async () => null);
+    const result = await reparseService.reparseSnapshots({ cinos: ['999999'] });
+    assert.deepEqual(result.results, [{ cino: '999999', status: 'no_snapshot' }]);
+  });
+});
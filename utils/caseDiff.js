@@ -0,0 +1,106 @@
+/**
+ * Keyed diffs of the list fields of a case page. Rows are matched by what
+ * identifies them on the court's page rather than by position, so a reordered
+ * or trimmed table is not reported as a change.
+ */
+
+/**
+ * @param {*} value - Date or date string
+ * @returns {string} YYYY-MM-DD, or '' if value is not a date
+ */
+function dayKey(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {*} value - Text from the case page
+ * @returns {string} Trimmed, lower-cased text with single spaces
+ */
+function normalizeText(value) {
+  return (value || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Match rows of two lists by key
+ * @param {Array} oldRows - Stored rows
+ * @param {Array} newRows - Fetched rows
+ * @param {Function} keyOf - Row to key
+ * @returns {Object} added and removed rows, and matched [oldRow, newRow] pairs
+ */
+function matchByKey(oldRows, newRows, keyOf) {
+  const oldByKey = new Map();
+  for (const row of Array.isArray(oldRows) ? oldRows : []) {
+    oldByKey.set(keyOf(row), row);
+  }
+
+  const added = [];
+  const matched = [];
+  const seen = new Set();
+  for (const row of Array.isArray(newRows) ? newRows : []) {
+    const key = keyOf(row);
+    seen.add(key);
+    if (oldByKey.has(key)) {
+      matched.push([oldByKey.get(key), row]);
+    } else {
+      added.push(row);
+    }
+  }
+
+  const removed = [...oldByKey.entries()]
+    .filter(([key]) => !seen.has(key))
+    .map(([, row]) => row);
+
+  return { added, removed, matched };
+}
+
+/**
+ * Listing history rows are keyed by date, bench and cause list type. The court
+ * fills in the short order after the hearing, so a row whose short order
+ * changed is reported as updated. Rows dropping off the table are not reported:
+ * the page only shows the latest listings.
+ * @param {Array} oldListings - Stored listing history
+ * @param {Array} newListings - Fetched listing history
+ * @returns {Object} added listings, and updated ones with their previous short order
+ */
+function diffListingHistory(oldListings, newListings) {
+  const keyOf = listing => [
+    dayKey(listing.listingDate),
+    normalizeText(listing.benchId || listing.justice),
+    normalizeText(listing.causeListType)
+  ].join('|');
+
+  const { added, matched } = matchByKey(oldListings, newListings, keyOf);
+  const updated = matched
+    .filter(([oldListing, newListing]) => normalizeText(oldListing.shortOrder) !== normalizeText(newListing.shortOrder))
+    .map(([oldListing, newListing]) => ({ listing: newListing, previousShortOrder: oldListing.shortOrder || '' }));
+
+  return { added, updated };
+}
+
+/**
+ * IA applications are keyed by application number
+ * @param {Array} oldApplications - Stored IA applications
+ * @param {Array} newApplications - Fetched IA applications
+ * @returns {Object} added and removed applications, and status changes with from and to
+ */
+function diffIaApplications(oldApplications, newApplications) {
+  const keyOf = application => normalizeText(application.applicationNumber);
+
+  const { added, removed, matched } = matchByKey(oldApplications, newApplications, keyOf);
+  const statusChanges = matched
+    .filter(([oldApplication, newApplication]) => normalizeText(oldApplication.status) !== normalizeText(newApplication.status))
+    .map(([oldApplication, newApplication]) => ({
+      application: newApplication,
+      from: oldApplication.status || '',
+      to: newApplication.status || ''
+    }));
+
+  return { added, removed, statusChanges };
+}
+
+module.exports = {
+  diffListingHistory,
+  diffIaApplications
+};
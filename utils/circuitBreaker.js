@@ -0,0 +1,191 @@
+/**
+ * Circuit breaker for an unreliable upstream.
+ *
+ * Closed: requests flow and consecutive failures are counted. After
+ * failureThreshold in a row the circuit opens: callers should stop sending
+ * requests, and a probe runs every probeIntervalMs. A successful probe, or any
+ * successful request, closes the circuit again. onOpen/onClose let the owner
+ * record the outage.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name used in stats and errors
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.probeIntervalMs - Time between probes while open
+   * @param {Function} options.probe - Async function resolving true when the upstream is back
+   * @param {Function} options.onOpen - Called with stats when the circuit opens
+   * @param {Function} options.onClose - Called with stats when the circuit closes
+   */
+  constructor({ name, failureThreshold = 5, probeIntervalMs = 300000, probe, onOpen, onClose } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probe = probe || (async () => false);
+    this.onOpen = onOpen || (() => {});
+    this.onClose = onClose || (() => {});
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.firstError = null;
+    this.lastError = null;
+    this.nextProbeAt = null;
+    this.probeCount = 0;
+    this.skippedRequests = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Whether callers should hold off sending requests
+   * @returns {boolean} True while open or probing
+   */
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  /**
+   * Record a successful request, closing the circuit if it was open
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.isOpen()) {
+      this.close();
+    }
+  }
+
+  /**
+   * Record a failed request, opening the circuit at the threshold
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error ? error.message : 'Unknown error';
+    if (this.consecutiveFailures === 1) {
+      this.firstError = this.lastError;
+    }
+
+    if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Record a failure that should open the circuit straight away
+   * @param {Error} error - The failure
+   */
+  trip(error) {
+    this.recordFailure(error);
+    if (this.state === 'closed') {
+      this.open();
+    }
+  }
+
+  /**
+   * Record a request that was not sent because the circuit is open
+   */
+  recordSkipped() {
+    this.skippedRequests++;
+  }
+
+  /**
+   * Open the circuit and start probing
+   */
+  open() {
+    this.state = 'open';
+    this.openedAt = new Date();
+    this.probeCount = 0;
+    this.skippedRequests = 0;
+    this.scheduleProbe();
+    this.notify(this.onOpen);
+  }
+
+  /**
+   * Close the circuit and stop probing
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const stats = this.getStats();
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.firstError = null;
+    this.nextProbeAt = null;
+    this.notify(this.onClose, stats);
+  }
+
+  /**
+   * Schedule the next probe while open
+   */
+  scheduleProbe() {
+    clearTimeout(this.timer);
+    this.nextProbeAt = new Date(Date.now() + this.probeIntervalMs);
+    this.timer = setTimeout(() => this.runProbe(), this.probeIntervalMs);
+    // Probes alone should not keep a process alive
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Probe the upstream once, closing the circuit if it answers
+   * @returns {Promise<boolean>} True if the probe succeeded
+   */
+  async runProbe() {
+    if (this.state === 'closed') return true;
+
+    this.state = 'half_open';
+    this.probeCount++;
+
+    let healthy = false;
+    try {
+      healthy = await this.probe();
+    } catch (error) {
+      this.lastError = error.message;
+    }
+
+    // A request may have closed the circuit while the probe was in flight
+    if (this.state === 'closed') return true;
+
+    if (healthy) {
+      this.close();
+      return true;
+    }
+
+    this.state = 'open';
+    this.scheduleProbe();
+    return false;
+  }
+
+  /**
+   * Call a state change hook without letting it break the caller
+   * @param {Function} hook - onOpen or onClose
+   * @param {Object} stats - Stats to pass, defaults to current stats
+   */
+  notify(hook, stats = this.getStats()) {
+    Promise.resolve()
+      .then(() => hook(stats))
+      .catch(() => {});
+  }
+
+  /**
+   * Get breaker statistics
+   * @returns {Object} State, failure counts and probe timing
+   */
+  getStats() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      firstError: this.firstError,
+      lastError: this.lastError,
+      nextProbeAt: this.nextProbeAt,
+      probeCount: this.probeCount,
+      skippedRequests: this.skippedRequests
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
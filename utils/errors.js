@@ -0,0 +1,199 @@
+/**
+ * Error types shared across services and routes
+ */
+
+/**
+ * Base class for errors about a court source. statusCode is the HTTP status
+ * routes answer with, so every court error maps to a response the same way.
+ */
+class CourtError extends Error {
+  constructor(message, { code, statusCode = 502, adapterId = null, cino = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.adapterId = adapterId;
+    this.cino = cino;
+  }
+
+  /**
+   * Body for an API error response
+   * @returns {Object} Response JSON
+   */
+  toResponse() {
+    return {
+      success: false,
+      message: this.message,
+      code: this.code
+    };
+  }
+}
+
+/**
+ * Raised when a court page parses with too little confidence to be trusted,
+ * usually because the court changed its HTML layout
+ */
+class ParserDriftError extends CourtError {
+  constructor(cino, report) {
+    super(`Parsed page for CINO ${cino} looks like layout drift (confidence ${report.confidence})`, {
+      code: 'PARSER_DRIFT',
+      statusCode: 502,
+      cino
+    });
+    this.report = report;
+  }
+}
+
+/**
+ * Raised when a case or request names a court adapter that is not registered
+ */
+class UnknownCourtAdapterError extends CourtError {
+  constructor(adapterId) {
+    super(`Unknown court adapter: ${adapterId}`, {
+      code: 'UNKNOWN_COURT_ADAPTER',
+      statusCode: 400,
+      adapterId
+    });
+  }
+}
+
+/**
+ * Raised instead of calling a court whose circuit breaker is open
+ */
+class CourtUnavailableError extends CourtError {
+  constructor(adapterId, breakerStats = {}) {
+    super(`Court source ${adapterId} is unavailable, fetches are paused until it recovers`, {
+      code: 'COURT_UNAVAILABLE',
+      statusCode: 503,
+      adapterId
+    });
+    this.since = breakerStats.openedAt || null;
+    this.retryAt = breakerStats.nextProbeAt || null;
+  }
+
+  toResponse() {
+    return { ...super.toResponse(), retryAt: this.retryAt };
+  }
+}
+
+/**
+ * Base class for court responses classified as something other than a case page.
+ * classification is the adapter's label for the page.
+ */
+class CourtResponseError extends CourtError {
+  constructor(message, { classification, reason, ...options }) {
+    super(message, options);
+    this.classification = classification;
+    this.reason = reason || null;
+  }
+
+  toResponse() {
+    return { ...super.toResponse(), classification: this.classification };
+  }
+}
+
+/**
+ * The court answered that it has no record of the CINO
+ */
+class CaseNotFoundError extends CourtResponseError {
+  constructor(cino, adapterId, reason) {
+    super(`No record found for CINO ${cino}`, {
+      classification: 'not_found',
+      code: 'CASE_NOT_FOUND',
+      statusCode: 404,
+      adapterId,
+      cino,
+      reason
+    });
+  }
+}
+
+/**
+ * The court rejected the CINO itself as malformed
+ */
+class InvalidCinoError extends CourtResponseError {
+  constructor(cino, adapterId, reason) {
+    super(`The court rejected CINO ${cino} as invalid`, {
+      classification: 'invalid_cino',
+      code: 'INVALID_CINO',
+      statusCode: 400,
+      adapterId,
+      cino,
+      reason
+    });
+  }
+}
+
+/**
+ * The court served a maintenance or temporarily-unavailable page
+ */
+class CourtMaintenanceError extends CourtResponseError {
+  constructor(cino, adapterId, reason) {
+    super('The court website is under maintenance', {
+      classification: 'maintenance',
+      code: 'COURT_MAINTENANCE',
+      statusCode: 503,
+      adapterId,
+      cino,
+      reason
+    });
+  }
+}
+
+/**
+ * The court served a captcha or access-denied page instead of the case
+ */
+class CourtBlockedError extends CourtResponseError {
+  constructor(cino, adapterId, reason) {
+    super('The court website blocked the request (captcha or access denied)', {
+      classification: 'blocked',
+      code: 'COURT_BLOCKED',
+      statusCode: 503,
+      adapterId,
+      cino,
+      reason
+    });
+  }
+}
+
+/**
+ * Raised when no channel accepted a notification. attempts lists each channel
+ * tried and why it failed; with no channel to try, retrying cannot help.
+ */
+class NotificationDeliveryError extends Error {
+  constructor(attempts = []) {
+    const tried = attempts.map(attempt => `${attempt.channel}: ${attempt.error}`).join('; ');
+    super(tried ? `No channel delivered the notification (${tried})` : 'No channel can reach the recipient');
+    this.name = this.constructor.name;
+    this.attempts = attempts;
+    this.retryable = attempts.length > 0;
+  }
+}
+
+/**
+ * Raised for a URL the server must not send requests to: not https, or a
+ * host that is or resolves to a loopback, private, link-local or other
+ * non-public address
+ */
+class UnsafeUrlError extends Error {
+  constructor(url, reason) {
+    super(`Refusing to send requests to ${url}: ${reason}`);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  CourtError,
+  ParserDriftError,
+  UnknownCourtAdapterError,
+  CourtUnavailableError,
+  CourtResponseError,
+  CaseNotFoundError,
+  InvalidCinoError,
+  CourtMaintenanceError,
+  CourtBlockedError,
+  NotificationDeliveryError,
+  UnsafeUrlError
+};
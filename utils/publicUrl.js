@@ -0,0 +1,117 @@
+/**
+ * Guards for URLs that users give and the server then requests, such as
+ * webhook URLs. Only https URLs whose host resolves to public addresses pass,
+ * so a user cannot point the server at itself, the local network or a cloud
+ * metadata endpoint.
+ */
+const dns = require('dns');
+const net = require('net');
+const { UnsafeUrlError } = require('./errors');
+
+// Separate lists, since a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules
+const blockedIpv4 = new net.BlockList();
+const blockedIpv6 = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+]) {
+  blockedIpv4.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['::ffff:0:0', 96], // IPv4-mapped in hex form; the dotted form is checked as IPv4
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  blockedIpv6.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on
+ * the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for non-public and malformed addresses
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address || '');
+  if (family === 0) return true;
+  return family === 4 ? blockedIpv4.check(address, 'ipv4') : blockedIpv6.check(address, 'ipv6');
+}
+
+/**
+ * Check a URL is https and that its host resolves only to public addresses
+ * @param {string} value - URL to check
+ * @returns {Promise<URL>} The parsed URL
+ * @throws {UnsafeUrlError} When the URL is malformed, not https or not public
+ */
+async function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UnsafeUrlError(value, 'not a valid URL');
+  }
+  if (url.protocol !== 'https:') {
+    throw new UnsafeUrlError(value, 'only https URLs are allowed');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new UnsafeUrlError(value, `host ${host} does not resolve`);
+    }
+  }
+
+  const privateAddress = addresses.find(isPrivateAddress);
+  if (privateAddress) {
+    throw new UnsafeUrlError(value, `host resolves to non-public address ${privateAddress}`);
+  }
+  return url;
+}
+
+/**
+ * dns.lookup for http agents that fails for non-public addresses. The check
+ * runs on the address the socket connects to, so a host that resolves to a
+ * public address when checked and a private one when requested is still refused.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family), or (error, addresses) with options.all
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const privateEntry = entries.find(entry => isPrivateAddress(entry.address));
+    if (privateEntry) {
+      return callback(new UnsafeUrlError(hostname, `host resolves to non-public address ${privateEntry.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup
+};
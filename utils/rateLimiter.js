@@ -0,0 +1,165 @@
+/**
+ * Token-bucket rate limiter with a concurrency cap.
+ *
+ * Tasks queue in arrival order. A task starts once a token is available and
+ * fewer than maxConcurrency tasks are running; tokens refill continuously at
+ * requestsPerMinute. Wait times and queue depth are tracked for status endpoints.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Sustained request rate
+   * @param {number} options.maxConcurrency - Most tasks allowed in flight at once
+   * @param {number} options.burst - Bucket size, defaults to maxConcurrency
+   */
+  constructor({ requestsPerMinute = 30, maxConcurrency = 2, burst } = {}) {
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+    this.configure({ requestsPerMinute, maxConcurrency, burst });
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+
+    this.totalScheduled = 0;
+    this.totalWaitMs = 0;
+    this.maxWaitMs = 0;
+    this.lastWaitMs = 0;
+  }
+
+  /**
+   * Change the limits; queued tasks pick up the new rate immediately
+   * @param {Object} options - requestsPerMinute, maxConcurrency and/or burst
+   */
+  configure({ requestsPerMinute, maxConcurrency, burst } = {}) {
+    if (requestsPerMinute !== undefined) {
+      if (!(requestsPerMinute > 0)) throw new Error('requestsPerMinute must be positive');
+      this.requestsPerMinute = requestsPerMinute;
+    }
+    if (maxConcurrency !== undefined) {
+      if (!(maxConcurrency >= 1)) throw new Error('maxConcurrency must be at least 1');
+      this.maxConcurrency = Math.floor(maxConcurrency);
+    }
+    this.burst = burst || this.burst || this.maxConcurrency;
+    if (this.tokens > this.burst) {
+      this.tokens = this.burst;
+    }
+    this.drain();
+  }
+
+  /**
+   * Run a task once the limiter allows it
+   * @param {Function} task - Async function to run
+   * @returns {Promise} Resolves or rejects with the task's result
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, enqueuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  /**
+   * Milliseconds between tokens
+   * @returns {number} Refill interval
+   */
+  get intervalMs() {
+    return 60000 / this.requestsPerMinute;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / this.intervalMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Start as many queued tasks as tokens and concurrency allow
+   */
+  drain() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrency) {
+      this.refill();
+      if (this.tokens < 1) {
+        this.scheduleDrain(Math.ceil((1 - this.tokens) * this.intervalMs));
+        return;
+      }
+      this.tokens -= 1;
+      this.run(this.queue.shift());
+    }
+  }
+
+  /**
+   * Wake up when the next token is due
+   * @param {number} ms - Milliseconds until the next token
+   */
+  scheduleDrain(ms) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, ms);
+  }
+
+  /**
+   * Run a dequeued task and record how long it waited
+   * @param {Object} entry - Queue entry
+   */
+  run(entry) {
+    const waitMs = Date.now() - entry.enqueuedAt;
+    this.totalScheduled++;
+    this.totalWaitMs += waitMs;
+    this.lastWaitMs = waitMs;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+    this.active++;
+
+    // Free the slot before settling so callers see up-to-date stats
+    const release = () => {
+      this.active--;
+      this.drain();
+    };
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(value => {
+        release();
+        entry.resolve(value);
+      }, error => {
+        release();
+        entry.reject(error);
+      });
+  }
+
+  /**
+   * Estimate how long a task queued now would wait for its token
+   * @returns {number} Milliseconds
+   */
+  estimateWaitMs() {
+    this.refill();
+    const tokensNeeded = this.queue.length + 1 - this.tokens;
+    return tokensNeeded > 0 ? Math.ceil(tokensNeeded * this.intervalMs) : 0;
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {Object} Limits, queue depth and wait times
+   */
+  getStats() {
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      maxConcurrency: this.maxConcurrency,
+      burst: this.burst,
+      availableTokens: Math.floor(this.tokens * 100) / 100,
+      active: this.active,
+      queueDepth: this.queue.length,
+      estimatedWaitMs: this.estimateWaitMs(),
+      totalScheduled: this.totalScheduled,
+      averageWaitMs: this.totalScheduled ? Math.round(this.totalWaitMs / this.totalScheduled) : 0,
+      maxWaitMs: this.maxWaitMs,
+      lastWaitMs: this.lastWaitMs
+    };
+  }
+}
+
+module.exports = RateLimiter;